@@ -1,42 +1,15 @@
-// src/alerter.js — Telegram + Discord webhook alerter (pluggable)
+// src/alerter.js — Alert dispatch over the pluggable channel registry
+import { createHash } from 'node:crypto';
 import logger from './logger.js';
-
-const TELEGRAM_MAX_LENGTH = 4096;
-const DISCORD_MAX_LENGTH = 2000;
-
-/**
- * Escape HTML special characters for Telegram HTML mode.
- * @param {string} text
- * @returns {string}
- */
-function escapeHtml(text) {
-    return String(text)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;');
-}
-
-/**
- * Format a single program entry for Telegram (HTML).
- * @param {object} p
- * @returns {string}
- */
-function formatTelegramEntry(p) {
-    const bounty = p.offers_bounties ? '💰 Bounty' : '🏅 VDP';
-    const safeName = escapeHtml(p.name);
-    const safeHandle = escapeHtml(p.handle);
-    return `• <b>${safeName}</b> (<code>${safeHandle}</code>) — ${bounty}\n  → https://hackerone.com/${p.handle}`;
-}
-
-/**
- * Format a single program entry for Discord.
- * @param {object} p
- * @returns {string}
- */
-function formatDiscordEntry(p) {
-    const bounty = p.offers_bounties ? '💰 Bounty' : '🏅 VDP';
-    return `• **${p.name}** (\`${p.handle}\`) — ${bounty}\n  → <https://hackerone.com/${p.handle}>`;
-}
+import { getChannels } from './channels/index.js';
+import { markup as telegramMarkup, sendTelegram } from './channels/telegram.js';
+import { markup as discordMarkup, sendDiscord } from './channels/discord.js';
+import { sendSlack } from './channels/slack.js';
+import { formatProgramEntry, formatChangeEntry, chunkMessages } from './formatting.js';
+import { loadFilterRules, applyFilters } from './filters.js';
+import { loadTemplates, resolveTemplates } from './templates.js';
+import { getDigestConfig, isDigestChannel } from './digest.js';
+import { createTokenBucket } from './rate-limit.js';
 
 /**
  * Format an array of new programs into a human-readable message (Telegram).
@@ -45,7 +18,7 @@ function formatDiscordEntry(p) {
  */
 export function formatMessage(programs) {
     const header = `🔔 <b>h1-watcher</b> — ${programs.length} new HackerOne program${programs.length > 1 ? 's' : ''} detected!`;
-    const lines = programs.map(formatTelegramEntry);
+    const lines = programs.map((p) => formatProgramEntry(p, telegramMarkup));
     return `${header}\n\n${lines.join('\n\n')}`;
 }
 
@@ -56,159 +29,207 @@ export function formatMessage(programs) {
  */
 export function formatDiscordMessage(programs) {
     const header = `🔔 **h1-watcher** — ${programs.length} new HackerOne program${programs.length > 1 ? 's' : ''} detected!`;
-    const lines = programs.map(formatDiscordEntry);
+    const lines = programs.map((p) => formatProgramEntry(p, discordMarkup));
     return `${header}\n\n${lines.join('\n\n')}`;
 }
 
 /**
- * Split programs into chunked messages that fit within a character limit.
- * Each chunk gets a header with the part number.
- *
- * @param {object[]} programs - all new programs
- * @param {Function} entryFormatter - formats a single program into a string
- * @param {string} headerPrefix - bold prefix like "*h1-watcher*" or "**h1-watcher**"
- * @param {number} maxLength - max chars per message
- * @returns {string[]} array of message strings
+ * Format change events into a single message for Telegram (HTML).
+ * @param {object[]} events
+ * @returns {string}
  */
-export function chunkMessages(programs, entryFormatter, headerPrefix, maxLength) {
-    if (programs.length === 0) return [];
-
-    // Try single message first
-    const singleHeader = `🔔 ${headerPrefix} — ${programs.length} new HackerOne program${programs.length > 1 ? 's' : ''} detected!`;
-    const allEntries = programs.map(entryFormatter);
-    const singleMessage = `${singleHeader}\n\n${allEntries.join('\n\n')}`;
-
-    if (singleMessage.length <= maxLength) {
-        return [singleMessage];
-    }
-
-    // Need to split into multiple messages
-    const chunks = [];
-    let currentEntries = [];
-    let currentLength = 0;
-
-    for (const entry of allEntries) {
-        // Estimate chunk header length (generous)
-        const chunkHeader = `🔔 ${headerPrefix} — ${programs.length} new programs (part ${chunks.length + 1}):\n\n`;
-        const separatorLength = currentEntries.length > 0 ? 2 : 0; // '\n\n'
-        const projectedLength = chunkHeader.length + currentLength + separatorLength + entry.length;
+export function formatChangeMessage(events) {
+    const header = `🔄 <b>h1-watcher</b> — ${events.length} program update${events.length > 1 ? 's' : ''}`;
+    const lines = events.map((e) => formatChangeEntry(e, telegramMarkup));
+    return `${header}\n\n${lines.join('\n\n')}`;
+}
 
-        if (projectedLength > maxLength && currentEntries.length > 0) {
-            // Finalize current chunk
-            const header = `🔔 ${headerPrefix} — ${programs.length} new programs (part ${chunks.length + 1}):`;
-            chunks.push(`${header}\n\n${currentEntries.join('\n\n')}`);
-            currentEntries = [];
-            currentLength = 0;
-        }
+/** Pacing for channels that do not declare a `rateLimit`: one message every 500 ms */
+const DEFAULT_RATE_LIMIT = { capacity: 1, intervalMs: 500 };
 
-        currentEntries.push(entry);
-        currentLength += (currentEntries.length > 1 ? 2 : 0) + entry.length;
-    }
+/** Token bucket per channel, shared by every alert sent in this process */
+const buckets = new WeakMap();
 
-    // Finalize last chunk
-    if (currentEntries.length > 0) {
-        const header = `🔔 ${headerPrefix} — ${programs.length} new programs (part ${chunks.length + 1}):`;
-        chunks.push(`${header}\n\n${currentEntries.join('\n\n')}`);
+/**
+ * Get the token bucket pacing a channel.
+ * @param {object} channel - channel from the registry
+ * @returns {{take: (wait?: Function) => Promise<void>}}
+ */
+function bucketFor(channel) {
+    if (!buckets.has(channel)) {
+        buckets.set(channel, createTokenBucket(channel.rateLimit || DEFAULT_RATE_LIMIT));
     }
-
-    return chunks;
+    return buckets.get(channel);
 }
 
 /**
- * Sleep for a given number of milliseconds.
+ * Derive the key of a delivery part: a message, or one destination of a
+ * message (e.g. a webhook URL). Keys are hashed, as destinations can hold
+ * secrets and keys are stored in the state file.
+ *
+ * @param {...*} parts - message, then the destination if any
+ * @returns {string}
  */
-function sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+function partKey(...parts) {
+    return createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
 }
 
 /**
- * Send a Telegram message via Bot API.
- * Automatically splits long messages into chunks.
- * Requires TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID env vars.
+ * Send pre-chunked messages to one channel sequentially, paced by the
+ * channel's token bucket. Messages listed in `deps.delivered` were sent by
+ * an earlier attempt and are skipped, so a retry only resends the chunks
+ * that failed. Channels fanning a message out to several destinations get
+ * `deps.parts` to skip and record destinations the same way.
  *
- * @param {string} text - message text (Markdown)
- * @param {object} [deps] - injectable dependencies
- * @param {Function} [deps.fetchFn] - fetch implementation
- * @returns {Promise<boolean>} true if sent successfully
+ * @param {Array} messages - messages produced by the channel's formatter
+ * @param {object} channel - channel from the registry
+ * @param {object} deps - injectable dependencies passed to `channel.send`
+ * @param {Object<string, string[]>} [deps.delivered] - per channel name, keys of the parts already delivered
+ * @param {Function} [deps.onDelivered] - (channelName, key) => void, called for every part delivered
+ * @returns {Promise<boolean>} true if every message was sent
  */
-export async function sendTelegram(text, deps = {}) {
-    const fetchFn = deps.fetchFn || fetch;
-    const botToken = process.env.TELEGRAM_BOT_TOKEN;
-    const chatId = process.env.TELEGRAM_CHAT_ID;
-
-    if (!botToken || !chatId) {
-        logger.info('Telegram not configured (TELEGRAM_BOT_TOKEN / TELEGRAM_CHAT_ID missing), skipping');
-        return false;
+async function sendChunks(messages, channel, deps) {
+    if (messages.length === 0) return false;
+
+    const delivered = new Set(deps.delivered?.[channel.name] || []);
+    const record = (key) => deps.onDelivered?.(channel.name, key);
+    const pending = messages
+        .map((message) => ({ message, key: partKey(message) }))
+        .filter(({ key }) => !delivered.has(key));
+    if (pending.length < messages.length) {
+        logger.info(`${channel.label}: ${messages.length - pending.length} message(s) already delivered, skipping them`);
     }
 
-    const url = `https://api.telegram.org/bot${botToken}/sendMessage`;
-    try {
-        const response = await fetchFn(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                chat_id: chatId,
-                text,
-                parse_mode: 'HTML',
-                disable_web_page_preview: true,
-            }),
-        });
+    logger.info(`Sending ${pending.length} ${channel.label} message(s)`);
+    const bucket = bucketFor(channel);
+    let allOk = true;
+    for (const { message, key } of pending) {
+        await bucket.take(deps.sleepFn);
+        const parts = {
+            isDelivered: (destination) => delivered.has(partKey(message, destination)),
+            markDelivered: (destination) => record(partKey(message, destination)),
+        };
+        const ok = await channel.send(message, { ...deps, parts });
+        if (ok) record(key);
+        else allOk = false;
+    }
+    return allOk;
+}
 
-        if (!response.ok) {
-            const body = await response.text();
-            logger.error(`Telegram API error: HTTP ${response.status} — ${body}`);
-            return false;
-        }
+/** How to get the program of each item, for alert kinds that filter rules apply to */
+const FILTERED_KINDS = {
+    newPrograms: (program) => program,
+    changes: (event) => event.program,
+    digest: (program) => program,
+};
 
-        logger.info('Telegram notification sent successfully');
-        return true;
-    } catch (error) {
-        logger.error(`Telegram send failed: ${error.message}`);
-        return false;
+/**
+ * Apply a channel's filter rules to an alert payload, logging every exclusion.
+ *
+ * @param {string} kind - formatter method
+ * @param {*} payload - programs, change events, notice or digest
+ * @param {object} channel - channel from the registry
+ * @param {object} rules - compiled filter rules
+ * @returns {{payload: *, empty: boolean}} the payload with excluded items removed, and whether none are left
+ */
+function filterPayload(kind, payload, channel, rules) {
+    const getProgram = FILTERED_KINDS[kind];
+    if (!getProgram) return { payload, empty: false };
+
+    const items = kind === 'digest' ? payload.programs : payload;
+    const { kept, excluded } = applyFilters(items, getProgram, channel.name, rules);
+    for (const { item, reason } of excluded) {
+        logger.info(`Filter: ${getProgram(item).handle} not sent to ${channel.label} (${reason})`);
     }
+    return {
+        payload: kind === 'digest' ? { ...payload, programs: kept } : kept,
+        empty: kept.length === 0,
+    };
 }
 
 /**
- * Send a Discord webhook message.
- * Requires DISCORD_WEBHOOK_URL env var.
+ * Get a channel's formatter for an alert kind. Channels without a digest
+ * formatter receive digests as a regular new-program alert.
  *
- * @param {string} text - message text
- * @param {object} [deps] - injectable dependencies
- * @param {Function} [deps.fetchFn] - fetch implementation
- * @returns {Promise<boolean>} true if sent successfully
+ * @param {object} channel - channel from the registry
+ * @param {string} kind - formatter method
+ * @returns {Function} (payload, maxLength, templates) => messages[]
  */
-export async function sendDiscord(text, deps = {}) {
-    const fetchFn = deps.fetchFn || fetch;
-    const webhookUrl = process.env.DISCORD_WEBHOOK_URL;
-
-    if (!webhookUrl) {
-        logger.info('Discord not configured (DISCORD_WEBHOOK_URL missing), skipping');
-        return false;
+function formatterFor(channel, kind) {
+    if (kind === 'digest' && !channel.formatter.digest) {
+        return (digest, maxLength, templates) => channel.formatter.newPrograms(digest.programs, maxLength, templates);
     }
+    return channel.formatter[kind];
+}
 
-    try {
-        const response = await fetchFn(webhookUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                content: text,
-                username: 'h1-watcher',
-            }),
-        });
+/**
+ * Format and send one alert on every selected channel of the registry.
+ * Channel filter rules are applied before formatting and chunking.
+ * Channels that are not configured, or left with nothing to send after
+ * filtering, report `null` (skipped) rather than `false` (failed), so
+ * callers can tell an outage from a channel with nothing to deliver.
+ * Channels in digest mode skip new-program alerts and are the only ones
+ * to receive digests.
+ *
+ * @param {string} kind - formatter method: `newPrograms`, `changes`, `notice` or `digest`
+ * @param {*} payload - programs, change events, notice or digest
+ * @param {object} deps - injectable dependencies
+ * @param {Function} [deps.sleepFn] - sleep implementation, for pacing and rate-limit waits
+ * @param {object[]} [deps.registry] - channels to use instead of the registered ones
+ * @param {string[]} [deps.channels] - only deliver to these channels (others are omitted from the result)
+ * @param {object} [deps.rules] - compiled filter rules (defaults to ALERT_RULES / ALERT_RULES_FILE)
+ * @param {object} [deps.templates] - user templates (defaults to ALERT_TEMPLATES_FILE)
+ * @param {string[]} [deps.digestChannels] - channels in digest mode (defaults to DIGEST_CHANNELS)
+ * @param {Object<string, string[]>} [deps.delivered] - per channel name, parts delivered by an earlier attempt
+ * @param {Function} [deps.onDelivered] - (channelName, key) => void, called for every part delivered
+ * @returns {Promise<object>} per channel name: true (sent), false (failed) or null (skipped)
+ */
+async function deliver(kind, payload, deps) {
+    const channels = deps.registry || getChannels();
+    const rules = deps.rules || loadFilterRules();
+    const templates = deps.templates || loadTemplates();
+    const digestConfig = { channels: deps.digestChannels || getDigestConfig().channels };
+
+    const result = {};
+    for (const channel of channels) {
+        if (deps.channels && !deps.channels.includes(channel.name)) continue;
+        const digestMode = isDigestChannel(digestConfig, channel.name);
+        if (kind === 'digest' && !digestMode) continue;
+        if (kind === 'newPrograms' && digestMode) {
+            logger.info(`${channel.label} is in digest mode, new programs wait for the next digest`);
+            result[channel.name] = null;
+            continue;
+        }
+        if (!channel.isConfigured()) {
+            logger.info(`${channel.label} not configured, skipping`);
+            result[channel.name] = null;
+            continue;
+        }
 
-        // Discord returns 204 No Content on success
-        if (!response.ok && response.status !== 204) {
-            const body = await response.text();
-            logger.error(`Discord webhook error: HTTP ${response.status} — ${body}`);
-            return false;
+        const filtered = filterPayload(kind, payload, channel, rules);
+        if (filtered.empty) {
+            logger.info(`${channel.label}: nothing left to send after filter rules`);
+            result[channel.name] = null;
+            continue;
         }
 
-        logger.info('Discord notification sent successfully');
-        return true;
-    } catch (error) {
-        logger.error(`Discord send failed: ${error.message}`);
-        return false;
+        let messages;
+        try {
+            messages = formatterFor(channel, kind)(filtered.payload, channel.maxLength, resolveTemplates(channel, templates));
+        } catch (error) {
+            logger.error(`${channel.label} formatting failed: ${error.message}`);
+            result[channel.name] = false;
+            continue;
+        }
+        if (messages.length === 0) {
+            // e.g. no Telegram destination takes this type of program
+            logger.info(`${channel.label}: no destination for this alert`);
+            result[channel.name] = null;
+            continue;
+        }
+        result[channel.name] = await sendChunks(messages, channel, deps);
     }
+    return result;
 }
 
 /**
@@ -218,49 +239,94 @@ export async function sendDiscord(text, deps = {}) {
  * @param {object[]} newPrograms - array of normalized program objects
  * @param {object} [deps] - injectable dependencies
  * @param {Function} [deps.fetchFn] - fetch implementation
- * @returns {Promise<{telegram: boolean, discord: boolean}>}
+ * @param {object[]} [deps.registry] - channels to use instead of the registered ones
+ * @param {string[]} [deps.channels] - only deliver to these channels
+ * @param {object} [deps.rules] - compiled filter rules
+ * @param {object} [deps.templates] - user templates
+ * @param {string[]} [deps.digestChannels] - channels in digest mode
+ * @returns {Promise<Object<string, boolean|null>>} per channel name; null = skipped (not configured or filtered out)
  */
 export async function notify(newPrograms, deps = {}) {
     if (!newPrograms || newPrograms.length === 0) {
         logger.info('No new programs to notify about');
-        return { telegram: false, discord: false };
+        return {};
     }
 
     logger.info(`Sending alerts for ${newPrograms.length} new program(s)`);
+    return deliver('newPrograms', newPrograms, deps);
+}
 
-    // Chunk messages to fit platform limits
-    const telegramChunks = chunkMessages(
-        newPrograms, formatTelegramEntry, '<b>h1-watcher</b>', TELEGRAM_MAX_LENGTH
-    );
-    const discordChunks = chunkMessages(
-        newPrograms, formatDiscordEntry, '**h1-watcher**', DISCORD_MAX_LENGTH
-    );
-
-    // Send Telegram messages sequentially with delay
-    let telegramOk = false;
-    if (telegramChunks.length > 0) {
-        logger.info(`Sending ${telegramChunks.length} Telegram message(s)`);
-        telegramOk = true;
-        for (let i = 0; i < telegramChunks.length; i++) {
-            const ok = await sendTelegram(telegramChunks[i], deps);
-            if (!ok) telegramOk = false;
-            if (i < telegramChunks.length - 1) await sleep(500); // rate limit
-        }
+/**
+ * Send change alerts (e.g. `scope_changed`, `bounty_enabled`) for already-known programs to all
+ * configured channels. Sent as a separate message type from new-program alerts.
+ *
+ * @param {object[]} events - change events produced by the watcher
+ * @param {object} [deps] - injectable dependencies
+ * @param {Function} [deps.fetchFn] - fetch implementation
+ * @param {object[]} [deps.registry] - channels to use instead of the registered ones
+ * @param {string[]} [deps.channels] - only deliver to these channels
+ * @param {object} [deps.rules] - compiled filter rules
+ * @param {object} [deps.templates] - user templates
+ * @param {string[]} [deps.digestChannels] - channels in digest mode
+ * @returns {Promise<Object<string, boolean|null>>} per channel name; null = skipped (not configured or filtered out)
+ */
+export async function notifyChanges(events, deps = {}) {
+    if (!events || events.length === 0) {
+        logger.info('No program changes to notify about');
+        return {};
     }
 
-    // Send Discord messages sequentially with delay
-    let discordOk = false;
-    if (discordChunks.length > 0) {
-        logger.info(`Sending ${discordChunks.length} Discord message(s)`);
-        discordOk = true;
-        for (let i = 0; i < discordChunks.length; i++) {
-            const ok = await sendDiscord(discordChunks[i], deps);
-            if (!ok) discordOk = false;
-            if (i < discordChunks.length - 1) await sleep(500); // rate limit
-        }
+    logger.info(`Sending alerts for ${events.length} program change(s)`);
+    return deliver('changes', events, deps);
+}
+
+/**
+ * Send a single operational notice (e.g. an anomaly warning) to all
+ * configured channels.
+ *
+ * @param {{level?: string, title: string, lines?: string[]}} notice
+ * @param {object} [deps] - injectable dependencies
+ * @param {Function} [deps.fetchFn] - fetch implementation
+ * @param {object[]} [deps.registry] - channels to use instead of the registered ones
+ * @param {string[]} [deps.channels] - only deliver to these channels
+ * @param {object} [deps.rules] - compiled filter rules
+ * @param {object} [deps.templates] - user templates
+ * @param {string[]} [deps.digestChannels] - channels in digest mode
+ * @returns {Promise<Object<string, boolean|null>>} per channel name; null = skipped (not configured or filtered out)
+ */
+export async function notifyNotice(notice, deps = {}) {
+    logger.info(`Sending notice: ${notice.title}`);
+    return deliver('notice', notice, deps);
+}
+
+/**
+ * Send a digest of queued new programs to the channels in digest mode.
+ * Other channels are omitted from the result, as they got the programs
+ * as immediate alerts.
+ *
+ * @param {{programs: object[], since: string, until: string}} digest
+ * @param {object} [deps] - injectable dependencies
+ * @param {Function} [deps.fetchFn] - fetch implementation
+ * @param {object[]} [deps.registry] - channels to use instead of the registered ones
+ * @param {string[]} [deps.channels] - only deliver to these channels
+ * @param {object} [deps.rules] - compiled filter rules
+ * @param {object} [deps.templates] - user templates
+ * @param {string[]} [deps.digestChannels] - channels in digest mode
+ * @returns {Promise<Object<string, boolean|null>>} per channel name; null = skipped (not configured or filtered out)
+ */
+export async function notifyDigest(digest, deps = {}) {
+    if (!digest || digest.programs.length === 0) {
+        logger.info('No queued programs for the digest');
+        return {};
     }
 
-    return { telegram: telegramOk, discord: discordOk };
+    logger.info(`Sending digest of ${digest.programs.length} program(s)`);
+    return deliver('digest', digest, deps);
 }
 
-export default { notify, formatMessage, formatDiscordMessage, sendTelegram, sendDiscord, chunkMessages };
+export { sendTelegram, sendDiscord, sendSlack, chunkMessages };
+
+export default {
+    notify, notifyChanges, notifyNotice, notifyDigest, formatMessage, formatDiscordMessage, formatChangeMessage,
+    sendTelegram, sendDiscord, sendSlack, chunkMessages,
+};
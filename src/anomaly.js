@@ -0,0 +1,149 @@
+// src/anomaly.js — Sanity checks on API results before trusting them
+// Protects against truncated listings (broken pagination, partial outages)
+// being mistaken for mass removals, and against suspicious floods of "new" programs.
+// An anomaly is remembered in the state file, so it is warned about once, and
+// accepted as real once the same listing is seen in ANOMALY_CONFIRM_RUNS runs in a row.
+import { createHash } from 'node:crypto';
+import { setting } from './config.js';
+
+const DEFAULT_MAX_DROP_PERCENT = 20;
+const DEFAULT_MAX_NEW_PER_RUN = 25;
+const DEFAULT_CONFIRM_RUNS = 3;
+
+/**
+ * Read anomaly thresholds from environment variables.
+ * @returns {{maxDropPercent: number, maxNewPerRun: number, confirmRuns: number}}
+ */
+export function getThresholds() {
+    const maxDropPercent = parseFloat(setting('ANOMALY_MAX_DROP_PERCENT'));
+    const maxNewPerRun = parseInt(setting('ANOMALY_MAX_NEW_PER_RUN'), 10);
+    const confirmRuns = parseInt(setting('ANOMALY_CONFIRM_RUNS'), 10);
+    return {
+        maxDropPercent: Number.isFinite(maxDropPercent) ? maxDropPercent : DEFAULT_MAX_DROP_PERCENT,
+        maxNewPerRun: Number.isFinite(maxNewPerRun) ? maxNewPerRun : DEFAULT_MAX_NEW_PER_RUN,
+        confirmRuns: confirmRuns > 0 ? confirmRuns : DEFAULT_CONFIRM_RUNS,
+    };
+}
+
+/**
+ * Check if the current anomalies should be accepted via environment variable.
+ * @returns {boolean}
+ */
+export function isAcceptRequested() {
+    const val = setting('ANOMALY_ACCEPT')?.toLowerCase();
+    return val === 'true' || val === '1';
+}
+
+/**
+ * Compare this run's listing against the previous run's active programs.
+ * Checks are skipped when there is no previous run to compare against.
+ *
+ * @param {object} db - the database object (previous state)
+ * @param {object[]} listedPrograms - every program returned by the API this run
+ * @param {object[]} newPrograms - programs not yet known
+ * @param {{maxDropPercent: number, maxNewPerRun: number}} thresholds
+ * @returns {{
+ *   dropAnomaly: boolean, newAnomaly: boolean, reasons: string[], missingIds: string[],
+ *   previousCount: number, fetchedCount: number, missingCount: number, dropPercent: number
+ * }}
+ */
+export function detectAnomalies(db, listedPrograms, newPrograms, thresholds) {
+    const listedIds = new Set(listedPrograms.map((p) => String(p.id)));
+    const activeIds = Object.entries(db.programs)
+        .filter(([, record]) => !record.removed_at)
+        .map(([id]) => id);
+
+    const previousCount = activeIds.length;
+    const missingIds = activeIds.filter((id) => !listedIds.has(id));
+    const missingCount = missingIds.length;
+    const dropPercent = previousCount > 0 ? (missingCount / previousCount) * 100 : 0;
+
+    const reasons = [];
+    const dropAnomaly = previousCount > 0 && dropPercent > thresholds.maxDropPercent;
+    if (dropAnomaly) {
+        reasons.push(
+            `${missingCount} of ${previousCount} known programs (${dropPercent.toFixed(1)}%) are missing ` +
+            `from the listing (limit ${thresholds.maxDropPercent}%)`
+        );
+    }
+
+    const newAnomaly = previousCount > 0 && newPrograms.length > thresholds.maxNewPerRun;
+    if (newAnomaly) {
+        reasons.push(`${newPrograms.length} new programs in one run (limit ${thresholds.maxNewPerRun})`);
+    }
+
+    return {
+        dropAnomaly,
+        newAnomaly,
+        reasons,
+        missingIds,
+        previousCount,
+        fetchedCount: listedPrograms.length,
+        missingCount,
+        dropPercent,
+    };
+}
+
+/**
+ * Fingerprint a set of program IDs, so identical anomalies can be recognized.
+ * @param {string[]} ids
+ * @returns {string}
+ */
+function fingerprint(ids) {
+    return createHash('sha256').update([...ids].sort().join(',')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Remember this run's anomalies in the state file and decide what to do about each.
+ * An anomaly is identified by the IDs involved (the missing programs for a drop, the
+ * new ones for a flood): it is `new` the first run it is seen, `repeated` while the
+ * same IDs come back, and `accepted` once seen in `confirmRuns` runs in a row or when
+ * `accept` is set. An accepted anomaly is forgotten, so the next one starts over.
+ *
+ * @param {object} state - the database object (mutated in place)
+ * @param {object} anomalies - result of `detectAnomalies`
+ * @param {object[]} newPrograms - programs not yet known
+ * @param {object} options
+ * @param {number} options.confirmRuns - identical runs after which an anomaly is accepted
+ * @param {boolean} [options.accept] - accept the current anomalies right away (ANOMALY_ACCEPT)
+ * @param {number} [options.now] - current time in ms (for testing)
+ * @returns {{drop: 'new'|'repeated'|'accepted'|null, new: 'new'|'repeated'|'accepted'|null}}
+ */
+export function trackAnomalies(state, anomalies, newPrograms, options) {
+    const tracked = state.anomalies || {};
+    const seen = {
+        drop: anomalies.dropAnomaly && anomalies.missingIds,
+        new: anomalies.newAnomaly && newPrograms.map((p) => String(p.id)),
+    };
+
+    const outcome = { drop: null, new: null };
+    for (const [kind, ids] of Object.entries(seen)) {
+        if (!ids) {
+            delete tracked[kind];
+            continue;
+        }
+        const signature = fingerprint(ids);
+        const previous = tracked[kind]?.signature === signature ? tracked[kind] : null;
+        const record = previous || {
+            signature, count: ids.length, first_seen: new Date(options.now ?? Date.now()).toISOString(), runs: 0,
+        };
+        record.runs++;
+
+        if (options.accept || record.runs >= options.confirmRuns) {
+            delete tracked[kind];
+            outcome[kind] = 'accepted';
+        } else {
+            tracked[kind] = record;
+            outcome[kind] = previous ? 'repeated' : 'new';
+        }
+    }
+
+    if (Object.keys(tracked).length > 0) {
+        state.anomalies = tracked;
+    } else {
+        delete state.anomalies;
+    }
+    return outcome;
+}
+
+export default { getThresholds, isAcceptRequested, detectAnomalies, trackAnomalies };
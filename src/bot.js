@@ -0,0 +1,248 @@
+// src/bot.js — Telegram bot commands, answered by polling getUpdates
+// Commands are only accepted from TELEGRAM_CHAT_ID. The update offset and
+// muted handles live in the state file, so every run resumes where the last stopped.
+import logger from './logger.js';
+import { setting } from './config.js';
+import { sendTelegram, escapeHtml } from './channels/telegram.js';
+
+const MAX_RECENT = 20;
+const DEFAULT_RECENT = 5;
+const MAX_SEARCH_RESULTS = 10;
+const HANDLE_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Check if Telegram bot commands are enabled via environment variable.
+ * @returns {boolean}
+ */
+export function isCommandsEnabled() {
+    const val = setting('TELEGRAM_COMMANDS')?.toLowerCase();
+    return (val === 'true' || val === '1') &&
+        Boolean(setting('TELEGRAM_BOT_TOKEN') && setting('TELEGRAM_CHAT_ID'));
+}
+
+/**
+ * Get the bot section of a state object, creating it if missing.
+ * @param {object} state - the database object (mutated in place)
+ * @returns {{offset: number}}
+ */
+function getBotState(state) {
+    if (!state.bot) {
+        state.bot = { offset: 0 };
+    }
+    return state.bot;
+}
+
+/**
+ * Get the muted handles of a state object, creating the map if missing.
+ * @param {object} state - the database object (mutated in place)
+ * @returns {Object<string, string>} muted handle → ISO timestamp it was muted at
+ */
+export function getMuted(state) {
+    if (!state.muted) {
+        state.muted = {};
+    }
+    return state.muted;
+}
+
+/**
+ * Check whether alerts about a program are muted.
+ * @param {object} state - the database object
+ * @param {{handle: string}} program
+ * @returns {boolean}
+ */
+export function isMuted(state, program) {
+    return Boolean(state.muted && state.muted[program.handle?.toLowerCase()]);
+}
+
+/**
+ * Split a message into a command and its arguments.
+ * Accepts the `/command@botname` form Telegram uses in groups.
+ *
+ * @param {string} text
+ * @returns {{command: string, args: string}|null} null when the text is not a command
+ */
+export function parseCommand(text) {
+    const match = String(text || '').trim().match(/^\/(\w+)(?:@\w+)?(?:\s+([\s\S]*))?$/);
+    if (!match) return null;
+    return { command: match[1].toLowerCase(), args: (match[2] || '').trim() };
+}
+
+/**
+ * Format an ISO timestamp for replies, e.g. "2024-01-15 10:15 UTC".
+ * @param {string|null} iso
+ * @returns {string}
+ */
+function formatTime(iso) {
+    return iso ? `${iso.slice(0, 16).replace('T', ' ')} UTC` : 'never';
+}
+
+/**
+ * Format a stored program as one reply line.
+ * @param {object} record - program record from the state file
+ * @returns {string}
+ */
+function formatRecord(record) {
+    const badge = record.offers_bounties ? '💰' : '🏅';
+    const removed = record.removed_at ? ' (removed)' : '';
+    return `${badge} <b>${escapeHtml(record.name)}</b> (<code>${escapeHtml(record.handle)}</code>)${removed}`;
+}
+
+/** Command handlers: (state, args) => reply text (HTML) */
+const COMMANDS = {
+    status(state) {
+        const records = Object.values(state.programs);
+        const active = records.filter((r) => !r.removed_at);
+        const bounty = active.filter((r) => r.offers_bounties).length;
+        const muted = Object.keys(getMuted(state));
+        const lines = [
+            '📊 <b>h1-watcher</b> status',
+            `Last run: ${formatTime(state.last_run)}`,
+            `Tracking: ${active.length} programs (${bounty} bounty, ${active.length - bounty} VDP), ` +
+                `${records.length - active.length} removed`,
+            `Pending alerts: ${state.outbox?.pending?.length || 0}`,
+        ];
+        if (state.digest?.queue?.length) lines.push(`Queued for digest: ${state.digest.queue.length}`);
+        lines.push(`Muted: ${muted.length > 0 ? muted.map((h) => `<code>${escapeHtml(h)}</code>`).join(', ') : 'none'}`);
+        return lines.join('\n');
+    },
+
+    recent(state, args) {
+        const requested = parseInt(args, 10);
+        const count = Math.min(requested > 0 ? requested : DEFAULT_RECENT, MAX_RECENT);
+        const records = Object.values(state.programs)
+            .filter((r) => !r.baseline)
+            .sort((a, b) => String(b.first_seen).localeCompare(String(a.first_seen)))
+            .slice(0, count);
+        if (records.length === 0) return 'No programs detected since the baseline yet.';
+        return [
+            `🆕 Last ${records.length} new program(s):`,
+            ...records.map((r) => `${formatRecord(r)} — ${formatTime(r.first_seen)}`),
+        ].join('\n');
+    },
+
+    search(state, args) {
+        if (!args) return 'Usage: /search &lt;text&gt;';
+        const needle = args.toLowerCase();
+        const matches = Object.values(state.programs).filter((r) =>
+            String(r.handle).toLowerCase().includes(needle) || String(r.name).toLowerCase().includes(needle)
+        );
+        if (matches.length === 0) return `No program matches "${escapeHtml(args)}".`;
+        const shown = matches.slice(0, MAX_SEARCH_RESULTS);
+        const more = matches.length > shown.length ? `\n…and ${matches.length - shown.length} more` : '';
+        return `🔍 ${matches.length} match(es):\n${shown.map(formatRecord).join('\n')}${more}`;
+    },
+
+    mute(state, args) {
+        const handle = args.toLowerCase();
+        if (!HANDLE_PATTERN.test(handle)) return 'Usage: /mute &lt;handle&gt;';
+        const muted = getMuted(state);
+        if (muted[handle]) return `<code>${escapeHtml(handle)}</code> is already muted.`;
+        muted[handle] = new Date().toISOString();
+        const known = Object.values(state.programs).some((r) => r.handle?.toLowerCase() === handle);
+        return `🔇 Muted <code>${escapeHtml(handle)}</code>` +
+            (known ? '.' : ' (not tracked yet, alerts will be suppressed once it appears).');
+    },
+
+    unmute(state, args) {
+        const handle = args.toLowerCase();
+        if (!HANDLE_PATTERN.test(handle)) return 'Usage: /unmute &lt;handle&gt;';
+        const muted = getMuted(state);
+        if (!muted[handle]) return `<code>${escapeHtml(handle)}</code> is not muted.`;
+        delete muted[handle];
+        return `🔔 Unmuted <code>${escapeHtml(handle)}</code>.`;
+    },
+
+    help() {
+        return [
+            '<b>h1-watcher</b> commands:',
+            '/status — last run and program counts',
+            `/recent [N] — last N new programs (default ${DEFAULT_RECENT}, max ${MAX_RECENT})`,
+            '/search &lt;text&gt; — find programs by handle or name',
+            '/mute &lt;handle&gt; — stop alerts about a program',
+            '/unmute &lt;handle&gt; — resume alerts about a program',
+        ].join('\n');
+    },
+};
+
+/**
+ * Fetch pending updates from the Telegram Bot API.
+ * @param {number} offset - first update ID to return
+ * @param {Function} fetchFn - fetch implementation
+ * @returns {Promise<object[]>} updates
+ * @throws {Error} on HTTP or API errors
+ */
+async function getUpdates(offset, fetchFn) {
+    const url = `https://api.telegram.org/bot${setting('TELEGRAM_BOT_TOKEN')}/getUpdates`;
+    const response = await fetchFn(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ offset, timeout: 0, allowed_updates: ['message'] }),
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    if (!data.ok) {
+        throw new Error(data.description || 'getUpdates failed');
+    }
+    return data.result || [];
+}
+
+/**
+ * Answer the bot commands received since the last run.
+ * Updates from other chats are skipped; mutes are written to `state.muted`
+ * and the update offset to `state.bot.offset`, both saved with the state.
+ * A Telegram outage, or a command that fails, is logged and never fails the
+ * run: the offset always moves past every update, so none is handled twice.
+ *
+ * @param {object} state - the database object (mutated in place)
+ * @param {object} [deps] - injectable dependencies
+ * @param {Function} [deps.fetchFn] - fetch implementation
+ * @param {Function} [deps.sendFn] - override sendTelegram, for replies
+ * @returns {Promise<number>} number of commands handled
+ */
+export async function handleCommands(state, deps = {}) {
+    const fetchFn = deps.fetchFn || fetch;
+    const sendFn = deps.sendFn || sendTelegram;
+    const bot = getBotState(state);
+    const chatId = String(setting('TELEGRAM_CHAT_ID'));
+
+    let updates;
+    try {
+        updates = await getUpdates(bot.offset, fetchFn);
+    } catch (error) {
+        logger.warn(`Telegram getUpdates failed: ${error.message}, commands will be handled next run`);
+        return 0;
+    }
+
+    let handled = 0;
+    for (const update of updates) {
+        bot.offset = Math.max(bot.offset, update.update_id + 1);
+        const message = update.message;
+        if (!message) continue;
+
+        if (String(message.chat?.id) !== chatId) {
+            logger.warn(`Ignoring Telegram update ${update.update_id} from an unauthorized chat`);
+            continue;
+        }
+
+        const parsed = parseCommand(message.text);
+        if (!parsed) continue;
+        // Own properties only, so /constructor or /__proto__ are just unknown commands
+        const handler = Object.hasOwn(COMMANDS, parsed.command) ? COMMANDS[parsed.command] : null;
+
+        logger.info(`Telegram command /${parsed.command}${parsed.args ? ` ${parsed.args}` : ''}`);
+        try {
+            const reply = handler
+                ? handler(state, parsed.args)
+                : `Unknown command /${escapeHtml(parsed.command)}. Send /help for the list.`;
+            await sendFn(reply, { fetchFn });
+            handled++;
+        } catch (error) {
+            logger.warn(`Telegram command /${parsed.command} failed: ${error.message}`);
+        }
+    }
+    return handled;
+}
+
+export default { isCommandsEnabled, getMuted, isMuted, parseCommand, handleCommands };
@@ -0,0 +1,416 @@
+// src/channels/discord.js — Discord webhook alert channel (rich embeds)
+import logger from '../logger.js';
+import { setting } from '../config.js';
+import { summarizeScopes } from '../scopes.js';
+import { sleep, parseRetryAfter, getHeader, MAX_RATE_LIMIT_RETRIES, MAX_RETRY_AFTER_MS } from '../rate-limit.js';
+import { CHANGE_FORMATS, digestSections, digestSummary } from '../formatting.js';
+import { renderTemplate, programContext, summaryContext, TEXT_TEMPLATES } from '../templates.js';
+
+/** Max embeds per message */
+const DISCORD_MAX_EMBEDS = 10;
+/** Max characters across all embeds of one message */
+const DISCORD_MAX_EMBED_CHARS = 6000;
+/** Per-field limits of a single embed */
+const EMBED_LIMITS = { title: 256, description: 4096, fieldName: 256, fieldValue: 1024, footer: 2048 };
+
+/** Embed colors */
+const COLORS = {
+    bounty: 0x2ecc71, // green
+    vdp: 0x95a5a6, // grey
+    info: 0x3498db,
+    warning: 0xf1c40f,
+    error: 0xe74c3c,
+};
+
+/** Title icons for operational notices, by level */
+const NOTICE_ICONS = { info: 'ℹ️', warning: '⚠️', error: '🚨' };
+
+/**
+ * Escape Discord Markdown control characters.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeMarkdown(text) {
+    return String(text).replace(/([\\*_~`|>])/g, '\\$1');
+}
+
+/** Markup primitives for Discord Markdown */
+export const markup = {
+    escape: escapeMarkdown,
+    bold: (text) => `**${escapeMarkdown(text)}**`,
+    // Backslashes are shown as-is in code spans, so backticks are swapped for a look-alike instead
+    code: (text) => `\`${String(text).replace(/`/g, 'ˋ')}\``,
+    link: (url) => `<${url}>`,
+};
+
+/**
+ * Truncate text to fit an embed field.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncate(text, maxLength) {
+    const value = String(text);
+    return value.length <= maxLength ? value : `${value.slice(0, maxLength - 1)}…`;
+}
+
+/**
+ * Build an embed field, truncated to Discord's limits.
+ * @param {string} name
+ * @param {string} value
+ * @param {boolean} [inline]
+ * @returns {{name: string, value: string, inline: boolean}}
+ */
+function field(name, value, inline = true) {
+    return {
+        name: truncate(name, EMBED_LIMITS.fieldName),
+        value: truncate(value, EMBED_LIMITS.fieldValue),
+        inline,
+    };
+}
+
+/**
+ * Format a launch timestamp as a date, e.g. "2024-01-15".
+ * @param {string|null} timestamp
+ * @returns {string}
+ */
+function formatDate(timestamp) {
+    return timestamp ? String(timestamp).slice(0, 10) : 'unknown';
+}
+
+/**
+ * Built-in templates for new-program alerts: the header is the message
+ * content, the entry each embed's description and the footer, when set,
+ * the footer of the last embed of each message.
+ */
+const DISCORD_TEMPLATES = {
+    header: TEXT_TEMPLATES.header,
+    entry: '{{#if offers_bounties}}💰 Bounty{{else}}🏅 VDP{{/if}}',
+    footer: '',
+};
+
+/**
+ * Build the embed for a new program: green for bounty programs, grey for
+ * VDPs, titled with a link to the program page.
+ *
+ * @param {object} p - normalized program
+ * @param {string} [template] - entry template for the description
+ * @returns {object} Discord embed
+ */
+export function formatProgramEmbed(p, template = DISCORD_TEMPLATES.entry) {
+    return {
+        title: truncate(`${p.name} (${p.handle})`, EMBED_LIMITS.title),
+        url: `https://hackerone.com/${p.handle}`,
+        color: p.offers_bounties ? COLORS.bounty : COLORS.vdp,
+        description: truncate(renderTemplate(template, programContext(p), markup), EMBED_LIMITS.description),
+        fields: [
+            field('Submission state', p.submission_state || 'unknown'),
+            field('Launch date', formatDate(p.started_accepting_at)),
+            field('Scope', summarizeScopes(p.scopes) || 'No scope data', false),
+        ],
+    };
+}
+
+/**
+ * Build the embed for a change event (e.g. `scope_changed`, `bounty_enabled`).
+ * @param {object} event
+ * @returns {object} Discord embed
+ */
+export function formatChangeEmbed(event) {
+    const p = event.program;
+    const format = CHANGE_FORMATS[event.type] || { label: event.type };
+    const details = format.details ? format.details(event, markup).map((line) => line.trim()) : [];
+
+    const embed = {
+        title: truncate(`${p.name} (${p.handle}) — ${format.label}`, EMBED_LIMITS.title),
+        url: `https://hackerone.com/${p.handle}`,
+        color: p.offers_bounties ? COLORS.bounty : COLORS.vdp,
+    };
+    if (details.length > 0) {
+        embed.description = truncate(details.join('\n'), EMBED_LIMITS.description);
+    }
+    return embed;
+}
+
+/**
+ * Count the characters of an embed the way Discord does for its
+ * per-message limit (title, description, field names and values).
+ * @param {object} embed
+ * @returns {number}
+ */
+export function embedLength(embed) {
+    const fields = (embed.fields || []).reduce((sum, f) => sum + f.name.length + f.value.length, 0);
+    return (embed.title || '').length + (embed.description || '').length + (embed.footer?.text || '').length + fields;
+}
+
+/**
+ * Batch embeds into messages of at most `maxEmbeds` embeds and `maxChars`
+ * characters across their embeds. Uses `header` as the message content when
+ * everything fits in one message, otherwise `partHeader(partNumber)`.
+ *
+ * @param {object[]} embeds
+ * @param {string} header - content for the single-message case
+ * @param {Function} partHeader - (partNumber) => content for split messages
+ * @param {number} [maxChars] - max characters across the embeds of a message
+ * @param {number} [maxEmbeds] - max embeds per message
+ * @returns {{content: string, embeds: object[]}[]}
+ */
+export function batchEmbeds(embeds, header, partHeader, maxChars = DISCORD_MAX_EMBED_CHARS, maxEmbeds = DISCORD_MAX_EMBEDS) {
+    const batches = [];
+    let current = [];
+    let currentLength = 0;
+
+    for (const embed of embeds) {
+        const length = embedLength(embed);
+        if (current.length > 0 && (current.length >= maxEmbeds || currentLength + length > maxChars)) {
+            batches.push(current);
+            current = [];
+            currentLength = 0;
+        }
+        current.push(embed);
+        currentLength += length;
+    }
+    if (current.length > 0) batches.push(current);
+
+    return batches.map((batch, i) => ({
+        content: batches.length === 1 ? header : partHeader(i + 1),
+        embeds: batch,
+    }));
+}
+
+/**
+ * Build embed messages for new programs.
+ * @param {object[]} programs
+ * @param {number} maxChars - max characters across the embeds of a message
+ * @param {{header: string, entry: string, footer: string}} [templates]
+ * @returns {{content: string, embeds: object[]}[]}
+ */
+function programMessages(programs, maxChars, templates = DISCORD_TEMPLATES) {
+    const render = (template, context) => renderTemplate(template || '', context, markup);
+    const header = render(templates.header, summaryContext(programs.length));
+    const partHeader = (part) => render(templates.header, summaryContext(programs.length, part));
+    const footer = truncate(render(templates.footer, summaryContext(programs.length)), EMBED_LIMITS.footer);
+
+    const embeds = programs.map((p) => formatProgramEmbed(p, templates.entry));
+    const messages = batchEmbeds(embeds, header, partHeader, maxChars - footer.length);
+    if (footer) {
+        for (const message of messages) {
+            message.embeds[message.embeds.length - 1] = { ...message.embeds[message.embeds.length - 1], footer: { text: footer } };
+        }
+    }
+    return messages;
+}
+
+/**
+ * Build embed messages for a digest: one embed per section (bounty, VDP),
+ * titled with its program count and listing one linked line per program.
+ * Sections too long for one embed continue in further embeds.
+ *
+ * @param {{programs: object[], since: string}} digest
+ * @param {number} maxChars - max characters across the embeds of a message
+ * @returns {{content: string, embeds: object[]}[]}
+ */
+function digestMessages(digest, maxChars) {
+    const embeds = [];
+    for (const section of digestSections(digest.programs)) {
+        const title = `${section.title} (${section.programs.length})`;
+        let lines = [];
+        const pushEmbed = () => embeds.push({ title, color: COLORS[section.key], description: lines.join('\n') });
+
+        for (const p of section.programs) {
+            const scopeSummary = summarizeScopes(p.scopes);
+            const line = truncate(
+                `• [${escapeMarkdown(p.name)}](https://hackerone.com/${p.handle}) (\`${p.handle}\`)` +
+                (scopeSummary ? ` — ${scopeSummary}` : ''),
+                EMBED_LIMITS.description
+            );
+            if (lines.length > 0 && lines.join('\n').length + 1 + line.length > EMBED_LIMITS.description) {
+                pushEmbed();
+                lines = [];
+            }
+            lines.push(line);
+        }
+        pushEmbed();
+    }
+
+    const header = `📰 **h1-watcher** digest — ${digestSummary(digest)}`;
+    const partHeader = (part) => `📰 **h1-watcher** digest — ${digest.programs.length} new programs (part ${part}):`;
+    return batchEmbeds(embeds, header, partHeader, maxChars);
+}
+
+/**
+ * Build embed messages for change events.
+ * @param {object[]} events
+ * @param {number} maxChars - max characters across the embeds of a message
+ * @returns {{content: string, embeds: object[]}[]}
+ */
+function changeMessages(events, maxChars) {
+    const header = `🔄 **h1-watcher** — ${events.length} program update${events.length > 1 ? 's' : ''}`;
+    const partHeader = (part) => `🔄 **h1-watcher** — ${events.length} program updates (part ${part}):`;
+    return batchEmbeds(events.map(formatChangeEmbed), header, partHeader, maxChars);
+}
+
+/**
+ * Build the embed message for an operational notice, colored by level.
+ * @param {{level?: string, title: string, lines?: string[]}} notice
+ * @returns {{embeds: object[]}[]}
+ */
+function noticeMessages(notice) {
+    const level = NOTICE_ICONS[notice.level] ? notice.level : 'info';
+    const embed = {
+        title: truncate(`${NOTICE_ICONS[level]} h1-watcher — ${notice.title}`, EMBED_LIMITS.title),
+        color: COLORS[level],
+    };
+    if (notice.lines && notice.lines.length > 0) {
+        embed.description = truncate(notice.lines.join('\n'), EMBED_LIMITS.description);
+    }
+    return [{ embeds: [embed] }];
+}
+
+/**
+ * Check whether a Discord webhook is configured.
+ * @returns {boolean}
+ */
+export function isConfigured() {
+    return Boolean(setting('DISCORD_WEBHOOK_URL'));
+}
+
+/**
+ * When Discord allows the next request, per the rate-limit headers and 429
+ * responses seen so far: `resetAt` for the webhook's own bucket, `globalResetAt`
+ * for the global limit shared by every request from this host.
+ */
+const rateLimits = { resetAt: 0, globalResetAt: 0 };
+
+/**
+ * Record the rate-limit state a Discord response reports. When the bucket is
+ * exhausted (`X-RateLimit-Remaining: 0`), the next request waits for
+ * `X-RateLimit-Reset-After`.
+ *
+ * @param {object} response - fetch response
+ * @param {object} limits - rate-limit state (mutated)
+ * @param {number} now - current time in ms
+ */
+function trackRateLimit(response, limits, now) {
+    if (getHeader(response, 'X-RateLimit-Remaining') !== '0') return;
+    const resetAfter = parseRetryAfter(getHeader(response, 'X-RateLimit-Reset-After'), now);
+    if (resetAfter !== null) limits.resetAt = Math.max(limits.resetAt, now + resetAfter);
+}
+
+/**
+ * Read a Discord 429: how long to wait and whether the global limit was hit.
+ * The JSON body's `retry_after` is the most precise, `Retry-After` the fallback.
+ *
+ * @param {object} response - fetch response
+ * @param {string} body - response body
+ * @param {number} now - current time in ms
+ * @returns {{delay: number, global: boolean}}
+ */
+function readRateLimit(response, body, now) {
+    let data = {};
+    try {
+        data = JSON.parse(body);
+    } catch {
+        // Not JSON (e.g. a proxy error page): headers only
+    }
+    const delay = Number.isFinite(data.retry_after)
+        ? Math.ceil(data.retry_after * 1000)
+        : parseRetryAfter(getHeader(response, 'Retry-After'), now) ?? 1000;
+    const global = data.global === true ||
+        getHeader(response, 'X-RateLimit-Global') === 'true' ||
+        getHeader(response, 'X-RateLimit-Scope') === 'global';
+    return { delay, global };
+}
+
+/**
+ * Send a Discord webhook message.
+ * Requires DISCORD_WEBHOOK_URL env var.
+ * Waits out exhausted rate-limit buckets before sending, and retries a 429
+ * after the delay Discord asks for (global or per-webhook), up to
+ * MAX_RATE_LIMIT_RETRIES times and as long as the wait stays reasonable.
+ *
+ * @param {{content?: string, embeds?: object[]}|string} message - embed payload or plain text
+ * @param {object} [deps] - injectable dependencies
+ * @param {Function} [deps.fetchFn] - fetch implementation
+ * @param {Function} [deps.sleepFn] - sleep implementation
+ * @param {Function} [deps.nowFn] - clock, in ms
+ * @param {object} [deps.rateLimits] - rate-limit state to use instead of the shared one
+ * @returns {Promise<boolean>} true if sent successfully
+ */
+export async function sendDiscord(message, deps = {}) {
+    const fetchFn = deps.fetchFn || fetch;
+    const sleepFn = deps.sleepFn || sleep;
+    const nowFn = deps.nowFn || Date.now;
+    const limits = deps.rateLimits || rateLimits;
+    const webhookUrl = setting('DISCORD_WEBHOOK_URL');
+
+    if (!webhookUrl) {
+        logger.info('Discord not configured (DISCORD_WEBHOOK_URL missing), skipping');
+        return false;
+    }
+
+    const payload = typeof message === 'string' ? { content: message } : message;
+    try {
+        for (let attempt = 1; ; attempt++) {
+            const wait = Math.max(limits.resetAt, limits.globalResetAt) - nowFn();
+            if (wait > 0) {
+                logger.info(`Discord rate limit: waiting ${wait}ms before sending`);
+                await sleepFn(wait);
+            }
+
+            const response = await fetchFn(webhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...payload,
+                    username: 'h1-watcher',
+                }),
+            });
+            trackRateLimit(response, limits, nowFn());
+
+            // Discord returns 204 No Content on success
+            if (response.ok || response.status === 204) {
+                logger.info('Discord notification sent successfully');
+                return true;
+            }
+
+            const body = await response.text();
+            if (response.status === 429) {
+                const { delay, global } = readRateLimit(response, body, nowFn());
+                if (attempt <= MAX_RATE_LIMIT_RETRIES && delay <= MAX_RETRY_AFTER_MS) {
+                    const resetAt = nowFn() + delay;
+                    if (global) limits.globalResetAt = resetAt;
+                    else limits.resetAt = resetAt;
+                    logger.warn(
+                        `Discord ${global ? 'global ' : ''}rate limit hit, retrying in ${delay}ms ` +
+                        `(attempt ${attempt}/${MAX_RATE_LIMIT_RETRIES})`
+                    );
+                    continue;
+                }
+            }
+
+            logger.error(`Discord webhook error: HTTP ${response.status} — ${body}`);
+            return false;
+        }
+    } catch (error) {
+        logger.error(`Discord send failed: ${error.message}`);
+        return false;
+    }
+}
+
+export default {
+    name: 'discord',
+    label: 'Discord',
+    maxLength: DISCORD_MAX_EMBED_CHARS,
+    templates: DISCORD_TEMPLATES,
+    // Webhooks allow 5 requests per 2 seconds; headers and 429s refine this
+    rateLimit: { capacity: 5, intervalMs: 2000 },
+    isConfigured,
+    formatter: {
+        newPrograms: (programs, maxLength, templates) => programMessages(programs, maxLength, templates),
+        changes: (events, maxLength) => changeMessages(events, maxLength),
+        notice: (notice) => noticeMessages(notice),
+        digest: (digest, maxLength) => digestMessages(digest, maxLength),
+    },
+    send: sendDiscord,
+};
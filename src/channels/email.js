@@ -0,0 +1,206 @@
+// src/channels/email.js — SMTP email channel (multipart text + HTML)
+import { randomBytes } from 'node:crypto';
+import logger from '../logger.js';
+import { setting } from '../config.js';
+import { sendMail } from '../smtp.js';
+import { createTextFormatter } from '../formatting.js';
+import { escapeHtml } from './telegram.js';
+
+/** Markup primitives for the plain-text part */
+const textMarkup = {
+    escape: (text) => String(text),
+    bold: (text) => String(text),
+    code: (text) => String(text),
+    link: (url) => url,
+};
+
+/** Markup primitives for the HTML part */
+const htmlMarkup = {
+    escape: escapeHtml,
+    bold: (text) => `<b>${escapeHtml(text)}</b>`,
+    code: (text) => `<code>${escapeHtml(text)}</code>`,
+    link: (url) => `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`,
+};
+
+const textFormatter = createTextFormatter(textMarkup);
+const htmlFormatter = createTextFormatter(htmlMarkup);
+
+/**
+ * Read the SMTP configuration from environment variables.
+ * STARTTLS is on unless SMTP_STARTTLS is "false" or "0". Without it, credentials
+ * are only sent when SMTP_ALLOW_INSECURE_AUTH is "true" or "1".
+ *
+ * @returns {{host: string, port: number, starttls: boolean, user: string, password: string,
+ *   allowInsecureAuth: boolean, from: string, to: string[]}}
+ */
+export function getSmtpConfig() {
+    const starttls = setting('SMTP_STARTTLS');
+    const allowInsecureAuth = setting('SMTP_ALLOW_INSECURE_AUTH')?.toLowerCase();
+    return {
+        host: setting('SMTP_HOST') || '',
+        port: parseInt(setting('SMTP_PORT'), 10) || 587,
+        starttls: !(starttls === 'false' || starttls === '0'),
+        user: setting('SMTP_USER') || '',
+        password: setting('SMTP_PASSWORD') || '',
+        allowInsecureAuth: allowInsecureAuth === 'true' || allowInsecureAuth === '1',
+        from: setting('SMTP_FROM') || '',
+        to: (setting('SMTP_TO') || '').split(',').map((a) => a.trim()).filter(Boolean),
+    };
+}
+
+/**
+ * Check whether the SMTP server, sender and recipients are configured.
+ * @returns {boolean}
+ */
+export function isConfigured() {
+    const config = getSmtpConfig();
+    return Boolean(config.host && config.from && config.to.length > 0);
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word when it is not plain ASCII.
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * Base64-encode a body part, wrapped at 76 characters per line.
+ * @param {string} text
+ * @returns {string}
+ */
+function encodeBody(text) {
+    return Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+/**
+ * Build a multipart/alternative message with a text and an HTML part.
+ *
+ * @param {object} mail
+ * @param {string} mail.from
+ * @param {string[]} mail.to
+ * @param {string} mail.subject
+ * @param {string} mail.text
+ * @param {string} mail.html
+ * @param {Date} [mail.date]
+ * @returns {string} RFC 5322 message
+ */
+export function buildMimeMessage({ from, to, subject, text, html, date = new Date() }) {
+    const boundary = `h1-watcher-${randomBytes(12).toString('hex')}`;
+    const domain = from.split('@')[1] || 'h1-watcher.local';
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: <${randomBytes(16).toString('hex')}@${domain}>`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(text),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(html),
+        `--${boundary}--`,
+        '',
+    ].join('\r\n');
+}
+
+/**
+ * Wrap formatted HTML lines in a minimal document. `pre-line` keeps the
+ * line breaks of the shared formatter without converting them to tags.
+ * @param {string} body
+ * @returns {string}
+ */
+function htmlDocument(body) {
+    return `<!DOCTYPE html>\n<html><body><div style="font-family: sans-serif; white-space: pre-line">${body}</div></body></html>`;
+}
+
+/**
+ * Build one email from the text and HTML renderings of an alert.
+ * Emails have no practical length limit, so each alert is one message.
+ *
+ * @param {string} subject
+ * @param {string[]} text - text formatter output
+ * @param {string[]} html - HTML formatter output
+ * @returns {{subject: string, text: string, html: string}[]}
+ */
+function emailMessage(subject, text, html) {
+    return [{ subject, text: text.join('\n\n'), html: htmlDocument(html.join('\n\n')) }];
+}
+
+/**
+ * Send an email to the configured recipients.
+ * Requires SMTP_HOST, SMTP_FROM and SMTP_TO env vars.
+ *
+ * @param {{subject: string, text: string, html: string}} message
+ * @param {object} [deps] - injectable dependencies
+ * @param {Function} [deps.sendMailFn] - override sendMail
+ * @returns {Promise<boolean>} true if the server accepted the message
+ */
+export async function sendEmail(message, deps = {}) {
+    const sendMailFn = deps.sendMailFn || sendMail;
+    const config = getSmtpConfig();
+
+    if (!config.host || !config.from || config.to.length === 0) {
+        logger.info('Email not configured (SMTP_HOST / SMTP_FROM / SMTP_TO missing), skipping');
+        return false;
+    }
+
+    try {
+        await sendMailFn({
+            host: config.host,
+            port: config.port,
+            starttls: config.starttls,
+            user: config.user,
+            password: config.password,
+            allowInsecureAuth: config.allowInsecureAuth,
+            from: config.from,
+            to: config.to,
+            message: buildMimeMessage({ from: config.from, to: config.to, ...message }),
+        });
+        logger.info(`Email sent to ${config.to.length} recipient(s)`);
+        return true;
+    } catch (error) {
+        logger.error(`Email send failed: ${error.message}`);
+        return false;
+    }
+}
+
+export default {
+    name: 'email',
+    label: 'Email',
+    maxLength: Infinity,
+    isConfigured,
+    formatter: {
+        newPrograms: (programs, maxLength, templates) => emailMessage(
+            `[h1-watcher] ${programs.length} new HackerOne program${programs.length > 1 ? 's' : ''}`,
+            textFormatter.newPrograms(programs, maxLength, templates),
+            htmlFormatter.newPrograms(programs, maxLength, templates)
+        ),
+        changes: (events, maxLength) => emailMessage(
+            `[h1-watcher] ${events.length} program update${events.length > 1 ? 's' : ''}`,
+            textFormatter.changes(events, maxLength),
+            htmlFormatter.changes(events, maxLength)
+        ),
+        notice: (notice, maxLength) => emailMessage(
+            `[h1-watcher] ${notice.title}`,
+            textFormatter.notice(notice, maxLength),
+            htmlFormatter.notice(notice, maxLength)
+        ),
+        digest: (digest, maxLength, templates) => emailMessage(
+            `[h1-watcher] Digest: ${digest.programs.length} new HackerOne program${digest.programs.length > 1 ? 's' : ''}`,
+            textFormatter.digest(digest, maxLength, templates),
+            htmlFormatter.digest(digest, maxLength, templates)
+        ),
+    },
+    send: sendEmail,
+};
@@ -0,0 +1,79 @@
+// src/channels/gotify.js — Gotify push notification channel (Markdown messages)
+import logger from '../logger.js';
+import { setting } from '../config.js';
+import { createPushFormatter } from '../formatting.js';
+
+const GOTIFY_MAX_LENGTH = 4096;
+
+/** Gotify priority (0 = silent … 10 = highest) per alert priority */
+const PRIORITIES = { urgent: 10, high: 8, default: 5, low: 2 };
+
+/** Markup primitives for Gotify Markdown */
+export const markup = {
+    escape: (text) => String(text),
+    bold: (text) => `**${text}**`,
+    code: (text) => `\`${text}\``,
+    link: (url) => url,
+};
+
+/**
+ * Check whether a Gotify server and app token are configured.
+ * @returns {boolean}
+ */
+export function isConfigured() {
+    return Boolean(setting('GOTIFY_URL') && setting('GOTIFY_TOKEN'));
+}
+
+/**
+ * Push a message to a Gotify server.
+ * Requires GOTIFY_URL and GOTIFY_TOKEN (an application token) env vars.
+ *
+ * @param {{title: string, text: string, priority: string}} message
+ * @param {object} [deps] - injectable dependencies
+ * @param {Function} [deps.fetchFn] - fetch implementation
+ * @returns {Promise<boolean>} true if sent successfully
+ */
+export async function sendGotify(message, deps = {}) {
+    const fetchFn = deps.fetchFn || fetch;
+    const serverUrl = setting('GOTIFY_URL');
+    const token = setting('GOTIFY_TOKEN');
+
+    if (!serverUrl || !token) {
+        logger.info('Gotify not configured (GOTIFY_URL / GOTIFY_TOKEN missing), skipping');
+        return false;
+    }
+
+    try {
+        const response = await fetchFn(`${serverUrl.replace(/\/+$/, '')}/message`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Gotify-Key': token },
+            body: JSON.stringify({
+                title: message.title,
+                message: message.text,
+                priority: PRIORITIES[message.priority] ?? PRIORITIES.default,
+                extras: { 'client::display': { contentType: 'text/markdown' } },
+            }),
+        });
+
+        if (!response.ok) {
+            const body = await response.text();
+            logger.error(`Gotify error: HTTP ${response.status} — ${body}`);
+            return false;
+        }
+
+        logger.info('Gotify notification sent successfully');
+        return true;
+    } catch (error) {
+        logger.error(`Gotify send failed: ${error.message}`);
+        return false;
+    }
+}
+
+export default {
+    name: 'gotify',
+    label: 'Gotify',
+    maxLength: GOTIFY_MAX_LENGTH,
+    isConfigured,
+    formatter: createPushFormatter(markup),
+    send: sendGotify,
+};
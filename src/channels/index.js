@@ -0,0 +1,82 @@
+// src/channels/index.js — Registry of alert channels
+// A channel is a module whose default export implements:
+//   name          unique id, used in results and the outbox
+//   label         human-readable name for logs
+//   maxLength     max characters per message
+//   isConfigured  () => boolean, usually based on env vars
+//   formatter     {newPrograms, changes, notice}: (payload, maxLength, templates) => messages[],
+//                 plus an optional `digest` (new programs are sent instead when missing)
+//   send          (message, deps) => Promise<boolean>
+//   rateLimit     optional {capacity, intervalMs}: token bucket pacing the messages
+// Adding a channel means writing such a module and listing it below.
+import telegram from './telegram.js';
+import discord from './discord.js';
+import slack from './slack.js';
+import webhook from './webhook.js';
+import email from './email.js';
+import ntfy from './ntfy.js';
+import gotify from './gotify.js';
+import matrix from './matrix.js';
+
+const REQUIRED_FIELDS = ['name', 'label', 'maxLength', 'isConfigured', 'formatter', 'send'];
+const FORMATTER_KINDS = ['newPrograms', 'changes', 'notice'];
+
+const registry = [];
+
+/**
+ * Check that an object implements the channel interface.
+ * @param {object} channel
+ * @throws {TypeError} when a field is missing
+ */
+export function validateChannel(channel) {
+    const missing = REQUIRED_FIELDS.filter((field) => channel?.[field] === undefined);
+    if (missing.length > 0) {
+        throw new TypeError(`Channel ${channel?.name || '(unnamed)'} is missing: ${missing.join(', ')}`);
+    }
+    const missingKinds = FORMATTER_KINDS.filter((kind) => typeof channel.formatter[kind] !== 'function');
+    if (missingKinds.length > 0) {
+        throw new TypeError(`Channel ${channel.name} formatter is missing: ${missingKinds.join(', ')}`);
+    }
+}
+
+/**
+ * Add a channel to the registry, replacing any channel with the same name.
+ * @param {object} channel
+ */
+export function registerChannel(channel) {
+    validateChannel(channel);
+    const index = registry.findIndex((c) => c.name === channel.name);
+    if (index >= 0) {
+        registry[index] = channel;
+    } else {
+        registry.push(channel);
+    }
+}
+
+/**
+ * Get every registered channel, in registration order.
+ * @returns {object[]}
+ */
+export function getChannels() {
+    return [...registry];
+}
+
+/**
+ * Get a registered channel by name.
+ * @param {string} name
+ * @returns {object|undefined}
+ */
+export function getChannel(name) {
+    return registry.find((c) => c.name === name);
+}
+
+registerChannel(telegram);
+registerChannel(discord);
+registerChannel(slack);
+registerChannel(webhook);
+registerChannel(email);
+registerChannel(ntfy);
+registerChannel(gotify);
+registerChannel(matrix);
+
+export default { validateChannel, registerChannel, getChannels, getChannel };
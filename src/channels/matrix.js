@@ -0,0 +1,102 @@
+// src/channels/matrix.js — Matrix room channel (HTML messages via the client-server API)
+import { randomUUID } from 'node:crypto';
+import logger from '../logger.js';
+import { setting } from '../config.js';
+import { createPushFormatter } from '../formatting.js';
+import { escapeHtml } from './telegram.js';
+
+/** Events are capped at 64 KiB and carry both a plain and an HTML copy */
+const MATRIX_MAX_LENGTH = 16000;
+
+/**
+ * Matrix has no notification priority; urgent and high alerts are sent as
+ * `m.text` (which notifies room members), others as the quieter `m.notice`.
+ */
+const MSGTYPES = { urgent: 'm.text', high: 'm.text', default: 'm.notice', low: 'm.notice' };
+
+/** Markup primitives for Matrix `org.matrix.custom.html` */
+export const markup = {
+    escape: escapeHtml,
+    bold: (text) => `<b>${escapeHtml(text)}</b>`,
+    code: (text) => `<code>${escapeHtml(text)}</code>`,
+    link: (url) => `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`,
+};
+
+/**
+ * Derive the plain-text `body` from a formatted HTML message.
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToPlain(html) {
+    return html
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Check whether a Matrix homeserver, access token and room are configured.
+ * @returns {boolean}
+ */
+export function isConfigured() {
+    return Boolean(setting('MATRIX_HOMESERVER') && setting('MATRIX_ACCESS_TOKEN') && setting('MATRIX_ROOM_ID'));
+}
+
+/**
+ * Send a message to a Matrix room.
+ * Requires MATRIX_HOMESERVER, MATRIX_ACCESS_TOKEN and MATRIX_ROOM_ID env vars.
+ *
+ * @param {{title: string, text: string, priority: string}} message - `text` is HTML
+ * @param {object} [deps] - injectable dependencies
+ * @param {Function} [deps.fetchFn] - fetch implementation
+ * @returns {Promise<boolean>} true if sent successfully
+ */
+export async function sendMatrix(message, deps = {}) {
+    const fetchFn = deps.fetchFn || fetch;
+    const homeserver = setting('MATRIX_HOMESERVER');
+    const accessToken = setting('MATRIX_ACCESS_TOKEN');
+    const roomId = setting('MATRIX_ROOM_ID');
+
+    if (!homeserver || !accessToken || !roomId) {
+        logger.info('Matrix not configured (MATRIX_HOMESERVER / MATRIX_ACCESS_TOKEN / MATRIX_ROOM_ID missing), skipping');
+        return false;
+    }
+
+    const url = `${homeserver.replace(/\/+$/, '')}/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}` +
+        `/send/m.room.message/${randomUUID()}`;
+    try {
+        const response = await fetchFn(url, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+            body: JSON.stringify({
+                msgtype: MSGTYPES[message.priority] || MSGTYPES.default,
+                body: htmlToPlain(message.text),
+                format: 'org.matrix.custom.html',
+                formatted_body: message.text.replace(/\n/g, '<br>'),
+            }),
+        });
+
+        if (!response.ok) {
+            const body = await response.text();
+            logger.error(`Matrix API error: HTTP ${response.status} — ${body}`);
+            return false;
+        }
+
+        logger.info('Matrix notification sent successfully');
+        return true;
+    } catch (error) {
+        logger.error(`Matrix send failed: ${error.message}`);
+        return false;
+    }
+}
+
+export default {
+    name: 'matrix',
+    label: 'Matrix',
+    maxLength: MATRIX_MAX_LENGTH,
+    isConfigured,
+    formatter: createPushFormatter(markup),
+    send: sendMatrix,
+};
@@ -0,0 +1,80 @@
+// src/channels/ntfy.js — ntfy push notification channel (Markdown messages)
+import logger from '../logger.js';
+import { setting } from '../config.js';
+import { createPushFormatter } from '../formatting.js';
+
+/** ntfy caps message bodies at 4096 bytes; leave room for multi-byte emoji */
+const NTFY_MAX_LENGTH = 3000;
+
+/** ntfy priority (1 = min … 5 = max) per alert priority */
+const PRIORITIES = { urgent: 5, high: 4, default: 3, low: 2 };
+
+/** Markup primitives for ntfy Markdown */
+export const markup = {
+    escape: (text) => String(text),
+    bold: (text) => `**${text}**`,
+    code: (text) => `\`${text}\``,
+    link: (url) => url,
+};
+
+/**
+ * Check whether an ntfy topic is configured.
+ * @returns {boolean}
+ */
+export function isConfigured() {
+    return Boolean(setting('NTFY_TOPIC_URL'));
+}
+
+/**
+ * Publish a message to an ntfy topic.
+ * Requires NTFY_TOPIC_URL (e.g. https://ntfy.sh/my-topic); NTFY_TOKEN is
+ * sent as a bearer token for protected topics.
+ *
+ * @param {{title: string, text: string, priority: string}} message
+ * @param {object} [deps] - injectable dependencies
+ * @param {Function} [deps.fetchFn] - fetch implementation
+ * @returns {Promise<boolean>} true if sent successfully
+ */
+export async function sendNtfy(message, deps = {}) {
+    const fetchFn = deps.fetchFn || fetch;
+    const topicUrl = setting('NTFY_TOPIC_URL');
+    const token = setting('NTFY_TOKEN');
+
+    if (!topicUrl) {
+        logger.info('ntfy not configured (NTFY_TOPIC_URL missing), skipping');
+        return false;
+    }
+
+    const headers = {
+        // Header values must be ASCII; the title goes through RFC 2047 encoding
+        Title: `=?UTF-8?B?${Buffer.from(message.title).toString('base64')}?=`,
+        Priority: String(PRIORITIES[message.priority] || PRIORITIES.default),
+        Markdown: 'yes',
+    };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    try {
+        const response = await fetchFn(topicUrl, { method: 'POST', headers, body: message.text });
+
+        if (!response.ok) {
+            const body = await response.text();
+            logger.error(`ntfy error: HTTP ${response.status} — ${body}`);
+            return false;
+        }
+
+        logger.info('ntfy notification sent successfully');
+        return true;
+    } catch (error) {
+        logger.error(`ntfy send failed: ${error.message}`);
+        return false;
+    }
+}
+
+export default {
+    name: 'ntfy',
+    label: 'ntfy',
+    maxLength: NTFY_MAX_LENGTH,
+    isConfigured,
+    formatter: createPushFormatter(markup),
+    send: sendNtfy,
+};
@@ -0,0 +1,192 @@
+// src/channels/slack.js — Slack incoming-webhook alert channel (Block Kit messages)
+import logger from '../logger.js';
+import { setting } from '../config.js';
+import { chunkChangeMessages, chunkDigestMessages, formatNotice } from '../formatting.js';
+import { renderTemplate, programContext, summaryContext, TEXT_TEMPLATES } from '../templates.js';
+
+/** Max characters in a section block's text */
+const SLACK_MAX_TEXT_LENGTH = 3000;
+/** Max blocks per message */
+const SLACK_MAX_BLOCKS = 50;
+
+/**
+ * Escape the characters Slack mrkdwn treats as control characters.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeMrkdwn(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/** Markup primitives for Slack mrkdwn */
+export const markup = {
+    escape: escapeMrkdwn,
+    bold: (text) => `*${escapeMrkdwn(text)}*`,
+    code: (text) => `\`${escapeMrkdwn(text)}\``,
+    link: (url) => `<${url}>`,
+};
+
+/**
+ * Truncate text to fit a Slack text field.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncate(text, maxLength) {
+    return text.length <= maxLength ? text : `${text.slice(0, maxLength - 1)}…`;
+}
+
+/**
+ * Build a mrkdwn section block.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {object}
+ */
+function section(text, maxLength) {
+    return { type: 'section', text: { type: 'mrkdwn', text: truncate(text, maxLength) } };
+}
+
+/** Built-in templates for new-program alerts */
+const SLACK_TEMPLATES = {
+    header: TEXT_TEMPLATES.header,
+    entry: '{{bold name}} ({{code handle}}) — {{#if offers_bounties}}💰 Bounty{{else}}🏅 VDP{{/if}}' +
+        '{{#if scope_summary}}\n📋 {{scope_summary}}{{/if}}',
+    footer: '',
+};
+
+/**
+ * Build the Block Kit section for a new program: the rendered entry
+ * template (name, handle, bounty/VDP badge, scope summary by default)
+ * and an "Open program" link button.
+ *
+ * @param {object} p - normalized program
+ * @param {number} [maxLength] - max chars of the section text
+ * @param {string} [template] - entry template
+ * @returns {object}
+ */
+export function formatProgramBlock(p, maxLength = SLACK_MAX_TEXT_LENGTH, template = SLACK_TEMPLATES.entry) {
+    return {
+        ...section(renderTemplate(template, programContext(p), markup), maxLength),
+        accessory: {
+            type: 'button',
+            text: { type: 'plain_text', text: 'Open program' },
+            url: `https://hackerone.com/${p.handle}`,
+        },
+    };
+}
+
+/**
+ * Split new programs into Block Kit messages: a header section, one
+ * section per program and an optional footer context block, staying
+ * within Slack's block limit per message.
+ *
+ * @param {object[]} programs - all new programs
+ * @param {number} [maxLength] - max chars per section text
+ * @param {{header: string, entry: string, footer: string}} [templates]
+ * @param {number} [maxBlocks] - max blocks per message
+ * @returns {{text: string, blocks: object[]}[]}
+ */
+export function chunkProgramBlocks(
+    programs, maxLength = SLACK_MAX_TEXT_LENGTH, templates = SLACK_TEMPLATES, maxBlocks = SLACK_MAX_BLOCKS
+) {
+    if (programs.length === 0) return [];
+
+    const render = (template, context) => renderTemplate(template || '', context, markup);
+    const footer = render(templates.footer, summaryContext(programs.length));
+    const perMessage = maxBlocks - 1 - (footer ? 1 : 0); // header and footer take a block each
+    const parts = Math.ceil(programs.length / perMessage);
+
+    const messages = [];
+    for (let i = 0; i < programs.length; i += perMessage) {
+        const part = parts === 1 ? null : messages.length + 1;
+        const title = render(templates.header, summaryContext(programs.length, part));
+        const batch = programs.slice(i, i + perMessage);
+        const blocks = [section(title, maxLength), ...batch.map((p) => formatProgramBlock(p, maxLength, templates.entry))];
+        if (footer) {
+            blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: truncate(footer, maxLength) }] });
+        }
+        messages.push({
+            // Fallback for notifications and clients without Block Kit
+            text: truncate(`${title} ${batch.map((p) => p.name).join(', ')}`, maxLength),
+            blocks,
+        });
+    }
+    return messages;
+}
+
+/**
+ * Wrap a mrkdwn text message in a single-section Block Kit payload.
+ * @param {string} text
+ * @returns {{text: string, blocks: object[]}}
+ */
+function textMessage(text) {
+    return { text, blocks: [section(text, SLACK_MAX_TEXT_LENGTH)] };
+}
+
+/**
+ * Check whether a Slack webhook is configured.
+ * @returns {boolean}
+ */
+export function isConfigured() {
+    return Boolean(setting('SLACK_WEBHOOK_URL'));
+}
+
+/**
+ * Send a message to a Slack incoming webhook.
+ * Requires SLACK_WEBHOOK_URL env var.
+ *
+ * @param {{text: string, blocks?: object[]}|string} message - Block Kit payload or mrkdwn text
+ * @param {object} [deps] - injectable dependencies
+ * @param {Function} [deps.fetchFn] - fetch implementation
+ * @returns {Promise<boolean>} true if sent successfully
+ */
+export async function sendSlack(message, deps = {}) {
+    const fetchFn = deps.fetchFn || fetch;
+    const webhookUrl = setting('SLACK_WEBHOOK_URL');
+
+    if (!webhookUrl) {
+        logger.info('Slack not configured (SLACK_WEBHOOK_URL missing), skipping');
+        return false;
+    }
+
+    const payload = typeof message === 'string' ? textMessage(message) : message;
+    try {
+        const response = await fetchFn(webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+        });
+
+        if (!response.ok) {
+            const body = await response.text();
+            logger.error(`Slack webhook error: HTTP ${response.status} — ${body}`);
+            return false;
+        }
+
+        logger.info('Slack notification sent successfully');
+        return true;
+    } catch (error) {
+        logger.error(`Slack send failed: ${error.message}`);
+        return false;
+    }
+}
+
+export default {
+    name: 'slack',
+    label: 'Slack',
+    maxLength: SLACK_MAX_TEXT_LENGTH,
+    templates: SLACK_TEMPLATES,
+    // Incoming webhooks allow about one message per second
+    rateLimit: { capacity: 1, intervalMs: 1000 },
+    isConfigured,
+    formatter: {
+        newPrograms: (programs, maxLength, templates) => chunkProgramBlocks(programs, maxLength, templates),
+        changes: (events, maxLength) => chunkChangeMessages(events, markup, maxLength).map(textMessage),
+        notice: (notice, maxLength) => [textMessage(formatNotice(notice, markup, maxLength))],
+        digest: (digest, maxLength, templates) => chunkDigestMessages(digest, markup, maxLength, templates).map(textMessage),
+    },
+    send: sendSlack,
+};
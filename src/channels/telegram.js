@@ -0,0 +1,258 @@
+// src/channels/telegram.js — Telegram Bot API alert channel (HTML messages)
+// Alerts go to one or more destinations (a chat, optionally a forum topic),
+// routed by program type, with inline buttons linking to each program.
+import logger from '../logger.js';
+import { setting } from '../config.js';
+import { groupProgramMessages, groupChangeMessages, groupDigestMessages, formatNotice } from '../formatting.js';
+import { TEXT_TEMPLATES } from '../templates.js';
+import { sleep, MAX_RATE_LIMIT_RETRIES, MAX_RETRY_AFTER_MS } from '../rate-limit.js';
+
+const TELEGRAM_MAX_LENGTH = 4096;
+/** Max programs per message, so the inline keyboard stays usable */
+const TELEGRAM_MAX_PROGRAMS = 10;
+/** Max characters of a program name on a button */
+const BUTTON_NAME_LENGTH = 30;
+
+/** Destination routes: which programs each destination receives */
+const ROUTES = {
+    all: () => true,
+    bounty: (program) => Boolean(program.offers_bounties),
+    vdp: (program) => !program.offers_bounties,
+};
+const DESTINATION_PATTERN = /^(?:(\w+)=)?(-?\d+|@\w+)(?::(\d+))?$/;
+
+/** Telegram entries link to the program through buttons instead of a URL line */
+export const TELEGRAM_TEMPLATES = {
+    ...TEXT_TEMPLATES,
+    entry: '• {{bold name}} ({{code handle}}) — {{#if offers_bounties}}💰 Bounty{{else}}🏅 VDP{{/if}}' +
+        '{{#if scope_summary}}\n  📋 {{scope_summary}}{{/if}}',
+};
+
+/**
+ * Escape HTML special characters for Telegram HTML mode.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/** Markup primitives for Telegram HTML */
+export const markup = {
+    escape: escapeHtml,
+    bold: (text) => `<b>${escapeHtml(text)}</b>`,
+    code: (text) => `<code>${escapeHtml(text)}</code>`,
+    link: (url) => url,
+};
+
+/**
+ * Check whether Telegram credentials are configured.
+ * @returns {boolean}
+ */
+export function isConfigured() {
+    return Boolean(
+        setting('TELEGRAM_BOT_TOKEN') && (setting('TELEGRAM_CHAT_ID') || setting('TELEGRAM_DESTINATIONS'))
+    );
+}
+
+/**
+ * Read the alert destinations. TELEGRAM_DESTINATIONS is a comma-separated
+ * list of `[route=]chat_id[:thread_id]`, where route is `all` (default),
+ * `bounty` or `vdp` and thread_id a forum topic. Without it, every alert
+ * goes to TELEGRAM_CHAT_ID.
+ *
+ * @returns {{route: string, chatId: string, threadId: number|null}[]}
+ * @throws {Error} on an invalid entry (reported by position, chat IDs are secret)
+ */
+export function getDestinations() {
+    const raw = setting('TELEGRAM_DESTINATIONS');
+    if (!raw) {
+        const chatId = setting('TELEGRAM_CHAT_ID');
+        return chatId ? [{ route: 'all', chatId, threadId: null }] : [];
+    }
+
+    return raw.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry, i) => {
+        const match = entry.match(DESTINATION_PATTERN);
+        const route = match?.[1]?.toLowerCase() || 'all';
+        if (!match || !ROUTES[route]) {
+            throw new Error(
+                `Invalid TELEGRAM_DESTINATIONS entry #${i + 1} (use [${Object.keys(ROUTES).join('|')}=]chat_id[:thread_id])`
+            );
+        }
+        return { route, chatId: match[2], threadId: match[3] ? parseInt(match[3], 10) : null };
+    });
+}
+
+/**
+ * Split items between destinations by their route. Destinations that
+ * receive none of the items are left out.
+ *
+ * @param {object[]} destinations
+ * @param {object[]} items - programs or change events
+ * @param {Function} getProgram - (item) => program
+ * @returns {{destination: object, items: object[]}[]}
+ */
+function route(destinations, items, getProgram) {
+    return destinations
+        .map((destination) => ({
+            destination,
+            items: items.filter((item) => ROUTES[destination.route](getProgram(item))),
+        }))
+        .filter(({ items: routed }) => routed.length > 0);
+}
+
+/**
+ * Build the inline keyboard for the programs of a message: "Open program"
+ * and "Open scope" for a single program, one row per program otherwise.
+ *
+ * @param {object[]} programs
+ * @returns {{text: string, url: string}[][]} keyboard rows
+ */
+export function programButtons(programs) {
+    const unique = [...new Map(programs.map((p) => [p.handle, p])).values()];
+    return unique.map((p) => {
+        const url = `https://hackerone.com/${p.handle}`;
+        const name = String(p.name || p.handle);
+        const label = unique.length === 1
+            ? 'Open program'
+            : `Open ${name.length > BUTTON_NAME_LENGTH ? `${name.slice(0, BUTTON_NAME_LENGTH - 1)}…` : name}`;
+        return [{ text: label, url }, { text: 'Open scope', url: `${url}/policy_scopes` }];
+    });
+}
+
+/**
+ * Build a message for one destination.
+ * @param {{chatId: string, threadId: number|null}} destination
+ * @param {string} text - message text (HTML)
+ * @param {object[]} programs - programs the message is about, for buttons
+ * @returns {{text: string, chatId: string, threadId: number|null, buttons: object[][]}}
+ */
+function message({ chatId, threadId }, text, programs) {
+    return { text, chatId, threadId, buttons: programButtons(programs) };
+}
+
+/**
+ * Create the Telegram formatter: messages are routed to destinations and
+ * carry their programs as inline buttons.
+ *
+ * @returns {{newPrograms: Function, changes: Function, notice: Function, digest: Function}}
+ */
+function createTelegramFormatter() {
+    return {
+        newPrograms: (programs, maxLength, templates) =>
+            route(getDestinations(), programs, (p) => p).flatMap(({ destination, items }) =>
+                groupProgramMessages(items, markup, maxLength, templates, TELEGRAM_MAX_PROGRAMS)
+                    .map((chunk) => message(destination, chunk.text, chunk.items))
+            ),
+        digest: (digest, maxLength, templates) =>
+            route(getDestinations(), digest.programs, (p) => p).flatMap(({ destination, items }) =>
+                groupDigestMessages({ ...digest, programs: items }, markup, maxLength, templates, TELEGRAM_MAX_PROGRAMS)
+                    .map((chunk) => message(destination, chunk.text, chunk.items))
+            ),
+        changes: (events, maxLength) =>
+            route(getDestinations(), events, (e) => e.program).flatMap(({ destination, items }) =>
+                groupChangeMessages(items, markup, maxLength, { links: false, maxEntries: TELEGRAM_MAX_PROGRAMS })
+                    .map((chunk) => message(destination, chunk.text, chunk.items.map((e) => e.program)))
+            ),
+        notice: (notice, maxLength) => {
+            // Every destination gets notices, once per chat and topic
+            const unique = new Map(getDestinations().map((d) => [`${d.chatId}:${d.threadId}`, d]));
+            const text = formatNotice(notice, markup, maxLength);
+            return [...unique.values()].map((destination) => message(destination, text, []));
+        },
+    };
+}
+
+/**
+ * Read how long Telegram asks to wait after a 429 (`parameters.retry_after`, in seconds).
+ * @param {string} body - response body
+ * @returns {number|null} delay in ms, or null when missing
+ */
+function retryAfterMs(body) {
+    try {
+        const seconds = JSON.parse(body).parameters?.retry_after;
+        return Number.isFinite(seconds) ? seconds * 1000 : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Send a Telegram message via Bot API.
+ * Requires TELEGRAM_BOT_TOKEN; a plain string goes to TELEGRAM_CHAT_ID,
+ * a message object to its own chat and forum topic, with its buttons.
+ * A 429 is retried after the `retry_after` Telegram asks for, up to
+ * MAX_RATE_LIMIT_RETRIES times and as long as the wait stays reasonable.
+ *
+ * @param {string|{text: string, chatId?: string, threadId?: number|null, buttons?: object[][]}} message
+ * @param {object} [deps] - injectable dependencies
+ * @param {Function} [deps.fetchFn] - fetch implementation
+ * @param {Function} [deps.sleepFn] - sleep implementation
+ * @returns {Promise<boolean>} true if sent successfully
+ */
+export async function sendTelegram(message, deps = {}) {
+    const fetchFn = deps.fetchFn || fetch;
+    const sleepFn = deps.sleepFn || sleep;
+    const botToken = setting('TELEGRAM_BOT_TOKEN');
+    const { text, chatId = setting('TELEGRAM_CHAT_ID'), threadId = null, buttons = [] } =
+        typeof message === 'string' ? { text: message } : message;
+
+    if (!botToken || !chatId) {
+        logger.info('Telegram not configured (TELEGRAM_BOT_TOKEN / TELEGRAM_CHAT_ID missing), skipping');
+        return false;
+    }
+
+    const url = `https://api.telegram.org/bot${botToken}/sendMessage`;
+    try {
+        for (let attempt = 1; ; attempt++) {
+            const response = await fetchFn(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    chat_id: chatId,
+                    ...(threadId !== null && { message_thread_id: threadId }),
+                    text,
+                    parse_mode: 'HTML',
+                    disable_web_page_preview: true,
+                    ...(buttons.length > 0 && { reply_markup: { inline_keyboard: buttons } }),
+                }),
+            });
+
+            if (response.ok) {
+                logger.info('Telegram notification sent successfully');
+                return true;
+            }
+
+            const body = await response.text();
+            const delay = response.status === 429 ? retryAfterMs(body) ?? 1000 : null;
+            if (delay !== null && attempt <= MAX_RATE_LIMIT_RETRIES && delay <= MAX_RETRY_AFTER_MS) {
+                logger.warn(
+                    `Telegram rate limit hit, retrying in ${delay / 1000}s (attempt ${attempt}/${MAX_RATE_LIMIT_RETRIES})`
+                );
+                await sleepFn(delay);
+                continue;
+            }
+
+            logger.error(`Telegram API error: HTTP ${response.status} — ${body}`);
+            return false;
+        }
+    } catch (error) {
+        logger.error(`Telegram send failed: ${error.message}`);
+        return false;
+    }
+}
+
+export default {
+    name: 'telegram',
+    label: 'Telegram',
+    maxLength: TELEGRAM_MAX_LENGTH,
+    // Telegram allows about 20 messages per minute in a group
+    rateLimit: { capacity: 3, intervalMs: 3000 },
+    isConfigured,
+    templates: TELEGRAM_TEMPLATES,
+    formatter: createTelegramFormatter(),
+    send: sendTelegram,
+};
@@ -0,0 +1,122 @@
+// src/channels/webhook.js — Generic signed JSON webhook channel for internal tooling
+// Each alert is POSTed as a versioned JSON payload to every URL in WEBHOOK_URLS,
+// signed with HMAC-SHA256 over the raw body using WEBHOOK_SECRET.
+import { createHash, createHmac } from 'node:crypto';
+import logger from '../logger.js';
+import { setting } from '../config.js';
+import { fetchWithRetry } from '../h1-client.js';
+
+/** Version of the payload format; bumped on breaking changes */
+export const PAYLOAD_VERSION = 1;
+/** Header carrying the request signature */
+export const SIGNATURE_HEADER = 'X-H1-Watcher-Signature';
+
+/**
+ * Read the target URLs from WEBHOOK_URLS (comma-separated).
+ * @returns {string[]}
+ */
+export function getWebhookUrls() {
+    return (setting('WEBHOOK_URLS') || '')
+        .split(',')
+        .map((url) => url.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Compute the signature header value for a request body.
+ * @param {string} body - raw request body
+ * @param {string} secret - shared secret
+ * @returns {string} e.g. "sha256=5d41…"
+ */
+export function signPayload(body, secret) {
+    return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Build the versioned payload sent to receivers. `event_id` is derived from
+ * the event content, so a redelivery of the same alert keeps the same ID and
+ * receivers can deduplicate.
+ *
+ * @param {{event: string}} message - event type and its data, from the formatter
+ * @param {object} [context]
+ * @param {string} [context.runId] - ID of the watcher run delivering the event
+ * @param {Date} [context.now] - delivery time
+ * @returns {object}
+ */
+export function buildPayload(message, { runId = null, now = new Date() } = {}) {
+    const eventId = createHash('sha256').update(JSON.stringify(message)).digest('hex').slice(0, 32);
+    return {
+        version: PAYLOAD_VERSION,
+        event_id: eventId,
+        run_id: runId,
+        timestamp: now.toISOString(),
+        ...message,
+    };
+}
+
+/**
+ * Check whether webhook URLs and the signing secret are configured.
+ * @returns {boolean}
+ */
+export function isConfigured() {
+    return getWebhookUrls().length > 0 && Boolean(setting('WEBHOOK_SECRET'));
+}
+
+/**
+ * POST an event to every configured webhook URL. 429 and 5xx responses are
+ * retried with the same backoff as HackerOne API requests. URLs that took
+ * the event on an earlier attempt (`deps.parts`) are not sent it again.
+ *
+ * @param {{event: string}} message - event type and its data
+ * @param {object} [deps] - injectable dependencies
+ * @param {Function} [deps.fetchFn] - fetch implementation
+ * @param {string} [deps.runId] - ID of the current watcher run
+ * @param {{isDelivered: Function, markDelivered: Function}} [deps.parts] - per-URL delivery record, from the alerter
+ * @returns {Promise<boolean>} true if every URL accepted the event
+ */
+export async function sendWebhook(message, deps = {}) {
+    const fetchFn = deps.fetchFn || fetch;
+    const urls = getWebhookUrls();
+    const secret = setting('WEBHOOK_SECRET');
+
+    if (urls.length === 0 || !secret) {
+        logger.info('Webhook not configured (WEBHOOK_URLS / WEBHOOK_SECRET missing), skipping');
+        return false;
+    }
+
+    const body = JSON.stringify(buildPayload(message, { runId: deps.runId }));
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'h1-watcher',
+        [SIGNATURE_HEADER]: signPayload(body, secret),
+    };
+
+    let allOk = true;
+    for (const url of urls) {
+        if (deps.parts?.isDelivered(url)) continue;
+        try {
+            await fetchWithRetry(url, { method: 'POST', headers, body }, 1, fetchFn, { label: 'Webhook' });
+            deps.parts?.markDelivered(url);
+            logger.info(`Webhook ${message.event} event delivered`);
+        } catch (error) {
+            allOk = false;
+            const reason = error.status ? `HTTP ${error.status}` : error.message;
+            logger.error(`Webhook delivery to ${url} failed: ${reason}`);
+        }
+    }
+    return allOk;
+}
+
+export default {
+    name: 'webhook',
+    label: 'Webhook',
+    maxLength: Infinity,
+    isConfigured,
+    formatter: {
+        newPrograms: (programs) => [{ event: 'new_programs', programs }],
+        changes: (events) => [{ event: 'program_changes', changes: events }],
+        notice: (notice) => [{ event: 'notice', notice }],
+        digest: ({ programs, since, until }) => [{ event: 'digest', since, until, programs }],
+    },
+    send: sendWebhook,
+};
@@ -0,0 +1,472 @@
+#!/usr/bin/env node
+// src/cli.js — Command-line interface: run, daemon, status, list, test-alert, resend, config
+// Every command takes its settings from the same config file and env vars as
+// `node src/watcher.js`; flags only cover what differs per invocation.
+import { parseArgs } from 'node:util';
+import logger from './logger.js';
+import { setting, loadConfig, useConfig, describeConfig, ConfigError } from './config.js';
+import db from './db.js';
+import { run } from './watcher.js';
+import { notify, notifyNotice } from './alerter.js';
+import { isMuted } from './bot.js';
+import { startDaemon, getDaemonConfig } from './daemon.js';
+import { getMetricsConfig, publishMetrics, startMetricsServer } from './metrics.js';
+
+/** Process exit codes */
+export const EXIT_CODES = { ok: 0, failure: 1, usage: 2 };
+
+const DEFAULT_LIST_LIMIT = 50;
+
+/**
+ * Thrown on invalid command-line usage (exit code 2).
+ */
+export class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/** Options every command accepts */
+const COMMON_OPTIONS = {
+    db: { type: 'string', description: 'state file (default: DB_PATH or state/db.json)', value: '<path>' },
+    config: { type: 'string', description: 'config file (default: H1_WATCHER_CONFIG)', value: '<path>' },
+    help: { type: 'boolean', short: 'h', description: 'show help for the command' },
+};
+
+/**
+ * Format an ISO timestamp for output, e.g. "2024-01-15 10:15 UTC".
+ * @param {string|null} iso
+ * @returns {string}
+ */
+function formatTime(iso) {
+    return iso ? `${iso.slice(0, 16).replace('T', ' ')} UTC` : 'never';
+}
+
+/**
+ * Parse a date flag, e.g. `2024-01-15` or `2024-01-15T10:00:00Z`.
+ * @param {string} value
+ * @param {string} flag - flag name, for the error message
+ * @returns {number} time in ms
+ * @throws {UsageError}
+ */
+function parseDate(value, flag) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new UsageError(`Invalid --${flag} date "${value}" (use e.g. 2024-01-15 or 2024-01-15T10:00:00Z)`);
+    }
+    return time;
+}
+
+/**
+ * Parse a non-negative number flag.
+ * @param {string} value
+ * @param {string} flag - flag name, for the error message
+ * @returns {number}
+ * @throws {UsageError}
+ */
+function parseNumber(value, flag) {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number) || number < 0) {
+        throw new UsageError(`Invalid --${flag} "${value}" (use a number)`);
+    }
+    return number;
+}
+
+/**
+ * Split a `--channel` value into channel names.
+ * @param {string|undefined} value - comma-separated names
+ * @returns {string[]|undefined} undefined for every configured channel
+ */
+function parseChannels(value) {
+    if (value === undefined) return undefined;
+    return value.split(',').map((name) => name.trim()).filter(Boolean);
+}
+
+/**
+ * Get the stored programs as program objects, newest first.
+ * @param {object} state - the database object
+ * @returns {object[]}
+ */
+function storedPrograms(state) {
+    return Object.entries(state.programs)
+        .map(([id, record]) => ({ id, ...record }))
+        .sort((a, b) => String(b.first_seen).localeCompare(String(a.first_seen)));
+}
+
+/**
+ * Print the per-channel results of an alert and turn them into an exit code:
+ * a failed channel, or no channel at all, is a failure.
+ *
+ * @param {Object<string, boolean|null>} result - per-channel results from the alerter
+ * @param {Function} print
+ * @returns {number} exit code
+ */
+function reportDelivery(result, print) {
+    const outcomes = { true: 'sent', false: 'FAILED', null: 'skipped' };
+    for (const [name, ok] of Object.entries(result)) {
+        print(`  ${name}: ${outcomes[ok]}`);
+    }
+    const values = Object.values(result);
+    if (!values.some((ok) => ok !== null)) {
+        print('No channel sent anything, check the channel settings.');
+        return EXIT_CODES.failure;
+    }
+    return values.includes(false) ? EXIT_CODES.failure : EXIT_CODES.ok;
+}
+
+/**
+ * Commands: summary, usage, options and handler (options, deps) => exit code.
+ * Commands with `credentials` refuse to start without the HackerOne API credentials.
+ */
+const COMMANDS = {
+    run: {
+        summary: 'fetch, diff, alert and save (what the cron job does)',
+        usage: 'run [--dry-run] [--baseline] [--accept-anomalies]',
+        credentials: true,
+        options: {
+            'dry-run': { type: 'boolean', description: 'fetch and diff only: no alerts, recon or state changes' },
+            baseline: { type: 'boolean', description: 'record every program without alerting (BASELINE_MODE)' },
+            'accept-anomalies': { type: 'boolean', description: 'accept the current anomalous listing (ANOMALY_ACCEPT)' },
+        },
+        async handler(options, deps) {
+            const result = await deps.runFn({
+                dbPath: options.dbPath,
+                dryRun: options['dry-run'],
+                ...(options.baseline && { baseline: true }),
+                ...(options['accept-anomalies'] && { acceptAnomalies: true }),
+            });
+            const summary = result.baselined.length > 0
+                ? `baseline of ${result.baselined.length} program(s)`
+                : `${result.newPrograms.length} new program(s), ${result.changes.length} change(s)`;
+            deps.print(options['dry-run'] ? `Dry run: ${summary}, nothing sent or saved.` : `Done: ${summary}.`);
+            return EXIT_CODES.ok;
+        },
+    },
+
+    daemon: {
+        summary: 'keep running, on an interval with jitter, until SIGTERM/SIGINT',
+        usage: 'daemon [--interval <minutes>] [--jitter <seconds>] [--metrics-port <port>]',
+        credentials: true,
+        options: {
+            interval: { type: 'string', description: 'minutes between runs (DAEMON_INTERVAL_MINUTES)', value: '<minutes>' },
+            jitter: { type: 'string', description: 'max random extra delay (DAEMON_JITTER_SECONDS)', value: '<seconds>' },
+            'metrics-port': { type: 'string', description: 'serve Prometheus metrics on /metrics (METRICS_PORT)', value: '<port>' },
+        },
+        async handler(options, deps) {
+            const config = getDaemonConfig();
+            if (options.interval !== undefined) {
+                const minutes = parseNumber(options.interval, 'interval');
+                if (minutes === 0) throw new UsageError('--interval must be more than 0 minutes');
+                config.intervalMs = minutes * 60 * 1000;
+            }
+            if (options.jitter !== undefined) {
+                config.jitterMs = parseNumber(options.jitter, 'jitter') * 1000;
+            }
+            const metricsConfig = getMetricsConfig();
+            if (options['metrics-port'] !== undefined) {
+                metricsConfig.port = parseNumber(options['metrics-port'], 'metrics-port');
+                if (!Number.isInteger(metricsConfig.port) || metricsConfig.port < 1 || metricsConfig.port > 65535) {
+                    throw new UsageError(`Invalid --metrics-port "${options['metrics-port']}" (use 1-65535)`);
+                }
+            }
+
+            let server = null;
+            if (metricsConfig.port) {
+                // Serve the totals recorded so far until the first run publishes fresh ones
+                await publishMetrics(await deps.loadFn(options.dbPath), { file: null });
+                server = await deps.metricsServerFn(metricsConfig);
+            }
+            try {
+                return await deps.daemonFn({ runFn: () => deps.runFn({ dbPath: options.dbPath }), config });
+            } finally {
+                server?.close();
+            }
+        },
+    },
+
+    status: {
+        summary: 'show the last run, program counts, pending alerts, mutes and failures',
+        usage: 'status [--json]',
+        options: {
+            json: { type: 'boolean', description: 'print JSON' },
+        },
+        async handler(options, deps) {
+            const state = await deps.loadFn(options.dbPath);
+            const records = Object.values(state.programs);
+            const active = records.filter((r) => !r.removed_at);
+            const bounty = active.filter((r) => r.offers_bounties).length;
+            const status = {
+                last_run: state.last_run || null,
+                programs: { active: active.length, bounty, vdp: active.length - bounty, removed: records.length - active.length },
+                outbox: { pending: state.outbox?.pending?.length || 0, dead_letter: state.outbox?.dead_letter?.length || 0 },
+                digest_queue: state.digest?.queue?.length || 0,
+                muted: Object.keys(state.muted || {}),
+                failures: state.health?.consecutive_failures || 0,
+                last_error: state.health?.last_error || null,
+                last_run_stats: state.stats?.runs?.at(-1) || null,
+            };
+
+            if (options.json) {
+                deps.print(JSON.stringify(status, null, 2));
+                return EXIT_CODES.ok;
+            }
+            deps.print(`h1-watcher status (${options.dbPath})`);
+            deps.print(`Last run:       ${formatTime(status.last_run)}`);
+            const lastRun = status.last_run_stats;
+            if (lastRun) {
+                const counts = Object.values(lastRun.alerts);
+                const sent = counts.reduce((n, c) => n + c.sent, 0);
+                const failed = counts.reduce((n, c) => n + c.failed, 0);
+                deps.print(`Last run stats: ${lastRun.outcome}, ${(lastRun.duration_ms / 1000).toFixed(1)} s, ` +
+                    `${lastRun.pages_fetched} page(s), ${lastRun.http_retries} retried request(s), ` +
+                    `${lastRun.programs_fetched} program(s), ${lastRun.new_programs} new, ${sent} alert(s) sent, ${failed} failed`);
+            }
+            deps.print(`Tracking:       ${active.length} programs (${bounty} bounty, ${status.programs.vdp} VDP), ` +
+                `${status.programs.removed} removed`);
+            deps.print(`Pending alerts: ${status.outbox.pending} (${status.outbox.dead_letter} dead-lettered)`);
+            deps.print(`Digest queue:   ${status.digest_queue}`);
+            deps.print(`Muted:          ${status.muted.length > 0 ? status.muted.join(', ') : 'none'}`);
+            if (status.failures > 0) {
+                deps.print(`Failing:        ${status.failures} run(s) in a row, last error: ${status.last_error}`);
+            }
+            return EXIT_CODES.ok;
+        },
+    },
+
+    list: {
+        summary: 'list tracked programs, newest first',
+        usage: 'list [--type bounty|vdp] [--since <date>] [--search <text>] [--removed] [--limit <n>] [--json]',
+        options: {
+            type: { type: 'string', description: 'only bounty programs or VDPs', value: 'bounty|vdp' },
+            since: { type: 'string', description: 'only programs first seen since a date', value: '<date>' },
+            search: { type: 'string', description: 'only handles or names containing the text', value: '<text>' },
+            removed: { type: 'boolean', description: 'only programs no longer listed' },
+            limit: { type: 'string', description: `max programs to show (default ${DEFAULT_LIST_LIMIT}, 0 for all)`, value: '<n>' },
+            json: { type: 'boolean', description: 'print JSON' },
+        },
+        async handler(options, deps) {
+            if (options.type !== undefined && !['bounty', 'vdp'].includes(options.type)) {
+                throw new UsageError(`Invalid --type "${options.type}" (use bounty or vdp)`);
+            }
+            const limit = options.limit === undefined ? DEFAULT_LIST_LIMIT : parseNumber(options.limit, 'limit');
+            if (!Number.isInteger(limit)) {
+                throw new UsageError(`Invalid --limit "${options.limit}" (use a whole number)`);
+            }
+            const since = options.since === undefined ? null : parseDate(options.since, 'since');
+            const needle = options.search?.toLowerCase();
+
+            const state = await deps.loadFn(options.dbPath);
+            const matches = storedPrograms(state).filter((p) =>
+                (options.type === undefined || Boolean(p.offers_bounties) === (options.type === 'bounty')) &&
+                (since === null || Date.parse(p.first_seen) >= since) &&
+                (!needle || String(p.handle).toLowerCase().includes(needle) || String(p.name).toLowerCase().includes(needle)) &&
+                Boolean(p.removed_at) === Boolean(options.removed)
+            );
+            const shown = limit === 0 ? matches : matches.slice(0, limit);
+
+            if (options.json) {
+                deps.print(JSON.stringify(shown, null, 2));
+                return EXIT_CODES.ok;
+            }
+            for (const p of shown) {
+                const removed = p.removed_at ? `, removed ${formatTime(p.removed_at)}` : '';
+                deps.print(`${p.offers_bounties ? '💰' : '🏅'} ${p.handle} — ${p.name} (first seen ${formatTime(p.first_seen)}${removed})`);
+            }
+            const more = matches.length > shown.length ? ` (showing ${shown.length}, use --limit 0 for all)` : '';
+            deps.print(`${matches.length} program(s)${more}`);
+            return EXIT_CODES.ok;
+        },
+    },
+
+    'test-alert': {
+        summary: 'send a sample message through every configured channel',
+        usage: 'test-alert [--channel <names>]',
+        options: {
+            channel: { type: 'string', description: 'only these channels (comma-separated)', value: '<names>' },
+        },
+        async handler(options, deps) {
+            const result = await deps.notifyNoticeFn({
+                level: 'info',
+                title: 'Test alert',
+                lines: ['This is a test message from h1-watcher. If you can read it, alerts reach this channel.'],
+            }, { channels: parseChannels(options.channel) });
+            deps.print('Test alert:');
+            return reportDelivery(result, deps.print);
+        },
+    },
+
+    resend: {
+        summary: 'send the new-program alerts of programs first seen since a date again',
+        usage: 'resend --since <date> [--channel <names>]',
+        options: {
+            since: { type: 'string', description: 'programs first seen since this date (required)', value: '<date>' },
+            channel: { type: 'string', description: 'only these channels (comma-separated)', value: '<names>' },
+        },
+        async handler(options, deps) {
+            if (options.since === undefined) throw new UsageError('resend needs --since <date>');
+            const since = parseDate(options.since, 'since');
+
+            const state = await deps.loadFn(options.dbPath);
+            // Baseline records were never alerted, and muted programs stay muted
+            const programs = storedPrograms(state)
+                .filter((p) => !p.baseline && !p.removed_at && Date.parse(p.first_seen) >= since && !isMuted(state, p))
+                .reverse();
+            if (programs.length === 0) {
+                deps.print(`No programs first seen since ${formatTime(new Date(since).toISOString())}.`);
+                return EXIT_CODES.ok;
+            }
+
+            const result = await deps.notifyFn(programs, { channels: parseChannels(options.channel) });
+            deps.print(`Resent ${programs.length} program(s):`);
+            return reportDelivery(result, deps.print);
+        },
+    },
+
+    config: {
+        summary: 'validate the configuration and show the effective settings',
+        usage: 'config [--json]',
+        credentials: true,
+        options: {
+            json: { type: 'boolean', description: 'print JSON' },
+        },
+        async handler(options, deps) {
+            const settings = describeConfig(deps.config);
+            if (options.json) {
+                deps.print(JSON.stringify({ file: deps.config.file, settings }, null, 2));
+                return EXIT_CODES.ok;
+            }
+            deps.print(`Configuration is valid (${deps.config.file ? `file: ${deps.config.file}` : 'no config file'})`);
+            const width = Math.max(...settings.map((s) => s.path.length));
+            for (const { path, value, source } of settings) {
+                deps.print(`  ${path.padEnd(width)}  ${value}  (${source})`);
+            }
+            return EXIT_CODES.ok;
+        },
+    },
+};
+
+/**
+ * Render a command's option list for help output.
+ * @param {object} options - parseArgs option definitions with descriptions
+ * @returns {string[]} lines
+ */
+function optionLines(options) {
+    return Object.entries(options).map(([name, option]) => {
+        const flag = `${option.short ? `-${option.short}, ` : ''}--${name}${option.value ? ` ${option.value}` : ''}`;
+        return `  ${flag.padEnd(28)} ${option.description}`;
+    });
+}
+
+/**
+ * Build the help text, for every command or for one.
+ * @param {string} [name] - command name
+ * @returns {string}
+ */
+export function helpText(name) {
+    const command = COMMANDS[name];
+    if (command) {
+        return [
+            `Usage: h1-watcher ${command.usage} [--db <path>] [--config <path>]`,
+            '',
+            `${command.summary.charAt(0).toUpperCase()}${command.summary.slice(1)}.`,
+            '',
+            'Options:',
+            ...optionLines({ ...command.options, ...COMMON_OPTIONS }),
+        ].join('\n');
+    }
+    const width = Math.max(...Object.keys(COMMANDS).map((n) => n.length)) + 2;
+    return [
+        'Usage: h1-watcher <command> [options]',
+        '',
+        'Commands:',
+        ...Object.entries(COMMANDS).map(([n, c]) => `  ${n.padEnd(width)} ${c.summary}`),
+        '',
+        'Run "h1-watcher <command> --help" for the options of a command.',
+        'Settings (credentials, channels, rules) come from a config file and environment variables, see the README.',
+        'Exit codes: 0 success, 1 failure (including failed alerts), 2 invalid usage or configuration.',
+    ].join('\n');
+}
+
+/**
+ * Run the CLI.
+ *
+ * @param {string[]} [argv] - arguments after the script name
+ * @param {object} [deps] - injectable dependencies for testing
+ * @param {Function} [deps.runFn] - override watcher run
+ * @param {Function} [deps.daemonFn] - override startDaemon
+ * @param {Function} [deps.metricsServerFn] - override startMetricsServer
+ * @param {Function} [deps.notifyFn] - override notify
+ * @param {Function} [deps.notifyNoticeFn] - override notifyNotice
+ * @param {Function} [deps.loadFn] - override db.load
+ * @param {Function} [deps.loadConfigFn] - override loadConfig
+ * @param {Function} [deps.print] - output line writer (default console.log)
+ * @returns {Promise<number>} exit code
+ */
+export async function main(argv = process.argv.slice(2), deps = {}) {
+    const resolved = {
+        runFn: deps.runFn || run,
+        daemonFn: deps.daemonFn || startDaemon,
+        metricsServerFn: deps.metricsServerFn || startMetricsServer,
+        notifyFn: deps.notifyFn || notify,
+        notifyNoticeFn: deps.notifyNoticeFn || notifyNotice,
+        loadFn: deps.loadFn || db.load,
+        loadConfigFn: deps.loadConfigFn || loadConfig,
+        print: deps.print || ((line) => console.log(line)),
+    };
+    const [name, ...rest] = argv;
+
+    if (name === undefined || name === '--help' || name === '-h' || name === 'help') {
+        resolved.print(helpText(name === 'help' ? rest[0] : undefined));
+        return name === undefined ? EXIT_CODES.usage : EXIT_CODES.ok;
+    }
+
+    try {
+        const command = COMMANDS[name];
+        if (!command) throw new UsageError(`Unknown command "${name}"`);
+
+        let values;
+        try {
+            ({ values } = parseArgs({ args: rest, options: { ...command.options, ...COMMON_OPTIONS }, strict: true }));
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+        if (values.help) {
+            resolved.print(helpText(name));
+            return EXIT_CODES.ok;
+        }
+
+        resolved.config = resolved.loadConfigFn({ file: values.config, requireCredentials: Boolean(command.credentials) });
+        useConfig(resolved.config);
+
+        const options = { ...values, dbPath: values.db || setting('DB_PATH') || 'state/db.json' };
+        return await command.handler(options, resolved);
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            logger.error(error.message);
+            return EXIT_CODES.usage;
+        }
+        if (error instanceof UsageError) {
+            logger.error(error.message);
+            resolved.print(`Run "h1-watcher ${COMMANDS[name] ? `${name} ` : ''}--help" for usage.`);
+            return EXIT_CODES.usage;
+        }
+        logger.error(`❌ Fatal error: ${error.message}`);
+        if (error instanceof db.StateCorruptError) {
+            logger.error('No alerts were sent and the state file was left untouched.');
+        }
+        return EXIT_CODES.failure;
+    }
+}
+
+// Run if executed directly (not imported)
+const isMainModule =
+    process.argv[1] &&
+    (process.argv[1].endsWith('/cli.js') || process.argv[1].endsWith('\\cli.js') ||
+        process.argv[1].endsWith('/h1-watcher'));
+
+if (isMainModule) {
+    main().then((code) => process.exit(code));
+}
+
+export default { main, helpText, EXIT_CODES, UsageError };
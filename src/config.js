@@ -0,0 +1,381 @@
+// src/config.js — Settings: config file (JSON/YAML) merged with env-var overrides
+// Every setting has a path in the config file (`telegram.bot_token`) and an env
+// var (TELEGRAM_BOT_TOKEN) that overrides it. Modules read settings through
+// `setting()`, which serves the loaded config, or the environment when none is loaded.
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parseYaml } from './yaml.js';
+
+/**
+ * Settings schema. Types: `string`, `url`, `number` (with `integer`, `min`,
+ * `max`), `boolean`, `enum` (with `values`), `list` (comma-separated in env
+ * vars, with an optional `pattern` every item must match, described by
+ * `format`), `time` (HH:MM) and `json` (an object in the file, JSON in env vars).
+ * Values of `secret` settings are masked in logs and never echoed in errors.
+ */
+export const SETTINGS = [
+    { path: 'hackerone.api_username', env: 'H1_API_USERNAME', type: 'string', secret: true },
+    { path: 'hackerone.api_token', env: 'H1_API_TOKEN', type: 'string', secret: true },
+    { path: 'hackerone.scope_fetch_concurrency', env: 'SCOPE_FETCH_CONCURRENCY', type: 'number', integer: true, min: 1 },
+    { path: 'hackerone.scope_refresh_per_run', env: 'SCOPE_REFRESH_PER_RUN', type: 'number', integer: true, min: 1 },
+
+    { path: 'state.db_path', env: 'DB_PATH', type: 'string' },
+    { path: 'state.backup_count', env: 'DB_BACKUP_COUNT', type: 'number', integer: true, min: 0 },
+
+    { path: 'watcher.baseline', env: 'BASELINE_MODE', type: 'boolean' },
+    { path: 'watcher.notify_removed', env: 'NOTIFY_REMOVED', type: 'boolean' },
+    { path: 'anomaly.max_drop_percent', env: 'ANOMALY_MAX_DROP_PERCENT', type: 'number', min: 0, max: 100 },
+    { path: 'anomaly.max_new_per_run', env: 'ANOMALY_MAX_NEW_PER_RUN', type: 'number', integer: true, min: 0 },
+    { path: 'anomaly.confirm_runs', env: 'ANOMALY_CONFIRM_RUNS', type: 'number', integer: true, min: 1 },
+    { path: 'anomaly.accept', env: 'ANOMALY_ACCEPT', type: 'boolean' },
+    { path: 'outbox.max_attempts', env: 'OUTBOX_MAX_ATTEMPTS', type: 'number', integer: true, min: 1 },
+    { path: 'outbox.retry_base_minutes', env: 'OUTBOX_RETRY_BASE_MINUTES', type: 'number', min: 0 },
+
+    { path: 'alerts.rules', env: 'ALERT_RULES', type: 'json' },
+    { path: 'alerts.rules_file', env: 'ALERT_RULES_FILE', type: 'string' },
+    { path: 'alerts.templates_file', env: 'ALERT_TEMPLATES_FILE', type: 'string' },
+    { path: 'digest.channels', env: 'DIGEST_CHANNELS', type: 'list' },
+    { path: 'digest.schedule', env: 'DIGEST_SCHEDULE', type: 'enum', values: ['hourly', 'daily'] },
+    { path: 'digest.time', env: 'DIGEST_TIME', type: 'time' },
+
+    { path: 'telegram.bot_token', env: 'TELEGRAM_BOT_TOKEN', type: 'string', secret: true },
+    { path: 'telegram.chat_id', env: 'TELEGRAM_CHAT_ID', type: 'string', secret: true },
+    {
+        path: 'telegram.destinations', env: 'TELEGRAM_DESTINATIONS', type: 'list', secret: true,
+        pattern: /^(?:(?:all|bounty|vdp)=)?(?:-?\d+|@\w+)(?::\d+)?$/i, format: '[all|bounty|vdp=]chat_id[:thread_id]',
+    },
+    { path: 'telegram.commands', env: 'TELEGRAM_COMMANDS', type: 'boolean' },
+    { path: 'discord.webhook_url', env: 'DISCORD_WEBHOOK_URL', type: 'url', secret: true },
+    { path: 'slack.webhook_url', env: 'SLACK_WEBHOOK_URL', type: 'url', secret: true },
+    { path: 'webhook.urls', env: 'WEBHOOK_URLS', type: 'list', secret: true },
+    { path: 'webhook.secret', env: 'WEBHOOK_SECRET', type: 'string', secret: true },
+    { path: 'email.smtp_host', env: 'SMTP_HOST', type: 'string' },
+    { path: 'email.smtp_port', env: 'SMTP_PORT', type: 'number', integer: true, min: 1, max: 65535 },
+    { path: 'email.starttls', env: 'SMTP_STARTTLS', type: 'boolean' },
+    { path: 'email.smtp_user', env: 'SMTP_USER', type: 'string', secret: true },
+    { path: 'email.smtp_password', env: 'SMTP_PASSWORD', type: 'string', secret: true },
+    { path: 'email.allow_insecure_auth', env: 'SMTP_ALLOW_INSECURE_AUTH', type: 'boolean' },
+    { path: 'email.from', env: 'SMTP_FROM', type: 'string' },
+    { path: 'email.to', env: 'SMTP_TO', type: 'list' },
+    { path: 'ntfy.topic_url', env: 'NTFY_TOPIC_URL', type: 'url', secret: true },
+    { path: 'ntfy.token', env: 'NTFY_TOKEN', type: 'string', secret: true },
+    { path: 'gotify.url', env: 'GOTIFY_URL', type: 'url' },
+    { path: 'gotify.token', env: 'GOTIFY_TOKEN', type: 'string', secret: true },
+    { path: 'matrix.homeserver', env: 'MATRIX_HOMESERVER', type: 'url' },
+    { path: 'matrix.access_token', env: 'MATRIX_ACCESS_TOKEN', type: 'string', secret: true },
+    { path: 'matrix.room_id', env: 'MATRIX_ROOM_ID', type: 'string' },
+
+    { path: 'recon.enabled', env: 'AUTO_RECON', type: 'boolean' },
+    { path: 'recon.github_token', env: 'GH_PUSH_TOKEN', type: 'string', secret: true },
+    { path: 'recon.actions_token', env: 'GITHUB_TOKEN', type: 'string', secret: true },
+    { path: 'health.failure_alert_threshold', env: 'FAILURE_ALERT_THRESHOLD', type: 'number', integer: true, min: 1 },
+    { path: 'health.heartbeat_url', env: 'HEARTBEAT_URL', type: 'url', secret: true },
+    { path: 'metrics.file', env: 'METRICS_FILE', type: 'string' },
+    { path: 'metrics.port', env: 'METRICS_PORT', type: 'number', integer: true, min: 1, max: 65535 },
+    { path: 'metrics.host', env: 'METRICS_HOST', type: 'string' },
+    { path: 'daemon.interval_minutes', env: 'DAEMON_INTERVAL_MINUTES', type: 'number', min: 0.1 },
+    { path: 'daemon.jitter_seconds', env: 'DAEMON_JITTER_SECONDS', type: 'number', min: 0 },
+    { path: 'daemon.max_backoff_minutes', env: 'DAEMON_MAX_BACKOFF_MINUTES', type: 'number', min: 0.1 },
+    { path: 'log.level', env: 'LOG_LEVEL', type: 'enum', values: ['error', 'warn', 'info'] },
+];
+
+/** Env var naming the config file */
+export const CONFIG_FILE_ENV = 'H1_WATCHER_CONFIG';
+
+const BOOLEAN_STRINGS = ['true', 'false', '1', '0'];
+
+/**
+ * Settings that only work together: every one of a group must be set, or none.
+ * An array inside a group means "at least one of these".
+ */
+const REQUIRED_TOGETHER = [
+    ['TELEGRAM_BOT_TOKEN', ['TELEGRAM_CHAT_ID', 'TELEGRAM_DESTINATIONS']],
+    ['WEBHOOK_URLS', 'WEBHOOK_SECRET'],
+    ['SMTP_HOST', 'SMTP_FROM', 'SMTP_TO'],
+    ['GOTIFY_URL', 'GOTIFY_TOKEN'],
+    ['MATRIX_HOMESERVER', 'MATRIX_ACCESS_TOKEN', 'MATRIX_ROOM_ID'],
+];
+
+/**
+ * Thrown when the configuration is invalid. `errors` lists every problem found.
+ */
+export class ConfigError extends Error {
+    constructor(errors, origin = null) {
+        super(`Invalid configuration${origin ? ` in ${origin}` : ''}:\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+const byEnv = new Map(SETTINGS.map((s) => [s.env, s]));
+const SECTIONS = new Set(SETTINGS.map((s) => s.path.split('.')[0]));
+
+/** The loaded config, or null to read settings from the environment */
+let active = null;
+
+/**
+ * Check a value from the config file and convert it to its env-var form.
+ * @param {object} spec - setting from SETTINGS
+ * @param {*} value
+ * @returns {{value?: string, error?: string}}
+ */
+function fromFile(spec, value) {
+    switch (spec.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? { value: String(value) } : { error: 'must be true or false' };
+        case 'number':
+            return typeof value === 'number' ? checkNumber(spec, String(value)) : { error: 'must be a number' };
+        case 'list': {
+            const items = Array.isArray(value) ? value : [value];
+            if (!items.every((item) => ['string', 'number'].includes(typeof item))) {
+                return { error: 'must be a list of strings' };
+            }
+            return fromEnv(spec, items.map(String).join(','));
+        }
+        case 'json':
+            if (typeof value === 'string') return fromEnv(spec, value);
+            return value && typeof value === 'object' ? { value: JSON.stringify(value) } : { error: 'must be an object' };
+        default:
+            if (!['string', 'number'].includes(typeof value)) return { error: 'must be a string' };
+            return fromEnv(spec, String(value));
+    }
+}
+
+/**
+ * Check a number against the bounds of its setting.
+ * @param {object} spec - setting from SETTINGS
+ * @param {string} raw
+ * @returns {{value?: string, error?: string}}
+ */
+function checkNumber(spec, raw) {
+    const number = Number(raw);
+    if (raw.trim() === '' || !Number.isFinite(number)) return { error: 'must be a number' };
+    if (spec.integer && !Number.isInteger(number)) return { error: 'must be a whole number' };
+    if (spec.min !== undefined && number < spec.min) return { error: `must be at least ${spec.min}` };
+    if (spec.max !== undefined && number > spec.max) return { error: `must be at most ${spec.max}` };
+    return { value: raw.trim() };
+}
+
+/**
+ * Check a value in its env-var (string) form.
+ * @param {object} spec - setting from SETTINGS
+ * @param {string} raw
+ * @returns {{value?: string, error?: string}}
+ */
+function fromEnv(spec, raw) {
+    switch (spec.type) {
+        case 'boolean':
+            return BOOLEAN_STRINGS.includes(raw.toLowerCase())
+                ? { value: raw }
+                : { error: `must be ${BOOLEAN_STRINGS.join(', ')}` };
+        case 'number':
+            return checkNumber(spec, raw);
+        case 'enum':
+            return spec.values.includes(raw.toLowerCase())
+                ? { value: raw }
+                : { error: `must be one of ${spec.values.join(', ')}` };
+        case 'time':
+            return /^([01]?\d|2[0-3]):[0-5]\d$/.test(raw) ? { value: raw } : { error: 'must be HH:MM (UTC)' };
+        case 'url': {
+            let url;
+            try {
+                url = new URL(raw);
+            } catch {
+                return { error: 'must be a URL' };
+            }
+            return ['http:', 'https:'].includes(url.protocol) ? { value: raw } : { error: 'must be an http(s) URL' };
+        }
+        case 'list': {
+            const items = raw.split(',').map((item) => item.trim()).filter(Boolean);
+            if (items.length === 0) return { error: 'must list at least one item' };
+            // Items are reported by position, as lists can be secret
+            const invalid = spec.pattern ? items.findIndex((item) => !spec.pattern.test(item)) : -1;
+            return invalid === -1
+                ? { value: raw }
+                : { error: `item #${invalid + 1} must be ${spec.format}` };
+        }
+        case 'json':
+            try {
+                JSON.parse(raw);
+                return { value: raw };
+            } catch (error) {
+                return { error: `must be valid JSON (${error.message})` };
+            }
+        default:
+            return { value: raw };
+    }
+}
+
+/**
+ * Describe a rejected value for an error message; secret values are never shown.
+ * @param {object} spec - setting from SETTINGS
+ * @param {*} value
+ * @returns {string}
+ */
+function shown(spec, value) {
+    return spec.secret ? '' : ` (got ${JSON.stringify(value)})`;
+}
+
+/**
+ * Read and parse a config file, by extension: `.json`, `.yml` or `.yaml`.
+ * @param {string} file
+ * @returns {object}
+ * @throws {ConfigError}
+ */
+function readConfigFile(file) {
+    const format = extname(file).toLowerCase();
+    if (!['.json', '.yml', '.yaml'].includes(format)) {
+        throw new ConfigError([`Unsupported config file type "${format || file}" (use .json, .yml or .yaml)`], file);
+    }
+
+    let data;
+    try {
+        const source = readFileSync(file, 'utf-8');
+        data = format === '.json' ? JSON.parse(source) : parseYaml(source);
+    } catch (error) {
+        throw new ConfigError([`Cannot read config file: ${error.message}`], file);
+    }
+    if (data === null) return {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new ConfigError(['The config file must contain sections such as "hackerone:" and "telegram:"'], file);
+    }
+    return data;
+}
+
+/**
+ * Load the configuration: the config file (if any), then env vars, which
+ * override it. Every value is validated against SETTINGS, along with
+ * settings that only work together, and all problems are reported at once.
+ *
+ * @param {object} [options]
+ * @param {string} [options.file] - config file (default: the H1_WATCHER_CONFIG env var)
+ * @param {object} [options.env] - environment (default process.env)
+ * @param {boolean} [options.requireCredentials] - require the HackerOne API credentials
+ * @returns {{file: string|null, values: Object<string, string>, sources: Object<string, string>}}
+ *   values in env-var form and where each came from (`file` or `env`), keyed by env var
+ * @throws {ConfigError}
+ */
+export function loadConfig(options = {}) {
+    const env = options.env || process.env;
+    const file = options.file || env[CONFIG_FILE_ENV] || null;
+    const errors = [];
+    const values = {};
+    const sources = {};
+
+    if (file) {
+        const data = readConfigFile(file);
+        for (const [section, entries] of Object.entries(data)) {
+            if (!SECTIONS.has(section)) {
+                errors.push(`${section}: unknown section`);
+                continue;
+            }
+            if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+                errors.push(`${section}: must be a section of settings`);
+                continue;
+            }
+            for (const [key, value] of Object.entries(entries)) {
+                const spec = SETTINGS.find((s) => s.path === `${section}.${key}`);
+                if (!spec) {
+                    errors.push(`${section}.${key}: unknown setting`);
+                    continue;
+                }
+                if (value === null) continue;
+                const result = fromFile(spec, value);
+                if (result.error) {
+                    errors.push(`${spec.path}: ${result.error}${shown(spec, value)}`);
+                } else {
+                    values[spec.env] = result.value;
+                    sources[spec.env] = 'file';
+                }
+            }
+        }
+    }
+
+    for (const spec of SETTINGS) {
+        const raw = env[spec.env];
+        // Unset secrets and variables arrive as empty strings in GitHub Actions
+        if (raw === undefined || raw === '') continue;
+        const result = fromEnv(spec, raw);
+        if (result.error) {
+            errors.push(`${spec.env}: ${result.error}${shown(spec, raw)}`);
+        } else {
+            values[spec.env] = result.value;
+            sources[spec.env] = 'env';
+        }
+    }
+
+    const describe = (name) => `${byEnv.get(name).path} (${name})`;
+    for (const group of REQUIRED_TOGETHER) {
+        const isSet = (entry) => (Array.isArray(entry) ? entry.some((name) => values[name]) : Boolean(values[entry]));
+        const missing = group.filter((entry) => !isSet(entry));
+        if (missing.length > 0 && missing.length < group.length) {
+            const names = missing.map((entry) => (Array.isArray(entry) ? entry.map(describe).join(' or ') : describe(entry)));
+            const present = group.filter(isSet).map((entry) => (Array.isArray(entry) ? 'a destination' : describe(entry)));
+            errors.push(`${present.join(', ')} is set, but ${names.join(', ')} is missing`);
+        }
+    }
+
+    if (options.requireCredentials) {
+        for (const name of ['H1_API_USERNAME', 'H1_API_TOKEN']) {
+            if (!values[name]) errors.push(`${describe(name)} is required`);
+        }
+    }
+
+    if (errors.length > 0) throw new ConfigError(errors, file);
+    return { file, values, sources };
+}
+
+/**
+ * Make a loaded config the source of every setting, or pass null to go back
+ * to reading the environment.
+ * @param {{values: Object<string, string>}|null} config
+ * @returns {void}
+ */
+export function useConfig(config) {
+    active = config;
+}
+
+/**
+ * Read a setting, in its env-var form.
+ * @param {string} name - env var name from SETTINGS
+ * @returns {string|undefined} undefined when not set
+ */
+export function setting(name) {
+    const value = active ? active.values[name] : process.env[name];
+    return value === '' ? undefined : value;
+}
+
+/**
+ * Collect the values of secret settings, for log masking. List settings
+ * contribute each item, since items are logged individually.
+ * @returns {string[]}
+ */
+export function secretValues() {
+    const secrets = [];
+    for (const spec of SETTINGS) {
+        if (!spec.secret) continue;
+        const value = setting(spec.env);
+        if (!value) continue;
+        const items = spec.type === 'list' ? value.split(',').map((item) => item.trim()) : [value];
+        secrets.push(...items.filter((item) => item.length > 0));
+    }
+    return secrets;
+}
+
+/**
+ * Describe a loaded config for display, with secret values masked.
+ * @param {{values: Object<string, string>, sources: Object<string, string>}} config
+ * @returns {{path: string, env: string, value: string, source: string}[]}
+ */
+export function describeConfig(config) {
+    return SETTINGS
+        .filter((spec) => config.values[spec.env] !== undefined)
+        .map((spec) => ({
+            path: spec.path,
+            env: spec.env,
+            value: spec.secret ? '***' : config.values[spec.env],
+            source: config.sources[spec.env],
+        }));
+}
+
+export default { SETTINGS, CONFIG_FILE_ENV, ConfigError, loadConfig, useConfig, setting, secretValues, describeConfig };
@@ -0,0 +1,143 @@
+// src/daemon.js — Long-running mode: run the watcher on an interval with jitter
+// Runs never overlap: the next one is scheduled when the current one ends.
+// Failures back off exponentially, and SIGTERM/SIGINT stop the loop after
+// the run in progress has finished and saved its state.
+import { setTimeout as delay } from 'node:timers/promises';
+import logger from './logger.js';
+import { setting } from './config.js';
+import { StateCorruptError } from './db.js';
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+const DEFAULT_JITTER_SECONDS = 60;
+const DEFAULT_MAX_BACKOFF_MINUTES = 240;
+const SIGNALS = ['SIGTERM', 'SIGINT'];
+
+/**
+ * Read the daemon schedule from environment variables.
+ * @returns {{intervalMs: number, jitterMs: number, maxBackoffMs: number}}
+ */
+export function getDaemonConfig() {
+    const intervalMinutes = parseFloat(setting('DAEMON_INTERVAL_MINUTES'));
+    const jitterSeconds = parseFloat(setting('DAEMON_JITTER_SECONDS'));
+    const maxBackoffMinutes = parseFloat(setting('DAEMON_MAX_BACKOFF_MINUTES'));
+    return {
+        intervalMs: (intervalMinutes > 0 ? intervalMinutes : DEFAULT_INTERVAL_MINUTES) * 60 * 1000,
+        jitterMs: (jitterSeconds >= 0 ? jitterSeconds : DEFAULT_JITTER_SECONDS) * 1000,
+        maxBackoffMs: (maxBackoffMinutes > 0 ? maxBackoffMinutes : DEFAULT_MAX_BACKOFF_MINUTES) * 60 * 1000,
+    };
+}
+
+/**
+ * Compute the wait before the next run: the interval, doubled for every
+ * consecutive failure up to the max backoff (never below the interval),
+ * plus a random jitter so several watchers do not hit the API in step.
+ *
+ * @param {{intervalMs: number, jitterMs: number, maxBackoffMs: number}} config
+ * @param {number} failures - consecutive failed runs
+ * @param {Function} [randomFn] - random number in [0, 1)
+ * @returns {number} delay in ms
+ */
+export function nextDelay(config, failures, randomFn = Math.random) {
+    const base = failures > 0
+        ? Math.min(config.intervalMs * 2 ** failures, Math.max(config.maxBackoffMs, config.intervalMs))
+        : config.intervalMs;
+    return Math.round(base + randomFn() * config.jitterMs);
+}
+
+/**
+ * Format a delay for logs, e.g. "15m 42s".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDelay(ms) {
+    const seconds = Math.round(ms / 1000);
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+/**
+ * Sleep until the delay passes or the signal aborts, whichever comes first.
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function interruptibleSleep(ms, signal) {
+    return delay(ms, undefined, { signal }).catch(() => {});
+}
+
+/**
+ * Run the watcher until SIGTERM or SIGINT. A signal during a run lets the run
+ * finish (and save) before exiting; a second signal exits immediately.
+ * A corrupt state file stops the daemon, since retrying cannot fix it.
+ *
+ * @param {object} [deps] - injectable dependencies
+ * @param {Function} [deps.runFn] - the run to repeat, () => Promise
+ * @param {object} [deps.config] - override the schedule (DAEMON_* env vars)
+ * @param {Function} [deps.sleepFn] - (ms, AbortSignal) => Promise, resolving early on abort
+ * @param {Function} [deps.randomFn] - random number in [0, 1), for jitter
+ * @param {object} [deps.signals] - event emitter receiving the signals (default process)
+ * @param {Function} [deps.exitFn] - exit on a second signal (default process.exit)
+ * @returns {Promise<number>} exit code once stopped
+ */
+export async function startDaemon(deps = {}) {
+    const runFn = deps.runFn;
+    const config = deps.config || getDaemonConfig();
+    const sleepFn = deps.sleepFn || interruptibleSleep;
+    const randomFn = deps.randomFn || Math.random;
+    const signals = deps.signals || process;
+    const exitFn = deps.exitFn || ((code) => process.exit(code));
+
+    const controller = new AbortController();
+    let running = false;
+    let stopping = false;
+
+    const onSignal = (signal) => {
+        if (stopping) {
+            logger.warn(`${signal} received again, exiting without waiting for the run`);
+            exitFn(1);
+            return;
+        }
+        stopping = true;
+        logger.info(`${signal} received, ${running ? 'stopping after the current run' : 'stopping'}`);
+        controller.abort();
+    };
+    for (const signal of SIGNALS) signals.on(signal, onSignal);
+
+    logger.info(
+        `h1-watcher daemon started: every ${formatDelay(config.intervalMs)} ` +
+        `(+ up to ${formatDelay(config.jitterMs)} jitter)`
+    );
+
+    let failures = 0;
+    let exitCode = 0;
+    try {
+        while (!stopping) {
+            running = true;
+            try {
+                await runFn();
+                failures = 0;
+            } catch (error) {
+                failures++;
+                logger.error(`❌ Run failed (${failures} in a row): ${error.message}`);
+                if (error instanceof StateCorruptError) {
+                    logger.error('The state file is corrupt and unrecoverable, stopping the daemon.');
+                    exitCode = 1;
+                    break;
+                }
+            } finally {
+                running = false;
+            }
+            if (stopping) break;
+
+            const wait = nextDelay(config, failures, randomFn);
+            logger.info(`Next run at ${new Date(Date.now() + wait).toISOString()} (in ${formatDelay(wait)})`);
+            await sleepFn(wait, controller.signal);
+        }
+    } finally {
+        for (const signal of SIGNALS) signals.off(signal, onSignal);
+    }
+
+    logger.info('h1-watcher daemon stopped');
+    return exitCode;
+}
+
+export default { getDaemonConfig, nextDelay, startDaemon };
@@ -1,10 +1,25 @@
 // src/db.js — JSON file-based state persistence
-import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { readFile, writeFile, mkdir, rename, copyFile, readdir, unlink } from 'node:fs/promises';
 import { existsSync } from 'node:fs';
-import { dirname } from 'node:path';
+import { dirname, basename, join } from 'node:path';
 import logger from './logger.js';
+import { setting } from './config.js';
+import { diffScopes, hasScopeChanges } from './scopes.js';
 
 const DEFAULT_DB_PATH = 'state/db.json';
+const DEFAULT_BACKUP_COUNT = 3;
+
+/**
+ * Thrown when the state file exists but neither it nor any of its backups
+ * can be read. Running against an empty DB in that case would re-alert
+ * every public program, so callers must stop instead.
+ */
+export class StateCorruptError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StateCorruptError';
+    }
+}
 
 /**
  * Create the initial empty database structure.
@@ -17,29 +32,67 @@ export function createEmptyDb() {
     };
 }
 
+/**
+ * Path of the n-th rotating backup (1 = newest).
+ * @param {string} dbPath
+ * @param {number} n
+ * @returns {string}
+ */
+export function backupPath(dbPath, n) {
+    return `${dbPath}.bak.${n}`;
+}
+
+/**
+ * List the existing backup numbers of a DB file, newest first.
+ * @param {string} dbPath
+ * @returns {Promise<number[]>}
+ */
+async function listBackups(dbPath) {
+    const dir = dirname(dbPath);
+    if (!existsSync(dir)) return [];
+
+    const prefix = `${basename(dbPath)}.bak.`;
+    const files = await readdir(dir);
+    return files
+        .filter((f) => f.startsWith(prefix) && /^\d+$/.test(f.slice(prefix.length)))
+        .map((f) => parseInt(f.slice(prefix.length), 10))
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Read and validate a DB file. Throws on unreadable JSON or invalid structure.
+ * @param {string} path
+ * @returns {Promise<object>}
+ */
+async function readDbFile(path) {
+    const raw = await readFile(path, 'utf-8');
+    const data = JSON.parse(raw);
+
+    // Validate structure
+    if (!data || typeof data.programs !== 'object' || data.programs === null || Array.isArray(data.programs)) {
+        throw new Error('invalid structure (missing "programs" object)');
+    }
+
+    return data;
+}
+
 /**
  * Load the database from disk.
- * If the file doesn't exist, returns an empty DB.
+ * If the file doesn't exist, returns an empty DB (first run).
+ * If the file is corrupt, falls back to the newest valid backup.
  *
  * @param {string} [dbPath] - path to the db.json file
  * @returns {Promise<object>}
+ * @throws {StateCorruptError} if the file is corrupt and no backup is valid
  */
 export async function load(dbPath = DEFAULT_DB_PATH) {
-    try {
-        if (!existsSync(dbPath)) {
-            logger.info(`No existing DB found at ${dbPath}, starting fresh`);
-            return createEmptyDb();
-        }
-
-        const raw = await readFile(dbPath, 'utf-8');
-        const data = JSON.parse(raw);
-
-        // Validate structure
-        if (!data || typeof data.programs !== 'object') {
-            logger.warn('DB file has invalid structure, starting fresh');
-            return createEmptyDb();
-        }
+    if (!existsSync(dbPath)) {
+        logger.info(`No existing DB found at ${dbPath}, starting fresh`);
+        return createEmptyDb();
+    }
 
+    try {
+        const data = await readDbFile(dbPath);
         const knownCount = Object.keys(data.programs).length;
         logger.info(`Loaded DB with ${knownCount} known programs`);
         return data;
@@ -48,27 +101,98 @@ export async function load(dbPath = DEFAULT_DB_PATH) {
             logger.info('DB file not found, starting fresh');
             return createEmptyDb();
         }
-        logger.error(`Error loading DB: ${error.message}`);
-        return createEmptyDb();
+        logger.error(`DB file ${dbPath} is unreadable: ${error.message}`);
     }
+
+    for (const n of await listBackups(dbPath)) {
+        const path = backupPath(dbPath, n);
+        try {
+            const data = await readDbFile(path);
+            logger.warn(
+                `Recovered state from backup ${path} (${Object.keys(data.programs).length} known programs)`
+            );
+            return data;
+        } catch (error) {
+            logger.warn(`Backup ${path} is unreadable: ${error.message}`);
+        }
+    }
+
+    throw new StateCorruptError(
+        `State file ${dbPath} is corrupt and no valid backup was found. ` +
+        'Refusing to run against an empty state, which would re-alert every program. ' +
+        'Restore the file (e.g. from git history) or delete it to start a fresh baseline.'
+    );
+}
+
+/**
+ * Shift existing backups up by one (dropping the oldest beyond `count`)
+ * and copy the current DB file into backup #1. A current file that fails
+ * validation (e.g. `load` recovered from a backup) is not backed up, so it
+ * never pushes out a good backup.
+ *
+ * @param {string} dbPath
+ * @param {number} count - number of backups to keep
+ * @returns {Promise<void>}
+ */
+async function rotateBackups(dbPath, count) {
+    let rotate = count >= 1 && existsSync(dbPath);
+    if (rotate) {
+        try {
+            await readDbFile(dbPath);
+        } catch (error) {
+            logger.warn(`Not backing up ${dbPath}, it is unreadable: ${error.message}`);
+            rotate = false;
+        }
+    }
+
+    // Backups beyond `count` go; the oldest kept one only when a new backup #1 takes its place
+    const existing = await listBackups(dbPath);
+    const keep = rotate ? count - 1 : count;
+    for (const n of existing.filter((n) => n > keep)) {
+        await unlink(backupPath(dbPath, n));
+    }
+    if (!rotate) return;
+
+    for (const n of existing.filter((n) => n <= keep).reverse()) {
+        await rename(backupPath(dbPath, n), backupPath(dbPath, n + 1));
+    }
+    await copyFile(dbPath, backupPath(dbPath, 1));
+}
+
+/**
+ * Read the number of backups to keep from DB_BACKUP_COUNT (0 disables them).
+ * @returns {number}
+ */
+function getBackupCount() {
+    const count = parseInt(setting('DB_BACKUP_COUNT'), 10);
+    return Number.isFinite(count) && count >= 0 ? count : DEFAULT_BACKUP_COUNT;
 }
 
 /**
  * Save the database to disk.
- * Creates parent directories if they don't exist.
+ * Creates parent directories if they don't exist, keeps rotating backups
+ * of the previous file, and writes atomically (temp file + rename) so an
+ * interrupted run never leaves a half-written state file behind.
  *
  * @param {object} db - the database object
  * @param {string} [dbPath] - path to the db.json file
+ * @param {object} [options]
+ * @param {number} [options.backups] - number of backups to keep (default DB_BACKUP_COUNT or 3)
  * @returns {Promise<void>}
  */
-export async function save(db, dbPath = DEFAULT_DB_PATH) {
+export async function save(db, dbPath = DEFAULT_DB_PATH, options = {}) {
+    const backups = options.backups ?? getBackupCount();
     const dir = dirname(dbPath);
     if (!existsSync(dir)) {
         await mkdir(dir, { recursive: true });
     }
 
     db.last_run = new Date().toISOString();
-    await writeFile(dbPath, JSON.stringify(db, null, 2) + '\n', 'utf-8');
+
+    const tmpPath = join(dir, `.${basename(dbPath)}.${process.pid}.tmp`);
+    await writeFile(tmpPath, JSON.stringify(db, null, 2) + '\n', 'utf-8');
+    await rotateBackups(dbPath, backups);
+    await rename(tmpPath, dbPath);
     logger.info(`DB saved to ${dbPath}`);
 }
 
@@ -87,9 +211,11 @@ export function getKnownIds(db) {
  *
  * @param {object} db - the database object (mutated in place)
  * @param {object[]} programs - array of normalized program objects
+ * @param {object} [options]
+ * @param {boolean} [options.baseline] - mark records as recorded by a baseline run (never alerted)
  * @returns {object[]} array of programs that were actually added (new ones)
  */
-export function addPrograms(db, programs) {
+export function addPrograms(db, programs, options = {}) {
     const knownIds = getKnownIds(db);
     const added = [];
 
@@ -102,7 +228,9 @@ export function addPrograms(db, programs) {
                 submission_state: program.submission_state,
                 offers_bounties: program.offers_bounties,
                 started_accepting_at: program.started_accepting_at,
+                scopes: program.scopes ?? null,
                 first_seen: new Date().toISOString(),
+                ...(options.baseline && { baseline: true }),
             };
             added.push(program);
         }
@@ -123,4 +251,156 @@ export function diffPrograms(db, currentPrograms) {
     return currentPrograms.filter((p) => !knownIds.has(String(p.id)));
 }
 
-export default { load, save, getKnownIds, addPrograms, diffPrograms, createEmptyDb };
+/**
+ * Check for a known submission state other than `open`. A missing state
+ * (a field left out of the API response) is neither open nor closed.
+ * @param {*} state
+ * @returns {boolean}
+ */
+function isClosedSubmissionState(state) {
+    return typeof state === 'string' && state !== 'open';
+}
+
+/**
+ * Attribute transitions detected on known programs.
+ * Each rule maps a (from → to) change of one stored field to an event type.
+ */
+const TRANSITIONS = [
+    { field: 'offers_bounties', type: 'bounty_enabled', matches: (from, to) => !from && to === true },
+    { field: 'offers_bounties', type: 'bounty_disabled', matches: (from, to) => from === true && !to },
+    { field: 'submission_state', type: 'submissions_paused', matches: (from, to) => from === 'open' && isClosedSubmissionState(to) },
+    { field: 'submission_state', type: 'submissions_reopened', matches: (from, to) => isClosedSubmissionState(from) && to === 'open' },
+    { field: 'state', type: 'went_private', matches: (from, to) => from === 'public_mode' && to !== 'public_mode' },
+    { field: 'state', type: 'went_public', matches: (from, to) => from !== 'public_mode' && to === 'public_mode' },
+];
+
+/** Program attributes refreshed from the API on every run */
+const TRACKED_FIELDS = ['handle', 'name', 'state', 'submission_state', 'offers_bounties', 'started_accepting_at'];
+
+/**
+ * Compare fresh API data of known programs against the stored records and
+ * emit typed transition events (e.g. `bounty_enabled`, `submissions_paused`,
+ * or `relaunched` for a program that was marked removed and is listed again).
+ *
+ * @param {object} db - the database object
+ * @param {object[]} currentPrograms - array of normalized program objects
+ * @returns {object[]} events: {type, program, field, from, to}
+ */
+export function diffProgramChanges(db, currentPrograms) {
+    const events = [];
+
+    for (const program of currentPrograms) {
+        const record = db.programs[String(program.id)];
+        if (!record) continue;
+
+        if (record.removed_at) {
+            events.push({ type: 'relaunched', program, removed_at: record.removed_at });
+        }
+
+        for (const { field, type, matches } of TRANSITIONS) {
+            const from = record[field];
+            const to = program[field];
+            if (from !== undefined && from !== to && matches(from, to)) {
+                events.push({ type, program, field, from, to });
+            }
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Refresh the stored attributes of known programs from fresh API data.
+ * Programs previously marked removed that are listed again are flagged as
+ * relaunched.
+ *
+ * @param {object} db - the database object (mutated in place)
+ * @param {object[]} currentPrograms - array of normalized program objects
+ */
+export function updatePrograms(db, currentPrograms) {
+    for (const program of currentPrograms) {
+        const record = db.programs[String(program.id)];
+        if (!record) continue;
+
+        for (const field of TRACKED_FIELDS) {
+            if (program[field] !== undefined) {
+                record[field] = program[field];
+            }
+        }
+
+        if (record.removed_at) {
+            delete record.removed_at;
+            record.relaunched = true;
+            record.relaunched_at = new Date().toISOString();
+        }
+    }
+}
+
+/**
+ * Mark known programs that are no longer listed as removed.
+ * Programs already marked removed are left untouched.
+ *
+ * @param {object} db - the database object (mutated in place)
+ * @param {object[]} listedPrograms - every program returned by the API this run
+ * @returns {object[]} `program_removed` events: {type, program, removed_at}
+ */
+export function markRemoved(db, listedPrograms) {
+    const listedIds = new Set(listedPrograms.map((p) => String(p.id)));
+    const removedAt = new Date().toISOString();
+    const events = [];
+
+    for (const [id, record] of Object.entries(db.programs)) {
+        if (listedIds.has(id) || record.removed_at) continue;
+
+        record.removed_at = removedAt;
+        events.push({ type: 'program_removed', program: { id, ...record }, removed_at: removedAt });
+    }
+
+    return events;
+}
+
+/**
+ * Compare freshly fetched scopes of known programs against the stored ones.
+ * Programs without a stored scope (tracked before scopes were recorded) or
+ * whose scope could not be fetched this run are skipped.
+ *
+ * @param {object} db - the database object
+ * @param {object[]} currentPrograms - normalized programs with `scopes` attached
+ * @returns {object[]} `scope_changed` events: {type, program, added, removed, modified}
+ */
+export function diffScopeChanges(db, currentPrograms) {
+    const events = [];
+
+    for (const program of currentPrograms) {
+        const record = db.programs[String(program.id)];
+        if (!record || !Array.isArray(record.scopes) || !Array.isArray(program.scopes)) continue;
+
+        const diff = diffScopes(record.scopes, program.scopes);
+        if (hasScopeChanges(diff)) {
+            events.push({ type: 'scope_changed', program, ...diff });
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Store the freshly fetched scopes of known programs.
+ * Programs whose scope could not be fetched keep their previous scope.
+ *
+ * @param {object} db - the database object (mutated in place)
+ * @param {object[]} currentPrograms - normalized programs with `scopes` attached
+ */
+export function updateScopes(db, currentPrograms) {
+    for (const program of currentPrograms) {
+        const record = db.programs[String(program.id)];
+        if (record && Array.isArray(program.scopes)) {
+            record.scopes = program.scopes;
+        }
+    }
+}
+
+export default {
+    load, save, getKnownIds, addPrograms, diffPrograms, diffProgramChanges, updatePrograms,
+    markRemoved, diffScopeChanges, updateScopes, createEmptyDb, backupPath, StateCorruptError,
+};
@@ -0,0 +1,138 @@
+// src/digest.js — Digest mode: queue new programs in state, send them as scheduled summaries
+// Channels listed in DIGEST_CHANNELS get no immediate new-program alerts; the
+// watcher queues those programs here and hands a digest to the outbox when due.
+import logger from './logger.js';
+import { setting } from './config.js';
+
+const SCHEDULES = ['hourly', 'daily'];
+const DEFAULT_SCHEDULE = 'daily';
+const DEFAULT_TIME = '09:00';
+
+/**
+ * Parse an "HH:MM" UTC time.
+ * @param {string} value
+ * @returns {{hour: number, minute: number}|null} null when invalid
+ */
+function parseTime(value) {
+    const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2], 10);
+    return hour < 24 && minute < 60 ? { hour, minute } : null;
+}
+
+/**
+ * Read the digest settings from environment variables.
+ * DIGEST_CHANNELS lists the channels in digest mode (comma-separated, `*` for
+ * all); DIGEST_SCHEDULE is `hourly` or `daily`, sent at DIGEST_TIME (UTC).
+ * Invalid values fall back to the defaults with a warning.
+ *
+ * @returns {{channels: string[], schedule: string, hour: number, minute: number}}
+ */
+export function getDigestConfig() {
+    const channels = (setting('DIGEST_CHANNELS') || '')
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean);
+
+    let schedule = setting('DIGEST_SCHEDULE')?.toLowerCase() || DEFAULT_SCHEDULE;
+    if (!SCHEDULES.includes(schedule)) {
+        logger.warn(`Invalid DIGEST_SCHEDULE "${schedule}" (use ${SCHEDULES.join(' or ')}), using ${DEFAULT_SCHEDULE}`);
+        schedule = DEFAULT_SCHEDULE;
+    }
+
+    let time = parseTime(setting('DIGEST_TIME') || DEFAULT_TIME);
+    if (!time) {
+        logger.warn(`Invalid DIGEST_TIME "${setting('DIGEST_TIME')}" (use HH:MM in UTC), using ${DEFAULT_TIME}`);
+        time = parseTime(DEFAULT_TIME);
+    }
+
+    return { channels, schedule, ...time };
+}
+
+/**
+ * Check whether a channel receives new programs as digests.
+ * @param {{channels: string[]}} config
+ * @param {string} name - channel name
+ * @returns {boolean}
+ */
+export function isDigestChannel(config, name) {
+    return config.channels.includes('*') || config.channels.includes(name);
+}
+
+/**
+ * Compute when the next digest is due after a given time: the next full
+ * hour, or the next occurrence of the configured UTC time.
+ *
+ * @param {{schedule: string, hour: number, minute: number}} config
+ * @param {number} from - time in ms
+ * @returns {number} time in ms
+ */
+export function nextDigestAt(config, from) {
+    const next = new Date(from);
+    if (config.schedule === 'hourly') {
+        next.setUTCMinutes(0, 0, 0);
+        next.setUTCHours(next.getUTCHours() + 1);
+        return next.getTime();
+    }
+    next.setUTCHours(config.hour, config.minute, 0, 0);
+    if (next.getTime() <= from) next.setUTCDate(next.getUTCDate() + 1);
+    return next.getTime();
+}
+
+/**
+ * Get the digest queue of a state object, creating it if missing.
+ * @param {object} state - the database object (mutated in place)
+ * @returns {{queue: object[], since: string|null, next_at: string|null}}
+ */
+export function getDigest(state) {
+    if (!state.digest) {
+        state.digest = { queue: [], since: null, next_at: null };
+    }
+    return state.digest;
+}
+
+/**
+ * Queue new programs for the next digest. Programs already queued are skipped.
+ *
+ * @param {object} state - the database object (mutated in place)
+ * @param {object[]} programs - normalized programs
+ * @param {number} [now] - current time in ms (for testing)
+ * @returns {number} number of programs queued
+ */
+export function queuePrograms(state, programs, now = Date.now()) {
+    const digest = getDigest(state);
+    const queued = new Set(digest.queue.map((p) => String(p.id)));
+    const added = programs.filter((p) => !queued.has(String(p.id)));
+    if (added.length === 0) return 0;
+
+    digest.queue.push(...added);
+    digest.since = digest.since || new Date(now).toISOString();
+    logger.info(`Digest: ${added.length} program(s) queued, ${digest.queue.length} waiting for ${digest.next_at || 'the next digest'}`);
+    return added.length;
+}
+
+/**
+ * Take the queued programs as a digest if one is due, and schedule the next.
+ * The first call only schedules, so a new setup waits for the configured time.
+ *
+ * @param {object} state - the database object (mutated in place)
+ * @param {{schedule: string, hour: number, minute: number}} config
+ * @param {number} [now] - current time in ms (for testing)
+ * @returns {{programs: object[], since: string, until: string}|null} the digest, or null when none is due
+ */
+export function takeDueDigest(state, config, now = Date.now()) {
+    const digest = getDigest(state);
+    if (digest.next_at && now < Date.parse(digest.next_at)) return null;
+
+    const due = digest.next_at !== null;
+    digest.next_at = new Date(nextDigestAt(config, now)).toISOString();
+    if (!due || digest.queue.length === 0) return null;
+
+    const payload = { programs: digest.queue, since: digest.since, until: new Date(now).toISOString() };
+    digest.queue = [];
+    digest.since = null;
+    return payload;
+}
+
+export default { getDigestConfig, isDigestChannel, nextDigestAt, getDigest, queuePrograms, takeDueDigest };
@@ -0,0 +1,208 @@
+// src/filters.js — Per-channel filter rules deciding which programs are alerted where
+// Rules are declared as JSON, e.g.
+//   {
+//     "*":        { "exclude": [{ "handle": "/^test-/i" }] },
+//     "discord":  { "include": [{ "offers_bounties": true }] },
+//     "telegram": { "include": [{ "scope_asset_types": ["WILDCARD"] }] }
+//   }
+// A rule is an object of conditions that must all match. A program is sent
+// to a channel when it matches no `exclude` rule and, if `include` rules are
+// given, at least one of them. Rules under "*" apply to every channel.
+import { readFileSync } from 'node:fs';
+import { inScope } from './scopes.js';
+import { setting } from './config.js';
+
+/** Pseudo field matching the asset types of a program's in-scope assets */
+const SCOPE_FIELD = 'scope_asset_types';
+
+/**
+ * Thrown when the filter rules cannot be read or are malformed.
+ */
+export class FilterConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FilterConfigError';
+    }
+}
+
+/**
+ * Parse a "/pattern/flags" string into a RegExp, or return null for other values.
+ * @param {*} value
+ * @param {string} where - location for error messages
+ * @returns {RegExp|null}
+ */
+function parseRegex(value, where) {
+    if (typeof value !== 'string') return null;
+    const match = value.match(/^\/(.+)\/([a-z]*)$/);
+    if (!match) return null;
+    try {
+        return new RegExp(match[1], match[2]);
+    } catch (error) {
+        throw new FilterConfigError(`Invalid regex ${value} in ${where}: ${error.message}`);
+    }
+}
+
+/**
+ * Compile one condition value into a predicate over the field's value.
+ * Arrays match any of their items; "/…/" strings are regexes; anything
+ * else must be equal.
+ *
+ * @param {*} expected
+ * @param {string} where - location for error messages
+ * @returns {Function} (actual) => boolean
+ */
+function compileCondition(expected, where) {
+    if (Array.isArray(expected)) {
+        const predicates = expected.map((item, i) => compileCondition(item, `${where}[${i}]`));
+        return (actual) => predicates.some((p) => p(actual));
+    }
+    if (expected !== null && typeof expected === 'object') {
+        throw new FilterConfigError(`Unsupported condition value in ${where}: use a scalar, "/regex/" or an array`);
+    }
+    const regex = parseRegex(expected, where);
+    if (regex) {
+        return (actual) => actual !== undefined && actual !== null && regex.test(String(actual));
+    }
+    return (actual) => (actual ?? null) === expected;
+}
+
+/**
+ * Compile a rule object into a predicate over programs.
+ * @param {object} rule
+ * @param {string} where - location for error messages
+ * @returns {{test: Function, description: string}}
+ */
+function compileRule(rule, where) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule) || Object.keys(rule).length === 0) {
+        throw new FilterConfigError(`${where} must be a non-empty object of field conditions`);
+    }
+
+    const conditions = Object.entries(rule).map(([field, expected]) => {
+        const matches = compileCondition(expected, `${where}.${field}`);
+        if (field === SCOPE_FIELD) {
+            // Only evaluable when scopes were fetched; unknown scopes never match
+            return (program) => Array.isArray(program.scopes) &&
+                inScope(program.scopes).some((scope) => matches(scope.asset_type));
+        }
+        return (program) => matches(program[field]);
+    });
+
+    return {
+        test: (program) => conditions.every((condition) => condition(program)),
+        description: JSON.stringify(rule),
+    };
+}
+
+/**
+ * Validate and compile raw filter rules.
+ *
+ * @param {object} raw - rules keyed by channel name ("*" for all channels)
+ * @returns {Object<string, {include: object[]|null, exclude: object[]}>}
+ * @throws {FilterConfigError}
+ */
+export function compileRules(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new FilterConfigError('Filter rules must be an object keyed by channel name');
+    }
+
+    const compiled = {};
+    for (const [channel, config] of Object.entries(raw)) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new FilterConfigError(`Rules for "${channel}" must be an object with "include" and/or "exclude"`);
+        }
+        const unknown = Object.keys(config).filter((key) => key !== 'include' && key !== 'exclude');
+        if (unknown.length > 0) {
+            throw new FilterConfigError(`Unknown key(s) in rules for "${channel}": ${unknown.join(', ')}`);
+        }
+        for (const key of ['include', 'exclude']) {
+            if (config[key] !== undefined && !Array.isArray(config[key])) {
+                throw new FilterConfigError(`"${channel}.${key}" must be an array of rules`);
+            }
+        }
+
+        compiled[channel] = {
+            include: config.include ? config.include.map((r, i) => compileRule(r, `${channel}.include[${i}]`)) : null,
+            exclude: (config.exclude || []).map((r, i) => compileRule(r, `${channel}.exclude[${i}]`)),
+        };
+    }
+    return compiled;
+}
+
+/**
+ * Load filter rules from ALERT_RULES (inline JSON) or the JSON file named
+ * by ALERT_RULES_FILE. No rules means every program goes everywhere.
+ *
+ * @returns {Object<string, object>} compiled rules
+ * @throws {FilterConfigError}
+ */
+export function loadFilterRules() {
+    let source = setting('ALERT_RULES');
+    let origin = 'ALERT_RULES';
+
+    if (!source && setting('ALERT_RULES_FILE')) {
+        origin = setting('ALERT_RULES_FILE');
+        try {
+            source = readFileSync(origin, 'utf-8');
+        } catch (error) {
+            throw new FilterConfigError(`Cannot read filter rules from ${origin}: ${error.message}`);
+        }
+    }
+    if (!source) return {};
+
+    let raw;
+    try {
+        raw = JSON.parse(source);
+    } catch (error) {
+        throw new FilterConfigError(`Invalid JSON in filter rules (${origin}): ${error.message}`);
+    }
+    return compileRules(raw);
+}
+
+/**
+ * Find why a program is excluded from a channel.
+ *
+ * @param {object} program - normalized program
+ * @param {string} channel - channel name
+ * @param {Object<string, object>} rules - compiled rules
+ * @returns {string|null} reason, or null when the program is allowed
+ */
+export function exclusionReason(program, channel, rules) {
+    for (const scope of ['*', channel]) {
+        const set = rules[scope];
+        if (!set) continue;
+
+        const index = set.exclude.findIndex((rule) => rule.test(program));
+        if (index >= 0) {
+            return `${scope}.exclude[${index}] ${set.exclude[index].description}`;
+        }
+        if (set.include && !set.include.some((rule) => rule.test(program))) {
+            return `no ${scope}.include rule matched`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Split items into those allowed on a channel and those excluded by its rules.
+ *
+ * @param {object[]} items - programs or change events
+ * @param {Function} getProgram - item => normalized program
+ * @param {string} channel - channel name
+ * @param {Object<string, object>} rules - compiled rules
+ * @returns {{kept: object[], excluded: {item: object, reason: string}[]}}
+ */
+export function applyFilters(items, getProgram, channel, rules) {
+    const kept = [];
+    const excluded = [];
+    for (const item of items) {
+        const reason = exclusionReason(getProgram(item), channel, rules);
+        if (reason) {
+            excluded.push({ item, reason });
+        } else {
+            kept.push(item);
+        }
+    }
+    return { kept, excluded };
+}
+
+export default { compileRules, loadFilterRules, exclusionReason, applyFilters, FilterConfigError };
@@ -0,0 +1,470 @@
+// src/formatting.js — Text formatting shared by plain-text alert channels
+// Formatters are written against a small set of markup primitives
+// ({escape, bold, code, link}) so the same output works as Telegram HTML,
+// Discord Markdown, or any other text markup a channel provides.
+import { renderTemplate, programContext, summaryContext, TEXT_TEMPLATES } from './templates.js';
+
+/**
+ * Format a single new program as one entry.
+ * @param {object} p - normalized program
+ * @param {object} markup - channel markup primitives
+ * @param {string} [template] - entry template (defaults to the built-in one)
+ * @returns {string}
+ */
+export function formatProgramEntry(p, markup, template = TEXT_TEMPLATES.entry) {
+    return renderTemplate(template, programContext(p), markup);
+}
+
+/**
+ * Format a single scope asset as one line, e.g. "WILDCARD `*.acme.com` 💰".
+ * @param {object} scope
+ * @param {object} markup - channel markup primitives
+ * @returns {string}
+ */
+function formatScopeAsset(scope, markup) {
+    const bounty = scope.eligible_for_bounty ? ' 💰' : '';
+    return `${markup.escape(scope.asset_type)} ${markup.code(scope.asset_identifier)}${bounty}`;
+}
+
+/**
+ * Detail lines for a `scope_changed` event: one line per added, removed
+ * or modified asset.
+ * @param {object} event
+ * @param {object} markup - channel markup primitives
+ * @returns {string[]}
+ */
+function formatScopeChangeDetails(event, markup) {
+    const lines = [];
+    for (const scope of event.added) {
+        lines.push(`  ➕ ${formatScopeAsset(scope, markup)}`);
+    }
+    for (const scope of event.removed) {
+        lines.push(`  ➖ ${formatScopeAsset(scope, markup)}`);
+    }
+    for (const { before, after, fields } of event.modified) {
+        const details = fields.map((f) => `${f} ${before[f] ?? '—'} → ${after[f] ?? '—'}`).join(', ');
+        lines.push(`  ✏️ ${formatScopeAsset(after, markup)}: ${markup.escape(details)}`);
+    }
+    return lines;
+}
+
+/**
+ * Alert format per change event type: a short label shown next to the
+ * program name, and optional detail lines.
+ */
+export const CHANGE_FORMATS = {
+    scope_changed: { label: '🔄 scope changed', details: formatScopeChangeDetails },
+    bounty_enabled: { label: '💰 now offers bounties' },
+    bounty_disabled: { label: '🏅 no longer offers bounties' },
+    submissions_paused: { label: '⏸️ submissions paused' },
+    submissions_reopened: { label: '▶️ submissions reopened' },
+    went_private: { label: '🔒 went private' },
+    went_public: { label: '🌐 is public again' },
+    program_removed: { label: '🗑️ removed from the listing' },
+    relaunched: { label: '🚀 relaunched' },
+};
+
+/**
+ * Format a single change event (e.g. `scope_changed`, `bounty_enabled`) for a channel.
+ * @param {object} event
+ * @param {object} markup - channel markup primitives
+ * @param {{links?: boolean}} [options] - `links: false` leaves out the program URL line
+ * @returns {string}
+ */
+export function formatChangeEntry(event, markup, options = {}) {
+    const p = event.program;
+    const format = CHANGE_FORMATS[event.type] || { label: event.type };
+    const lines = [`• ${markup.bold(p.name)} (${markup.code(p.handle)}) — ${format.label}`];
+
+    if (format.details) {
+        lines.push(...format.details(event, markup));
+    }
+
+    if (options.links !== false) {
+        lines.push(`  → ${markup.link(`https://hackerone.com/${p.handle}`)}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Split formatted entries into messages that fit within a character limit,
+ * keeping track of which entries went into each message.
+ * Uses a single message with `header` when everything fits, otherwise one
+ * message per chunk headed by `partHeader(partNumber)`. A non-empty
+ * `footer` ends every message.
+ *
+ * @param {string[]} entries - formatted entries
+ * @param {string} header - header for the single-message case
+ * @param {Function} partHeader - (partNumber) => header for split messages
+ * @param {number} maxLength - max chars per message
+ * @param {string} [footer] - text appended to every message
+ * @param {number} [maxEntries] - max entries per message
+ * @returns {{text: string, indices: number[]}[]} messages with the indices of their entries
+ */
+export function groupEntries(entries, header, partHeader, maxLength, footer = '', maxEntries = Infinity) {
+    if (entries.length === 0) return [];
+
+    const footerText = footer ? `\n\n${footer}` : '';
+    const build = (head, indices) => ({
+        text: `${head}\n\n${indices.map((i) => entries[i]).join('\n\n')}${footerText}`,
+        indices,
+    });
+    const all = entries.map((_, i) => i);
+
+    // Try single message first
+    const singleMessage = build(header, all);
+
+    if (singleMessage.text.length <= maxLength && entries.length <= maxEntries) {
+        return [singleMessage];
+    }
+
+    // Need to split into multiple messages
+    const chunks = [];
+    let current = [];
+    let currentLength = 0;
+
+    for (const i of all) {
+        const entry = entries[i];
+        const chunkHeader = `${partHeader(chunks.length + 1)}\n\n`;
+        const separatorLength = current.length > 0 ? 2 : 0; // '\n\n'
+        const projectedLength = chunkHeader.length + currentLength + separatorLength + entry.length + footerText.length;
+
+        if ((projectedLength > maxLength || current.length >= maxEntries) && current.length > 0) {
+            // Finalize current chunk
+            chunks.push(build(partHeader(chunks.length + 1), current));
+            current = [];
+            currentLength = 0;
+        }
+
+        current.push(i);
+        currentLength += (current.length > 1 ? 2 : 0) + entry.length;
+    }
+
+    // Finalize last chunk
+    if (current.length > 0) {
+        chunks.push(build(partHeader(chunks.length + 1), current));
+    }
+
+    return chunks;
+}
+
+/**
+ * Split formatted entries into messages that fit within a character limit.
+ * See `groupEntries` for how messages are built.
+ *
+ * @param {string[]} entries - formatted entries
+ * @param {string} header - header for the single-message case
+ * @param {Function} partHeader - (partNumber) => header for split messages
+ * @param {number} maxLength - max chars per message
+ * @param {string} [footer] - text appended to every message
+ * @returns {string[]} array of message strings
+ */
+export function chunkEntries(entries, header, partHeader, maxLength, footer = '') {
+    return groupEntries(entries, header, partHeader, maxLength, footer).map((chunk) => chunk.text);
+}
+
+/**
+ * Split programs into chunked messages that fit within a character limit.
+ * Each chunk gets a header with the part number.
+ *
+ * @param {object[]} programs - all new programs
+ * @param {Function} entryFormatter - formats a single program into a string
+ * @param {string} headerPrefix - bold prefix like "<b>h1-watcher</b>" or "**h1-watcher**"
+ * @param {number} maxLength - max chars per message
+ * @returns {string[]} array of message strings
+ */
+export function chunkMessages(programs, entryFormatter, headerPrefix, maxLength) {
+    if (programs.length === 0) return [];
+
+    const header = `🔔 ${headerPrefix} — ${programs.length} new HackerOne program${programs.length > 1 ? 's' : ''} detected!`;
+    const partHeader = (part) => `🔔 ${headerPrefix} — ${programs.length} new programs (part ${part}):`;
+    return chunkEntries(programs.map(entryFormatter), header, partHeader, maxLength);
+}
+
+/**
+ * Split new programs into messages rendered from templates, each with the
+ * programs it lists.
+ *
+ * @param {object[]} programs - all new programs
+ * @param {object} markup - channel markup primitives
+ * @param {number} maxLength - max chars per message
+ * @param {{header: string, entry: string, footer: string}} [templates]
+ * @param {number} [maxEntries] - max programs per message
+ * @returns {{text: string, items: object[]}[]}
+ */
+export function groupProgramMessages(programs, markup, maxLength, templates = TEXT_TEMPLATES, maxEntries = Infinity) {
+    if (programs.length === 0) return [];
+
+    const render = (template, context) => renderTemplate(template || '', context, markup);
+    const header = render(templates.header, summaryContext(programs.length));
+    const partHeader = (part) => render(templates.header, summaryContext(programs.length, part));
+    const footer = render(templates.footer, summaryContext(programs.length));
+    const entries = programs.map((p) => render(templates.entry, programContext(p)));
+    return groupEntries(entries, header, partHeader, maxLength, footer, maxEntries)
+        .map(({ text, indices }) => ({ text, items: indices.map((i) => programs[i]) }));
+}
+
+/**
+ * Split new programs into chunked messages rendered from templates.
+ *
+ * @param {object[]} programs - all new programs
+ * @param {object} markup - channel markup primitives
+ * @param {number} maxLength - max chars per message
+ * @param {{header: string, entry: string, footer: string}} [templates]
+ * @returns {string[]} array of message strings
+ */
+export function chunkProgramMessages(programs, markup, maxLength, templates = TEXT_TEMPLATES) {
+    return groupProgramMessages(programs, markup, maxLength, templates).map((chunk) => chunk.text);
+}
+
+/**
+ * Split change events into messages, each with the events it lists.
+ *
+ * @param {object[]} events - change events
+ * @param {object} markup - channel markup primitives
+ * @param {number} maxLength - max chars per message
+ * @param {{links?: boolean, maxEntries?: number}} [options] - `links: false` leaves out the program URL lines
+ * @returns {{text: string, items: object[]}[]}
+ */
+export function groupChangeMessages(events, markup, maxLength, options = {}) {
+    const prefix = markup.bold('h1-watcher');
+    const header = `🔄 ${prefix} — ${events.length} program update${events.length > 1 ? 's' : ''}`;
+    const partHeader = (part) => `🔄 ${prefix} — ${events.length} program updates (part ${part}):`;
+    const entries = events.map((e) => formatChangeEntry(e, markup, options));
+    return groupEntries(entries, header, partHeader, maxLength, '', options.maxEntries)
+        .map(({ text, indices }) => ({ text, items: indices.map((i) => events[i]) }));
+}
+
+/**
+ * Split change events into chunked messages that fit within a character limit.
+ *
+ * @param {object[]} events - change events
+ * @param {object} markup - channel markup primitives
+ * @param {number} maxLength - max chars per message
+ * @returns {string[]} array of message strings
+ */
+export function chunkChangeMessages(events, markup, maxLength) {
+    return groupChangeMessages(events, markup, maxLength).map((chunk) => chunk.text);
+}
+
+/** Sections of a digest, in display order */
+const DIGEST_SECTIONS = [
+    { key: 'bounty', title: '💰 Bounty programs', test: (p) => p.offers_bounties },
+    { key: 'vdp', title: '🏅 VDP programs', test: (p) => !p.offers_bounties },
+];
+
+/**
+ * Group the programs of a digest into bounty and VDP sections, leaving out empty ones.
+ * @param {object[]} programs
+ * @returns {{key: string, title: string, programs: object[]}[]}
+ */
+export function digestSections(programs) {
+    return DIGEST_SECTIONS
+        .map(({ key, title, test }) => ({ key, title, programs: programs.filter(test) }))
+        .filter((section) => section.programs.length > 0);
+}
+
+/**
+ * One-line summary of a digest, e.g. "3 new HackerOne programs since 2024-01-15 09:00 UTC".
+ * @param {{programs: object[], since: string}} digest
+ * @returns {string}
+ */
+export function digestSummary(digest) {
+    const count = digest.programs.length;
+    const since = `${digest.since.slice(0, 16).replace('T', ' ')} UTC`;
+    return `${count} new HackerOne program${count > 1 ? 's' : ''} since ${since}`;
+}
+
+/**
+ * Split a digest into messages: a summary header, then the bounty and VDP
+ * sections, each headed by its program count. Programs are rendered with
+ * the channel's entry template; each message comes with the programs it lists.
+ *
+ * @param {{programs: object[], since: string, until: string}} digest
+ * @param {object} markup - channel markup primitives
+ * @param {number} maxLength - max chars per message
+ * @param {{entry: string}} [templates]
+ * @param {number} [maxEntries] - max programs per message
+ * @returns {{text: string, items: object[]}[]}
+ */
+export function groupDigestMessages(digest, markup, maxLength, templates = TEXT_TEMPLATES, maxEntries = Infinity) {
+    const prefix = `📰 ${markup.bold('h1-watcher')} digest`;
+    const header = `${prefix} — ${markup.escape(digestSummary(digest))}`;
+    const partHeader = (part) => `${prefix} — ${digest.programs.length} new programs (part ${part}):`;
+
+    const entries = [];
+    const programs = [];
+    for (const section of digestSections(digest.programs)) {
+        const heading = markup.bold(`${section.title} (${section.programs.length})`);
+        section.programs.forEach((p, i) => {
+            const entry = renderTemplate(templates.entry || TEXT_TEMPLATES.entry, programContext(p), markup);
+            entries.push(i === 0 ? `${heading}\n\n${entry}` : entry);
+            programs.push(p);
+        });
+    }
+    return groupEntries(entries, header, partHeader, maxLength, '', maxEntries)
+        .map(({ text, indices }) => ({ text, items: indices.map((i) => programs[i]) }));
+}
+
+/**
+ * Split a digest into chunked messages. See `groupDigestMessages`.
+ *
+ * @param {{programs: object[], since: string, until: string}} digest
+ * @param {object} markup - channel markup primitives
+ * @param {number} maxLength - max chars per message
+ * @param {{entry: string}} [templates]
+ * @returns {string[]} array of message strings
+ */
+export function chunkDigestMessages(digest, markup, maxLength, templates = TEXT_TEMPLATES) {
+    return groupDigestMessages(digest, markup, maxLength, templates).map((chunk) => chunk.text);
+}
+
+/** Icons for operational notices, by level */
+const NOTICE_ICONS = { info: 'ℹ️', warning: '⚠️', error: '🚨' };
+
+/**
+ * Escape the longest start of a raw string that fits in `budget` chars with
+ * a trailing ellipsis. Cutting before escaping keeps entities and markup whole.
+ *
+ * @param {string} raw - unescaped text
+ * @param {object} markup - channel markup primitives
+ * @param {number} budget - max chars, ellipsis included
+ * @returns {string} escaped text ending with "…", or '' when nothing fits
+ */
+function truncateEscaped(raw, markup, budget) {
+    const chars = Array.from(raw);
+    let low = 0;
+    let high = chars.length;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (markup.escape(chars.slice(0, mid).join('')).length + 1 <= budget) low = mid;
+        else high = mid - 1;
+    }
+    return budget >= 1 ? `${markup.escape(chars.slice(0, low).join('').trimEnd())}…` : '';
+}
+
+/**
+ * Format an operational notice (not tied to a program) for a channel.
+ * Truncated to `maxLength` since notices are never chunked: whole lines are
+ * kept while they fit, and the first one that does not is cut before markup
+ * is applied.
+ *
+ * @param {{level?: string, title: string, lines?: string[]}} notice
+ * @param {object} markup - channel markup primitives
+ * @param {number} maxLength - max chars per message
+ * @returns {string}
+ */
+export function formatNotice(notice, markup, maxLength) {
+    const icon = NOTICE_ICONS[notice.level] || NOTICE_ICONS.info;
+    const prefix = `${icon} ${markup.bold('h1-watcher')} — `;
+    const title = markup.escape(notice.title);
+    if (prefix.length + title.length > maxLength) {
+        return prefix + truncateEscaped(notice.title, markup, maxLength - prefix.length);
+    }
+
+    let text = prefix + title;
+    for (const [i, line] of (notice.lines || []).entries()) {
+        const separator = i === 0 ? '\n\n' : '\n';
+        const escaped = markup.escape(line);
+        if (text.length + separator.length + escaped.length > maxLength) {
+            const room = maxLength - text.length - separator.length;
+            return room >= 1 ? text + separator + truncateEscaped(line, markup, room) : text;
+        }
+        text += separator + escaped;
+    }
+    return text;
+}
+
+/**
+ * Build a channel formatter for a plain-text channel from its markup
+ * primitives. A formatter turns each alert kind into the list of messages
+ * the channel's `send` receives; new programs and digests are rendered
+ * from the channel's resolved templates.
+ *
+ * @param {object} markup - channel markup primitives
+ * @returns {{newPrograms: Function, changes: Function, notice: Function, digest: Function}}
+ */
+export function createTextFormatter(markup) {
+    return {
+        newPrograms: (programs, maxLength, templates) => chunkProgramMessages(programs, markup, maxLength, templates),
+        digest: (digest, maxLength, templates) => chunkDigestMessages(digest, markup, maxLength, templates),
+        changes: (events, maxLength) => chunkChangeMessages(events, markup, maxLength),
+        notice: (notice, maxLength) => [formatNotice(notice, markup, maxLength)],
+    };
+}
+
+/** Change events worth interrupting someone for */
+const HIGH_PRIORITY_CHANGES = new Set(['bounty_enabled', 'submissions_reopened', 'relaunched']);
+
+/** Notice priority by level */
+const NOTICE_PRIORITIES = { error: 'urgent', warning: 'high', info: 'low' };
+
+/**
+ * Decide how urgent an alert is, for channels with notification priorities.
+ * New bounty programs, programs that start paying or reopen, and new
+ * bounty-eligible assets are `high`; everything else is `default`.
+ * Notices map from their level (error → `urgent`, warning → `high`, info → `low`),
+ * and digests, being the non-urgent summary, are always `default`.
+ *
+ * @param {string} kind - `newPrograms`, `changes`, `notice` or `digest`
+ * @param {*} payload - programs, change events, notice or digest
+ * @returns {'urgent'|'high'|'default'|'low'}
+ */
+export function alertPriority(kind, payload) {
+    if (kind === 'notice') {
+        return NOTICE_PRIORITIES[payload.level] || 'low';
+    }
+    if (kind === 'digest') return 'default';
+    if (kind === 'newPrograms') {
+        return payload.some((p) => p.offers_bounties) ? 'high' : 'default';
+    }
+    const important = payload.some((e) =>
+        HIGH_PRIORITY_CHANGES.has(e.type) ||
+        (e.type === 'scope_changed' && e.added.some((scope) => scope.eligible_for_bounty))
+    );
+    return important ? 'high' : 'default';
+}
+
+/**
+ * Short title per alert, for channels that show one above the message.
+ * @param {string} kind - `newPrograms`, `changes`, `notice` or `digest`
+ * @param {*} payload - programs, change events, notice or digest
+ * @returns {string}
+ */
+export function alertTitle(kind, payload) {
+    if (kind === 'notice') return `h1-watcher — ${payload.title}`;
+    if (kind === 'digest') {
+        return `h1-watcher digest — ${payload.programs.length} new HackerOne program${payload.programs.length > 1 ? 's' : ''}`;
+    }
+    if (kind === 'newPrograms') {
+        return `${payload.length} new HackerOne program${payload.length > 1 ? 's' : ''}`;
+    }
+    return `${payload.length} program update${payload.length > 1 ? 's' : ''}`;
+}
+
+/**
+ * Build a formatter for push channels: the text pipeline of
+ * `createTextFormatter`, with each message carrying a title and the
+ * alert's priority for the channel to map to its own scale.
+ *
+ * @param {object} markup - channel markup primitives
+ * @returns {{newPrograms: Function, changes: Function, notice: Function, digest: Function}}
+ */
+export function createPushFormatter(markup) {
+    const text = createTextFormatter(markup);
+    const build = (kind) => (payload, maxLength, templates) => {
+        const title = alertTitle(kind, payload);
+        const priority = alertPriority(kind, payload);
+        return text[kind](payload, maxLength, templates).map((message) => ({ title, text: message, priority }));
+    };
+    return {
+        newPrograms: build('newPrograms'), changes: build('changes'), notice: build('notice'), digest: build('digest'),
+    };
+}
+
+export default {
+    formatProgramEntry, formatChangeEntry, groupEntries, chunkEntries, chunkMessages, groupProgramMessages,
+    chunkProgramMessages, groupChangeMessages, chunkChangeMessages, digestSections, digestSummary, groupDigestMessages,
+    chunkDigestMessages, formatNotice, createTextFormatter, alertPriority, alertTitle,
+    createPushFormatter,
+};
@@ -1,17 +1,31 @@
 // src/h1-client.js — HackerOne API client with Basic Auth and retry/backoff
 import logger from './logger.js';
+import { setting } from './config.js';
 
 const H1_API_BASE = 'https://api.hackerone.com/v1';
 const MAX_RETRIES = 3;
 const BASE_DELAY_MS = 1000;
 
+/** HackerOne API requests made since the last `takeRequestStats()`, for run statistics */
+let requestStats = { pages: 0, retries: 0 };
+
+/**
+ * Return the request counters and reset them, so each run counts its own.
+ * @returns {{pages: number, retries: number}} API pages fetched and HTTP retries
+ */
+export function takeRequestStats() {
+    const stats = requestStats;
+    requestStats = { pages: 0, retries: 0 };
+    return stats;
+}
+
 /**
  * Validate that required credentials are present in environment.
  * Fails fast with a clear error if missing.
  */
 export function validateCredentials() {
-    const username = process.env.H1_API_USERNAME;
-    const token = process.env.H1_API_TOKEN;
+    const username = setting('H1_API_USERNAME');
+    const token = setting('H1_API_TOKEN');
 
     if (!username || !token) {
         const missing = [];
@@ -54,9 +68,12 @@ function sleep(ms) {
  * @param {object} options - fetch options
  * @param {number} attempt - current attempt number (internal)
  * @param {Function} [fetchFn] - fetch implementation (defaults to global fetch)
+ * @param {object} [context]
+ * @param {string} [context.label] - what is being called, for error messages (default "HackerOne API")
+ * @param {Function} [context.onRetry] - called before each retry, e.g. to count it
  * @returns {Promise<Response>}
  */
-export async function fetchWithRetry(url, options, attempt = 1, fetchFn = fetch) {
+export async function fetchWithRetry(url, options, attempt = 1, fetchFn = fetch, context = {}) {
     try {
         const response = await fetchFn(url, options);
 
@@ -66,12 +83,15 @@ export async function fetchWithRetry(url, options, attempt = 1, fetchFn = fetch)
             logger.warn(
                 `HTTP ${response.status} from ${url}, retrying in ${delay}ms (attempt ${attempt}/${MAX_RETRIES})`
             );
+            context.onRetry?.();
             await sleep(delay);
-            return fetchWithRetry(url, options, attempt + 1, fetchFn);
+            return fetchWithRetry(url, options, attempt + 1, fetchFn, context);
         }
 
         if (!response.ok) {
-            throw new Error(`HackerOne API error: HTTP ${response.status} ${response.statusText}`);
+            const error = new Error(`${context.label || 'HackerOne API'} error: HTTP ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
         }
 
         return response;
@@ -82,8 +102,9 @@ export async function fetchWithRetry(url, options, attempt = 1, fetchFn = fetch)
             logger.warn(
                 `Network error fetching ${url}: ${error.message}, retrying in ${delay}ms (attempt ${attempt}/${MAX_RETRIES})`
             );
+            context.onRetry?.();
             await sleep(delay);
-            return fetchWithRetry(url, options, attempt + 1, fetchFn);
+            return fetchWithRetry(url, options, attempt + 1, fetchFn, context);
         }
         throw error;
     }
@@ -108,48 +129,124 @@ export function normalizeProgram(programData) {
 }
 
 /**
- * Fetch all public programs from HackerOne API.
- * Handles pagination automatically.
- *
- * @param {object} [deps] - injectable dependencies for testing
- * @param {Function} [deps.fetchFn] - fetch implementation (defaults to global fetch)
- * @returns {Promise<object[]>} Array of normalized program objects
+ * Check whether a normalized program is publicly listed.
+ * @param {object} program
+ * @returns {boolean}
  */
-export async function fetchPublicPrograms(deps = {}) {
-    const fetchFn = deps.fetchFn || fetch;
-    const { username, token } = validateCredentials();
-    const authHeader = buildAuthHeader(username, token);
+export function isPublic(program) {
+    return program.state === 'public_mode';
+}
 
-    const headers = {
+/**
+ * Normalize a structured scope (asset) object from the HackerOne JSON:API response.
+ * @param {object} scopeData - A single item from `data[]`
+ * @returns {object}
+ */
+export function normalizeScope(scopeData) {
+    const { attributes } = scopeData;
+    return {
+        asset_type: attributes.asset_type,
+        asset_identifier: attributes.asset_identifier,
+        eligible_for_bounty: attributes.eligible_for_bounty ?? false,
+        eligible_for_submission: attributes.eligible_for_submission ?? true,
+        max_severity: attributes.max_severity || null,
+        instruction: attributes.instruction || null,
+    };
+}
+
+/**
+ * Build request headers for the HackerOne API from validated credentials.
+ * @returns {object}
+ */
+function buildHeaders() {
+    const { username, token } = validateCredentials();
+    return {
         Accept: 'application/json',
-        Authorization: authHeader,
+        Authorization: buildAuthHeader(username, token),
     };
+}
 
-    const allPrograms = [];
-    let url = `${H1_API_BASE}/hackers/programs`;
+/**
+ * Fetch every page of a JSON:API collection, following `links.next`.
+ *
+ * @param {string} url - first page URL
+ * @param {object} headers - request headers
+ * @param {Function} fetchFn - fetch implementation
+ * @returns {Promise<object[]>} concatenated `data[]` items from all pages
+ */
+async function fetchAllPages(url, headers, fetchFn) {
+    const items = [];
 
     while (url) {
-        logger.info(`Fetching programs from: ${url.replace(/api\.hackerone\.com.*/, 'api.hackerone.com/...')}`);
+        logger.info(`Fetching from: ${url.replace(/api\.hackerone\.com.*/, 'api.hackerone.com/...')}`);
 
-        const response = await fetchWithRetry(url, { headers, method: 'GET' }, 1, fetchFn);
+        const response = await fetchWithRetry(url, { headers, method: 'GET' }, 1, fetchFn, {
+            onRetry: () => requestStats.retries++,
+        });
         const body = await response.json();
+        requestStats.pages++;
 
         if (body.data && Array.isArray(body.data)) {
-            for (const item of body.data) {
-                const program = normalizeProgram(item);
-                // Filter: only public programs
-                if (program.state === 'public_mode') {
-                    allPrograms.push(program);
-                }
-            }
+            items.push(...body.data);
         }
 
         // Pagination: follow links.next if present
         url = body.links?.next || null;
     }
 
+    return items;
+}
+
+/**
+ * Fetch every program visible to the API user, whatever its state
+ * (public, or private programs the user is invited to).
+ * Handles pagination automatically.
+ *
+ * @param {object} [deps] - injectable dependencies for testing
+ * @param {Function} [deps.fetchFn] - fetch implementation (defaults to global fetch)
+ * @returns {Promise<object[]>} Array of normalized program objects
+ */
+export async function fetchPrograms(deps = {}) {
+    const fetchFn = deps.fetchFn || fetch;
+    const headers = buildHeaders();
+
+    const items = await fetchAllPages(`${H1_API_BASE}/hackers/programs`, headers, fetchFn);
+    return items.map(normalizeProgram);
+}
+
+/**
+ * Fetch all public programs from HackerOne API.
+ * Handles pagination automatically.
+ *
+ * @param {object} [deps] - injectable dependencies for testing
+ * @param {Function} [deps.fetchFn] - fetch implementation (defaults to global fetch)
+ * @returns {Promise<object[]>} Array of normalized program objects
+ */
+export async function fetchPublicPrograms(deps = {}) {
+    // Filter: only public programs
+    const allPrograms = (await fetchPrograms(deps)).filter(isPublic);
+
     logger.info(`Fetched ${allPrograms.length} public programs total`);
     return allPrograms;
 }
 
-export default { fetchPublicPrograms, validateCredentials };
+/**
+ * Fetch the structured scopes (assets) of a single program.
+ * Handles pagination automatically.
+ *
+ * @param {string} handle - program handle
+ * @param {object} [deps] - injectable dependencies for testing
+ * @param {Function} [deps.fetchFn] - fetch implementation (defaults to global fetch)
+ * @returns {Promise<object[]>} Array of normalized scope objects
+ */
+export async function fetchStructuredScopes(handle, deps = {}) {
+    const fetchFn = deps.fetchFn || fetch;
+    const headers = buildHeaders();
+
+    const url = `${H1_API_BASE}/hackers/programs/${encodeURIComponent(handle)}/structured_scopes?page%5Bsize%5D=100`;
+    const items = await fetchAllPages(url, headers, fetchFn);
+
+    return items.map(normalizeScope);
+}
+
+export default { fetchPrograms, fetchPublicPrograms, fetchStructuredScopes, validateCredentials, isPublic, takeRequestStats };
@@ -0,0 +1,162 @@
+// src/health.js — Run health: failure escalation and heartbeat pings
+// Consecutive failed runs are counted in the state file. Once FAILURE_ALERT_THRESHOLD
+// runs in a row have failed, an "h1-watcher is failing" notice goes to every channel,
+// and a recovery notice follows the next successful run. HEARTBEAT_URL is pinged
+// after every successful run, so an external monitor notices when runs stop entirely.
+import logger, { maskSecrets } from './logger.js';
+import { setting } from './config.js';
+import db from './db.js';
+import { notifyNotice } from './alerter.js';
+
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const MAX_ERROR_LENGTH = 300;
+const HEARTBEAT_TIMEOUT_MS = 10_000;
+
+/**
+ * Read the health settings from environment variables.
+ * @returns {{failureThreshold: number, heartbeatUrl: string|null}}
+ */
+export function getHealthConfig() {
+    const failureThreshold = parseInt(setting('FAILURE_ALERT_THRESHOLD'), 10);
+    return {
+        failureThreshold: failureThreshold > 0 ? failureThreshold : DEFAULT_FAILURE_THRESHOLD,
+        heartbeatUrl: setting('HEARTBEAT_URL') || null,
+    };
+}
+
+/**
+ * Get the health record of a state object, creating it if missing.
+ * @param {object} state - the database object (mutated in place)
+ * @returns {{consecutive_failures: number, failing_since: string|null, last_error: string|null, alerted_at: string|null}}
+ */
+export function getHealth(state) {
+    if (!state.health) {
+        state.health = { consecutive_failures: 0, failing_since: null, last_error: null, alerted_at: null };
+    }
+    return state.health;
+}
+
+/**
+ * Reduce an error to a one-line summary that is safe to send to a channel:
+ * secrets masked, URL credentials and query values removed, length capped.
+ * @param {Error|string} error
+ * @returns {string}
+ */
+export function sanitizeError(error) {
+    const name = error?.name && error.name !== 'Error' ? `${error.name}: ` : '';
+    const message = `${name}${String(error?.message ?? error).split('\n')[0]}`
+        .replace(/\/\/[^/@\s]+@/g, '//')
+        .replace(/([?&][^=&\s]+=)[^&\s]+/g, '$1…');
+    const masked = maskSecrets(message).trim();
+    return masked.length <= MAX_ERROR_LENGTH ? masked : `${masked.slice(0, MAX_ERROR_LENGTH - 1)}…`;
+}
+
+/**
+ * Record a failed run in the state file, and alert every channel once the
+ * failure threshold is reached. The alert is sent directly rather than
+ * through the outbox, since the run that would flush the outbox is failing;
+ * if no channel takes it, it is tried again on the next failure.
+ * Never throws: the run's own error is what the caller reports.
+ *
+ * @param {Error} error - the error the run failed with
+ * @param {object} [deps] - injectable dependencies
+ * @param {string} [deps.dbPath] - state file
+ * @param {Function} [deps.notifyNoticeFn] - override notifyNotice
+ * @param {object} [deps.config] - override the health settings
+ * @param {Function} [deps.record] - (state) => Promise, more to record about the failed run before saving
+ * @param {number} [deps.now] - current time in ms (for testing)
+ * @returns {Promise<object|null>} the updated health record, or null when it could not be saved
+ */
+export async function recordFailure(error, deps = {}) {
+    const notifyNoticeFn = deps.notifyNoticeFn || notifyNotice;
+    const config = deps.config || getHealthConfig();
+    const now = new Date(deps.now ?? Date.now()).toISOString();
+
+    try {
+        // The failed run's state is discarded: only the failure itself is recorded
+        const state = await db.load(deps.dbPath);
+        const health = getHealth(state);
+        health.consecutive_failures++;
+        health.failing_since = health.failing_since || now;
+        health.last_error = sanitizeError(error);
+        logger.warn(`Run failed ${health.consecutive_failures} time(s) in a row (alert after ${config.failureThreshold})`);
+
+        if (health.consecutive_failures >= config.failureThreshold && !health.alerted_at) {
+            const result = await notifyNoticeFn({
+                level: 'error',
+                title: 'h1-watcher is failing',
+                lines: [
+                    `${health.consecutive_failures} runs in a row have failed, since ${health.failing_since}.`,
+                    `Last error: ${health.last_error}`,
+                    'No new programs are being detected. A recovery notice follows once a run succeeds.',
+                ],
+            });
+            if (Object.values(result).includes(true)) {
+                health.alerted_at = now;
+            } else {
+                logger.warn('The failure alert reached no channel, trying again after the next failure');
+            }
+        }
+
+        if (deps.record) await deps.record(state);
+        await db.save(state, deps.dbPath);
+        return health;
+    } catch (recordError) {
+        logger.warn(`Could not record the failed run: ${recordError.message}`);
+        return null;
+    }
+}
+
+/**
+ * Reset the failure count after a successful run.
+ * @param {object} state - the database object (mutated in place)
+ * @returns {{level: string, title: string, lines: string[]}|null} a recovery notice to
+ *   send when a failure alert went out, otherwise null
+ */
+export function recordSuccess(state) {
+    if (!state.health?.consecutive_failures) return null;
+
+    const { consecutive_failures: failures, failing_since: since, last_error: lastError, alerted_at: alertedAt } = state.health;
+    logger.info(`Run succeeded after ${failures} failed run(s)`);
+    state.health = { consecutive_failures: 0, failing_since: null, last_error: null, alerted_at: null };
+    if (!alertedAt) return null;
+
+    return {
+        level: 'info',
+        title: 'h1-watcher recovered',
+        lines: [
+            `Runs are succeeding again after ${failures} failure(s) in a row since ${since}.`,
+            `Last error: ${lastError}`,
+        ],
+    };
+}
+
+/**
+ * Ping the heartbeat URL (e.g. a healthchecks.io or Uptime Kuma push check)
+ * after a successful run. A failed ping is logged but never fails the run.
+ *
+ * @param {object} [deps] - injectable dependencies
+ * @param {string|null} [deps.url] - override HEARTBEAT_URL
+ * @param {Function} [deps.fetchFn] - fetch implementation
+ * @returns {Promise<boolean|null>} true if pinged, false on error, null when not configured
+ */
+export async function pingHeartbeat(deps = {}) {
+    const url = deps.url !== undefined ? deps.url : getHealthConfig().heartbeatUrl;
+    if (!url) return null;
+    const fetchFn = deps.fetchFn || fetch;
+
+    try {
+        const response = await fetchFn(url, { method: 'GET', signal: AbortSignal.timeout(HEARTBEAT_TIMEOUT_MS) });
+        if (!response.ok) {
+            logger.warn(`Heartbeat ping failed: HTTP ${response.status}`);
+            return false;
+        }
+        logger.info('Heartbeat ping sent');
+        return true;
+    } catch (error) {
+        logger.warn(`Heartbeat ping failed: ${error.message}`);
+        return false;
+    }
+}
+
+export default { getHealthConfig, getHealth, sanitizeError, recordFailure, recordSuccess, pingHeartbeat };
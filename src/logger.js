@@ -1,32 +1,13 @@
 // src/logger.js — Structured logger with secret masking
-// Ensures no secret values ever appear in logs
+// Ensures no secret values ever appear in logs. Which settings are secret is
+// declared in the config schema (src/config.js).
+import { setting, secretValues } from './config.js';
 
 const LOG_LEVELS = { error: 0, warn: 1, info: 2 };
-const currentLevel = LOG_LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LOG_LEVELS.info;
 
-/**
- * List of env var names that hold secret values.
- * Their values will be masked if they accidentally appear in log output.
- */
-const SECRET_ENV_KEYS = [
-  'H1_API_USERNAME',
-  'H1_API_TOKEN',
-  'TELEGRAM_BOT_TOKEN',
-  'TELEGRAM_CHAT_ID',
-  'DISCORD_WEBHOOK_URL',
-  'GH_PUSH_TOKEN',
-];
-
-/** Build a list of secret values to scrub from log messages */
-function getSecretValues() {
-  const secrets = [];
-  for (const key of SECRET_ENV_KEYS) {
-    const val = process.env[key];
-    if (val && val.length > 0) {
-      secrets.push(val);
-    }
-  }
-  return secrets;
+/** Current log level, read on each call so a loaded config file applies */
+function currentLevel() {
+  return LOG_LEVELS[setting('LOG_LEVEL')?.toLowerCase()] ?? LOG_LEVELS.info;
 }
 
 /**
@@ -38,7 +19,7 @@ let masksEmitted = false;
 export function emitGitHubMasks() {
   if (masksEmitted) return;
   if (process.env.GITHUB_ACTIONS === 'true') {
-    for (const val of getSecretValues()) {
+    for (const val of secretValues()) {
       // This tells GitHub Actions to redact this value from all logs
       process.stdout.write(`::add-mask::${val}\n`);
     }
@@ -46,9 +27,14 @@ export function emitGitHubMasks() {
   masksEmitted = true;
 }
 
-function maskSecrets(message) {
+/**
+ * Replace every secret value in a message with a placeholder.
+ * @param {string} message
+ * @returns {string}
+ */
+export function maskSecrets(message) {
   let masked = String(message);
-  for (const secret of getSecretValues()) {
+  for (const secret of secretValues()) {
     masked = masked.replaceAll(secret, '***REDACTED***');
   }
   return masked;
@@ -67,17 +53,17 @@ function formatMessage(level, message, data) {
 
 export const logger = {
   error(message, data) {
-    if (currentLevel >= LOG_LEVELS.error) {
+    if (currentLevel() >= LOG_LEVELS.error) {
       console.error(formatMessage('error', message, data));
     }
   },
   warn(message, data) {
-    if (currentLevel >= LOG_LEVELS.warn) {
+    if (currentLevel() >= LOG_LEVELS.warn) {
       console.warn(formatMessage('warn', message, data));
     }
   },
   info(message, data) {
-    if (currentLevel >= LOG_LEVELS.info) {
+    if (currentLevel() >= LOG_LEVELS.info) {
       console.log(formatMessage('info', message, data));
     }
   },
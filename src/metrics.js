@@ -0,0 +1,254 @@
+// src/metrics.js — Per-run statistics and Prometheus metrics
+// Every run is recorded under `stats` in the state file, with running totals
+// kept next to the run history so counters keep growing across runs even though
+// each GitHub Actions run is a new process. The totals are exported in the
+// Prometheus text format: to METRICS_FILE after each run (for the node-exporter
+// textfile collector), and over HTTP on METRICS_PORT in daemon mode.
+import { createServer } from 'node:http';
+import { writeFile, rename, mkdir, rm } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import logger from './logger.js';
+import { setting } from './config.js';
+
+const MAX_RUN_HISTORY = 50;
+const DEFAULT_METRICS_HOST = '127.0.0.1';
+/** Upper bounds of the run duration histogram buckets, in seconds */
+export const DURATION_BUCKETS = [5, 15, 30, 60, 120, 300, 600];
+
+/** Latest rendered metrics, served by the HTTP endpoint */
+let published = null;
+
+/**
+ * Read the metrics settings from environment variables.
+ * @returns {{file: string|null, port: number|null, host: string}}
+ */
+export function getMetricsConfig() {
+    const port = parseInt(setting('METRICS_PORT'), 10);
+    return {
+        file: setting('METRICS_FILE') || null,
+        port: port > 0 ? port : null,
+        host: setting('METRICS_HOST') || DEFAULT_METRICS_HOST,
+    };
+}
+
+/**
+ * Start collecting the statistics of a run. The watcher fills in the
+ * program counts and alert results as the run goes.
+ * @param {string} runId
+ * @param {number} [now] - current time in ms (for testing)
+ * @returns {{run_id: string, started_at: string, programs_fetched: number, new_programs: number,
+ *   alerts: Object<string, {sent: number, failed: number}>}}
+ */
+export function startRunStats(runId, now = Date.now()) {
+    return { run_id: runId, started_at: new Date(now).toISOString(), programs_fetched: 0, new_programs: 0, alerts: {} };
+}
+
+/**
+ * Get the statistics of a state object, creating them if missing.
+ * @param {object} state - the database object (mutated in place)
+ * @returns {{runs: object[], totals: object}}
+ */
+export function getStats(state) {
+    if (!state.stats) {
+        state.stats = {
+            runs: [],
+            totals: {
+                runs: { success: 0, failure: 0 },
+                pages_fetched: 0,
+                http_retries: 0,
+                new_programs: 0,
+                alerts: {},
+                duration_seconds: { buckets: {}, sum: 0, count: 0 },
+                last_run_at: null,
+                last_success_at: null,
+            },
+        };
+    }
+    return state.stats;
+}
+
+/**
+ * Finish a run's statistics and record them: appended to the run history
+ * (last 50 kept) and added to the totals.
+ *
+ * @param {object} state - the database object (mutated in place)
+ * @param {object} run - statistics from `startRunStats`
+ * @param {'success'|'failure'} outcome
+ * @param {{pages: number, retries: number}} requests - HackerOne API pages fetched and requests retried during the run
+ * @param {number} [now] - current time in ms (for testing)
+ * @returns {object} the run record
+ */
+export function recordRun(state, run, outcome, requests, now = Date.now()) {
+    const record = {
+        ...run,
+        outcome,
+        duration_ms: Math.max(0, now - Date.parse(run.started_at)),
+        pages_fetched: requests.pages,
+        http_retries: requests.retries,
+    };
+    const stats = getStats(state);
+    stats.runs = [...stats.runs, record].slice(-MAX_RUN_HISTORY);
+
+    const totals = stats.totals;
+    totals.runs[outcome] = (totals.runs[outcome] || 0) + 1;
+    totals.pages_fetched += record.pages_fetched;
+    totals.http_retries += record.http_retries;
+    totals.new_programs += record.new_programs;
+    for (const [channel, counts] of Object.entries(record.alerts)) {
+        const total = totals.alerts[channel] || { sent: 0, failed: 0 };
+        totals.alerts[channel] = total;
+        total.sent += counts.sent;
+        total.failed += counts.failed;
+    }
+
+    const seconds = record.duration_ms / 1000;
+    const duration = totals.duration_seconds;
+    for (const le of DURATION_BUCKETS) {
+        if (seconds <= le) duration.buckets[le] = (duration.buckets[le] || 0) + 1;
+    }
+    duration.sum += seconds;
+    duration.count++;
+
+    totals.last_run_at = new Date(now).toISOString();
+    if (outcome === 'success') totals.last_success_at = totals.last_run_at;
+    return record;
+}
+
+/**
+ * Format Prometheus labels, e.g. `{channel="telegram",outcome="sent"}`.
+ * @param {Object<string, string>} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) =>
+        `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+    );
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Convert an ISO timestamp to Unix seconds.
+ * @param {string} iso
+ * @returns {number}
+ */
+function toSeconds(iso) {
+    return Date.parse(iso) / 1000;
+}
+
+/**
+ * Render the metrics of a state object in the Prometheus text exposition format.
+ * @param {object} state - the database object
+ * @returns {string}
+ */
+export function renderMetrics(state) {
+    const { runs, totals } = getStats({ stats: state.stats });
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const [labels, value] of samples) {
+            lines.push(`${name}${formatLabels(labels)} ${value}`);
+        }
+    };
+
+    metric('h1_watcher_runs_total', 'counter', 'Watcher runs, by outcome.', [
+        [{ outcome: 'success' }, totals.runs.success || 0],
+        [{ outcome: 'failure' }, totals.runs.failure || 0],
+    ]);
+
+    const duration = totals.duration_seconds;
+    metric('h1_watcher_run_duration_seconds', 'histogram', 'Duration of watcher runs.', []);
+    for (const le of DURATION_BUCKETS) {
+        lines.push(`h1_watcher_run_duration_seconds_bucket{le="${le}"} ${duration.buckets[le] || 0}`);
+    }
+    lines.push(
+        `h1_watcher_run_duration_seconds_bucket{le="+Inf"} ${duration.count}`,
+        `h1_watcher_run_duration_seconds_sum ${duration.sum}`,
+        `h1_watcher_run_duration_seconds_count ${duration.count}`
+    );
+
+    metric('h1_watcher_api_pages_fetched_total', 'counter', 'HackerOne API pages fetched.', [[{}, totals.pages_fetched]]);
+    metric('h1_watcher_http_retries_total', 'counter', 'HackerOne API requests retried after a rate limit, server or network error.',
+        [[{}, totals.http_retries]]);
+    metric('h1_watcher_new_programs_total', 'counter', 'New programs detected.', [[{}, totals.new_programs]]);
+    metric('h1_watcher_alerts_total', 'counter', 'Alert deliveries, by channel and outcome.',
+        Object.entries(totals.alerts).flatMap(([channel, counts]) => [
+            [{ channel, outcome: 'sent' }, counts.sent],
+            [{ channel, outcome: 'failed' }, counts.failed],
+        ]));
+
+    const last = runs[runs.length - 1];
+    if (last) {
+        metric('h1_watcher_last_run_programs_fetched', 'gauge', 'Programs listed by the API in the last run.',
+            [[{}, last.programs_fetched]]);
+        metric('h1_watcher_last_run_duration_seconds', 'gauge', 'Duration of the last run.', [[{}, last.duration_ms / 1000]]);
+    }
+    if (totals.last_run_at) {
+        metric('h1_watcher_last_run_timestamp_seconds', 'gauge', 'Time the last run finished.',
+            [[{}, toSeconds(totals.last_run_at)]]);
+    }
+    if (totals.last_success_at) {
+        metric('h1_watcher_last_success_timestamp_seconds', 'gauge', 'Time the last successful run finished.',
+            [[{}, toSeconds(totals.last_success_at)]]);
+    }
+    metric('h1_watcher_consecutive_failures', 'gauge', 'Failed runs in a row.',
+        [[{}, state.health?.consecutive_failures || 0]]);
+    metric('h1_watcher_programs_tracked', 'gauge', 'Programs tracked in the state file, removed ones excluded.',
+        [[{}, Object.values(state.programs || {}).filter((record) => !record.removed_at).length]]);
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render the metrics of a state object for the HTTP endpoint, and write them
+ * to the metrics file if one is configured (atomically, since the textfile
+ * collector may read it at any time). A failed write is logged, not thrown.
+ *
+ * @param {object} state - the database object
+ * @param {{file: string|null}} [config] - override the metrics settings
+ * @returns {Promise<string>} the rendered metrics
+ */
+export async function publishMetrics(state, config = getMetricsConfig()) {
+    const text = renderMetrics(state);
+    published = text;
+    if (config.file) {
+        const tmpPath = `${config.file}.${process.pid}.tmp`;
+        try {
+            await mkdir(dirname(config.file), { recursive: true });
+            await writeFile(tmpPath, text, 'utf-8');
+            await rename(tmpPath, config.file);
+        } catch (error) {
+            logger.warn(`Could not write metrics to ${config.file}: ${error.message}`);
+            await rm(tmpPath, { force: true });
+        }
+    }
+    return text;
+}
+
+/**
+ * Serve the latest published metrics on `GET /metrics`.
+ * @param {{port: number, host: string}} config - port 0 picks a free port
+ * @returns {Promise<import('node:http').Server>} the listening server
+ */
+export function startMetricsServer(config) {
+    const server = createServer((request, response) => {
+        if (request.method !== 'GET' || request.url.split('?')[0] !== '/metrics') {
+            response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Not found\n');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        response.end(published ?? renderMetrics({}));
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(config.port, config.host, () => {
+            logger.info(`Metrics served on http://${config.host}:${server.address().port}/metrics`);
+            resolve(server);
+        });
+    });
+}
+
+export default {
+    DURATION_BUCKETS, getMetricsConfig, startRunStats, getStats, recordRun, renderMetrics, publishMetrics, startMetricsServer,
+};
@@ -0,0 +1,221 @@
+// src/outbox.js — Persistent alert outbox with per-channel retry and dead-lettering
+// Notifications are queued in the state file and only marked delivered once a
+// channel confirms them, so a channel outage delays alerts instead of losing them.
+import { randomUUID } from 'node:crypto';
+import logger from './logger.js';
+import { setting } from './config.js';
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MINUTES = 15;
+const MAX_DEAD_LETTERS = 100;
+
+/**
+ * Read the retry policy from environment variables.
+ * @returns {{maxAttempts: number, baseDelayMs: number}}
+ */
+export function getRetryPolicy() {
+    const maxAttempts = parseInt(setting('OUTBOX_MAX_ATTEMPTS'), 10);
+    const baseMinutes = parseFloat(setting('OUTBOX_RETRY_BASE_MINUTES'));
+    return {
+        maxAttempts: maxAttempts > 0 ? maxAttempts : DEFAULT_MAX_ATTEMPTS,
+        baseDelayMs: (baseMinutes >= 0 ? baseMinutes : DEFAULT_RETRY_BASE_MINUTES) * 60 * 1000,
+    };
+}
+
+/**
+ * Get the outbox of a state object, creating it if missing.
+ * @param {object} state - the database object (mutated in place)
+ * @returns {{pending: object[], dead_letter: object[]}}
+ */
+export function getOutbox(state) {
+    if (!state.outbox) {
+        state.outbox = { pending: [], dead_letter: [] };
+    }
+    return state.outbox;
+}
+
+/**
+ * Queue a notification for delivery.
+ * `channels` stays null until the first attempt, which targets every
+ * configured channel.
+ *
+ * @param {object} state - the database object (mutated in place)
+ * @param {string} kind - `new_programs`, `changes`, `notice` or `digest`
+ * @param {*} payload - argument passed to the sender of that kind
+ * @returns {object} the queued entry
+ */
+export function enqueue(state, kind, payload) {
+    const entry = {
+        id: randomUUID(),
+        kind,
+        payload,
+        created_at: new Date().toISOString(),
+        channels: null,
+    };
+    getOutbox(state).pending.push(entry);
+    return entry;
+}
+
+/**
+ * Move a failed channel of an entry to the dead-letter list.
+ * @param {object} outbox
+ * @param {object} entry
+ * @param {string} channel
+ * @param {object} status - the channel's delivery status
+ */
+function deadLetter(outbox, entry, channel, status) {
+    outbox.dead_letter.push({
+        id: entry.id,
+        kind: entry.kind,
+        payload: entry.payload,
+        channel,
+        attempts: status.attempts,
+        last_error: status.last_error,
+        created_at: entry.created_at,
+        dead_at: new Date().toISOString(),
+    });
+    if (outbox.dead_letter.length > MAX_DEAD_LETTERS) {
+        outbox.dead_letter.splice(0, outbox.dead_letter.length - MAX_DEAD_LETTERS);
+    }
+}
+
+/**
+ * Attempt delivery of every pending entry on its due channels.
+ * Delivered channels are marked done; failed ones are retried with
+ * exponential backoff on later runs and dead-lettered after
+ * `maxAttempts`. Entries leave the queue once no channel is pending.
+ * Parts of a failed channel that did go out (chunks, destinations) are
+ * kept in `delivered_parts` and skipped by the retry.
+ *
+ * @param {object} state - the database object (mutated in place)
+ * @param {object} senders - per kind, (payload, {channels, delivered, onDelivered}) => Promise<object> per-channel results
+ * @param {{maxAttempts: number, baseDelayMs: number}} [policy]
+ * @param {number} [now] - current time in ms (for testing)
+ * @returns {Promise<{delivered: number, failed: number, deadLettered: number, pending: number,
+ *   channels: Object<string, {sent: number, failed: number}>}>} counts, also per channel
+ */
+export async function flush(state, senders, policy = getRetryPolicy(), now = Date.now()) {
+    const outbox = getOutbox(state);
+    const stats = { delivered: 0, failed: 0, deadLettered: 0, pending: 0, channels: {} };
+    const remaining = [];
+
+    for (const entry of outbox.pending) {
+        const send = senders[entry.kind];
+        if (!send) {
+            logger.warn(`Outbox: no sender for "${entry.kind}", dropping entry ${entry.id}`);
+            continue;
+        }
+
+        const firstAttempt = entry.channels === null;
+        const due = firstAttempt
+            ? undefined
+            : Object.entries(entry.channels)
+                .filter(([, status]) => !status.delivered && Date.parse(status.next_attempt_at) <= now)
+                .map(([name]) => name);
+
+        if (due && due.length === 0) {
+            remaining.push(entry);
+            continue;
+        }
+
+        // Parts (chunks, destinations) delivered so far, so a retry skips them
+        const parts = {};
+        const options = {
+            delivered: Object.fromEntries(
+                Object.entries(entry.channels || {}).map(([name, status]) => [name, status.delivered_parts || []])
+            ),
+            onDelivered: (name, key) => {
+                parts[name] = [...(parts[name] || []), key];
+            },
+        };
+        if (due) options.channels = due;
+
+        let result;
+        let error = null;
+        try {
+            result = (await send(entry.payload, options)) || {};
+        } catch (err) {
+            error = err.message;
+            if (firstAttempt) {
+                // Target channels are unknown until a first attempt completes
+                entry.attempts = (entry.attempts || 0) + 1;
+                stats.failed++;
+                if (entry.attempts >= policy.maxAttempts) {
+                    logger.error(`Outbox: ${entry.kind} ${entry.id} failed ${entry.attempts} times, dead-lettered`);
+                    deadLetter(outbox, entry, '*', { attempts: entry.attempts, last_error: error });
+                    stats.deadLettered++;
+                } else {
+                    logger.warn(`Outbox: ${entry.kind} ${entry.id} failed (${error}), retrying next run`);
+                    remaining.push(entry);
+                }
+                continue;
+            }
+            result = Object.fromEntries(due.map((name) => [name, false]));
+        }
+
+        if (firstAttempt) {
+            entry.channels = {};
+            if (Object.keys(result).length === 0) {
+                logger.info(`Outbox: no channel reported a result for ${entry.kind} ${entry.id}, dropping it`);
+            }
+        }
+
+        for (const [name, ok] of Object.entries(result)) {
+            if (ok === null || ok === undefined) {
+                // Channel not configured (any more): nothing to deliver there
+                delete entry.channels[name];
+                continue;
+            }
+
+            const status = entry.channels[name] || { attempts: 0, delivered: false };
+            entry.channels[name] = status;
+            status.attempts++;
+            const counts = stats.channels[name] || { sent: 0, failed: 0 };
+            stats.channels[name] = counts;
+
+            if (ok) {
+                status.delivered = true;
+                status.delivered_at = new Date(now).toISOString();
+                delete status.next_attempt_at;
+                delete status.delivered_parts;
+                stats.delivered++;
+                counts.sent++;
+                continue;
+            }
+
+            status.last_error = error || 'delivery failed';
+            if (parts[name]) {
+                status.delivered_parts = [...new Set([...(status.delivered_parts || []), ...parts[name]])];
+            }
+            stats.failed++;
+            counts.failed++;
+            if (status.attempts >= policy.maxAttempts) {
+                logger.error(`Outbox: ${entry.kind} ${entry.id} failed ${status.attempts} times on ${name}, dead-lettered`);
+                deadLetter(outbox, entry, name, status);
+                delete entry.channels[name];
+                stats.deadLettered++;
+            } else {
+                const delay = policy.baseDelayMs * Math.pow(2, status.attempts - 1);
+                status.next_attempt_at = new Date(now + delay).toISOString();
+                logger.warn(`Outbox: ${entry.kind} ${entry.id} failed on ${name}, retrying after ${status.next_attempt_at}`);
+            }
+        }
+
+        if (Object.values(entry.channels).some((status) => !status.delivered)) {
+            remaining.push(entry);
+        }
+    }
+
+    outbox.pending = remaining;
+    stats.pending = remaining.length;
+
+    if (stats.delivered || stats.failed || stats.pending) {
+        logger.info(
+            `Outbox: ${stats.delivered} delivered, ${stats.failed} failed, ` +
+            `${stats.deadLettered} dead-lettered, ${stats.pending} pending`
+        );
+    }
+    return stats;
+}
+
+export default { getRetryPolicy, getOutbox, enqueue, flush };
@@ -0,0 +1,85 @@
+// src/rate-limit.js — Pacing and rate-limit helpers for alert channels
+// Channels are paced with a token bucket so large batches go out at a rate the
+// service accepts; rate-limit responses that still happen are waited out and retried.
+
+/** How often a rate-limited request is retried before the message counts as failed */
+export const MAX_RATE_LIMIT_RETRIES = 3;
+/** Longest rate-limit wait honored inline; longer waits are left to the outbox */
+export const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+/**
+ * Sleep for a given number of milliseconds.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a token bucket holding up to `capacity` tokens, refilled by one
+ * token every `intervalMs`. Each message takes a token, so bursts up to
+ * `capacity` go out at once and longer runs settle at one per interval.
+ *
+ * @param {{capacity: number, intervalMs: number}} limit
+ * @param {object} [deps] - injectable dependencies
+ * @param {Function} [deps.nowFn] - clock, in ms
+ * @param {Function} [deps.sleepFn] - sleep implementation
+ * @returns {{take: (wait?: Function) => Promise<void>}}
+ */
+export function createTokenBucket({ capacity, intervalMs }, deps = {}) {
+    const nowFn = deps.nowFn || Date.now;
+    const sleepFn = deps.sleepFn || sleep;
+    let tokens = capacity;
+    let updatedAt = nowFn();
+
+    function refill() {
+        const now = nowFn();
+        tokens = Math.min(capacity, tokens + (now - updatedAt) / intervalMs);
+        updatedAt = now;
+    }
+
+    return {
+        /**
+         * Wait until a token is available and take it.
+         * @param {Function} [wait] - sleep implementation for this call
+         * @returns {Promise<void>}
+         */
+        async take(wait = sleepFn) {
+            refill();
+            if (tokens < 1) {
+                await wait(Math.ceil((1 - tokens) * intervalMs));
+                refill();
+                // The wait covered the missing refill, whatever the timer's precision
+                tokens = Math.max(tokens, 1);
+            }
+            tokens -= 1;
+        },
+    };
+}
+
+/**
+ * Parse a `Retry-After` header: delay seconds (possibly fractional) or an HTTP date.
+ * @param {string|null} value
+ * @param {number} [now] - current time in ms, for HTTP dates
+ * @returns {number|null} delay in ms, or null when missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds * 1000));
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Read a response header, tolerating responses without headers.
+ * @param {object} response - fetch response
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function getHeader(response, name) {
+    return response.headers?.get?.(name) ?? null;
+}
+
+export default { createTokenBucket, parseRetryAfter, getHeader, sleep, MAX_RATE_LIMIT_RETRIES, MAX_RETRY_AFTER_MS };
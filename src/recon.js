@@ -3,13 +3,14 @@
 // to trigger a recon pipeline for newly discovered programs.
 
 import logger from './logger.js';
+import { setting } from './config.js';
 
 /**
  * Check if auto-recon is enabled via environment variable.
  * @returns {boolean}
  */
 export function isEnabled() {
-    const val = process.env.AUTO_RECON?.toLowerCase();
+    const val = setting('AUTO_RECON')?.toLowerCase();
     return val === 'true' || val === '1';
 }
 
@@ -37,7 +38,7 @@ export async function dispatchRecon(newPrograms, deps = {}) {
     }
 
     const fetchFn = deps.fetchFn || fetch;
-    const token = process.env.GH_PUSH_TOKEN || process.env.GITHUB_TOKEN;
+    const token = setting('GH_PUSH_TOKEN') || setting('GITHUB_TOKEN');
     const repo = process.env.GITHUB_REPOSITORY;
 
     if (!token || !repo) {
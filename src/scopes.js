@@ -0,0 +1,123 @@
+// src/scopes.js — Helpers for working with normalized structured scopes
+
+/**
+ * Human-readable [singular, plural] labels for HackerOne asset types.
+ * Unknown asset types fall back to the raw type in lowercase.
+ */
+const ASSET_TYPE_LABELS = {
+    WILDCARD: ['wildcard domain', 'wildcard domains'],
+    URL: ['domain', 'domains'],
+    API: ['API', 'APIs'],
+    CIDR: ['CIDR range', 'CIDR ranges'],
+    IP_ADDRESS: ['IP address', 'IP addresses'],
+    APPLE_STORE_APP_ID: ['iOS app', 'iOS apps'],
+    TESTFLIGHT: ['iOS app', 'iOS apps'],
+    OTHER_IPA: ['iOS app', 'iOS apps'],
+    GOOGLE_PLAY_APP_ID: ['Android app', 'Android apps'],
+    OTHER_APK: ['Android app', 'Android apps'],
+    WINDOWS_APP_STORE_APP_ID: ['Windows app', 'Windows apps'],
+    SOURCE_CODE: ['source code repo', 'source code repos'],
+    DOWNLOADABLE_EXECUTABLES: ['executable', 'executables'],
+    HARDWARE: ['hardware target', 'hardware targets'],
+    SMART_CONTRACT: ['smart contract', 'smart contracts'],
+    AI_MODEL: ['AI model', 'AI models'],
+    OTHER: ['other asset', 'other assets'],
+};
+
+/**
+ * Get the [singular, plural] label pair for an asset type.
+ * @param {string} assetType
+ * @returns {string[]}
+ */
+function labelsFor(assetType) {
+    if (ASSET_TYPE_LABELS[assetType]) return ASSET_TYPE_LABELS[assetType];
+    const raw = String(assetType || 'unknown').toLowerCase().replace(/_/g, ' ');
+    return [`${raw} asset`, `${raw} assets`];
+}
+
+/**
+ * Return only the scopes that are in scope for submissions.
+ * @param {object[]} scopes
+ * @returns {object[]}
+ */
+export function inScope(scopes) {
+    return (scopes || []).filter((s) => s.eligible_for_submission !== false);
+}
+
+/**
+ * Summarize a program's in-scope assets by type, most common first,
+ * e.g. "3 wildcard domains, 1 iOS app".
+ *
+ * @param {object[]|null} scopes - normalized scope objects
+ * @returns {string} summary, or an empty string when there is nothing in scope
+ */
+export function summarizeScopes(scopes) {
+    const counts = new Map();
+    for (const scope of inScope(scopes)) {
+        const [singular, plural] = labelsFor(scope.asset_type);
+        const entry = counts.get(singular) || { count: 0, singular, plural };
+        entry.count++;
+        counts.set(singular, entry);
+    }
+
+    return [...counts.values()]
+        .sort((a, b) => b.count - a.count)
+        .map(({ count, singular, plural }) => `${count} ${count === 1 ? singular : plural}`)
+        .join(', ');
+}
+
+/** Scope attributes compared when deciding whether an asset was modified */
+const TRACKED_SCOPE_FIELDS = ['eligible_for_bounty', 'eligible_for_submission', 'max_severity', 'instruction'];
+
+/**
+ * Build the identity key of a scope. The same identifier can appear under
+ * several asset types, so both are part of the key.
+ * @param {object} scope
+ * @returns {string}
+ */
+export function scopeKey(scope) {
+    return `${scope.asset_type}:${scope.asset_identifier}`;
+}
+
+/**
+ * Compare two scope lists of the same program.
+ *
+ * @param {object[]} before - previously stored scopes
+ * @param {object[]} after - freshly fetched scopes
+ * @returns {{added: object[], removed: object[], modified: {before: object, after: object, fields: string[]}[]}}
+ */
+export function diffScopes(before, after) {
+    const previous = new Map((before || []).map((s) => [scopeKey(s), s]));
+    const current = new Map((after || []).map((s) => [scopeKey(s), s]));
+
+    const added = [];
+    const modified = [];
+    for (const [key, scope] of current) {
+        const old = previous.get(key);
+        if (!old) {
+            added.push(scope);
+            continue;
+        }
+        const fields = TRACKED_SCOPE_FIELDS.filter((f) => (old[f] ?? null) !== (scope[f] ?? null));
+        if (fields.length > 0) {
+            modified.push({ before: old, after: scope, fields });
+        }
+    }
+
+    const removed = [...previous.entries()]
+        .filter(([key]) => !current.has(key))
+        .map(([, scope]) => scope);
+
+    return { added, removed, modified };
+}
+
+/**
+ * Check whether a scope diff contains any change.
+ * @param {{added: object[], removed: object[], modified: object[]}} diff
+ * @returns {boolean}
+ */
+export function hasScopeChanges(diff) {
+    return diff.added.length > 0 || diff.removed.length > 0 || diff.modified.length > 0;
+}
+
+export default { inScope, summarizeScopes, scopeKey, diffScopes, hasScopeChanges };
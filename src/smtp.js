@@ -0,0 +1,219 @@
+// src/smtp.js — Minimal SMTP client (EHLO, STARTTLS, AUTH PLAIN/LOGIN, DATA)
+// Just enough of RFC 5321 to hand a prepared message to a relay, without
+// pulling in a mail library.
+import net from 'node:net';
+import tls from 'node:tls';
+
+const DEFAULT_TIMEOUT_MS = 30_000;
+
+/**
+ * Error for an unexpected SMTP reply or protocol failure.
+ */
+export class SmtpError extends Error {
+    /**
+     * @param {string} message
+     * @param {number|null} [code] - SMTP reply code, if any
+     */
+    constructor(message, code = null) {
+        super(message);
+        this.name = 'SmtpError';
+        this.code = code;
+    }
+}
+
+/**
+ * Collect SMTP replies from a socket. Multi-line replies ("250-…" lines
+ * followed by "250 …") are returned as one reply.
+ *
+ * @param {net.Socket} socket
+ * @returns {{read: Function, detach: Function}}
+ */
+function createReplyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    const replies = [];
+    const waiters = [];
+
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+            lines.push(line.slice(4));
+            if (line[3] === '-') continue;
+
+            const reply = { code: parseInt(line.slice(0, 3), 10), lines };
+            lines = [];
+            if (waiters.length > 0) {
+                waiters.shift().resolve(reply);
+            } else {
+                replies.push(reply);
+            }
+        }
+    };
+    const onError = (error) => {
+        failure = failure || error;
+        while (waiters.length > 0) waiters.shift().reject(failure);
+    };
+    const onClose = () => onError(new SmtpError('Connection closed by SMTP server'));
+
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+
+    return {
+        read() {
+            if (replies.length > 0) return Promise.resolve(replies.shift());
+            if (failure) return Promise.reject(failure);
+            return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+        },
+        detach() {
+            socket.off('data', onData);
+            socket.off('error', onError);
+            socket.off('close', onClose);
+        },
+    };
+}
+
+/**
+ * Wait for a socket to connect (plain) or finish its TLS handshake.
+ * @param {net.Socket} socket
+ * @param {string} event - 'connect' or 'secureConnect'
+ * @returns {Promise<void>}
+ */
+function waitFor(socket, event) {
+    return new Promise((resolve, reject) => {
+        const onError = (error) => {
+            socket.off(event, onReady);
+            reject(error);
+        };
+        const onReady = () => {
+            socket.off('error', onError);
+            resolve();
+        };
+        socket.once(event, onReady);
+        socket.once('error', onError);
+    });
+}
+
+/**
+ * Escape lines starting with "." and normalize line endings to CRLF.
+ * @param {string} message
+ * @returns {string}
+ */
+function dotStuff(message) {
+    return message
+        .replace(/\r?\n/g, '\r\n')
+        .split('\r\n')
+        .map((line) => (line.startsWith('.') ? `.${line}` : line))
+        .join('\r\n');
+}
+
+/**
+ * Take the address out of a "Name <address>" mailbox, for the envelope.
+ * @param {string} mailbox - e.g. "h1-watcher <watcher@example.com>" or a bare address
+ * @returns {string}
+ */
+function envelopeAddress(mailbox) {
+    const match = mailbox.match(/<([^<>]*)>\s*$/);
+    return (match ? match[1] : mailbox).trim();
+}
+
+/**
+ * Deliver a prepared RFC 5322 message to an SMTP server.
+ * Credentials are only sent over an encrypted connection, unless
+ * `allowInsecureAuth` is set.
+ *
+ * @param {object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {boolean} [options.starttls] - upgrade with STARTTLS, failing if the server does not offer it
+ * @param {string} [options.user] - authenticate when set
+ * @param {string} [options.password]
+ * @param {boolean} [options.allowInsecureAuth] - authenticate without STARTTLS (plain-text password)
+ * @param {string} options.from - envelope sender, a bare address or "Name <address>"
+ * @param {string[]} options.to - envelope recipients, bare addresses or "Name <address>"
+ * @param {string} options.message - full message (headers + body)
+ * @param {number} [options.timeoutMs] - socket inactivity timeout
+ * @param {object} [options.tlsOptions] - extra options for tls.connect (e.g. `ca` for tests)
+ * @returns {Promise<void>} rejects with SmtpError on any failure
+ */
+export async function sendMail(options) {
+    const {
+        host, port, starttls = false, user, password, allowInsecureAuth = false, from, to, message,
+        timeoutMs = DEFAULT_TIMEOUT_MS, tlsOptions = {},
+    } = options;
+    if (user && !starttls && !allowInsecureAuth) {
+        throw new SmtpError('Refusing to send SMTP credentials over an unencrypted connection (enable STARTTLS)');
+    }
+
+    let socket = net.connect({ host, port });
+    // Errors are surfaced through the reply reader; this keeps late ones from crashing the process
+    socket.on('error', () => {});
+    socket.setTimeout(timeoutMs, () => socket.destroy(new SmtpError(`SMTP timeout after ${timeoutMs}ms`)));
+    await waitFor(socket, 'connect');
+    let reader = createReplyReader(socket);
+
+    const expectReply = async (codes, step) => {
+        const reply = await reader.read();
+        if (!codes.includes(reply.code)) {
+            throw new SmtpError(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+        }
+        return reply;
+    };
+    const command = async (line, codes, step = line.split(' ')[0]) => {
+        socket.write(`${line}\r\n`);
+        return expectReply(codes, step);
+    };
+
+    try {
+        await expectReply([220], 'greeting');
+        let ehlo = await command('EHLO h1-watcher', [250], 'EHLO');
+
+        if (starttls) {
+            if (!ehlo.lines.some((l) => l.toUpperCase() === 'STARTTLS')) {
+                throw new SmtpError('SMTP server does not offer STARTTLS');
+            }
+            await command('STARTTLS', [220]);
+            reader.detach();
+            socket.setTimeout(0);
+            socket = tls.connect({ socket, servername: host, ...tlsOptions });
+            socket.on('error', () => {});
+            socket.setTimeout(timeoutMs, () => socket.destroy(new SmtpError(`SMTP timeout after ${timeoutMs}ms`)));
+            await waitFor(socket, 'secureConnect');
+            reader = createReplyReader(socket);
+            ehlo = await command('EHLO h1-watcher', [250], 'EHLO');
+        }
+
+        if (user) {
+            const authLine = ehlo.lines.find((l) => /^AUTH[ =]/i.test(l)) || '';
+            const mechanisms = authLine.slice(5).toUpperCase().split(/\s+/);
+            if (mechanisms.includes('PLAIN') || !mechanisms.includes('LOGIN')) {
+                const token = Buffer.from(`\0${user}\0${password || ''}`).toString('base64');
+                await command(`AUTH PLAIN ${token}`, [235], 'AUTH');
+            } else {
+                await command('AUTH LOGIN', [334], 'AUTH');
+                await command(Buffer.from(user).toString('base64'), [334], 'AUTH');
+                await command(Buffer.from(password || '').toString('base64'), [235], 'AUTH');
+            }
+        }
+
+        await command(`MAIL FROM:<${envelopeAddress(from)}>`, [250], 'MAIL FROM');
+        for (const recipient of to) {
+            await command(`RCPT TO:<${envelopeAddress(recipient)}>`, [250, 251], 'RCPT TO');
+        }
+        await command('DATA', [354]);
+        socket.write(`${dotStuff(message)}\r\n.\r\n`);
+        await expectReply([250], 'DATA');
+
+        // The message is accepted at this point; a failed QUIT is harmless
+        await command('QUIT', [221]).catch(() => {});
+    } finally {
+        reader.detach();
+        socket.destroy();
+    }
+}
+
+export default { sendMail, SmtpError };
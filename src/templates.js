@@ -0,0 +1,231 @@
+// src/templates.js — Message templates for new-program alerts
+// A small mustache-like syntax, rendered with a channel's markup primitives:
+//   {{name}}                 field value, escaped for the channel
+//   {{{name}}}               field value, unescaped
+//   {{bold name}}            markup helper (bold, code, link) on a field...
+//   {{bold "h1-watcher"}}    ...or on a quoted literal
+//   {{#if offers_bounties}}…{{else}}…{{/if}}, {{#unless …}}…{{/unless}}
+import { readFileSync } from 'node:fs';
+import { summarizeScopes } from './scopes.js';
+import { setting } from './config.js';
+
+/** Template parts a channel can override */
+export const TEMPLATE_PARTS = ['header', 'entry', 'footer'];
+
+const HELPERS = ['bold', 'code', 'link'];
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([^{}]*?)\s*\}\}/g;
+
+/**
+ * Thrown when templates cannot be read or do not parse.
+ */
+export class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+    }
+}
+
+/**
+ * Parse a template into a tree of text, value and block nodes.
+ * @param {string} template
+ * @returns {object[]} nodes
+ * @throws {TemplateError}
+ */
+export function parseTemplate(template) {
+    const root = { children: [] };
+    const stack = [root];
+    let last = 0;
+    let match;
+
+    const current = () => stack[stack.length - 1];
+    const push = (node) => (current().inElse ? current().otherwise : current().children).push(node);
+
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(template)) !== null) {
+        if (match.index > last) push({ type: 'text', value: template.slice(last, match.index) });
+        last = TAG.lastIndex;
+
+        if (match[1]) {
+            push({ type: 'value', field: match[1], raw: true });
+            continue;
+        }
+
+        const tag = match[2];
+        const block = tag.match(/^#(if|unless)\s+([\w.]+)$/);
+        if (block) {
+            const node = { type: block[1], field: block[2], children: [], otherwise: [], inElse: false };
+            push(node);
+            stack.push(node);
+        } else if (tag === 'else') {
+            if (stack.length === 1 || current().inElse) throw new TemplateError('Unexpected {{else}}');
+            current().inElse = true;
+        } else if (/^\/(if|unless)$/.test(tag)) {
+            if (stack.length === 1 || `/${current().type}` !== tag) {
+                throw new TemplateError(`Unexpected {{${tag}}}`);
+            }
+            delete stack.pop().inElse;
+        } else {
+            const helper = tag.match(/^(\w+)\s+(?:"([^"]*)"|([\w.]+))$/);
+            if (helper) {
+                if (!HELPERS.includes(helper[1])) {
+                    throw new TemplateError(`Unknown helper "${helper[1]}" (use ${HELPERS.join(', ')})`);
+                }
+                push({ type: 'value', helper: helper[1], literal: helper[2], field: helper[3] });
+            } else if (/^[\w.]+$/.test(tag)) {
+                push({ type: 'value', field: tag });
+            } else {
+                throw new TemplateError(`Invalid tag {{${tag}}}`);
+            }
+        }
+    }
+
+    if (stack.length > 1) throw new TemplateError(`Unclosed {{#${current().type} ${current().field}}}`);
+    if (last < template.length) push({ type: 'text', value: template.slice(last) });
+    return root.children;
+}
+
+/**
+ * Check whether a context value counts as true in a conditional.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return Boolean(value);
+}
+
+/**
+ * Render parsed nodes.
+ * @param {object[]} nodes
+ * @param {object} context
+ * @param {object} markup - channel markup primitives
+ * @returns {string}
+ */
+function renderNodes(nodes, context, markup) {
+    let out = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            out += node.value;
+        } else if (node.type === 'value') {
+            const value = node.literal ?? context[node.field] ?? '';
+            if (node.helper) out += markup[node.helper](String(value));
+            else out += node.raw ? String(value) : markup.escape(String(value));
+        } else {
+            const truthy = isTruthy(context[node.field]);
+            const branch = (node.type === 'if' ? truthy : !truthy) ? node.children : node.otherwise;
+            out += renderNodes(branch, context, markup);
+        }
+    }
+    return out;
+}
+
+const parsed = new Map();
+
+/**
+ * Render a template with the given context and channel markup.
+ * @param {string} template
+ * @param {object} context - placeholder values
+ * @param {object} markup - channel markup primitives
+ * @returns {string}
+ */
+export function renderTemplate(template, context, markup) {
+    if (!parsed.has(template)) parsed.set(template, parseTemplate(template));
+    return renderNodes(parsed.get(template), context, markup);
+}
+
+/**
+ * Placeholder values for a program entry: every normalized program field,
+ * plus `url` and `scope_summary`.
+ * @param {object} p - normalized program
+ * @returns {object}
+ */
+export function programContext(p) {
+    return {
+        ...p,
+        url: `https://hackerone.com/${p.handle}`,
+        scope_summary: summarizeScopes(p.scopes),
+    };
+}
+
+/**
+ * Placeholder values for a header or footer.
+ * @param {number} count - number of programs in the alert
+ * @param {number|null} part - part number when the alert is split, else null
+ * @returns {{count: number, plural: string, part: number|null}}
+ */
+export function summaryContext(count, part = null) {
+    return { count, plural: count > 1 ? 's' : '', part };
+}
+
+/** Built-in templates of plain-text channels (Telegram, ntfy, Gotify, Matrix, email) */
+export const TEXT_TEMPLATES = {
+    header: '🔔 {{bold "h1-watcher"}} — {{#if part}}{{count}} new programs (part {{part}}):' +
+        '{{else}}{{count}} new HackerOne program{{plural}} detected!{{/if}}',
+    entry: '• {{bold name}} ({{code handle}}) — {{#if offers_bounties}}💰 Bounty{{else}}🏅 VDP{{/if}}' +
+        '{{#if scope_summary}}\n  📋 {{scope_summary}}{{/if}}\n  → {{link url}}',
+    footer: '',
+};
+
+/**
+ * Load user templates from the JSON file named by ALERT_TEMPLATES_FILE,
+ * keyed by channel name ("*" for all channels), each with optional
+ * `header`, `entry` and `footer` strings.
+ *
+ * @returns {Object<string, object>} templates by channel, empty when not configured
+ * @throws {TemplateError}
+ */
+export function loadTemplates() {
+    const file = setting('ALERT_TEMPLATES_FILE');
+    if (!file) return {};
+
+    let raw;
+    try {
+        raw = JSON.parse(readFileSync(file, 'utf-8'));
+    } catch (error) {
+        throw new TemplateError(`Cannot load templates from ${file}: ${error.message}`);
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new TemplateError(`Templates in ${file} must be an object keyed by channel name`);
+    }
+
+    for (const [channel, set] of Object.entries(raw)) {
+        if (!set || typeof set !== 'object' || Array.isArray(set)) {
+            throw new TemplateError(`Templates for "${channel}" must be an object`);
+        }
+        for (const [part, template] of Object.entries(set)) {
+            if (!TEMPLATE_PARTS.includes(part)) {
+                throw new TemplateError(`Unknown template "${channel}.${part}" (use ${TEMPLATE_PARTS.join(', ')})`);
+            }
+            if (typeof template !== 'string') {
+                throw new TemplateError(`Template "${channel}.${part}" must be a string`);
+            }
+            try {
+                parseTemplate(template);
+            } catch (error) {
+                throw new TemplateError(`Template "${channel}.${part}": ${error.message}`);
+            }
+        }
+    }
+    return raw;
+}
+
+/**
+ * Resolve the templates of one channel: its built-in defaults, overridden
+ * by the user's "*" templates, then by the user's templates for the channel.
+ *
+ * @param {object} channel - channel from the registry (may define `templates`)
+ * @param {Object<string, object>} userTemplates - from loadTemplates()
+ * @returns {{header: string, entry: string, footer: string}}
+ */
+export function resolveTemplates(channel, userTemplates = {}) {
+    return {
+        ...(channel.templates || TEXT_TEMPLATES),
+        ...userTemplates['*'],
+        ...userTemplates[channel.name],
+    };
+}
+
+export default {
+    parseTemplate, renderTemplate, programContext, summaryContext, loadTemplates, resolveTemplates,
+    TEXT_TEMPLATES, TEMPLATE_PARTS, TemplateError,
+};
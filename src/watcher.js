@@ -1,70 +1,461 @@
 // src/watcher.js — Main entry point: fetch → diff → alert → persist
+import { randomUUID } from 'node:crypto';
 import { emitGitHubMasks } from './logger.js';
 import logger from './logger.js';
-import { fetchPublicPrograms } from './h1-client.js';
+import { setting, loadConfig, useConfig, ConfigError } from './config.js';
+import { fetchPrograms as fetchListedPrograms, fetchStructuredScopes, isPublic, takeRequestStats } from './h1-client.js';
 import db from './db.js';
-import { notify } from './alerter.js';
+import { notify, notifyChanges, notifyNotice, notifyDigest } from './alerter.js';
 import { dispatchRecon } from './recon.js';
+import { detectAnomalies, trackAnomalies, getThresholds, isAcceptRequested } from './anomaly.js';
+import outbox from './outbox.js';
+import { loadFilterRules } from './filters.js';
+import { loadTemplates } from './templates.js';
+import digest from './digest.js';
+import { isCommandsEnabled, handleCommands, isMuted } from './bot.js';
+import health from './health.js';
+import metrics from './metrics.js';
 
-const DB_PATH = process.env.DB_PATH || 'state/db.json';
+const DEFAULT_DB_PATH = 'state/db.json';
+const DEFAULT_SCOPE_FETCH_CONCURRENCY = 5;
+
+/**
+ * Check if "program removed" notifications are enabled via environment variable.
+ * @returns {boolean}
+ */
+function isRemovedNotificationEnabled() {
+    const val = setting('NOTIFY_REMOVED')?.toLowerCase();
+    return val === 'true' || val === '1';
+}
+
+/**
+ * Check if baseline mode was requested via environment variable.
+ * @returns {boolean}
+ */
+function isBaselineRequested() {
+    const val = setting('BASELINE_MODE')?.toLowerCase();
+    return val === 'true' || val === '1';
+}
+
+/**
+ * Read how many known programs get their scope re-checked per run.
+ * Every program is, unless SCOPE_REFRESH_PER_RUN sets a positive limit.
+ * @returns {number}
+ */
+function getScopeRefreshPerRun() {
+    const count = parseInt(setting('SCOPE_REFRESH_PER_RUN'), 10);
+    return Number.isFinite(count) && count > 0 ? count : Infinity;
+}
+
+/**
+ * Record every current program without per-program alerts, change alerts
+ * or recon, then send a single summary notice. Used on first runs (empty DB)
+ * and when explicitly requested, e.g. after adding a new source. Programs no
+ * longer listed are marked removed without alerts, and pending anomalies are cleared.
+ *
+ * @param {object} state - the database object (mutated and saved)
+ * @param {object[]} listedPrograms - every program returned by the API this run
+ * @param {object[]} currentPrograms - public programs with scopes attached
+ * @param {object} senders - outbox senders by kind
+ * @param {object} retryPolicy - outbox retry policy
+ * @param {object} deps - the dependencies of `runOnce`, for `saveRun`
+ * @returns {Promise<object>} run result with the recorded programs in `baselined`
+ */
+async function recordBaseline(state, listedPrograms, currentPrograms, senders, retryPolicy, deps) {
+    const baselined = db.addPrograms(state, currentPrograms, { baseline: true });
+    db.updatePrograms(state, listedPrograms);
+    db.updateScopes(state, currentPrograms);
+    db.markRemoved(state, listedPrograms);
+    delete state.anomalies;
+
+    const tracked = Object.values(state.programs).filter((r) => !r.removed_at).length;
+    logger.info(`📸 Baseline recorded: ${baselined.length} program(s) added, tracking ${tracked} programs`);
+
+    outbox.enqueue(state, 'notice', {
+        level: 'info',
+        title: `Baseline recorded — tracking ${tracked} programs`,
+        lines: [`${baselined.length} program(s) recorded without individual alerts. New programs will be alerted from the next run on.`],
+    });
+    const delivery = await outbox.flush(state, senders, retryPolicy);
+    deps.runStats.alerts = delivery.channels;
+    await saveRun(state, deps);
+
+    return {
+        newPrograms: [], baselined, heldBack: [], changes: [], removed: [], anomalies: null, delivery,
+        totalPrograms: currentPrograms.length,
+    };
+}
+
+/**
+ * Record the run's statistics, save the state and publish the metrics.
+ * @param {object} state - the database object (mutated and saved)
+ * @param {{dbPath: string, runStats: object, metricsConfig: object}} deps - from `runOnce`
+ * @returns {Promise<void>}
+ */
+async function saveRun(state, deps) {
+    metrics.recordRun(state, deps.runStats, 'success', takeRequestStats());
+    await db.save(state, deps.dbPath);
+    await metrics.publishMetrics(state, deps.metricsConfig);
+}
+
+/**
+ * Fetch and attach structured scopes to each program (mutates in place).
+ * Runs up to `concurrency` fetches at a time. A failed fetch leaves
+ * `scopes: null` so the program is still alerted (without a scope summary)
+ * and its stored scope is left untouched instead of aborting the whole run.
+ *
+ * @param {object[]} programs - normalized program objects
+ * @param {Function} fetchScopes - (handle) => Promise<object[]>
+ * @param {number} concurrency - max parallel requests
+ * @returns {Promise<void>}
+ */
+async function attachScopes(programs, fetchScopes, concurrency) {
+    let next = 0;
+
+    async function worker() {
+        while (next < programs.length) {
+            const program = programs[next++];
+            try {
+                program.scopes = await fetchScopes(program.handle);
+            } catch (error) {
+                logger.warn(`Could not fetch scopes for ${program.handle}: ${error.message}`);
+                program.scopes = null;
+            }
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(concurrency, programs.length) }, worker);
+    await Promise.all(workers);
+}
+
+/**
+ * Fetch the scopes of new programs and of known ones. With a finite
+ * `refreshCount`, only that many known programs are fetched, those whose
+ * scope was checked longest ago, and the others get their stored scope
+ * attached, which leaves them out of scope change detection this run.
+ *
+ * @param {object} state - the database object (checked times are stamped in place)
+ * @param {object[]} programs - normalized public programs (mutated in place)
+ * @param {Function} fetchScopes - (handle) => Promise<object[]>
+ * @param {{concurrency: number, refreshCount: number}} options
+ * @returns {Promise<void>}
+ */
+async function refreshScopes(state, programs, fetchScopes, { concurrency, refreshCount }) {
+    const recordOf = (program) => state.programs[String(program.id)];
+    const checkedAt = (record) => record.scopes_checked_at || record.first_seen || '';
+    const known = programs.filter(recordOf)
+        .sort((a, b) => checkedAt(recordOf(a)).localeCompare(checkedAt(recordOf(b))));
+    const refreshed = known.slice(0, refreshCount);
+    const targets = [...programs.filter((p) => !recordOf(p)), ...refreshed];
+    for (const program of known.slice(refreshCount)) {
+        program.scopes = recordOf(program).scopes ?? null;
+    }
+
+    logger.info(
+        refreshed.length < known.length
+            ? `Fetching the scopes of ${targets.length} program(s) (${refreshed.length} known, checked longest ago)`
+            : `Fetching the scopes of ${targets.length} program(s)`
+    );
+    await attachScopes(targets, fetchScopes, concurrency);
+
+    const now = new Date().toISOString();
+    for (const program of refreshed) {
+        if (Array.isArray(program.scopes)) recordOf(program).scopes_checked_at = now;
+    }
+}
 
 /**
  * Main watcher logic.
- * Orchestrates: load state → fetch programs → diff → alert → save state.
+ * Orchestrates: load state → fetch programs → fetch scopes → diff → queue + deliver alerts → save state.
+ * Runs in baseline mode instead when the DB is empty or baseline is requested.
+ * A dry run stops after the diff, with `delivery: null` in the result.
+ * A failed run is counted in the state file (alerting once the failures reach
+ * FAILURE_ALERT_THRESHOLD) and rethrown, keeping the bot offset and mutes of
+ * commands it already answered; a successful one pings HEARTBEAT_URL.
+ * Either way the run's statistics are recorded and the metrics published.
  *
  * @param {object} [deps] - injectable dependencies for testing
- * @param {Function} [deps.fetchPrograms] - override fetchPublicPrograms
+ * @param {Function} [deps.fetchPrograms] - override fetchPrograms (all listed programs, any state)
+ * @param {Function} [deps.fetchScopes] - override fetchStructuredScopes
+ * @param {number} [deps.scopeRefreshPerRun] - override SCOPE_REFRESH_PER_RUN
  * @param {Function} [deps.notifyFn] - override notify
+ * @param {Function} [deps.notifyChangesFn] - override notifyChanges
+ * @param {Function} [deps.notifyNoticeFn] - override notifyNotice
+ * @param {Function} [deps.notifyDigestFn] - override notifyDigest
  * @param {Function} [deps.dispatchReconFn] - override dispatchRecon
+ * @param {Function} [deps.handleCommandsFn] - override handleCommands
+ * @param {boolean} [deps.commands] - override TELEGRAM_COMMANDS
  * @param {string} [deps.dbPath] - override DB_PATH
- * @returns {Promise<{newPrograms: object[], totalPrograms: number}>}
+ * @param {boolean} [deps.notifyRemoved] - override NOTIFY_REMOVED
+ * @param {number} [deps.maxDropPercent] - override ANOMALY_MAX_DROP_PERCENT
+ * @param {number} [deps.maxNewPerRun] - override ANOMALY_MAX_NEW_PER_RUN
+ * @param {number} [deps.confirmRuns] - override ANOMALY_CONFIRM_RUNS
+ * @param {boolean} [deps.acceptAnomalies] - accept the current anomalies (override ANOMALY_ACCEPT)
+ * @param {boolean} [deps.baseline] - force baseline mode (override BASELINE_MODE)
+ * @param {object} [deps.retryPolicy] - override the outbox retry policy
+ * @param {string} [deps.runId] - override the generated run ID
+ * @param {object} [deps.rules] - override the compiled filter rules (ALERT_RULES / ALERT_RULES_FILE)
+ * @param {object} [deps.templates] - override the user templates (ALERT_TEMPLATES_FILE)
+ * @param {object} [deps.digestConfig] - override the digest settings (DIGEST_CHANNELS, DIGEST_SCHEDULE, DIGEST_TIME)
+ * @param {number} [deps.now] - current time in ms, for digest scheduling and anomaly records (for testing)
+ * @param {boolean} [deps.dryRun] - fetch and diff only: no alerts, recon, bot commands or state changes
+ * @param {object} [deps.healthConfig] - override the health settings (FAILURE_ALERT_THRESHOLD, HEARTBEAT_URL)
+ * @param {Function} [deps.fetchFn] - fetch implementation for the heartbeat ping
+ * @param {object} [deps.metricsConfig] - override the metrics settings (METRICS_FILE)
+ * @returns {Promise<{
+ *   newPrograms: object[], baselined: object[], heldBack: object[], changes: object[], removed: object[],
+ *   anomalies: object|null, delivery: object, totalPrograms: number
+ * }>}
  */
 export async function run(deps = {}) {
-    const fetchPrograms = deps.fetchPrograms || fetchPublicPrograms;
+    const dbPath = deps.dbPath || setting('DB_PATH') || DEFAULT_DB_PATH;
+    const dryRun = deps.dryRun ?? false;
+    const healthConfig = deps.healthConfig || health.getHealthConfig();
+    const metricsConfig = deps.metricsConfig || metrics.getMetricsConfig();
+    const runId = deps.runId || randomUUID();
+    const runStats = metrics.startRunStats(runId);
+    // API requests made outside a run are not this run's
+    takeRequestStats();
+
+    // Bot commands are answered before anything else can fail, and must not be answered twice
+    let answered = null;
+    const onCommands = (state) => {
+        answered = { bot: state.bot, muted: state.muted };
+    };
+
+    let result;
+    try {
+        result = await runOnce({ ...deps, dbPath, runId, runStats, metricsConfig, onCommands });
+    } catch (error) {
+        if (!dryRun) {
+            await health.recordFailure(error, {
+                dbPath,
+                notifyNoticeFn: deps.notifyNoticeFn,
+                config: healthConfig,
+                record: async (state) => {
+                    if (answered?.bot) state.bot = answered.bot;
+                    if (answered?.muted) state.muted = answered.muted;
+                    metrics.recordRun(state, runStats, 'failure', takeRequestStats());
+                    await metrics.publishMetrics(state, metricsConfig);
+                },
+            });
+        }
+        throw error;
+    }
+    if (!dryRun) {
+        await health.pingHeartbeat({ url: healthConfig.heartbeatUrl, fetchFn: deps.fetchFn });
+    }
+    return result;
+}
+
+/**
+ * One pass of the pipeline, see `run`.
+ * @param {object} deps - the dependencies of `run`, with `dbPath`, `runId`, `runStats` and `metricsConfig` resolved,
+ *   and `onCommands` to call with the state once bot commands are answered
+ * @returns {Promise<object>}
+ */
+async function runOnce(deps) {
+    const fetchPrograms = deps.fetchPrograms || fetchListedPrograms;
+    const fetchScopes = deps.fetchScopes || fetchStructuredScopes;
     const notifyFn = deps.notifyFn || notify;
+    const notifyChangesFn = deps.notifyChangesFn || notifyChanges;
+    const notifyNoticeFn = deps.notifyNoticeFn || notifyNotice;
+    const notifyDigestFn = deps.notifyDigestFn || notifyDigest;
+    const runId = deps.runId;
+    const runStats = deps.runStats;
+    const dryRun = deps.dryRun ?? false;
+    // Loaded up front so malformed rules or templates stop the run before anything is fetched
+    const rules = deps.rules || loadFilterRules();
+    const templates = deps.templates || loadTemplates();
+    const digestConfig = deps.digestConfig || digest.getDigestConfig();
+    const digestChannels = digestConfig.channels;
+    // Channels receive the run context alongside the outbox's channel selection
+    const withRunContext = (send) => (payload, options) =>
+        send(payload, { ...options, runId, rules, templates, digestChannels });
+    const senders = {
+        new_programs: withRunContext(notifyFn),
+        changes: withRunContext(notifyChangesFn),
+        notice: withRunContext(notifyNoticeFn),
+        digest: withRunContext(notifyDigestFn),
+    };
+    const retryPolicy = deps.retryPolicy || outbox.getRetryPolicy();
     const dispatchReconFn = deps.dispatchReconFn || dispatchRecon;
-    const dbPath = deps.dbPath || DB_PATH;
+    const handleCommandsFn = deps.handleCommandsFn || handleCommands;
+    const dbPath = deps.dbPath;
+    const notifyRemoved = deps.notifyRemoved ?? isRemovedNotificationEnabled();
+    const defaults = getThresholds();
+    const thresholds = {
+        maxDropPercent: deps.maxDropPercent ?? defaults.maxDropPercent,
+        maxNewPerRun: deps.maxNewPerRun ?? defaults.maxNewPerRun,
+        confirmRuns: deps.confirmRuns ?? defaults.confirmRuns,
+    };
 
     // Emit GitHub Actions masks for secrets
     emitGitHubMasks();
 
-    logger.info('h1-watcher starting...');
+    logger.info(`h1-watcher starting (run ${runId})${dryRun ? ' — dry run, nothing will be sent or saved' : ''}...`);
 
     // Step 1: Load previous state
     const state = await db.load(dbPath);
 
-    // Step 2: Fetch current public programs
-    const currentPrograms = await fetchPrograms();
+    // Answer Telegram commands first, so mutes apply to this run's alerts
+    if (!dryRun && (deps.commands ?? isCommandsEnabled())) {
+        await handleCommandsFn(state);
+        deps.onCommands(state);
+    }
+
+    // Step 2: Fetch listed programs, and the structured scopes of new and some known public ones
+    const listedPrograms = await fetchPrograms();
+    const currentPrograms = listedPrograms.filter(isPublic);
     logger.info(`Fetched ${currentPrograms.length} public programs from HackerOne`);
+    runStats.programs_fetched = listedPrograms.length;
+    const concurrency = parseInt(setting('SCOPE_FETCH_CONCURRENCY'), 10) || DEFAULT_SCOPE_FETCH_CONCURRENCY;
+    const refreshCount = deps.scopeRefreshPerRun ?? getScopeRefreshPerRun();
+    await refreshScopes(state, currentPrograms, fetchScopes, { concurrency, refreshCount });
+
+    // The fetch worked: clear the failure count, and announce the recovery if a failure alert went out
+    const recovery = dryRun ? null : health.recordSuccess(state);
+    if (recovery) {
+        outbox.enqueue(state, 'notice', recovery);
+    }
+
+    // Baseline mode: automatic on an empty DB, or explicitly requested
+    const emptyDb = Object.keys(state.programs).length === 0;
+    if (emptyDb || (deps.baseline ?? isBaselineRequested())) {
+        logger.info(emptyDb ? 'Empty DB, running in baseline mode' : 'Baseline mode requested');
+        if (dryRun) {
+            logger.info(`Dry run: ${currentPrograms.length} program(s) would be recorded as the baseline`);
+            return {
+                newPrograms: [], baselined: currentPrograms, heldBack: [], changes: [], removed: [], anomalies: null,
+                delivery: null, totalPrograms: currentPrograms.length,
+            };
+        }
+        return recordBaseline(state, listedPrograms, currentPrograms, senders, retryPolicy, deps);
+    }
+
+    // Step 3: Diff to find new programs, attribute/scope changes and removals of known programs
+    let newPrograms = db.diffPrograms(state, currentPrograms);
+    const changes = [
+        ...db.diffProgramChanges(state, listedPrograms),
+        ...db.diffScopeChanges(state, currentPrograms),
+    ];
 
-    // Step 3: Diff to find new programs
-    const newPrograms = db.diffPrograms(state, currentPrograms);
+    // Step 4: Sanity-check the listing against the previous run
+    const anomalies = detectAnomalies(state, listedPrograms, newPrograms, thresholds);
+    anomalies.outcome = trackAnomalies(state, anomalies, newPrograms, {
+        confirmRuns: thresholds.confirmRuns,
+        accept: deps.acceptAnomalies ?? isAcceptRequested(),
+        now: deps.now,
+    });
+    const skipRemovals = anomalies.dropAnomaly && anomalies.outcome.drop !== 'accepted';
+    let heldBack = [];
+    if (anomalies.newAnomaly && anomalies.outcome.new !== 'accepted') {
+        // Not alerted or recorded, so they are re-evaluated on the next run
+        heldBack = newPrograms;
+        newPrograms = [];
+    }
+    if (anomalies.reasons.length > 0) {
+        logger.warn(`Anomalous API response: ${anomalies.reasons.join('; ')}`);
+        for (const [kind, outcome] of Object.entries(anomalies.outcome)) {
+            if (outcome === 'accepted') logger.info(`The ${kind} anomaly was accepted, handling the listing as is`);
+        }
+    }
+    // Warned about once: a repeated anomaly only shows in the log until it is accepted
+    if (anomalies.outcome.drop === 'new' || anomalies.outcome.new === 'new') {
+        const lines = [];
+        if (anomalies.outcome.drop === 'new') {
+            lines.push(anomalies.reasons[0], 'Removal detection is skipped until the listing recovers, ' +
+                `or the same programs are missing in ${thresholds.confirmRuns} runs in a row.`);
+        }
+        if (anomalies.outcome.new === 'new') {
+            lines.push(anomalies.reasons.at(-1), `${heldBack.length} new program alert(s) are held back until ` +
+                `the same programs are listed in ${thresholds.confirmRuns} runs in a row.`);
+        }
+        lines.push('To accept the listing now, run once with ANOMALY_ACCEPT=true, or record a baseline.');
+        outbox.enqueue(state, 'notice', { level: 'warning', title: 'Anomalous HackerOne API response', lines });
+    }
+
+    let removed = [];
+    if (!skipRemovals) {
+        removed = db.markRemoved(state, listedPrograms);
+    }
+    for (const r of removed) {
+        logger.info(`  → ${r.program.handle} is no longer listed, marked removed`);
+    }
+    if (notifyRemoved) {
+        changes.push(...removed);
+    }
 
-    if (newPrograms.length === 0) {
-        logger.info('No new programs detected. Nothing to do.');
-        // Still save to update last_run timestamp
-        await db.save(state, dbPath);
-        return { newPrograms: [], totalPrograms: currentPrograms.length };
+    if (newPrograms.length === 0 && changes.length === 0) {
+        logger.info('No new programs or program changes detected. Nothing to alert.');
     }
 
-    logger.info(`🔔 Detected ${newPrograms.length} NEW program(s)!`);
-    for (const p of newPrograms) {
-        logger.info(`  → ${p.name} (${p.handle}) — ${p.offers_bounties ? 'Bounty' : 'VDP'}`);
+    if (newPrograms.length > 0) {
+        logger.info(`🔔 Detected ${newPrograms.length} NEW program(s)!`);
+        for (const p of newPrograms) {
+            const muted = isMuted(state, p) ? ' (muted)' : '';
+            logger.info(`  → ${p.name} (${p.handle}) — ${p.offers_bounties ? 'Bounty' : 'VDP'}${muted}`);
+        }
+    }
+    if (changes.length > 0) {
+        logger.info(`🔄 Detected ${changes.length} change(s) in known programs`);
+        for (const c of changes) {
+            logger.info(`  → ${c.program.handle}: ${c.type}${isMuted(state, c.program) ? ' (muted)' : ''}`);
+        }
     }
 
-    // Step 4: Send alerts
-    const alertResult = await notifyFn(newPrograms);
-    logger.info('Alert results:', alertResult);
+    if (dryRun) {
+        logger.info('Dry run: no alerts queued, state not saved');
+        return {
+            newPrograms, baselined: [], heldBack, changes, removed, anomalies, delivery: null,
+            totalPrograms: currentPrograms.length,
+        };
+    }
 
-    // Step 5: Dispatch recon if enabled
-    await dispatchReconFn(newPrograms);
+    // Step 5: Queue alerts in the outbox, except for muted programs
+    const alertedPrograms = newPrograms.filter((p) => !isMuted(state, p));
+    if (alertedPrograms.length > 0) {
+        outbox.enqueue(state, 'new_programs', alertedPrograms);
+        if (digestChannels.length > 0) {
+            digest.queuePrograms(state, alertedPrograms, deps.now);
+        }
+    }
 
-    // Step 6: Add new programs to DB and save
+    const alertedChanges = changes.filter((c) => !isMuted(state, c.program));
+    if (alertedChanges.length > 0) {
+        outbox.enqueue(state, 'changes', alertedChanges);
+    }
+
+    if (digestChannels.length > 0) {
+        const due = digest.takeDueDigest(state, digestConfig, deps.now);
+        if (due) {
+            logger.info(`📰 Digest due: ${due.programs.length} queued program(s) since ${due.since}`);
+            outbox.enqueue(state, 'digest', due);
+        }
+    }
+
+    // Step 6: Deliver queued alerts, including retries from earlier runs
+    const delivery = await outbox.flush(state, senders, retryPolicy);
+    runStats.new_programs = newPrograms.length;
+    runStats.alerts = delivery.channels;
+
+    // Step 7: Dispatch recon if enabled, except for muted programs
+    if (alertedPrograms.length > 0) {
+        await dispatchReconFn(alertedPrograms);
+    }
+
+    // Step 8: Record new programs, refreshed attributes/scopes and the outbox, then save
+    // (also updates last_run when nothing changed)
     db.addPrograms(state, newPrograms);
-    await db.save(state, dbPath);
+    db.updatePrograms(state, listedPrograms);
+    db.updateScopes(state, currentPrograms);
+    await saveRun(state, deps);
 
     logger.info(`State updated: ${Object.keys(state.programs).length} total programs tracked`);
-    return { newPrograms, totalPrograms: currentPrograms.length };
+    return {
+        newPrograms, baselined: [], heldBack, changes, removed, anomalies, delivery,
+        totalPrograms: currentPrograms.length,
+    };
 }
 
 // Run if executed directly (not imported)
@@ -73,7 +464,9 @@ const isMainModule =
     (process.argv[1].endsWith('/watcher.js') || process.argv[1].endsWith('\\watcher.js'));
 
 if (isMainModule) {
-    run()
+    Promise.resolve()
+        .then(() => useConfig(loadConfig({ requireCredentials: true })))
+        .then(() => run())
         .then(({ newPrograms }) => {
             if (newPrograms.length > 0) {
                 logger.info(`✅ Done. Alerted for ${newPrograms.length} new program(s).`);
@@ -84,6 +477,12 @@ if (isMainModule) {
         })
         .catch((error) => {
             logger.error(`❌ Fatal error: ${error.message}`);
+            if (error instanceof ConfigError) {
+                logger.error('Fix the configuration above and run again.');
+            }
+            if (error instanceof db.StateCorruptError) {
+                logger.error('No alerts were sent and the state file was left untouched.');
+            }
             process.exit(1);
         });
 }
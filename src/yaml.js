@@ -0,0 +1,240 @@
+// src/yaml.js — Minimal YAML reader for config files (no dependencies)
+// Supports the subset config files need: nested block mappings and sequences,
+// `- key: value` items, flow lists `[a, b]`, quoted and plain scalars, numbers,
+// booleans, null and `#` comments. Anchors, tags and block scalars (`|`, `>`) are not supported.
+
+/**
+ * Thrown when a YAML document cannot be parsed.
+ */
+export class YamlError extends Error {
+    constructor(message, line) {
+        super(line ? `line ${line}: ${message}` : message);
+        this.name = 'YamlError';
+    }
+}
+
+/**
+ * Strip a trailing `# comment`, ignoring `#` inside quotes or inside a word.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i);
+        }
+    }
+    return text;
+}
+
+/**
+ * Split the document into significant lines with their indentation.
+ * @param {string} source
+ * @returns {{indent: number, text: string, line: number}[]}
+ * @throws {YamlError}
+ */
+function tokenize(source) {
+    const lines = [];
+    source.split(/\r?\n/).forEach((raw, i) => {
+        const text = stripComment(raw).trimEnd();
+        if (text.trim() === '' || text === '---') return;
+        const indent = text.match(/^ */)[0].length;
+        if (text[indent] === '\t') throw new YamlError('tabs are not allowed for indentation', i + 1);
+        lines.push({ indent, text: text.slice(indent), line: i + 1 });
+    });
+    return lines;
+}
+
+/**
+ * Split a flow list body on commas outside quotes.
+ * @param {string} body - text between the brackets
+ * @returns {string[]}
+ */
+function splitFlow(body) {
+    const items = [];
+    let quote = null;
+    let current = '';
+    for (const c of body) {
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === ',') {
+            items.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += c;
+    }
+    if (current.trim() !== '' || items.length > 0) items.push(current.trim());
+    return items;
+}
+
+/**
+ * Parse a scalar or flow list.
+ * @param {string} text
+ * @param {number} line - line number, for errors
+ * @returns {*}
+ * @throws {YamlError}
+ */
+function parseScalar(text, line) {
+    if (text.startsWith('"')) {
+        try {
+            return JSON.parse(text);
+        } catch {
+            throw new YamlError(`invalid double-quoted string ${text}`, line);
+        }
+    }
+    if (text.startsWith("'")) {
+        if (!/^'(?:[^']|'')*'$/.test(text)) throw new YamlError(`invalid single-quoted string ${text}`, line);
+        return text.slice(1, -1).replace(/''/g, "'");
+    }
+    if (text.startsWith('[')) {
+        if (!text.endsWith(']')) throw new YamlError(`unterminated flow list ${text}`, line);
+        return splitFlow(text.slice(1, -1)).map((item) => {
+            if (/^[[{]/.test(item)) throw new YamlError('nested flow collections are not supported', line);
+            return parseScalar(item, line);
+        });
+    }
+    if (text === '{}') return {};
+    if (/^[{|>&*!]/.test(text)) throw new YamlError(`unsupported YAML syntax "${text}"`, line);
+    if (/^(null|~)$/i.test(text)) return null;
+    if (/^true$/i.test(text)) return true;
+    if (/^false$/i.test(text)) return false;
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    return text;
+}
+
+/**
+ * Split `key: value` (the value may be empty), or return null if the text is not a mapping entry.
+ * @param {string} text
+ * @param {number} line - line number, for errors
+ * @returns {{key: string, value: string}|null}
+ */
+function splitEntry(text, line) {
+    const quoted = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:(?:\s+(.*))?$/);
+    if (quoted) return { key: parseScalar(quoted[1], line), value: quoted[2] ?? '' };
+    const plain = text.match(/^([^\s"'[\]{},#:-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*))?$/);
+    return plain ? { key: plain[1], value: plain[2] ?? '' } : null;
+}
+
+/**
+ * Parse the block starting at `lines[state.i]`, whose lines share `indent`.
+ * @param {object[]} lines - tokenized lines
+ * @param {{i: number}} state - cursor (advanced in place)
+ * @param {number} indent
+ * @returns {*}
+ * @throws {YamlError}
+ */
+function parseBlock(lines, state, indent) {
+    const first = lines[state.i];
+    return first.text === '-' || first.text.startsWith('- ')
+        ? parseSequence(lines, state, indent)
+        : parseMapping(lines, state, indent);
+}
+
+/**
+ * Parse the value of an entry whose inline part is `inline`: a scalar, or
+ * the more-indented block on the following lines.
+ * @param {object[]} lines - tokenized lines
+ * @param {{i: number}} state - cursor, on the line after the entry
+ * @param {string} inline - text after `key:` or `-`
+ * @param {number} indent - indentation of the entry
+ * @param {number} line - line number of the entry, for errors
+ * @returns {*}
+ * @throws {YamlError}
+ */
+function parseValue(lines, state, inline, indent, line) {
+    if (inline !== '') return parseScalar(inline, line);
+    const next = lines[state.i];
+    if (next && next.indent > indent) return parseBlock(lines, state, next.indent);
+    // A sequence may sit at the same indentation as its key
+    if (next && next.indent === indent && (next.text === '-' || next.text.startsWith('- '))) {
+        return parseSequence(lines, state, indent);
+    }
+    return null;
+}
+
+/**
+ * Parse a block mapping. See `parseBlock` for the parameters.
+ * @returns {object}
+ * @throws {YamlError}
+ */
+function parseMapping(lines, state, indent) {
+    const result = {};
+    while (state.i < lines.length && lines[state.i].indent === indent) {
+        const { text, line } = lines[state.i];
+        if (text === '-' || text.startsWith('- ')) break;
+        const entry = splitEntry(text, line);
+        if (!entry) throw new YamlError(`expected "key: value", got "${text}"`, line);
+        if (Object.hasOwn(result, entry.key)) throw new YamlError(`duplicate key "${entry.key}"`, line);
+        // Assigning it would replace the mapping's prototype instead of adding a key
+        if (entry.key === '__proto__') throw new YamlError('key "__proto__" is not allowed', line);
+        state.i++;
+        result[entry.key] = parseValue(lines, state, entry.value, indent, line);
+    }
+    if (state.i < lines.length && lines[state.i].indent > indent) {
+        throw new YamlError('unexpected indentation', lines[state.i].line);
+    }
+    return result;
+}
+
+/**
+ * Parse a block sequence. See `parseBlock` for the parameters.
+ * @returns {Array}
+ * @throws {YamlError}
+ */
+function parseSequence(lines, state, indent) {
+    const result = [];
+    while (state.i < lines.length && lines[state.i].indent === indent) {
+        const current = lines[state.i];
+        if (current.text !== '-' && !current.text.startsWith('- ')) break;
+        const content = current.text.slice(1).trimStart();
+        const itemIndent = indent + current.text.length - content.length;
+
+        if (content === '') {
+            state.i++;
+            result.push(parseValue(lines, state, '', indent, current.line));
+        } else if (splitEntry(content, current.line) || content === '-' || content.startsWith('- ')) {
+            // `- key: value`: the item is a block starting on this line
+            lines[state.i] = { ...current, indent: itemIndent, text: content };
+            result.push(parseBlock(lines, state, itemIndent));
+        } else {
+            state.i++;
+            result.push(parseScalar(content, current.line));
+        }
+    }
+    if (state.i < lines.length && lines[state.i].indent > indent) {
+        throw new YamlError('unexpected indentation', lines[state.i].line);
+    }
+    return result;
+}
+
+/**
+ * Parse a YAML document.
+ * @param {string} source
+ * @returns {*} the document (null when empty)
+ * @throws {YamlError}
+ */
+export function parseYaml(source) {
+    const lines = tokenize(source);
+    if (lines.length === 0) return null;
+    if (lines.length === 1 && !splitEntry(lines[0].text, lines[0].line) && !lines[0].text.startsWith('-')) {
+        return parseScalar(lines[0].text, lines[0].line);
+    }
+
+    const state = { i: 0 };
+    const result = parseBlock(lines, state, lines[0].indent);
+    if (state.i < lines.length) {
+        throw new YamlError('unexpected indentation', lines[state.i].line);
+    }
+    return result;
+}
+
+export default { parseYaml, YamlError };
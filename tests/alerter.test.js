@@ -3,9 +3,12 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import {
     formatMessage,
     formatDiscordMessage,
+    formatChangeMessage,
     sendTelegram,
     sendDiscord,
     notify,
+    notifyChanges,
+    notifyNotice,
 } from '../src/alerter.js';
 
 const samplePrograms = [
@@ -52,6 +55,29 @@ describe('formatMessage (Telegram)', () => {
     });
 });
 
+describe('scope summaries', () => {
+    const withScopes = {
+        ...samplePrograms[0],
+        scopes: [
+            { asset_type: 'WILDCARD', asset_identifier: '*.acme.com', eligible_for_submission: true },
+            { asset_type: 'WILDCARD', asset_identifier: '*.acme.io', eligible_for_submission: true },
+            { asset_type: 'APPLE_STORE_APP_ID', asset_identifier: 'com.acme', eligible_for_submission: true },
+        ],
+    };
+
+    it('adds a scope summary line to Telegram entries', () => {
+        expect(formatMessage([withScopes])).toContain('📋 2 wildcard domains, 1 iOS app');
+    });
+
+    it('adds a scope summary line to Discord entries', () => {
+        expect(formatDiscordMessage([withScopes])).toContain('📋 2 wildcard domains, 1 iOS app');
+    });
+
+    it('omits the scope line when scopes are unknown', () => {
+        expect(formatMessage([samplePrograms[0]])).not.toContain('📋');
+    });
+});
+
 describe('formatDiscordMessage', () => {
     it('uses Discord markdown (** instead of *)', () => {
         const msg = formatDiscordMessage(samplePrograms);
@@ -62,6 +88,56 @@ describe('formatDiscordMessage', () => {
     });
 });
 
+const sampleChange = {
+    type: 'scope_changed',
+    program: samplePrograms[0],
+    added: [{ asset_type: 'WILDCARD', asset_identifier: '*.acme.io', eligible_for_bounty: true }],
+    removed: [{ asset_type: 'URL', asset_identifier: 'old.acme.com', eligible_for_bounty: false }],
+    modified: [{
+        before: { asset_type: 'URL', asset_identifier: 'api.acme.com', eligible_for_bounty: false },
+        after: { asset_type: 'URL', asset_identifier: 'api.acme.com', eligible_for_bounty: true },
+        fields: ['eligible_for_bounty'],
+    }],
+};
+
+describe('formatChangeMessage', () => {
+    it('lists added, removed and modified assets', () => {
+        const msg = formatChangeMessage([sampleChange]);
+
+        expect(msg).toContain('1 program update');
+        expect(msg).toContain('<b>Acme Corp</b>');
+        expect(msg).toContain('scope changed');
+        expect(msg).toContain('➕ WILDCARD <code>*.acme.io</code> 💰');
+        expect(msg).toContain('➖ URL <code>old.acme.com</code>');
+        expect(msg).toContain('✏️ URL <code>api.acme.com</code> 💰: eligible_for_bounty false → true');
+        expect(msg).toContain('https://hackerone.com/acme');
+    });
+});
+
+describe('formatChangeMessage — attribute transitions', () => {
+    it('uses a distinct format per event type', () => {
+        const events = [
+            { type: 'bounty_enabled', program: samplePrograms[1], field: 'offers_bounties', from: false, to: true },
+            { type: 'submissions_paused', program: samplePrograms[0], field: 'submission_state', from: 'open', to: 'paused' },
+            { type: 'submissions_reopened', program: samplePrograms[0], field: 'submission_state', from: 'paused', to: 'open' },
+            { type: 'went_private', program: samplePrograms[0], field: 'state', from: 'public_mode', to: 'soft_launched' },
+            { type: 'program_removed', program: samplePrograms[0], removed_at: '2024-01-01T00:00:00.000Z' },
+            { type: 'relaunched', program: samplePrograms[1], removed_at: '2024-01-01T00:00:00.000Z' },
+        ];
+
+        const msg = formatChangeMessage(events);
+
+        expect(msg).toContain('6 program updates');
+        expect(msg).toContain('<b>Beta Corp</b> (<code>betacorp</code>) — 💰 now offers bounties');
+        expect(msg).toContain('⏸️ submissions paused');
+        expect(msg).toContain('▶️ submissions reopened');
+        expect(msg).toContain('🔒 went private');
+        expect(msg).toContain('🗑️ removed from the listing');
+        expect(msg).toContain('🚀 relaunched');
+        expect(msg).toContain('https://hackerone.com/betacorp');
+    });
+});
+
 describe('sendTelegram', () => {
     const originalEnv = { ...process.env };
 
@@ -119,6 +195,38 @@ describe('sendTelegram', () => {
 
         expect(result).toBe(false);
     });
+
+    it('retries after the retry_after Telegram asks for on 429', async () => {
+        process.env.TELEGRAM_BOT_TOKEN = 'fake-bot-token';
+        process.env.TELEGRAM_CHAT_ID = '12345';
+        const limited = {
+            ok: false,
+            status: 429,
+            text: async () => '{"ok":false,"error_code":429,"parameters":{"retry_after":7}}',
+        };
+        const mockFetch = vi.fn().mockResolvedValueOnce(limited).mockResolvedValueOnce(mockResponse(200));
+        const sleepFn = vi.fn().mockResolvedValue();
+
+        const result = await sendTelegram('test', { fetchFn: mockFetch, sleepFn });
+
+        expect(result).toBe(true);
+        expect(mockFetch).toHaveBeenCalledTimes(2);
+        expect(sleepFn).toHaveBeenCalledWith(7000);
+    });
+
+    it('gives up when rate limited for too long', async () => {
+        process.env.TELEGRAM_BOT_TOKEN = 'fake-bot-token';
+        process.env.TELEGRAM_CHAT_ID = '12345';
+        const limited = { ok: false, status: 429, text: async () => '{"parameters":{"retry_after":3600}}' };
+        const mockFetch = vi.fn().mockResolvedValue(limited);
+        const sleepFn = vi.fn().mockResolvedValue();
+
+        const result = await sendTelegram('test', { fetchFn: mockFetch, sleepFn });
+
+        expect(result).toBe(false);
+        expect(mockFetch).toHaveBeenCalledTimes(1);
+        expect(sleepFn).not.toHaveBeenCalled();
+    });
 });
 
 describe('sendDiscord', () => {
@@ -162,6 +270,75 @@ describe('sendDiscord', () => {
 
         expect(result).toBe(false);
     });
+
+    describe('rate limits', () => {
+        let now;
+        let sleepFn;
+        let rateLimits;
+
+        beforeEach(() => {
+            process.env.DISCORD_WEBHOOK_URL = 'https://discord.com/api/webhooks/fake';
+            now = 1_000_000;
+            sleepFn = vi.fn(async (ms) => {
+                now += ms;
+            });
+            rateLimits = { resetAt: 0, globalResetAt: 0 };
+        });
+
+        function limitedResponse(status, headers, body = '') {
+            return {
+                ok: status >= 200 && status < 300,
+                status,
+                headers: new Headers(headers),
+                text: async () => body,
+            };
+        }
+
+        it('retries a 429 after retry_after and honors Retry-After without a body', async () => {
+            const mockFetch = vi.fn()
+                .mockResolvedValueOnce(limitedResponse(429, {}, '{"retry_after": 1.5, "global": false}'))
+                .mockResolvedValueOnce(limitedResponse(429, { 'Retry-After': '2' }, 'rate limited'))
+                .mockResolvedValueOnce(limitedResponse(204, {}));
+
+            const result = await sendDiscord('test', { fetchFn: mockFetch, sleepFn, nowFn: () => now, rateLimits });
+
+            expect(result).toBe(true);
+            expect(mockFetch).toHaveBeenCalledTimes(3);
+            expect(sleepFn.mock.calls.map(([ms]) => ms)).toEqual([1500, 2000]);
+        });
+
+        it('holds every later request back on a global rate limit', async () => {
+            const mockFetch = vi.fn()
+                .mockResolvedValueOnce(limitedResponse(429, { 'X-RateLimit-Global': 'true' }, '{"retry_after": 5, "global": true}'))
+                .mockResolvedValue(limitedResponse(204, {}));
+
+            await sendDiscord('test', { fetchFn: mockFetch, sleepFn, nowFn: () => now, rateLimits });
+
+            expect(rateLimits.globalResetAt).toBe(1_005_000);
+            expect(sleepFn).toHaveBeenCalledWith(5000);
+        });
+
+        it('waits for the bucket to reset when X-RateLimit-Remaining is 0', async () => {
+            const mockFetch = vi.fn().mockResolvedValue(
+                limitedResponse(204, { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset-After': '0.8' })
+            );
+
+            await sendDiscord('first', { fetchFn: mockFetch, sleepFn, nowFn: () => now, rateLimits });
+            expect(sleepFn).not.toHaveBeenCalled();
+
+            await sendDiscord('second', { fetchFn: mockFetch, sleepFn, nowFn: () => now, rateLimits });
+            expect(sleepFn).toHaveBeenCalledWith(800);
+        });
+
+        it('fails after repeated rate limits', async () => {
+            const mockFetch = vi.fn().mockResolvedValue(limitedResponse(429, { 'Retry-After': '1' }));
+
+            const result = await sendDiscord('test', { fetchFn: mockFetch, sleepFn, nowFn: () => now, rateLimits });
+
+            expect(result).toBe(false);
+            expect(mockFetch).toHaveBeenCalledTimes(4);
+        });
+    });
 });
 
 describe('notify', () => {
@@ -171,16 +348,16 @@ describe('notify', () => {
         process.env = { ...originalEnv };
     });
 
-    it('returns false for both when no programs', async () => {
+    it('reports no channels when there are no programs', async () => {
         const result = await notify([]);
 
-        expect(result).toEqual({ telegram: false, discord: false });
+        expect(result).toEqual({});
     });
 
-    it('returns false for both when programs is null', async () => {
+    it('reports no channels when programs is null', async () => {
         const result = await notify(null);
 
-        expect(result).toEqual({ telegram: false, discord: false });
+        expect(result).toEqual({});
     });
 
     it('sends to all configured channels', async () => {
@@ -196,4 +373,86 @@ describe('notify', () => {
         expect(result.discord).toBe(true);
         expect(mockFetch).toHaveBeenCalledTimes(2);
     });
+
+    it('reports unconfigured channels as null', async () => {
+        process.env.DISCORD_WEBHOOK_URL = 'https://discord.com/api/webhooks/fake';
+        delete process.env.TELEGRAM_BOT_TOKEN;
+
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(204));
+
+        const result = await notify(samplePrograms, { fetchFn: mockFetch });
+
+        expect(result).toMatchObject({ telegram: null, discord: true, slack: null });
+    });
+
+    it('only delivers to the requested channels', async () => {
+        process.env.TELEGRAM_BOT_TOKEN = 'fake-bot-token';
+        process.env.TELEGRAM_CHAT_ID = '12345';
+        process.env.DISCORD_WEBHOOK_URL = 'https://discord.com/api/webhooks/fake';
+
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(200));
+
+        const result = await notify(samplePrograms, { fetchFn: mockFetch, channels: ['telegram'] });
+
+        expect(result).toEqual({ telegram: true });
+        expect(mockFetch).toHaveBeenCalledTimes(1);
+        expect(mockFetch.mock.calls[0][0]).toContain('api.telegram.org');
+    });
+});
+
+describe('notifyChanges', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('reports no channels when there are no changes', async () => {
+        expect(await notifyChanges([])).toEqual({});
+    });
+
+    it('sends a scope change message to all configured channels', async () => {
+        process.env.TELEGRAM_BOT_TOKEN = 'fake-bot-token';
+        process.env.TELEGRAM_CHAT_ID = '12345';
+        process.env.DISCORD_WEBHOOK_URL = 'https://discord.com/api/webhooks/fake';
+
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(200));
+
+        const result = await notifyChanges([sampleChange], { fetchFn: mockFetch });
+
+        expect(result).toMatchObject({ telegram: true, discord: true, slack: null });
+        expect(mockFetch).toHaveBeenCalledTimes(2);
+        const discordBody = JSON.parse(mockFetch.mock.calls[1][1].body);
+        expect(discordBody.embeds[0].title).toBe('Acme Corp (acme) — 🔄 scope changed');
+        expect(discordBody.embeds[0].description).toContain('`*.acme.io`');
+    });
+});
+
+describe('notifyNotice', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('sends a single escaped warning to every configured channel', async () => {
+        process.env.TELEGRAM_BOT_TOKEN = 'fake-bot-token';
+        process.env.TELEGRAM_CHAT_ID = '12345';
+        process.env.DISCORD_WEBHOOK_URL = 'https://discord.com/api/webhooks/fake';
+
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(200));
+
+        const result = await notifyNotice(
+            { level: 'warning', title: 'Anomalous <API> response', lines: ['8 of 10 missing'] },
+            { fetchFn: mockFetch, sleepFn: async () => {} }
+        );
+
+        expect(result).toMatchObject({ telegram: true, discord: true, slack: null });
+        expect(mockFetch).toHaveBeenCalledTimes(2);
+        const telegramBody = JSON.parse(mockFetch.mock.calls[0][1].body);
+        expect(telegramBody.text).toBe('⚠️ <b>h1-watcher</b> — Anomalous &lt;API&gt; response\n\n8 of 10 missing');
+        const discordBody = JSON.parse(mockFetch.mock.calls[1][1].body);
+        expect(discordBody.embeds[0].title).toBe('⚠️ h1-watcher — Anomalous <API> response');
+        expect(discordBody.embeds[0].description).toBe('8 of 10 missing');
+    });
 });
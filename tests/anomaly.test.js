@@ -0,0 +1,159 @@
+// tests/anomaly.test.js — Unit tests for API result sanity checks
+import { describe, it, expect, afterEach } from 'vitest';
+import { detectAnomalies, trackAnomalies, getThresholds } from '../src/anomaly.js';
+import { createEmptyDb, addPrograms } from '../src/db.js';
+
+function makeProgram(id) {
+    return {
+        id: String(id),
+        handle: `prog-${id}`,
+        name: `prog-${id}`,
+        state: 'public_mode',
+        submission_state: 'open',
+        offers_bounties: true,
+        started_accepting_at: null,
+    };
+}
+
+function range(from, to) {
+    return Array.from({ length: to - from + 1 }, (_, i) => makeProgram(from + i));
+}
+
+const thresholds = { maxDropPercent: 20, maxNewPerRun: 5 };
+
+describe('getThresholds', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('uses defaults when env vars are not set', () => {
+        delete process.env.ANOMALY_MAX_DROP_PERCENT;
+        delete process.env.ANOMALY_MAX_NEW_PER_RUN;
+        delete process.env.ANOMALY_CONFIRM_RUNS;
+
+        expect(getThresholds()).toEqual({ maxDropPercent: 20, maxNewPerRun: 25, confirmRuns: 3 });
+    });
+
+    it('reads thresholds from env vars', () => {
+        process.env.ANOMALY_MAX_DROP_PERCENT = '5.5';
+        process.env.ANOMALY_MAX_NEW_PER_RUN = '0';
+        process.env.ANOMALY_CONFIRM_RUNS = '2';
+
+        expect(getThresholds()).toEqual({ maxDropPercent: 5.5, maxNewPerRun: 0, confirmRuns: 2 });
+    });
+});
+
+describe('detectAnomalies', () => {
+    it('reports nothing for a normal run', () => {
+        const db = createEmptyDb();
+        addPrograms(db, range(1, 10));
+
+        const result = detectAnomalies(db, range(1, 11), [makeProgram(11)], thresholds);
+
+        expect(result.dropAnomaly).toBe(false);
+        expect(result.newAnomaly).toBe(false);
+        expect(result.reasons).toEqual([]);
+    });
+
+    it('flags a drop above the threshold', () => {
+        const db = createEmptyDb();
+        addPrograms(db, range(1, 10));
+
+        const result = detectAnomalies(db, range(1, 7), [], thresholds);
+
+        expect(result.dropAnomaly).toBe(true);
+        expect(result.missingCount).toBe(3);
+        expect(result.dropPercent).toBe(30);
+        expect(result.reasons[0]).toContain('3 of 10 known programs (30.0%)');
+    });
+
+    it('compares ID sets, not just counts', () => {
+        const db = createEmptyDb();
+        addPrograms(db, range(1, 10));
+
+        // Same count, but half of the known programs were swapped for unknown ones
+        const result = detectAnomalies(db, [...range(1, 5), ...range(101, 105)], range(101, 105), thresholds);
+
+        expect(result.fetchedCount).toBe(10);
+        expect(result.dropAnomaly).toBe(true);
+    });
+
+    it('ignores programs already marked removed', () => {
+        const db = createEmptyDb();
+        addPrograms(db, range(1, 10));
+        for (const id of ['8', '9', '10']) db.programs[id].removed_at = '2024-01-01T00:00:00.000Z';
+
+        const result = detectAnomalies(db, range(1, 7), [], thresholds);
+
+        expect(result.previousCount).toBe(7);
+        expect(result.dropAnomaly).toBe(false);
+    });
+
+    it('flags too many new programs', () => {
+        const db = createEmptyDb();
+        addPrograms(db, range(1, 10));
+
+        const result = detectAnomalies(db, range(1, 16), range(11, 16), thresholds);
+
+        expect(result.newAnomaly).toBe(true);
+        expect(result.reasons[0]).toContain('6 new programs in one run (limit 5)');
+    });
+
+    it('skips all checks when there is no previous run', () => {
+        const result = detectAnomalies(createEmptyDb(), range(1, 100), range(1, 100), thresholds);
+
+        expect(result.dropAnomaly).toBe(false);
+        expect(result.newAnomaly).toBe(false);
+    });
+});
+
+describe('trackAnomalies', () => {
+    const options = { confirmRuns: 3, now: Date.parse('2024-01-15T10:00:00Z') };
+
+    function flood(state, newPrograms) {
+        const anomalies = detectAnomalies(state, [...range(1, 10), ...newPrograms], newPrograms, thresholds);
+        return trackAnomalies(state, anomalies, newPrograms, options);
+    }
+
+    it('reports a new anomaly once, then accepts it after identical runs', () => {
+        const state = createEmptyDb();
+        addPrograms(state, range(1, 10));
+
+        expect(flood(state, range(11, 20))).toEqual({ drop: null, new: 'new' });
+        expect(state.anomalies.new).toMatchObject({ count: 10, first_seen: '2024-01-15T10:00:00.000Z', runs: 1 });
+        expect(flood(state, range(11, 20))).toEqual({ drop: null, new: 'repeated' });
+        expect(flood(state, range(11, 20))).toEqual({ drop: null, new: 'accepted' });
+        expect(state.anomalies).toBeUndefined();
+    });
+
+    it('starts over when the programs involved change', () => {
+        const state = createEmptyDb();
+        addPrograms(state, range(1, 10));
+
+        flood(state, range(11, 20));
+        flood(state, range(11, 20));
+
+        expect(flood(state, range(11, 21))).toEqual({ drop: null, new: 'new' });
+        expect(state.anomalies.new.runs).toBe(1);
+    });
+
+    it('forgets an anomaly that went away', () => {
+        const state = createEmptyDb();
+        addPrograms(state, range(1, 10));
+        flood(state, range(11, 20));
+
+        expect(flood(state, range(11, 12))).toEqual({ drop: null, new: null });
+        expect(state.anomalies).toBeUndefined();
+    });
+
+    it('accepts right away when asked to', () => {
+        const state = createEmptyDb();
+        addPrograms(state, range(1, 10));
+        const anomalies = detectAnomalies(state, range(1, 2), [], thresholds);
+
+        expect(trackAnomalies(state, anomalies, [], { ...options, accept: true })).toEqual({ drop: 'accepted', new: null });
+        expect(state.anomalies).toBeUndefined();
+    });
+});
@@ -0,0 +1,177 @@
+// tests/bot.test.js — Unit tests for Telegram bot commands
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { parseCommand, handleCommands, isMuted, isCommandsEnabled } from '../src/bot.js';
+
+function makeState() {
+    return {
+        last_run: '2024-01-15T10:15:00.000Z',
+        programs: {
+            1: { handle: 'acme', name: 'Acme Corp', offers_bounties: true, first_seen: '2024-01-10T00:00:00.000Z', baseline: true },
+            2: { handle: 'beta', name: 'Beta <Labs>', offers_bounties: false, first_seen: '2024-01-12T00:00:00.000Z' },
+            3: { handle: 'gamma', name: 'Gamma', offers_bounties: true, first_seen: '2024-01-14T00:00:00.000Z' },
+            4: { handle: 'old', name: 'Old', offers_bounties: false, first_seen: '2024-01-11T00:00:00.000Z', removed_at: '2024-01-13T00:00:00.000Z' },
+        },
+        outbox: { pending: [{}], dead_letter: [] },
+    };
+}
+
+function update(id, text, chatId = 12345) {
+    return { update_id: id, message: { message_id: id, chat: { id: chatId }, text } };
+}
+
+function updatesResponse(result) {
+    return { ok: true, status: 200, json: async () => ({ ok: true, result }) };
+}
+
+describe('parseCommand', () => {
+    it('splits commands and arguments', () => {
+        expect(parseCommand('/recent 3')).toEqual({ command: 'recent', args: '3' });
+        expect(parseCommand('/Search@h1_watcher_bot  acme corp ')).toEqual({ command: 'search', args: 'acme corp' });
+        expect(parseCommand('/status')).toEqual({ command: 'status', args: '' });
+        expect(parseCommand('hello')).toBeNull();
+        expect(parseCommand(undefined)).toBeNull();
+    });
+});
+
+describe('isCommandsEnabled', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('needs TELEGRAM_COMMANDS and Telegram credentials', () => {
+        process.env.TELEGRAM_COMMANDS = 'true';
+        delete process.env.TELEGRAM_BOT_TOKEN;
+        expect(isCommandsEnabled()).toBe(false);
+
+        process.env.TELEGRAM_BOT_TOKEN = 'fake-bot-token';
+        process.env.TELEGRAM_CHAT_ID = '12345';
+        expect(isCommandsEnabled()).toBe(true);
+    });
+});
+
+describe('handleCommands', () => {
+    const originalEnv = { ...process.env };
+    let sendFn;
+
+    beforeEach(() => {
+        process.env.TELEGRAM_BOT_TOKEN = 'fake-bot-token';
+        process.env.TELEGRAM_CHAT_ID = '12345';
+        sendFn = vi.fn().mockResolvedValue(true);
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+        vi.restoreAllMocks();
+    });
+
+    async function run(state, updates) {
+        const fetchFn = vi.fn().mockResolvedValue(updatesResponse(updates));
+        const handled = await handleCommands(state, { fetchFn, sendFn });
+        return { handled, fetchFn, replies: sendFn.mock.calls.map(([text]) => text) };
+    }
+
+    it('polls from the stored offset and advances it', async () => {
+        const state = makeState();
+        state.bot = { offset: 40 };
+
+        const { fetchFn } = await run(state, [update(41, 'not a command'), update(42, '/status')]);
+
+        expect(JSON.parse(fetchFn.mock.calls[0][1].body)).toMatchObject({ offset: 40, timeout: 0 });
+        expect(fetchFn.mock.calls[0][0]).toBe('https://api.telegram.org/botfake-bot-token/getUpdates');
+        expect(state.bot.offset).toBe(43);
+        expect(sendFn).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores commands from other chats', async () => {
+        const state = makeState();
+
+        const { handled } = await run(state, [update(1, '/mute acme', 999)]);
+
+        expect(handled).toBe(0);
+        expect(state.muted).toBeUndefined();
+        expect(sendFn).not.toHaveBeenCalled();
+        expect(state.bot.offset).toBe(2);
+    });
+
+    it('reports status', async () => {
+        const { replies } = await run(makeState(), [update(1, '/status')]);
+
+        expect(replies[0]).toContain('Last run: 2024-01-15 10:15 UTC');
+        expect(replies[0]).toContain('Tracking: 3 programs (2 bounty, 1 VDP), 1 removed');
+        expect(replies[0]).toContain('Pending alerts: 1');
+        expect(replies[0]).toContain('Muted: none');
+    });
+
+    it('lists recent programs, newest first, without baseline records', async () => {
+        const { replies } = await run(makeState(), [update(1, '/recent 2'), update(2, '/recent')]);
+
+        expect(replies[0].split('\n')).toEqual([
+            '🆕 Last 2 new program(s):',
+            '💰 <b>Gamma</b> (<code>gamma</code>) — 2024-01-14 00:00 UTC',
+            '🏅 <b>Beta &lt;Labs&gt;</b> (<code>beta</code>) — 2024-01-12 00:00 UTC',
+        ]);
+        expect(replies[1]).toContain('Last 3 new program(s)');
+    });
+
+    it('searches handles and names', async () => {
+        const { replies } = await run(makeState(), [update(1, '/search LABS'), update(2, '/search nothing'), update(3, '/search')]);
+
+        expect(replies[0]).toBe('🔍 1 match(es):\n🏅 <b>Beta &lt;Labs&gt;</b> (<code>beta</code>)');
+        expect(replies[1]).toBe('No program matches "nothing".');
+        expect(replies[2]).toBe('Usage: /search &lt;text&gt;');
+    });
+
+    it('mutes and unmutes handles in state', async () => {
+        const state = makeState();
+
+        const { replies } = await run(state, [update(1, '/mute ACME'), update(2, '/mute newco'), update(3, '/unmute acme')]);
+
+        expect(replies[0]).toBe('🔇 Muted <code>acme</code>.');
+        expect(replies[1]).toContain('not tracked yet');
+        expect(replies[2]).toBe('🔔 Unmuted <code>acme</code>.');
+        expect(Object.keys(state.muted)).toEqual(['newco']);
+        expect(isMuted(state, { handle: 'NewCo' })).toBe(true);
+        expect(isMuted(state, { handle: 'acme' })).toBe(false);
+    });
+
+    it('answers unknown commands with a hint', async () => {
+        const { replies } = await run(makeState(), [update(1, '/launch')]);
+
+        expect(replies[0]).toBe('Unknown command /launch. Send /help for the list.');
+    });
+
+    it('treats Object.prototype names as unknown commands', async () => {
+        const { replies } = await run(makeState(), [update(1, '/__proto__'), update(2, '/constructor')]);
+
+        expect(replies).toEqual([
+            'Unknown command /__proto__. Send /help for the list.',
+            'Unknown command /constructor. Send /help for the list.',
+        ]);
+    });
+
+    it('moves the offset past a command whose reply fails', async () => {
+        const state = makeState();
+        sendFn.mockRejectedValueOnce(new Error('HTTP 400'));
+
+        const { handled } = await run(state, [update(1, '/status'), update(2, '/mute beta')]);
+
+        expect(handled).toBe(1);
+        expect(state.bot.offset).toBe(3);
+        expect(Object.keys(state.muted)).toEqual(['beta']);
+    });
+
+    it('keeps the offset when getUpdates fails', async () => {
+        const state = makeState();
+        state.bot = { offset: 7 };
+        const fetchFn = vi.fn().mockResolvedValue({ ok: false, status: 502 });
+
+        const handled = await handleCommands(state, { fetchFn, sendFn });
+
+        expect(handled).toBe(0);
+        expect(state.bot.offset).toBe(7);
+    });
+});
@@ -0,0 +1,169 @@
+// tests/channels.test.js — Unit tests for the alert channel registry
+import { describe, it, expect, vi } from 'vitest';
+import { getChannels, getChannel, registerChannel, validateChannel } from '../src/channels/index.js';
+import { notify, notifyChanges, notifyNotice, notifyDigest } from '../src/alerter.js';
+import { compileRules } from '../src/filters.js';
+
+/**
+ * Build a minimal channel that records what it was asked to send.
+ */
+function makeChannel(name, overrides = {}) {
+    return {
+        name,
+        label: name.toUpperCase(),
+        maxLength: 100,
+        isConfigured: () => true,
+        formatter: {
+            newPrograms: (programs) => programs.map((p) => `new ${p.handle}`),
+            changes: (events) => [`${events.length} changes`],
+            notice: (notice) => [notice.title],
+        },
+        send: vi.fn().mockResolvedValue(true),
+        ...overrides,
+    };
+}
+
+describe('channel registry', () => {
+    it('registers Telegram and Discord by default', () => {
+        const names = getChannels().map((c) => c.name);
+
+        expect(names).toContain('telegram');
+        expect(names).toContain('discord');
+        expect(getChannel('telegram').maxLength).toBe(4096);
+        expect(getChannel('discord').maxLength).toBe(6000);
+    });
+
+    it('rejects channels that do not implement the interface', () => {
+        expect(() => validateChannel({ name: 'broken', send: () => true })).toThrow(/missing: label, maxLength/);
+        expect(() => validateChannel(makeChannel('partial', { formatter: { notice: () => [] } })))
+            .toThrow(/formatter is missing: newPrograms, changes/);
+    });
+
+    it('replaces a channel registered under the same name', () => {
+        const first = makeChannel('custom-test');
+        const second = makeChannel('custom-test', { maxLength: 50 });
+
+        registerChannel(first);
+        registerChannel(second);
+
+        expect(getChannels().filter((c) => c.name === 'custom-test')).toHaveLength(1);
+        expect(getChannel('custom-test').maxLength).toBe(50);
+    });
+});
+
+describe('notify over a custom registry', () => {
+    it('reports the result per channel name', async () => {
+        const ok = makeChannel('ok');
+        const down = makeChannel('down', { send: vi.fn().mockResolvedValue(false) });
+        const off = makeChannel('off', { isConfigured: () => false });
+
+        const result = await notify([{ handle: 'acme' }], { registry: [ok, down, off] });
+
+        expect(result).toEqual({ ok: true, down: false, off: null });
+        expect(ok.send).toHaveBeenCalledWith('new acme', expect.any(Object));
+        expect(off.send).not.toHaveBeenCalled();
+    });
+
+    it('passes the channel max length to its formatter', async () => {
+        const channel = makeChannel('ok');
+        channel.formatter.changes = vi.fn().mockReturnValue(['x']);
+
+        await notifyChanges([{ type: 'went_private', program: {} }], { registry: [channel] });
+
+        expect(channel.formatter.changes).toHaveBeenCalledWith(expect.any(Array), 100, expect.any(Object));
+    });
+
+    it('reports a channel whose formatter throws as failed', async () => {
+        const channel = makeChannel('bad');
+        channel.formatter.notice = () => {
+            throw new Error('boom');
+        };
+
+        const result = await notifyNotice({ title: 'hi' }, { registry: [channel] });
+
+        expect(result).toEqual({ bad: false });
+    });
+});
+
+describe('notify with filter rules', () => {
+    const programs = [
+        { id: '1', handle: 'acme', name: 'Acme', offers_bounties: true },
+        { id: '2', handle: 'beta', name: 'Beta', offers_bounties: false },
+    ];
+
+    it('filters programs per channel before formatting and logs exclusions', async () => {
+        const all = makeChannel('all');
+        const bountyOnly = makeChannel('bounty');
+        bountyOnly.formatter.newPrograms = vi.fn((items) => items.map((p) => `new ${p.handle}`));
+        const rules = compileRules({ bounty: { include: [{ offers_bounties: true }] } });
+        const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+        const result = await notify(programs, { registry: [all, bountyOnly], rules });
+
+        expect(result).toEqual({ all: true, bounty: true });
+        expect(all.send).toHaveBeenCalledTimes(2);
+        expect(bountyOnly.formatter.newPrograms).toHaveBeenCalledWith([programs[0]], 100, expect.any(Object));
+        expect(logSpy.mock.calls.flat().join('\n')).toContain('Filter: beta not sent to BOUNTY (no bounty.include rule matched)');
+        logSpy.mockRestore();
+    });
+
+    it('skips a channel when every item is filtered out', async () => {
+        const channel = makeChannel('quiet');
+        const rules = compileRules({ quiet: { exclude: [{ handle: '/.*/' }] } });
+
+        const result = await notifyChanges(programs.map((program) => ({ type: 'went_private', program })), {
+            registry: [channel],
+            rules,
+        });
+
+        expect(result).toEqual({ quiet: null });
+        expect(channel.send).not.toHaveBeenCalled();
+    });
+
+    it('never filters operational notices', async () => {
+        const channel = makeChannel('quiet');
+        const rules = compileRules({ quiet: { exclude: [{ handle: '/.*/' }] } });
+
+        expect(await notifyNotice({ title: 'hi' }, { registry: [channel], rules })).toEqual({ quiet: true });
+    });
+});
+
+describe('digest mode', () => {
+    const programs = [
+        { id: '1', handle: 'acme', name: 'Acme', offers_bounties: true },
+        { id: '2', handle: 'beta', name: 'Beta', offers_bounties: false },
+    ];
+    const digest = { programs, since: '2024-01-15T09:00:00.000Z', until: '2024-01-15T10:00:00.000Z' };
+
+    it('skips new-program alerts on digest channels', async () => {
+        const live = makeChannel('live');
+        const quiet = makeChannel('quiet');
+
+        const result = await notify(programs, { registry: [live, quiet], rules: {}, digestChannels: ['quiet'] });
+
+        expect(result).toEqual({ live: true, quiet: null });
+        expect(quiet.send).not.toHaveBeenCalled();
+    });
+
+    it('sends digests to digest channels only', async () => {
+        const live = makeChannel('live');
+        const quiet = makeChannel('quiet');
+        quiet.formatter.digest = vi.fn((d) => [`digest of ${d.programs.length}`]);
+
+        const result = await notifyDigest(digest, { registry: [live, quiet], rules: {}, digestChannels: ['quiet'] });
+
+        expect(result).toEqual({ quiet: true });
+        expect(quiet.send).toHaveBeenCalledWith('digest of 2', expect.any(Object));
+        expect(live.send).not.toHaveBeenCalled();
+    });
+
+    it('applies filter rules to digests and falls back to the new-program formatter', async () => {
+        const quiet = makeChannel('quiet');
+        const rules = compileRules({ quiet: { include: [{ offers_bounties: true }] } });
+
+        await notifyDigest(digest, { registry: [quiet], rules, digestChannels: ['*'] });
+
+        expect(quiet.send).toHaveBeenCalledTimes(1);
+        expect(quiet.send).toHaveBeenCalledWith('new acme', expect.any(Object));
+    });
+});
@@ -0,0 +1,282 @@
+// tests/cli.test.js — Unit tests for the command-line interface
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { main, helpText, EXIT_CODES } from '../src/cli.js';
+import { ConfigError, setting, useConfig } from '../src/config.js';
+
+function makeState() {
+    return {
+        last_run: '2024-01-15T10:15:00.000Z',
+        programs: {
+            1: { handle: 'acme', name: 'Acme Corp', offers_bounties: true, first_seen: '2024-01-10T00:00:00.000Z', baseline: true },
+            2: { handle: 'beta', name: 'Beta Labs', offers_bounties: false, first_seen: '2024-01-12T00:00:00.000Z' },
+            3: { handle: 'gamma', name: 'Gamma', offers_bounties: true, first_seen: '2024-01-14T00:00:00.000Z' },
+            4: { handle: 'old', name: 'Old', offers_bounties: false, first_seen: '2024-01-11T00:00:00.000Z', removed_at: '2024-01-13T00:00:00.000Z' },
+            5: { handle: 'quiet', name: 'Quiet', offers_bounties: true, first_seen: '2024-01-13T00:00:00.000Z' },
+        },
+        outbox: { pending: [{}], dead_letter: [{}, {}] },
+        muted: { quiet: '2024-01-13T00:00:00.000Z' },
+    };
+}
+
+describe('cli', () => {
+    let lines;
+    let deps;
+
+    beforeEach(() => {
+        lines = [];
+        deps = {
+            print: (line) => lines.push(line),
+            loadFn: vi.fn().mockResolvedValue(makeState()),
+            runFn: vi.fn().mockResolvedValue({ newPrograms: [{}], baselined: [], changes: [{}, {}] }),
+            notifyFn: vi.fn().mockResolvedValue({ telegram: true, discord: null }),
+            notifyNoticeFn: vi.fn().mockResolvedValue({ telegram: true, discord: null }),
+            loadConfigFn: vi.fn().mockReturnValue({ file: null, values: {}, sources: {} }),
+        };
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        useConfig(null);
+        vi.restoreAllMocks();
+    });
+
+    describe('help and usage errors', () => {
+        it('prints help with exit code 0, or 2 without a command', async () => {
+            expect(await main(['--help'], deps)).toBe(EXIT_CODES.ok);
+            expect(lines[0]).toBe(helpText());
+            expect(helpText()).toContain('test-alert');
+
+            expect(await main([], deps)).toBe(EXIT_CODES.usage);
+        });
+
+        it('prints command help', async () => {
+            expect(await main(['list', '--help'], deps)).toBe(EXIT_CODES.ok);
+            expect(lines[0]).toMatch(/^Usage: h1-watcher list \[--type bounty\|vdp\]/);
+            expect(lines[0]).toContain('--db <path>');
+            expect(lines[0]).toContain('--config <path>');
+            expect(deps.loadFn).not.toHaveBeenCalled();
+            expect(deps.loadConfigFn).not.toHaveBeenCalled();
+        });
+
+        it('rejects unknown commands, options and invalid values with exit code 2', async () => {
+            expect(await main(['launch'], deps)).toBe(EXIT_CODES.usage);
+            expect(await main(['run', '--force'], deps)).toBe(EXIT_CODES.usage);
+            expect(await main(['list', '--type', 'paid'], deps)).toBe(EXIT_CODES.usage);
+            expect(await main(['resend'], deps)).toBe(EXIT_CODES.usage);
+            expect(await main(['resend', '--since', 'yesterday-ish'], deps)).toBe(EXIT_CODES.usage);
+            expect(console.error.mock.calls.flat().join('\n')).toContain('Invalid --since date "yesterday-ish"');
+            expect(deps.runFn).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('configuration', () => {
+        it('loads the config file before the command, requiring credentials to run', async () => {
+            deps.loadConfigFn.mockReturnValue({ file: 'h1.yml', values: { DB_PATH: 'data/db.json' }, sources: {} });
+
+            await main(['run', '--config', 'h1.yml'], deps);
+            await main(['status'], deps);
+
+            expect(deps.loadConfigFn.mock.calls).toEqual([
+                [{ file: 'h1.yml', requireCredentials: true }],
+                [{ file: undefined, requireCredentials: false }],
+            ]);
+            expect(setting('DB_PATH')).toBe('data/db.json');
+            expect(deps.runFn).toHaveBeenCalledWith({ dbPath: 'data/db.json', dryRun: undefined });
+        });
+
+        it('exits with 2 and lists every error on an invalid configuration', async () => {
+            deps.loadConfigFn.mockImplementation(() => {
+                throw new ConfigError(['log.level: must be one of error, warn, info', 'SMTP_PORT: must be a number'], 'h1.yml');
+            });
+
+            expect(await main(['run'], deps)).toBe(EXIT_CODES.usage);
+            const output = console.error.mock.calls.flat().join('\n');
+            expect(output).toContain('Invalid configuration in h1.yml');
+            expect(output).toContain('  - SMTP_PORT: must be a number');
+            expect(deps.runFn).not.toHaveBeenCalled();
+        });
+
+        it('prints the effective settings with secrets hidden', async () => {
+            deps.loadConfigFn.mockReturnValue({
+                file: 'h1.yml',
+                values: { H1_API_TOKEN: 'secret-token', DB_PATH: 'data/db.json' },
+                sources: { H1_API_TOKEN: 'env', DB_PATH: 'file' },
+            });
+
+            expect(await main(['config'], deps)).toBe(EXIT_CODES.ok);
+            expect(lines).toEqual([
+                'Configuration is valid (file: h1.yml)',
+                '  hackerone.api_token  ***  (env)',
+                '  state.db_path        data/db.json  (file)',
+            ]);
+        });
+    });
+
+    describe('run', () => {
+        it('passes --dry-run and --db to the watcher', async () => {
+            const code = await main(['run', '--dry-run', '--db', '/tmp/x.json'], deps);
+
+            expect(code).toBe(EXIT_CODES.ok);
+            expect(deps.runFn).toHaveBeenCalledWith({ dbPath: '/tmp/x.json', dryRun: true });
+            expect(lines).toEqual(['Dry run: 1 new program(s), 2 change(s), nothing sent or saved.']);
+        });
+
+        it('exits with 1 when the run fails', async () => {
+            deps.runFn.mockRejectedValue(new Error('HTTP 500'));
+
+            expect(await main(['run', '--baseline'], deps)).toBe(EXIT_CODES.failure);
+            expect(deps.runFn.mock.calls[0][0]).toMatchObject({ baseline: true });
+        });
+    });
+
+    describe('daemon', () => {
+        it('starts the daemon with the interval and jitter flags', async () => {
+            deps.daemonFn = vi.fn().mockResolvedValue(0);
+
+            const code = await main(['daemon', '--interval', '5', '--jitter', '30', '--db', '/tmp/x.json'], deps);
+
+            expect(code).toBe(EXIT_CODES.ok);
+            const { runFn, config } = deps.daemonFn.mock.calls[0][0];
+            expect(config).toMatchObject({ intervalMs: 300_000, jitterMs: 30_000 });
+            await runFn();
+            expect(deps.runFn).toHaveBeenCalledWith({ dbPath: '/tmp/x.json' });
+        });
+
+        it('rejects an invalid interval', async () => {
+            deps.daemonFn = vi.fn();
+
+            expect(await main(['daemon', '--interval', '0'], deps)).toBe(EXIT_CODES.usage);
+            expect(await main(['daemon', '--jitter', 'lots'], deps)).toBe(EXIT_CODES.usage);
+            expect(await main(['daemon', '--metrics-port', '0'], deps)).toBe(EXIT_CODES.usage);
+            expect(deps.daemonFn).not.toHaveBeenCalled();
+        });
+
+        it('serves metrics while the daemon runs', async () => {
+            const server = { close: vi.fn() };
+            deps.metricsServerFn = vi.fn().mockResolvedValue(server);
+            deps.daemonFn = vi.fn().mockResolvedValue(0);
+
+            expect(await main(['daemon', '--metrics-port', '9464'], deps)).toBe(EXIT_CODES.ok);
+
+            expect(deps.metricsServerFn).toHaveBeenCalledWith(expect.objectContaining({ port: 9464, host: '127.0.0.1' }));
+            expect(deps.metricsServerFn.mock.invocationCallOrder[0]).toBeLessThan(deps.daemonFn.mock.invocationCallOrder[0]);
+            expect(server.close).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('status', () => {
+        it('summarizes the state file', async () => {
+            await main(['status'], deps);
+
+            expect(lines).toContain('Tracking:       4 programs (3 bounty, 1 VDP), 1 removed');
+            expect(lines).toContain('Pending alerts: 1 (2 dead-lettered)');
+            expect(lines).toContain('Muted:          quiet');
+            expect(lines.some((l) => l.startsWith('Failing:'))).toBe(false);
+        });
+
+        it('shows consecutive failed runs', async () => {
+            deps.loadFn.mockResolvedValue({ ...makeState(), health: { consecutive_failures: 2, last_error: 'HTTP 502' } });
+
+            await main(['status'], deps);
+
+            expect(lines).toContain('Failing:        2 run(s) in a row, last error: HTTP 502');
+        });
+
+        it('shows the statistics of the last run', async () => {
+            deps.loadFn.mockResolvedValue({
+                ...makeState(),
+                stats: {
+                    runs: [{
+                        outcome: 'success', duration_ms: 12_345, pages_fetched: 3, http_retries: 1, programs_fetched: 250,
+                        new_programs: 2, alerts: { telegram: { sent: 2, failed: 0 }, discord: { sent: 1, failed: 1 } },
+                    }],
+                },
+            });
+
+            await main(['status'], deps);
+
+            expect(lines).toContain('Last run stats: success, 12.3 s, 3 page(s), 1 retried request(s), 250 program(s), ' +
+                '2 new, 3 alert(s) sent, 1 failed');
+        });
+
+        it('prints JSON', async () => {
+            await main(['status', '--json'], deps);
+
+            expect(JSON.parse(lines[0])).toMatchObject({
+                last_run: '2024-01-15T10:15:00.000Z', programs: { active: 4, removed: 1 }, last_run_stats: null,
+            });
+        });
+    });
+
+    describe('list', () => {
+        it('lists active programs, newest first', async () => {
+            await main(['list'], deps);
+
+            expect(lines[0]).toBe('💰 gamma — Gamma (first seen 2024-01-14 00:00 UTC)');
+            expect(lines.slice(1, 4).map((l) => l.split(' ')[1])).toEqual(['quiet', 'beta', 'acme']);
+            expect(lines[4]).toBe('4 program(s)');
+        });
+
+        it('filters by type, date, text and removal', async () => {
+            await main(['list', '--type', 'bounty', '--since', '2024-01-11', '--json'], deps);
+            expect(JSON.parse(lines[0]).map((p) => p.handle)).toEqual(['gamma', 'quiet']);
+
+            lines.length = 0;
+            await main(['list', '--search', 'LABS'], deps);
+            expect(lines).toEqual(['🏅 beta — Beta Labs (first seen 2024-01-12 00:00 UTC)', '1 program(s)']);
+
+            lines.length = 0;
+            await main(['list', '--removed', '--limit', '1'], deps);
+            expect(lines[0]).toContain('old — Old');
+            expect(lines[0]).toContain('removed 2024-01-13 00:00 UTC');
+        });
+
+        it('limits the output', async () => {
+            await main(['list', '--limit', '2'], deps);
+
+            expect(lines).toHaveLength(3);
+            expect(lines[2]).toBe('4 program(s) (showing 2, use --limit 0 for all)');
+        });
+    });
+
+    describe('test-alert', () => {
+        it('sends a notice through the selected channels', async () => {
+            const code = await main(['test-alert', '--channel', 'telegram, discord'], deps);
+
+            expect(code).toBe(EXIT_CODES.ok);
+            expect(deps.notifyNoticeFn.mock.calls[0][0]).toMatchObject({ level: 'info', title: 'Test alert' });
+            expect(deps.notifyNoticeFn.mock.calls[0][1]).toEqual({ channels: ['telegram', 'discord'] });
+            expect(lines).toEqual(['Test alert:', '  telegram: sent', '  discord: skipped']);
+        });
+
+        it('exits with 1 when a channel fails or none is configured', async () => {
+            deps.notifyNoticeFn.mockResolvedValueOnce({ telegram: false, discord: true });
+            expect(await main(['test-alert'], deps)).toBe(EXIT_CODES.failure);
+
+            deps.notifyNoticeFn.mockResolvedValueOnce({ telegram: null });
+            expect(await main(['test-alert'], deps)).toBe(EXIT_CODES.failure);
+            expect(lines).toContain('No channel sent anything, check the channel settings.');
+        });
+    });
+
+    describe('resend', () => {
+        it('resends alerted programs first seen since the date, oldest first', async () => {
+            const code = await main(['resend', '--since', '2024-01-11'], deps);
+
+            expect(code).toBe(EXIT_CODES.ok);
+            // acme was a baseline record, old is removed and quiet is muted
+            expect(deps.notifyFn.mock.calls[0][0].map((p) => p.handle)).toEqual(['beta', 'gamma']);
+            expect(deps.notifyFn.mock.calls[0][0][0]).toMatchObject({ id: '2', name: 'Beta Labs' });
+            expect(lines[0]).toBe('Resent 2 program(s):');
+        });
+
+        it('does nothing when no program matches', async () => {
+            const code = await main(['resend', '--since', '2025-01-01'], deps);
+
+            expect(code).toBe(EXIT_CODES.ok);
+            expect(deps.notifyFn).not.toHaveBeenCalled();
+            expect(lines).toEqual(['No programs first seen since 2025-01-01 00:00 UTC.']);
+        });
+    });
+});
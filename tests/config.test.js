@@ -0,0 +1,200 @@
+// tests/config.test.js — Unit tests for the config file loader and settings
+import { describe, it, expect, afterEach, beforeEach, vi } from 'vitest';
+import { writeFile, rm, mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { loadConfig, useConfig, setting, secretValues, describeConfig, ConfigError } from '../src/config.js';
+import logger from '../src/logger.js';
+
+describe('loadConfig', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = join(tmpdir(), `h1-watcher-config-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+        await mkdir(dir, { recursive: true });
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    /** Write a config file and return its path */
+    async function configFile(name, content) {
+        const file = join(dir, name);
+        await writeFile(file, content);
+        return file;
+    }
+
+    it('reads a YAML file into env-style values', async () => {
+        const file = await configFile('config.yml', [
+            'hackerone:',
+            '  api_username: alice',
+            '  api_token: secret-token',
+            'watcher:',
+            '  notify_removed: true',
+            'webhook:',
+            '  urls:',
+            '    - https://a.example/hook',
+            '    - https://b.example/hook',
+            '  secret: hmac-key',
+            'alerts:',
+            '  rules:',
+            '    telegram:',
+            '      types: [bounty]',
+        ].join('\n'));
+
+        const config = loadConfig({ file, env: {}, requireCredentials: true });
+
+        expect(config.file).toBe(file);
+        expect(config.values).toEqual({
+            H1_API_USERNAME: 'alice',
+            H1_API_TOKEN: 'secret-token',
+            NOTIFY_REMOVED: 'true',
+            WEBHOOK_URLS: 'https://a.example/hook,https://b.example/hook',
+            WEBHOOK_SECRET: 'hmac-key',
+            ALERT_RULES: '{"telegram":{"types":["bounty"]}}',
+        });
+        expect(config.sources.H1_API_TOKEN).toBe('file');
+    });
+
+    it('reads a JSON file, with env vars overriding it and empty env vars ignored', async () => {
+        const file = await configFile('config.json', JSON.stringify({
+            state: { db_path: 'data/db.json', backup_count: 5 },
+            log: { level: 'info' },
+        }));
+
+        const config = loadConfig({ file, env: { LOG_LEVEL: 'warn', DB_PATH: '' } });
+
+        expect(config.values).toEqual({ DB_PATH: 'data/db.json', DB_BACKUP_COUNT: '5', LOG_LEVEL: 'warn' });
+        expect(config.sources).toEqual({ DB_PATH: 'file', DB_BACKUP_COUNT: 'file', LOG_LEVEL: 'env' });
+    });
+
+    it('uses the H1_WATCHER_CONFIG env var, or env vars alone without a file', async () => {
+        const file = await configFile('config.yaml', 'digest:\n  schedule: hourly');
+
+        expect(loadConfig({ env: { H1_WATCHER_CONFIG: file } }).values).toEqual({ DIGEST_SCHEDULE: 'hourly' });
+        expect(loadConfig({ env: { SMTP_PORT: '465' } })).toEqual({
+            file: null,
+            values: { SMTP_PORT: '465' },
+            sources: { SMTP_PORT: 'env' },
+        });
+    });
+
+    it('reports every error at once, without echoing secret values', async () => {
+        const file = await configFile('config.yml', [
+            'hackerone:',
+            '  api_token: [not, a, string]',
+            '  scope_fetch_concurrency: 0',
+            'telegram:',
+            '  bot_token: 123:abc',
+            '  chat_room: 42',
+            'discord:',
+            '  webhook_url: ftp://example.com/hook',
+            'mastodon:',
+            '  token: x',
+        ].join('\n'));
+
+        let error;
+        try {
+            loadConfig({ file, env: { DIGEST_TIME: '25:00', SLACK_WEBHOOK_URL: 'not a url' }, requireCredentials: true });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).toBeInstanceOf(ConfigError);
+        expect(error.errors).toEqual([
+            'hackerone.api_token: must be a string',
+            'hackerone.scope_fetch_concurrency: must be at least 1 (got 0)',
+            'telegram.chat_room: unknown setting',
+            'discord.webhook_url: must be an http(s) URL',
+            'mastodon: unknown section',
+            'DIGEST_TIME: must be HH:MM (UTC) (got "25:00")',
+            'SLACK_WEBHOOK_URL: must be a URL',
+            'telegram.bot_token (TELEGRAM_BOT_TOKEN) is set, but telegram.chat_id (TELEGRAM_CHAT_ID) or ' +
+                'telegram.destinations (TELEGRAM_DESTINATIONS) is missing',
+            'hackerone.api_username (H1_API_USERNAME) is required',
+            'hackerone.api_token (H1_API_TOKEN) is required',
+        ]);
+        expect(error.message).toContain(`Invalid configuration in ${file}:\n  - hackerone.api_token`);
+        expect(error.message).not.toContain('not a url');
+    });
+
+    it('checks the format of Telegram destinations, without echoing them', async () => {
+        const file = await configFile('config.yml', [
+            'telegram:',
+            '  bot_token: 123:abc',
+            '  destinations: [-100123, "bounty=-100456:7", "vpd=-100789"]',
+        ].join('\n'));
+
+        expect(() => loadConfig({ env: { TELEGRAM_BOT_TOKEN: '123:abc', TELEGRAM_DESTINATIONS: 'vdp=@alerts, all=-100123:4' } })).not.toThrow();
+        expect(() => loadConfig({ file, env: {} }))
+            .toThrow('telegram.destinations: item #3 must be [all|bounty|vdp=]chat_id[:thread_id]\n');
+        expect(() => loadConfig({ env: { TELEGRAM_DESTINATIONS: '-100123:topic' } }))
+            .toThrow('TELEGRAM_DESTINATIONS: item #1 must be [all|bounty|vdp=]chat_id[:thread_id]');
+    });
+
+    it('requires settings that only work together', () => {
+        expect(() => loadConfig({ env: { GOTIFY_URL: 'https://push.example' } }))
+            .toThrow('gotify.url (GOTIFY_URL) is set, but gotify.token (GOTIFY_TOKEN) is missing');
+        expect(() => loadConfig({ env: { SMTP_HOST: 'smtp.example', SMTP_TO: 'a@example.com' } }))
+            .toThrow('email.from (SMTP_FROM) is missing');
+    });
+
+    it('rejects unreadable and unsupported files', async () => {
+        const broken = await configFile('config.json', '{ "log": ');
+
+        expect(() => loadConfig({ file: broken, env: {} })).toThrow(/Cannot read config file: .*JSON/);
+        expect(() => loadConfig({ file: join(dir, 'missing.yml'), env: {} })).toThrow('Cannot read config file');
+        expect(() => loadConfig({ file: join(dir, 'config.toml'), env: {} })).toThrow('Unsupported config file type ".toml"');
+    });
+});
+
+describe('setting', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        useConfig(null);
+        process.env = { ...originalEnv };
+    });
+
+    it('reads the environment until a config is loaded', () => {
+        process.env.DB_PATH = 'env/db.json';
+        process.env.DB_BACKUP_COUNT = '';
+        expect(setting('DB_PATH')).toBe('env/db.json');
+        expect(setting('DB_BACKUP_COUNT')).toBeUndefined();
+
+        useConfig({ values: { DB_BACKUP_COUNT: '7' } });
+        expect(setting('DB_PATH')).toBeUndefined();
+        expect(setting('DB_BACKUP_COUNT')).toBe('7');
+    });
+
+    it('masks secrets from the loaded config in logs, list items included', () => {
+        const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+        useConfig({ values: { TELEGRAM_BOT_TOKEN: '123:abc', WEBHOOK_URLS: 'https://a.example/x, https://b.example/y', SMTP_HOST: 'smtp.example' } });
+
+        expect(secretValues()).toEqual(['123:abc', 'https://a.example/x', 'https://b.example/y']);
+        logger.info('token 123:abc posting to https://b.example/y via smtp.example');
+        expect(log.mock.calls[0][0]).toContain('token ***REDACTED*** posting to ***REDACTED*** via smtp.example');
+        log.mockRestore();
+    });
+
+    it('masks the GITHUB_TOKEN used as the recon fallback', () => {
+        const config = loadConfig({ env: { GITHUB_TOKEN: 'ghs_actions123' } });
+        useConfig(config);
+
+        expect(setting('GITHUB_TOKEN')).toBe('ghs_actions123');
+        expect(secretValues()).toEqual(['ghs_actions123']);
+    });
+
+    it('describes a config with secrets hidden', () => {
+        const config = {
+            values: { H1_API_TOKEN: 'secret-token', DB_PATH: 'data/db.json' },
+            sources: { H1_API_TOKEN: 'env', DB_PATH: 'file' },
+        };
+
+        expect(describeConfig(config)).toEqual([
+            { path: 'hackerone.api_token', env: 'H1_API_TOKEN', value: '***', source: 'env' },
+            { path: 'state.db_path', env: 'DB_PATH', value: 'data/db.json', source: 'file' },
+        ]);
+    });
+});
@@ -0,0 +1,133 @@
+// tests/daemon.test.js — Unit tests for the daemon scheduler
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'node:events';
+import { getDaemonConfig, nextDelay, startDaemon } from '../src/daemon.js';
+import { StateCorruptError } from '../src/db.js';
+
+const config = { intervalMs: 60_000, jitterMs: 10_000, maxBackoffMs: 300_000 };
+
+describe('getDaemonConfig', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('defaults to 15 minutes with 60 s jitter and a 4 h backoff cap', () => {
+        delete process.env.DAEMON_INTERVAL_MINUTES;
+        delete process.env.DAEMON_JITTER_SECONDS;
+        delete process.env.DAEMON_MAX_BACKOFF_MINUTES;
+
+        expect(getDaemonConfig()).toEqual({ intervalMs: 900_000, jitterMs: 60_000, maxBackoffMs: 14_400_000 });
+    });
+
+    it('reads the environment and ignores invalid values', () => {
+        process.env.DAEMON_INTERVAL_MINUTES = '5';
+        process.env.DAEMON_JITTER_SECONDS = '0';
+        process.env.DAEMON_MAX_BACKOFF_MINUTES = 'soon';
+
+        expect(getDaemonConfig()).toEqual({ intervalMs: 300_000, jitterMs: 0, maxBackoffMs: 14_400_000 });
+    });
+});
+
+describe('nextDelay', () => {
+    it('adds jitter to the interval', () => {
+        expect(nextDelay(config, 0, () => 0)).toBe(60_000);
+        expect(nextDelay(config, 0, () => 0.5)).toBe(65_000);
+    });
+
+    it('doubles the interval per consecutive failure, up to the cap', () => {
+        expect([1, 2, 3, 10].map((failures) => nextDelay(config, failures, () => 0)))
+            .toEqual([120_000, 240_000, 300_000, 300_000]);
+    });
+});
+
+describe('startDaemon', () => {
+    let signals;
+    let sleeps;
+
+    beforeEach(() => {
+        signals = new EventEmitter();
+        sleeps = [];
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    /** Start a daemon that records its sleeps instead of waiting */
+    function start(runFn, extra = {}) {
+        const sleepFn = vi.fn(async (ms) => {
+            sleeps.push(ms);
+        });
+        return startDaemon({ runFn, config, sleepFn, randomFn: () => 0, signals, ...extra });
+    }
+
+    it('runs one after another and backs off after failures', async () => {
+        let calls = 0;
+        const runFn = vi.fn(async () => {
+            calls++;
+            if (calls === 2 || calls === 3) throw new Error('HTTP 502');
+            if (calls === 5) signals.emit('SIGTERM', 'SIGTERM');
+        });
+
+        const code = await start(runFn);
+
+        expect(code).toBe(0);
+        expect(runFn).toHaveBeenCalledTimes(5);
+        expect(sleeps).toEqual([60_000, 120_000, 240_000, 60_000]);
+        expect(signals.listenerCount('SIGTERM')).toBe(0);
+    });
+
+    it('lets the current run finish on SIGINT', async () => {
+        let finished = false;
+        const runFn = vi.fn(async () => {
+            signals.emit('SIGINT', 'SIGINT');
+            await Promise.resolve();
+            finished = true;
+        });
+
+        await start(runFn);
+
+        expect(finished).toBe(true);
+        expect(runFn).toHaveBeenCalledTimes(1);
+        expect(sleeps).toEqual([]);
+    });
+
+    it('wakes up from the sleep on a signal', async () => {
+        const runFn = vi.fn().mockResolvedValue();
+        const sleepFn = vi.fn((ms, signal) => new Promise((resolve) => {
+            signal.addEventListener('abort', resolve);
+            signals.emit('SIGTERM', 'SIGTERM');
+        }));
+
+        await startDaemon({ runFn, config, sleepFn, signals });
+
+        expect(runFn).toHaveBeenCalledTimes(1);
+        expect(sleepFn).toHaveBeenCalledTimes(1);
+    });
+
+    it('exits at once on a second signal', async () => {
+        const exitFn = vi.fn();
+        const runFn = vi.fn(async () => {
+            signals.emit('SIGTERM', 'SIGTERM');
+            signals.emit('SIGINT', 'SIGINT');
+        });
+
+        await start(runFn, { exitFn });
+
+        expect(exitFn).toHaveBeenCalledWith(1);
+    });
+
+    it('stops on a corrupt state file', async () => {
+        const runFn = vi.fn().mockRejectedValue(new StateCorruptError('db.json is corrupt'));
+
+        const code = await start(runFn);
+
+        expect(code).toBe(1);
+        expect(runFn).toHaveBeenCalledTimes(1);
+    });
+});
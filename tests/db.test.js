@@ -1,8 +1,8 @@
 // tests/db.test.js — Unit tests for JSON DB wrapper
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { load, save, createEmptyDb, addPrograms } from '../src/db.js';
-import { writeFile, rm, mkdir } from 'node:fs/promises';
-import { existsSync } from 'node:fs';
+import { load, save, createEmptyDb, addPrograms, backupPath, StateCorruptError } from '../src/db.js';
+import { writeFile, rm, mkdir, readdir } from 'node:fs/promises';
+import { existsSync, readFileSync } from 'node:fs';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
 
@@ -41,16 +41,31 @@ describe('load', () => {
         expect(db.last_run).toBe('2024-01-01T00:00:00Z');
     });
 
-    it('returns empty DB on invalid JSON', async () => {
+    it('throws StateCorruptError on invalid JSON without backups', async () => {
         await writeFile(testDbPath, '{{{invalid json', 'utf-8');
 
+        await expect(load(testDbPath)).rejects.toThrow(StateCorruptError);
+    });
+
+    it('throws StateCorruptError on invalid structure without backups', async () => {
+        await writeFile(testDbPath, JSON.stringify({ foo: 'bar' }), 'utf-8');
+
+        await expect(load(testDbPath)).rejects.toThrow(/corrupt and no valid backup/);
+    });
+
+    it('falls back to the newest valid backup when the file is corrupt', async () => {
+        await writeFile(testDbPath, '{{{invalid json', 'utf-8');
+        await writeFile(backupPath(testDbPath, 1), 'also broken', 'utf-8');
+        await writeFile(backupPath(testDbPath, 2), JSON.stringify({ programs: { '2': { handle: 'older' } } }), 'utf-8');
+        await writeFile(backupPath(testDbPath, 3), JSON.stringify({ programs: { '3': { handle: 'oldest' } } }), 'utf-8');
+
         const db = await load(testDbPath);
 
-        expect(db).toEqual({ programs: {}, last_run: null });
+        expect(Object.keys(db.programs)).toEqual(['2']);
     });
 
-    it('returns empty DB on invalid structure', async () => {
-        await writeFile(testDbPath, JSON.stringify({ foo: 'bar' }), 'utf-8');
+    it('does not use backups when the file is missing', async () => {
+        await writeFile(backupPath(testDbPath, 1), JSON.stringify({ programs: { '1': {} } }), 'utf-8');
 
         const db = await load(testDbPath);
 
@@ -93,3 +108,88 @@ describe('save', () => {
         expect(ts).toBeGreaterThan(0);
     });
 });
+
+describe('save — atomic writes and backups', () => {
+    it('leaves no temp file behind', async () => {
+        await save(createEmptyDb(), testDbPath);
+
+        const files = await readdir(testDir);
+        expect(files).toEqual(['db.json']);
+    });
+
+    it('keeps the previous file as backup #1', async () => {
+        const db = createEmptyDb();
+        db.programs['1'] = { handle: 'first' };
+        await save(db, testDbPath);
+
+        db.programs['2'] = { handle: 'second' };
+        await save(db, testDbPath);
+
+        const backup = JSON.parse(readFileSync(backupPath(testDbPath, 1), 'utf-8'));
+        expect(Object.keys(backup.programs)).toEqual(['1']);
+        const current = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(Object.keys(current.programs)).toEqual(['1', '2']);
+    });
+
+    it('rotates backups and keeps only the configured number', async () => {
+        const db = createEmptyDb();
+        for (let i = 1; i <= 5; i++) {
+            db.programs[String(i)] = { handle: `p${i}` };
+            await save(db, testDbPath, { backups: 2 });
+        }
+
+        const files = (await readdir(testDir)).sort();
+        expect(files).toEqual(['db.json', 'db.json.bak.1', 'db.json.bak.2']);
+        const newest = JSON.parse(readFileSync(backupPath(testDbPath, 1), 'utf-8'));
+        const oldest = JSON.parse(readFileSync(backupPath(testDbPath, 2), 'utf-8'));
+        expect(Object.keys(newest.programs)).toHaveLength(4);
+        expect(Object.keys(oldest.programs)).toHaveLength(3);
+    });
+
+    it('keeps every good backup when the current file is corrupt', async () => {
+        const db = createEmptyDb();
+        for (let i = 1; i <= 4; i++) {
+            db.programs[String(i)] = { handle: `p${i}` };
+            await save(db, testDbPath, { backups: 3 });
+        }
+        await writeFile(testDbPath, '{ truncated', 'utf-8');
+
+        await save(await load(testDbPath), testDbPath, { backups: 3 });
+
+        const files = (await readdir(testDir)).sort();
+        expect(files).toEqual(['db.json', 'db.json.bak.1', 'db.json.bak.2', 'db.json.bak.3']);
+        const oldest = JSON.parse(readFileSync(backupPath(testDbPath, 3), 'utf-8'));
+        expect(Object.keys(oldest.programs)).toHaveLength(1);
+    });
+
+    it('keeps no backups when DB_BACKUP_COUNT is 0', async () => {
+        process.env.DB_BACKUP_COUNT = '0';
+        try {
+            const db = createEmptyDb();
+            await save(db, testDbPath);
+            await save(db, testDbPath);
+            await save(db, testDbPath);
+        } finally {
+            delete process.env.DB_BACKUP_COUNT;
+        }
+
+        expect(await readdir(testDir)).toEqual(['db.json']);
+    });
+
+    it('does not back up a corrupt file after recovering from a backup', async () => {
+        const db = createEmptyDb();
+        db.programs['1'] = { handle: 'good' };
+        await save(db, testDbPath);
+        await save(db, testDbPath);
+        await writeFile(testDbPath, '{ truncated', 'utf-8');
+
+        const recovered = await load(testDbPath);
+        await save(recovered, testDbPath);
+
+        const files = (await readdir(testDir)).sort();
+        expect(files).toEqual(['db.json', 'db.json.bak.1']);
+        const backup = JSON.parse(readFileSync(backupPath(testDbPath, 1), 'utf-8'));
+        expect(backup.programs['1'].handle).toBe('good');
+        expect(JSON.parse(readFileSync(testDbPath, 'utf-8')).programs['1'].handle).toBe('good');
+    });
+});
@@ -1,16 +1,31 @@
 // tests/diff.test.js — Unit tests for diff logic with 100% coverage
 import { describe, it, expect } from 'vitest';
-import { diffPrograms, createEmptyDb, addPrograms, getKnownIds } from '../src/db.js';
+import {
+    diffPrograms, createEmptyDb, addPrograms, getKnownIds, diffProgramChanges, updatePrograms,
+    markRemoved, diffScopeChanges, updateScopes,
+} from '../src/db.js';
 
 function makeProgram(id, handle = `prog-${id}`, opts = {}) {
     return {
         id: String(id),
         handle,
         name: opts.name || handle,
-        state: 'public_mode',
-        submission_state: 'open',
+        state: opts.state || 'public_mode',
+        submission_state: opts.submission_state || 'open',
         offers_bounties: opts.offers_bounties ?? true,
         started_accepting_at: opts.started_accepting_at || null,
+        ...(opts.scopes !== undefined && { scopes: opts.scopes }),
+    };
+}
+
+function makeScope(identifier, opts = {}) {
+    return {
+        asset_type: opts.asset_type || 'URL',
+        asset_identifier: identifier,
+        eligible_for_bounty: opts.eligible_for_bounty ?? true,
+        eligible_for_submission: true,
+        max_severity: 'critical',
+        instruction: null,
     };
 }
 
@@ -113,6 +128,15 @@ describe('addPrograms', () => {
         expect(Object.keys(db.programs)).toHaveLength(2);
     });
 
+    it('marks records added by a baseline run', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1)], { baseline: true });
+        addPrograms(db, [makeProgram(2)]);
+
+        expect(db.programs['1'].baseline).toBe(true);
+        expect(db.programs['2'].baseline).toBeUndefined();
+    });
+
     it('records first_seen timestamp', () => {
         const db = createEmptyDb();
         addPrograms(db, [makeProgram(1)]);
@@ -142,3 +166,218 @@ describe('getKnownIds', () => {
         expect(ids.has('30')).toBe(true);
     });
 });
+
+describe('diffScopeChanges', () => {
+    it('emits a scope_changed event for added, removed and modified assets', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme', {
+            scopes: [makeScope('acme.com'), makeScope('old.acme.com'), makeScope('api.acme.com', { eligible_for_bounty: false })],
+        })]);
+
+        const current = [makeProgram(1, 'acme', {
+            scopes: [makeScope('acme.com'), makeScope('new.acme.com'), makeScope('api.acme.com')],
+        })];
+        const events = diffScopeChanges(db, current);
+
+        expect(events).toHaveLength(1);
+        expect(events[0].type).toBe('scope_changed');
+        expect(events[0].program.handle).toBe('acme');
+        expect(events[0].added.map((s) => s.asset_identifier)).toEqual(['new.acme.com']);
+        expect(events[0].removed.map((s) => s.asset_identifier)).toEqual(['old.acme.com']);
+        expect(events[0].modified[0].fields).toEqual(['eligible_for_bounty']);
+    });
+
+    it('emits nothing for programs whose scope did not change', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme', { scopes: [makeScope('acme.com')] })]);
+
+        const events = diffScopeChanges(db, [makeProgram(1, 'acme', { scopes: [makeScope('acme.com')] })]);
+
+        expect(events).toHaveLength(0);
+    });
+
+    it('skips new programs, programs without a stored scope and failed fetches', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [
+            makeProgram(1, 'legacy'),
+            makeProgram(2, 'acme', { scopes: [makeScope('acme.com')] }),
+        ]);
+
+        const events = diffScopeChanges(db, [
+            makeProgram(1, 'legacy', { scopes: [makeScope('legacy.com')] }),
+            makeProgram(2, 'acme', { scopes: null }),
+            makeProgram(3, 'brandnew', { scopes: [makeScope('brandnew.com')] }),
+        ]);
+
+        expect(events).toHaveLength(0);
+    });
+});
+
+describe('updateScopes', () => {
+    it('stores fetched scopes and keeps the previous scope on fetch failure', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [
+            makeProgram(1, 'legacy'),
+            makeProgram(2, 'acme', { scopes: [makeScope('acme.com')] }),
+        ]);
+
+        updateScopes(db, [
+            makeProgram(1, 'legacy', { scopes: [makeScope('legacy.com')] }),
+            makeProgram(2, 'acme', { scopes: null }),
+        ]);
+
+        expect(db.programs['1'].scopes.map((s) => s.asset_identifier)).toEqual(['legacy.com']);
+        expect(db.programs['2'].scopes.map((s) => s.asset_identifier)).toEqual(['acme.com']);
+    });
+});
+
+describe('diffProgramChanges', () => {
+    it('detects a VDP that starts offering bounties', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme', { offers_bounties: false })]);
+
+        const events = diffProgramChanges(db, [makeProgram(1, 'acme', { offers_bounties: true })]);
+
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ type: 'bounty_enabled', field: 'offers_bounties', from: false, to: true });
+        expect(events[0].program.handle).toBe('acme');
+    });
+
+    it('detects bounties being dropped', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1)]);
+
+        const events = diffProgramChanges(db, [makeProgram(1, undefined, { offers_bounties: false })]);
+
+        expect(events.map((e) => e.type)).toEqual(['bounty_disabled']);
+    });
+
+    it('detects paused and reopened submissions', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1), makeProgram(2, undefined, { submission_state: 'paused' })]);
+
+        const events = diffProgramChanges(db, [
+            makeProgram(1, undefined, { submission_state: 'paused' }),
+            makeProgram(2, undefined, { submission_state: 'open' }),
+        ]);
+
+        expect(events.map((e) => [e.program.id, e.type])).toEqual([
+            ['1', 'submissions_paused'],
+            ['2', 'submissions_reopened'],
+        ]);
+    });
+
+    it('does not emit a pause event between two non-open states', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, undefined, { submission_state: 'paused' })]);
+
+        const events = diffProgramChanges(db, [makeProgram(1, undefined, { submission_state: 'disabled' })]);
+
+        expect(events).toHaveLength(0);
+    });
+
+    it('does not emit submission events when the state is missing', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1), makeProgram(2)]);
+        db.programs['2'].submission_state = null;
+
+        const events = diffProgramChanges(db, [
+            { ...makeProgram(1), submission_state: undefined },
+            { ...makeProgram(1), submission_state: null },
+            makeProgram(2),
+        ]);
+
+        expect(events).toHaveLength(0);
+    });
+
+    it('detects programs going private and public again', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1), makeProgram(2, undefined, { state: 'soft_launched' })]);
+
+        const events = diffProgramChanges(db, [
+            makeProgram(1, undefined, { state: 'soft_launched' }),
+            makeProgram(2),
+        ]);
+
+        expect(events.map((e) => e.type)).toEqual(['went_private', 'went_public']);
+    });
+
+    it('ignores unknown programs and unchanged ones', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1)]);
+
+        expect(diffProgramChanges(db, [makeProgram(1), makeProgram(2)])).toHaveLength(0);
+    });
+});
+
+describe('updatePrograms', () => {
+    it('refreshes stored attributes of known programs', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme', { offers_bounties: false })]);
+        const firstSeen = db.programs['1'].first_seen;
+
+        updatePrograms(db, [
+            makeProgram(1, 'acme', { name: 'Acme Inc', offers_bounties: true, submission_state: 'paused' }),
+            makeProgram(2, 'unknown'),
+        ]);
+
+        expect(db.programs['1']).toMatchObject({
+            name: 'Acme Inc',
+            offers_bounties: true,
+            submission_state: 'paused',
+            first_seen: firstSeen,
+        });
+        expect(db.programs['2']).toBeUndefined();
+    });
+});
+
+describe('markRemoved', () => {
+    it('marks programs missing from the listing with removed_at', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'alpha'), makeProgram(2, 'beta')]);
+
+        const events = markRemoved(db, [makeProgram(1, 'alpha')]);
+
+        expect(events).toHaveLength(1);
+        expect(events[0].type).toBe('program_removed');
+        expect(events[0].program).toMatchObject({ id: '2', handle: 'beta' });
+        expect(db.programs['2'].removed_at).toBe(events[0].removed_at);
+        expect(db.programs['1'].removed_at).toBeUndefined();
+    });
+
+    it('does not re-mark programs that are already removed', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1), makeProgram(2)]);
+        db.programs['2'].removed_at = '2024-01-01T00:00:00.000Z';
+
+        const events = markRemoved(db, [makeProgram(1)]);
+
+        expect(events).toHaveLength(0);
+        expect(db.programs['2'].removed_at).toBe('2024-01-01T00:00:00.000Z');
+    });
+});
+
+describe('relaunched programs', () => {
+    it('emits relaunched when a removed program is listed again', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme')]);
+        db.programs['1'].removed_at = '2024-01-01T00:00:00.000Z';
+
+        const events = diffProgramChanges(db, [makeProgram(1, 'acme')]);
+
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ type: 'relaunched', removed_at: '2024-01-01T00:00:00.000Z' });
+    });
+
+    it('clears removed_at and flags the record as relaunched', () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme')]);
+        db.programs['1'].removed_at = '2024-01-01T00:00:00.000Z';
+
+        updatePrograms(db, [makeProgram(1, 'acme')]);
+
+        expect(db.programs['1'].removed_at).toBeUndefined();
+        expect(db.programs['1'].relaunched).toBe(true);
+        expect(db.programs['1'].relaunched_at).toBeDefined();
+    });
+});
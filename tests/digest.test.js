@@ -0,0 +1,115 @@
+// tests/digest.test.js — Unit tests for digest scheduling and queueing
+import { describe, it, expect, afterEach, beforeEach, vi } from 'vitest';
+import {
+    getDigestConfig,
+    isDigestChannel,
+    nextDigestAt,
+    queuePrograms,
+    takeDueDigest,
+} from '../src/digest.js';
+
+const at = (iso) => Date.parse(iso);
+const hourly = { channels: ['slack'], schedule: 'hourly', hour: 9, minute: 0 };
+const daily = { channels: ['slack'], schedule: 'daily', hour: 9, minute: 30 };
+
+describe('getDigestConfig', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        delete process.env.DIGEST_CHANNELS;
+        delete process.env.DIGEST_SCHEDULE;
+        delete process.env.DIGEST_TIME;
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+        vi.restoreAllMocks();
+    });
+
+    it('is disabled with a daily 09:00 default', () => {
+        expect(getDigestConfig()).toEqual({ channels: [], schedule: 'daily', hour: 9, minute: 0 });
+    });
+
+    it('reads the channels, schedule and time', () => {
+        process.env.DIGEST_CHANNELS = 'slack, email';
+        process.env.DIGEST_SCHEDULE = 'Hourly';
+        process.env.DIGEST_TIME = '18:45';
+
+        expect(getDigestConfig()).toEqual({ channels: ['slack', 'email'], schedule: 'hourly', hour: 18, minute: 45 });
+    });
+
+    it('falls back to the defaults on invalid values', () => {
+        process.env.DIGEST_SCHEDULE = 'weekly';
+        process.env.DIGEST_TIME = '25:00';
+
+        expect(getDigestConfig()).toMatchObject({ schedule: 'daily', hour: 9, minute: 0 });
+        expect(console.warn.mock.calls.flat().join('\n')).toContain('Invalid DIGEST_SCHEDULE "weekly"');
+    });
+});
+
+describe('isDigestChannel', () => {
+    it('matches listed channels or every channel with *', () => {
+        expect(isDigestChannel({ channels: ['slack'] }, 'slack')).toBe(true);
+        expect(isDigestChannel({ channels: ['slack'] }, 'telegram')).toBe(false);
+        expect(isDigestChannel({ channels: ['*'] }, 'telegram')).toBe(true);
+    });
+});
+
+describe('nextDigestAt', () => {
+    it('schedules hourly digests on the next full hour', () => {
+        expect(nextDigestAt(hourly, at('2024-01-15T10:15:00Z'))).toBe(at('2024-01-15T11:00:00Z'));
+        expect(nextDigestAt(hourly, at('2024-01-15T23:00:00Z'))).toBe(at('2024-01-16T00:00:00Z'));
+    });
+
+    it('schedules daily digests at the next occurrence of the UTC time', () => {
+        expect(nextDigestAt(daily, at('2024-01-15T08:00:00Z'))).toBe(at('2024-01-15T09:30:00Z'));
+        expect(nextDigestAt(daily, at('2024-01-15T09:30:00Z'))).toBe(at('2024-01-16T09:30:00Z'));
+        expect(nextDigestAt(daily, at('2024-01-31T12:00:00Z'))).toBe(at('2024-02-01T09:30:00Z'));
+    });
+});
+
+describe('queuePrograms / takeDueDigest', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('queues programs once and remembers when the period started', () => {
+        const state = { programs: {} };
+
+        expect(queuePrograms(state, [{ id: '1' }, { id: '2' }], at('2024-01-15T08:00:00Z'))).toBe(2);
+        expect(queuePrograms(state, [{ id: '2' }, { id: '3' }], at('2024-01-15T08:15:00Z'))).toBe(1);
+
+        expect(state.digest.queue.map((p) => p.id)).toEqual(['1', '2', '3']);
+        expect(state.digest.since).toBe('2024-01-15T08:00:00.000Z');
+    });
+
+    it('only schedules on the first call, then sends when due', () => {
+        const state = { programs: {} };
+        queuePrograms(state, [{ id: '1' }], at('2024-01-15T08:00:00Z'));
+
+        expect(takeDueDigest(state, daily, at('2024-01-15T08:00:00Z'))).toBeNull();
+        expect(state.digest.next_at).toBe('2024-01-15T09:30:00.000Z');
+        expect(takeDueDigest(state, daily, at('2024-01-15T09:15:00Z'))).toBeNull();
+
+        const digest = takeDueDigest(state, daily, at('2024-01-15T09:45:00Z'));
+
+        expect(digest).toEqual({
+            programs: [{ id: '1' }],
+            since: '2024-01-15T08:00:00.000Z',
+            until: '2024-01-15T09:45:00.000Z',
+        });
+        expect(state.digest).toEqual({ queue: [], since: null, next_at: '2024-01-16T09:30:00.000Z' });
+    });
+
+    it('skips an empty digest but still moves to the next period', () => {
+        const state = { programs: {}, digest: { queue: [], since: null, next_at: '2024-01-15T10:00:00.000Z' } };
+
+        expect(takeDueDigest(state, hourly, at('2024-01-15T10:05:00Z'))).toBeNull();
+        expect(state.digest.next_at).toBe('2024-01-15T11:00:00.000Z');
+    });
+});
@@ -0,0 +1,161 @@
+// tests/discord.test.js — Unit tests for the Discord embed channel
+import { describe, it, expect } from 'vitest';
+import discord, { formatProgramEmbed, formatChangeEmbed, embedLength, batchEmbeds } from '../src/channels/discord.js';
+
+const bountyProgram = {
+    id: '1',
+    handle: 'acme',
+    name: 'Acme Corp',
+    offers_bounties: true,
+    submission_state: 'open',
+    started_accepting_at: '2024-01-15T10:00:00.000Z',
+    scopes: [
+        { asset_type: 'WILDCARD', asset_identifier: '*.acme.com', eligible_for_submission: true },
+        { asset_type: 'URL', asset_identifier: 'api.acme.com', eligible_for_submission: true },
+    ],
+};
+const vdpProgram = { id: '2', handle: 'betacorp', name: 'BetaCorp', offers_bounties: false };
+
+function makePrograms(count, nameLength = 10) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: String(i),
+        handle: `p${i}`,
+        name: `${i}`.padEnd(nameLength, 'x'),
+        offers_bounties: true,
+    }));
+}
+
+describe('formatProgramEmbed', () => {
+    it('renders a green embed linking to a bounty program', () => {
+        const embed = formatProgramEmbed(bountyProgram);
+
+        expect(embed.title).toBe('Acme Corp (acme)');
+        expect(embed.url).toBe('https://hackerone.com/acme');
+        expect(embed.color).toBe(0x2ecc71);
+        expect(embed.fields).toEqual([
+            { name: 'Submission state', value: 'open', inline: true },
+            { name: 'Launch date', value: '2024-01-15', inline: true },
+            { name: 'Scope', value: '1 wildcard domain, 1 domain', inline: false },
+        ]);
+    });
+
+    it('renders a grey embed with placeholders for a VDP without details', () => {
+        const embed = formatProgramEmbed(vdpProgram);
+
+        expect(embed.color).toBe(0x95a5a6);
+        expect(embed.description).toBe('🏅 VDP');
+        expect(embed.fields.map((f) => f.value)).toEqual(['unknown', 'unknown', 'No scope data']);
+    });
+
+    it('truncates titles to the embed limit', () => {
+        const embed = formatProgramEmbed({ ...vdpProgram, name: 'x'.repeat(300) });
+
+        expect(embed.title).toHaveLength(256);
+    });
+});
+
+describe('formatChangeEmbed', () => {
+    it('lists transition label in the title and details in the description', () => {
+        const embed = formatChangeEmbed({
+            type: 'scope_changed',
+            program: bountyProgram,
+            added: [{ asset_type: 'WILDCARD', asset_identifier: '*.acme.io', eligible_for_bounty: true }],
+            removed: [],
+            modified: [],
+        });
+
+        expect(embed.title).toBe('Acme Corp (acme) — 🔄 scope changed');
+        expect(embed.description).toBe('➕ WILDCARD `*.acme.io` 💰');
+    });
+
+    it('keeps backticks in asset identifiers from closing the code span', () => {
+        const embed = formatChangeEmbed({
+            type: 'scope_changed',
+            program: bountyProgram,
+            added: [{ asset_type: 'OTHER', asset_identifier: 'x` **@everyone** `y', eligible_for_bounty: false }],
+            removed: [],
+            modified: [],
+        });
+
+        expect(embed.description).toBe('➕ OTHER `xˋ **@everyone** ˋy`');
+    });
+
+    it('omits the description for events without details', () => {
+        const embed = formatChangeEmbed({ type: 'submissions_paused', program: vdpProgram });
+
+        expect(embed.title).toBe('BetaCorp (betacorp) — ⏸️ submissions paused');
+        expect(embed.description).toBeUndefined();
+    });
+});
+
+describe('batchEmbeds', () => {
+    const header = 'all';
+    const partHeader = (part) => `part ${part}`;
+
+    it('keeps everything in one message when within limits', () => {
+        const embeds = makePrograms(3).map(formatProgramEmbed);
+
+        const messages = batchEmbeds(embeds, header, partHeader);
+
+        expect(messages).toEqual([{ content: 'all', embeds }]);
+    });
+
+    it('never puts more than 10 embeds in a message', () => {
+        const messages = batchEmbeds(makePrograms(25).map(formatProgramEmbed), header, partHeader);
+
+        expect(messages.map((m) => m.embeds.length)).toEqual([10, 10, 5]);
+        expect(messages.map((m) => m.content)).toEqual(['part 1', 'part 2', 'part 3']);
+    });
+
+    it('splits when the total embed characters would exceed 6000', () => {
+        const embeds = makePrograms(8, 240).map(formatProgramEmbed);
+        embeds.forEach((e) => { e.description = 'd'.repeat(800); });
+
+        const messages = batchEmbeds(embeds, header, partHeader);
+
+        expect(messages.length).toBeGreaterThan(1);
+        for (const message of messages) {
+            expect(message.embeds.reduce((sum, e) => sum + embedLength(e), 0)).toBeLessThanOrEqual(6000);
+        }
+    });
+});
+
+describe('discord channel formatter', () => {
+    it('sends new programs as embeds with a summary header', () => {
+        const [message] = discord.formatter.newPrograms([bountyProgram, vdpProgram], discord.maxLength);
+
+        expect(message.content).toBe('🔔 **h1-watcher** — 2 new HackerOne programs detected!');
+        expect(message.embeds).toHaveLength(2);
+    });
+
+    it('colors notices by level', () => {
+        const [message] = discord.formatter.notice({ level: 'error', title: 'Failing' }, discord.maxLength);
+
+        expect(message.embeds[0]).toEqual({ title: '🚨 h1-watcher — Failing', color: 0xe74c3c });
+    });
+});
+
+describe('discord digest', () => {
+    it('sends one colored embed per section with program counts', () => {
+        const digest = { programs: [vdpProgram, bountyProgram], since: '2024-01-15T09:00:00.000Z' };
+
+        const [message] = discord.formatter.digest(digest, discord.maxLength);
+
+        expect(message.content).toBe('📰 **h1-watcher** digest — 2 new HackerOne programs since 2024-01-15 09:00 UTC');
+        expect(message.embeds.map((e) => e.title)).toEqual(['💰 Bounty programs (1)', '🏅 VDP programs (1)']);
+        expect(message.embeds[0].color).toBe(0x2ecc71);
+        expect(message.embeds[1].description).toBe('• [BetaCorp](https://hackerone.com/betacorp) (`betacorp`)');
+    });
+
+    it('continues long sections in further embeds and messages', () => {
+        const programs = makePrograms(300, 40);
+
+        const messages = discord.formatter.digest({ programs, since: '2024-01-15T09:00:00.000Z' }, discord.maxLength);
+        const embeds = messages.flatMap((m) => m.embeds);
+
+        expect(embeds.length).toBeGreaterThan(1);
+        expect(embeds.every((e) => e.description.length <= 4096)).toBe(true);
+        expect(messages.every((m) => m.embeds.reduce((sum, e) => sum + embedLength(e), 0) <= 6000)).toBe(true);
+        expect(embeds.map((e) => e.description).join('\n').split('\n')).toHaveLength(300);
+    });
+});
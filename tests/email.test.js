@@ -0,0 +1,168 @@
+// tests/email.test.js — Unit tests for the SMTP email channel
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import email, { getSmtpConfig, buildMimeMessage, sendEmail } from '../src/channels/email.js';
+
+const programs = [
+    { id: '1', handle: 'acme', name: 'Acme <Corp>', offers_bounties: true },
+    { id: '2', handle: 'betacorp', name: 'BetaCorp', offers_bounties: false },
+];
+
+/**
+ * Decode the base64 parts of a multipart message by content type.
+ */
+function decodeParts(message) {
+    const boundary = message.match(/boundary="([^"]+)"/)[1];
+    const parts = {};
+    for (const part of message.split(`--${boundary}`).slice(1, -1)) {
+        const [headers, body] = part.split('\r\n\r\n');
+        const type = headers.match(/Content-Type: ([^;]+)/)[1];
+        parts[type] = Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+    }
+    return parts;
+}
+
+function configure() {
+    process.env.SMTP_HOST = 'smtp.example.com';
+    process.env.SMTP_PORT = '2525';
+    process.env.SMTP_USER = 'bot-user';
+    process.env.SMTP_PASSWORD = 'smtp-pass-123';
+    process.env.SMTP_FROM = 'watcher@example.com';
+    process.env.SMTP_TO = 'a@example.com, b@example.com';
+}
+
+describe('getSmtpConfig', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('reads the configuration with STARTTLS on by default', () => {
+        configure();
+        delete process.env.SMTP_STARTTLS;
+        delete process.env.SMTP_ALLOW_INSECURE_AUTH;
+
+        expect(getSmtpConfig()).toEqual({
+            host: 'smtp.example.com',
+            port: 2525,
+            starttls: true,
+            user: 'bot-user',
+            password: 'smtp-pass-123',
+            allowInsecureAuth: false,
+            from: 'watcher@example.com',
+            to: ['a@example.com', 'b@example.com'],
+        });
+        expect(email.isConfigured()).toBe(true);
+    });
+
+    it('allows disabling STARTTLS and defaults the port to 587', () => {
+        process.env.SMTP_STARTTLS = 'false';
+        process.env.SMTP_ALLOW_INSECURE_AUTH = 'true';
+        delete process.env.SMTP_PORT;
+
+        expect(getSmtpConfig()).toMatchObject({ starttls: false, allowInsecureAuth: true, port: 587 });
+    });
+
+    it('is not configured without recipients', () => {
+        configure();
+        delete process.env.SMTP_TO;
+
+        expect(email.isConfigured()).toBe(false);
+    });
+});
+
+describe('buildMimeMessage', () => {
+    it('builds a multipart/alternative message with text and HTML parts', () => {
+        const message = buildMimeMessage({
+            from: 'watcher@example.com',
+            to: ['a@example.com', 'b@example.com'],
+            subject: '[h1-watcher] 2 new HackerOne programs',
+            text: 'plain 💰',
+            html: '<p>html</p>',
+            date: new Date('2024-01-15T10:00:00.000Z'),
+        });
+
+        expect(message).toContain('From: watcher@example.com\r\n');
+        expect(message).toContain('To: a@example.com, b@example.com\r\n');
+        expect(message).toContain('Subject: [h1-watcher] 2 new HackerOne programs\r\n');
+        expect(message).toContain('Date: Mon, 15 Jan 2024 10:00:00 GMT\r\n');
+        expect(message).toMatch(/Content-Type: multipart\/alternative; boundary="h1-watcher-[0-9a-f]+"/);
+        expect(decodeParts(message)).toEqual({ 'text/plain': 'plain 💰', 'text/html': '<p>html</p>' });
+    });
+
+    it('encodes non-ASCII subjects', () => {
+        const message = buildMimeMessage({ from: 'a@b.c', to: ['d@e.f'], subject: 'Alerta ⚠️', text: '', html: '' });
+
+        expect(message).toContain(`Subject: =?UTF-8?B?${Buffer.from('Alerta ⚠️').toString('base64')}?=`);
+    });
+});
+
+describe('email formatter', () => {
+    it('renders new programs as one email with text and HTML', () => {
+        const [message, ...rest] = email.formatter.newPrograms(programs, email.maxLength);
+
+        expect(rest).toHaveLength(0);
+        expect(message.subject).toBe('[h1-watcher] 2 new HackerOne programs');
+        expect(message.text).toContain('• Acme <Corp> (acme) — 💰 Bounty');
+        expect(message.text).toContain('→ https://hackerone.com/acme');
+        expect(message.html).toContain('<b>Acme &lt;Corp&gt;</b>');
+        expect(message.html).toContain('<a href="https://hackerone.com/betacorp">');
+    });
+
+    it('uses the notice title as subject', () => {
+        const [message] = email.formatter.notice({ level: 'warning', title: 'Anomalous response', lines: ['x'] }, email.maxLength);
+
+        expect(message.subject).toBe('[h1-watcher] Anomalous response');
+        expect(message.text).toBe('⚠️ h1-watcher — Anomalous response\n\nx');
+    });
+});
+
+describe('sendEmail', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('skips when not configured', async () => {
+        delete process.env.SMTP_HOST;
+        const sendMailFn = vi.fn();
+
+        expect(await sendEmail({ subject: 's', text: 't', html: 'h' }, { sendMailFn })).toBe(false);
+        expect(sendMailFn).not.toHaveBeenCalled();
+    });
+
+    it('passes the SMTP settings and a MIME message to the client', async () => {
+        configure();
+        const sendMailFn = vi.fn().mockResolvedValue();
+        const [message] = email.formatter.newPrograms(programs, email.maxLength);
+
+        expect(await sendEmail(message, { sendMailFn })).toBe(true);
+
+        const options = sendMailFn.mock.calls[0][0];
+        expect(options).toMatchObject({
+            host: 'smtp.example.com',
+            port: 2525,
+            starttls: true,
+            user: 'bot-user',
+            password: 'smtp-pass-123',
+            from: 'watcher@example.com',
+            to: ['a@example.com', 'b@example.com'],
+        });
+        expect(decodeParts(options.message)['text/plain']).toBe(message.text);
+    });
+
+    it('returns false on failure and masks credentials in the log', async () => {
+        configure();
+        const sendMailFn = vi.fn().mockRejectedValue(new Error('535 bad credentials for bot-user / smtp-pass-123'));
+        const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await sendEmail({ subject: 's', text: 't', html: 'h' }, { sendMailFn })).toBe(false);
+
+        const logged = errorSpy.mock.calls.flat().join(' ');
+        expect(logged).not.toContain('smtp-pass-123');
+        expect(logged).not.toContain('bot-user');
+        expect(logged).toContain('***REDACTED***');
+        errorSpy.mockRestore();
+    });
+});
@@ -0,0 +1,139 @@
+// tests/filters.test.js — Unit tests for per-channel filter rules
+import { describe, it, expect, afterEach, beforeEach } from 'vitest';
+import { writeFile, rm, mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+    compileRules,
+    loadFilterRules,
+    exclusionReason,
+    applyFilters,
+    FilterConfigError,
+} from '../src/filters.js';
+
+const bounty = {
+    id: '1',
+    handle: 'acme',
+    name: 'Acme Corp',
+    offers_bounties: true,
+    submission_state: 'open',
+    scopes: [
+        { asset_type: 'WILDCARD', asset_identifier: '*.acme.com', eligible_for_submission: true },
+        { asset_type: 'URL', asset_identifier: 'old.acme.com', eligible_for_submission: false },
+    ],
+};
+const vdp = { id: '2', handle: 'test-beta', name: 'Beta', offers_bounties: false, submission_state: 'paused' };
+
+describe('compileRules', () => {
+    it('rejects malformed rule sets', () => {
+        expect(() => compileRules([])).toThrow(FilterConfigError);
+        expect(() => compileRules({ discord: { only: [] } })).toThrow(/Unknown key\(s\) in rules for "discord": only/);
+        expect(() => compileRules({ discord: { include: { offers_bounties: true } } })).toThrow(/must be an array/);
+        expect(() => compileRules({ discord: { include: [{}] } })).toThrow(/discord\.include\[0\] must be a non-empty object/);
+        expect(() => compileRules({ discord: { exclude: [{ handle: '/[/' }] } })).toThrow(/Invalid regex/);
+        expect(() => compileRules({ discord: { exclude: [{ handle: { re: 'x' } }] } })).toThrow(/Unsupported condition/);
+    });
+});
+
+describe('exclusionReason', () => {
+    it('matches booleans and plain values exactly', () => {
+        const rules = compileRules({ discord: { include: [{ offers_bounties: true }] } });
+
+        expect(exclusionReason(bounty, 'discord', rules)).toBeNull();
+        expect(exclusionReason(vdp, 'discord', rules)).toBe('no discord.include rule matched');
+        expect(exclusionReason(vdp, 'telegram', rules)).toBeNull();
+    });
+
+    it('matches regexes with flags on name and handle', () => {
+        const rules = compileRules({ '*': { exclude: [{ handle: '/^TEST-/i' }] } });
+
+        expect(exclusionReason(vdp, 'slack', rules)).toBe('*.exclude[0] {"handle":"/^TEST-/i"}');
+        expect(exclusionReason(bounty, 'slack', rules)).toBeNull();
+    });
+
+    it('treats arrays as any-of', () => {
+        const rules = compileRules({ telegram: { exclude: [{ submission_state: ['paused', 'disabled'] }] } });
+
+        expect(exclusionReason(vdp, 'telegram', rules)).toMatch(/^telegram\.exclude\[0\]/);
+        expect(exclusionReason(bounty, 'telegram', rules)).toBeNull();
+    });
+
+    it('requires every condition of a rule to match', () => {
+        const rules = compileRules({ discord: { include: [{ offers_bounties: true, submission_state: 'paused' }] } });
+
+        expect(exclusionReason(bounty, 'discord', rules)).not.toBeNull();
+    });
+
+    it('matches in-scope asset types when scopes are available', () => {
+        const rules = compileRules({ telegram: { include: [{ scope_asset_types: 'WILDCARD' }] } });
+        const outOfScopeOnly = compileRules({ telegram: { include: [{ scope_asset_types: ['URL'] }] } });
+
+        expect(exclusionReason(bounty, 'telegram', rules)).toBeNull();
+        expect(exclusionReason(bounty, 'telegram', outOfScopeOnly)).not.toBeNull();
+        expect(exclusionReason(vdp, 'telegram', rules)).not.toBeNull(); // no scope data
+    });
+
+    it('applies global rules before channel rules', () => {
+        const rules = compileRules({
+            '*': { exclude: [{ offers_bounties: false }] },
+            discord: { include: [{ handle: 'test-beta' }] },
+        });
+
+        expect(exclusionReason(vdp, 'discord', rules)).toMatch(/^\*\.exclude\[0\]/);
+    });
+});
+
+describe('applyFilters', () => {
+    it('splits items using the given program accessor', () => {
+        const rules = compileRules({ discord: { include: [{ offers_bounties: true }] } });
+        const events = [{ type: 'went_private', program: bounty }, { type: 'went_private', program: vdp }];
+
+        const { kept, excluded } = applyFilters(events, (e) => e.program, 'discord', rules);
+
+        expect(kept).toEqual([events[0]]);
+        expect(excluded).toEqual([{ item: events[1], reason: 'no discord.include rule matched' }]);
+    });
+});
+
+describe('loadFilterRules', () => {
+    const originalEnv = { ...process.env };
+    let dir;
+
+    beforeEach(async () => {
+        dir = join(tmpdir(), `h1-watcher-rules-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+        await mkdir(dir, { recursive: true });
+        delete process.env.ALERT_RULES;
+        delete process.env.ALERT_RULES_FILE;
+    });
+
+    afterEach(async () => {
+        process.env = { ...originalEnv };
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('returns no rules when nothing is configured', () => {
+        expect(loadFilterRules()).toEqual({});
+    });
+
+    it('reads inline JSON from ALERT_RULES', () => {
+        process.env.ALERT_RULES = '{"discord":{"include":[{"offers_bounties":true}]}}';
+
+        expect(exclusionReason(vdp, 'discord', loadFilterRules())).not.toBeNull();
+    });
+
+    it('reads a JSON file from ALERT_RULES_FILE', async () => {
+        const file = join(dir, 'rules.json');
+        await writeFile(file, JSON.stringify({ '*': { exclude: [{ name: '/beta/i' }] } }));
+        process.env.ALERT_RULES_FILE = file;
+
+        expect(exclusionReason(vdp, 'email', loadFilterRules())).not.toBeNull();
+    });
+
+    it('fails clearly on unreadable or invalid rules', () => {
+        process.env.ALERT_RULES_FILE = join(dir, 'missing.json');
+        expect(() => loadFilterRules()).toThrow(/Cannot read filter rules/);
+
+        process.env.ALERT_RULES = '{not json';
+        expect(() => loadFilterRules()).toThrow(/Invalid JSON in filter rules \(ALERT_RULES\)/);
+    });
+});
@@ -0,0 +1,116 @@
+// tests/formatting.test.js — Unit tests for shared alert formatting helpers
+import { describe, it, expect } from 'vitest';
+import { alertPriority, alertTitle, createPushFormatter, createTextFormatter, formatNotice } from '../src/formatting.js';
+import { markup as telegramMarkup } from '../src/channels/telegram.js';
+
+const plain = {
+    escape: (text) => String(text),
+    bold: (text) => String(text),
+    code: (text) => String(text),
+    link: (url) => url,
+};
+const bounty = { id: '1', handle: 'acme', name: 'Acme', offers_bounties: true };
+const vdp = { id: '2', handle: 'beta', name: 'Beta', offers_bounties: false };
+
+describe('alertPriority', () => {
+    it('rates batches with a bounty program as high', () => {
+        expect(alertPriority('newPrograms', [vdp, bounty])).toBe('high');
+        expect(alertPriority('newPrograms', [vdp])).toBe('default');
+    });
+
+    it('rates programs that start paying or reopen as high', () => {
+        expect(alertPriority('changes', [{ type: 'bounty_enabled', program: vdp }])).toBe('high');
+        expect(alertPriority('changes', [{ type: 'submissions_reopened', program: vdp }])).toBe('high');
+        expect(alertPriority('changes', [{ type: 'went_private', program: vdp }])).toBe('default');
+    });
+
+    it('rates new bounty-eligible assets as high', () => {
+        const change = (eligible) => ({
+            type: 'scope_changed',
+            program: bounty,
+            added: [{ asset_type: 'URL', asset_identifier: 'a.acme.com', eligible_for_bounty: eligible }],
+            removed: [],
+            modified: [],
+        });
+
+        expect(alertPriority('changes', [change(true)])).toBe('high');
+        expect(alertPriority('changes', [change(false)])).toBe('default');
+    });
+
+    it('maps notice levels', () => {
+        expect(alertPriority('notice', { level: 'error', title: 'x' })).toBe('urgent');
+        expect(alertPriority('notice', { level: 'warning', title: 'x' })).toBe('high');
+        expect(alertPriority('notice', { title: 'x' })).toBe('low');
+    });
+});
+
+describe('createPushFormatter', () => {
+    it('attaches a title and priority to every message', () => {
+        const formatter = createPushFormatter(plain);
+
+        const messages = formatter.newPrograms([bounty, vdp], 4096);
+
+        expect(messages).toHaveLength(1);
+        expect(messages[0].title).toBe('2 new HackerOne programs');
+        expect(messages[0].priority).toBe('high');
+        expect(messages[0].text).toContain('• Acme (acme) — 💰 Bounty');
+    });
+
+    it('chunks like the text formatter', () => {
+        const programs = Array.from({ length: 30 }, (_, i) => ({ ...vdp, id: String(i), handle: `p${i}` }));
+
+        const messages = createPushFormatter(plain).newPrograms(programs, 500);
+
+        expect(messages.length).toBeGreaterThan(1);
+        expect(messages.every((m) => m.text.length <= 500 && m.priority === 'default')).toBe(true);
+        expect(alertTitle('changes', [{}])).toBe('1 program update');
+    });
+});
+
+describe('digest formatting', () => {
+    const digest = { programs: [vdp, bounty, { ...bounty, id: '3', handle: 'gamma', name: 'Gamma' }], since: '2024-01-15T09:00:00.000Z' };
+
+    it('groups programs into bounty and VDP sections with counts', () => {
+        const [message] = createTextFormatter(plain).digest(digest, 4096);
+
+        expect(message.split('\n\n')).toEqual([
+            '📰 h1-watcher digest — 3 new HackerOne programs since 2024-01-15 09:00 UTC',
+            '💰 Bounty programs (2)',
+            '• Acme (acme) — 💰 Bounty\n  → https://hackerone.com/acme',
+            '• Gamma (gamma) — 💰 Bounty\n  → https://hackerone.com/gamma',
+            '🏅 VDP programs (1)',
+            '• Beta (beta) — 🏅 VDP\n  → https://hackerone.com/beta',
+        ]);
+    });
+
+    it('leaves out empty sections and sends push digests at default priority', () => {
+        const [message] = createPushFormatter(plain).digest({ ...digest, programs: [vdp] }, 4096);
+
+        expect(message.text).not.toContain('Bounty programs');
+        expect(message.title).toBe('h1-watcher digest — 1 new HackerOne program');
+        expect(message.priority).toBe('default');
+    });
+});
+
+describe('formatNotice', () => {
+    const notice = { level: 'warning', title: 'Anomaly', lines: ['first line', 'Tom & Jerry & co'] };
+
+    it('keeps the notice whole when it fits', () => {
+        expect(formatNotice(notice, telegramMarkup, 4096))
+            .toBe('⚠️ <b>h1-watcher</b> — Anomaly\n\nfirst line\nTom &amp; Jerry &amp; co');
+    });
+
+    it('cuts the first line that does not fit before escaping it', () => {
+        const whole = formatNotice(notice, telegramMarkup, 4096);
+
+        for (let maxLength = 30; maxLength < whole.length; maxLength++) {
+            const text = formatNotice(notice, telegramMarkup, maxLength);
+            expect(text.length).toBeLessThanOrEqual(maxLength);
+            expect(text).toMatch(/^⚠️ <b>h1-watcher<\/b> — /);
+            expect(text).not.toMatch(/&(?!amp;)|&a?m?p?…/);
+        }
+        expect(formatNotice(notice, telegramMarkup, whole.length - 5)).toBe(
+            '⚠️ <b>h1-watcher</b> — Anomaly\n\nfirst line\nTom &amp; Jerry…'
+        );
+    });
+});
@@ -0,0 +1,51 @@
+// tests/gotify.test.js — Unit tests for the Gotify channel
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import gotify, { sendGotify } from '../src/channels/gotify.js';
+
+function mockResponse(status) {
+    return { ok: status >= 200 && status < 300, status, text: async () => '' };
+}
+
+describe('sendGotify', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('skips when the server or token is missing', async () => {
+        process.env.GOTIFY_URL = 'https://gotify.example.com';
+        delete process.env.GOTIFY_TOKEN;
+
+        expect(gotify.isConfigured()).toBe(false);
+        expect(await sendGotify({ title: 't', text: 'x', priority: 'high' })).toBe(false);
+    });
+
+    it('posts a Markdown message with the mapped priority', async () => {
+        process.env.GOTIFY_URL = 'https://gotify.example.com/';
+        process.env.GOTIFY_TOKEN = 'app-token';
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(200));
+
+        const [message] = gotify.formatter.notice({ level: 'error', title: 'Failing' }, gotify.maxLength);
+        const result = await sendGotify(message, { fetchFn: mockFetch });
+
+        expect(result).toBe(true);
+        const [url, options] = mockFetch.mock.calls[0];
+        expect(url).toBe('https://gotify.example.com/message');
+        expect(options.headers['X-Gotify-Key']).toBe('app-token');
+        expect(JSON.parse(options.body)).toEqual({
+            title: 'h1-watcher — Failing',
+            message: '🚨 **h1-watcher** — Failing',
+            priority: 10,
+            extras: { 'client::display': { contentType: 'text/markdown' } },
+        });
+    });
+
+    it('returns false on network error', async () => {
+        process.env.GOTIFY_URL = 'https://gotify.example.com';
+        process.env.GOTIFY_TOKEN = 'app-token';
+        const mockFetch = vi.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+
+        expect(await sendGotify({ title: 't', text: 'x', priority: 'low' }, { fetchFn: mockFetch })).toBe(false);
+    });
+});
@@ -4,8 +4,12 @@ import {
     validateCredentials,
     buildAuthHeader,
     normalizeProgram,
+    normalizeScope,
+    fetchPrograms,
     fetchPublicPrograms,
+    fetchStructuredScopes,
     fetchWithRetry,
+    takeRequestStats,
 } from '../src/h1-client.js';
 
 // Helper: create a mock response
@@ -207,3 +211,151 @@ describe('fetchPublicPrograms', () => {
         expect(programs).toHaveLength(0);
     });
 });
+
+describe('fetchPrograms', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        process.env.H1_API_USERNAME = 'testuser';
+        process.env.H1_API_TOKEN = 'testtoken';
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('returns programs in every state', async () => {
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(samplePrograms));
+
+        const programs = await fetchPrograms({ fetchFn: mockFetch });
+
+        expect(programs.map((p) => p.state)).toEqual(['public_mode', 'soft_launched', 'public_mode']);
+    });
+});
+
+describe('normalizeScope', () => {
+    it('normalizes a structured scope object correctly', () => {
+        const raw = {
+            id: '7',
+            type: 'structured-scope',
+            attributes: {
+                asset_type: 'WILDCARD',
+                asset_identifier: '*.acme.com',
+                eligible_for_bounty: true,
+                eligible_for_submission: true,
+                instruction: 'Production only',
+                max_severity: 'critical',
+                created_at: '2024-01-15T00:00:00Z',
+            },
+        };
+
+        expect(normalizeScope(raw)).toEqual({
+            asset_type: 'WILDCARD',
+            asset_identifier: '*.acme.com',
+            eligible_for_bounty: true,
+            eligible_for_submission: true,
+            max_severity: 'critical',
+            instruction: 'Production only',
+        });
+    });
+
+    it('applies defaults for missing optional fields', () => {
+        const result = normalizeScope({ attributes: { asset_type: 'URL', asset_identifier: 'acme.com' } });
+
+        expect(result.eligible_for_bounty).toBe(false);
+        expect(result.eligible_for_submission).toBe(true);
+        expect(result.max_severity).toBeNull();
+        expect(result.instruction).toBeNull();
+    });
+});
+
+describe('fetchStructuredScopes', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        process.env.H1_API_USERNAME = 'testuser';
+        process.env.H1_API_TOKEN = 'testtoken';
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('fetches all pages of a program scope', async () => {
+        const page1 = {
+            data: [{ attributes: { asset_type: 'WILDCARD', asset_identifier: '*.acme.com' } }],
+            links: { next: 'https://api.hackerone.com/v1/hackers/programs/acme/structured_scopes?page%5Bnumber%5D=2' },
+        };
+        const page2 = {
+            data: [{ attributes: { asset_type: 'APPLE_STORE_APP_ID', asset_identifier: 'com.acme.ios' } }],
+            links: {},
+        };
+
+        const mockFetch = vi
+            .fn()
+            .mockResolvedValueOnce(mockResponse(page1))
+            .mockResolvedValueOnce(mockResponse(page2));
+
+        const scopes = await fetchStructuredScopes('acme', { fetchFn: mockFetch });
+
+        expect(scopes.map((s) => s.asset_identifier)).toEqual(['*.acme.com', 'com.acme.ios']);
+        expect(mockFetch).toHaveBeenCalledTimes(2);
+        expect(mockFetch.mock.calls[0][0]).toContain('/hackers/programs/acme/structured_scopes');
+        expect(mockFetch.mock.calls[0][1].headers.Authorization).toMatch(/^Basic /);
+    });
+});
+
+describe('fetchWithRetry', () => {
+    it('names the API in errors, or the given label', async () => {
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse({}, 403));
+
+        await expect(fetchWithRetry('https://api.hackerone.com/v1/hackers/programs', {}, 1, mockFetch))
+            .rejects.toThrow('HackerOne API error: HTTP 403');
+        await expect(fetchWithRetry('https://example.com/hook', { method: 'POST' }, 1, mockFetch, { label: 'Webhook' }))
+            .rejects.toThrow('Webhook error: HTTP 403');
+    });
+});
+
+describe('takeRequestStats', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        process.env.H1_API_USERNAME = 'testuser';
+        process.env.H1_API_TOKEN = 'testtoken';
+        vi.useFakeTimers();
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        takeRequestStats();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+        process.env = { ...originalEnv };
+    });
+
+    it('counts fetched pages and retries, then resets', async () => {
+        const mockFetch = vi
+            .fn()
+            .mockResolvedValueOnce(mockResponse({}, 503))
+            .mockResolvedValueOnce(mockResponse(samplePrograms));
+
+        const pending = fetchPrograms({ fetchFn: mockFetch });
+        await vi.advanceTimersByTimeAsync(1000);
+        await pending;
+
+        expect(takeRequestStats()).toEqual({ pages: 1, retries: 1 });
+        expect(takeRequestStats()).toEqual({ pages: 0, retries: 0 });
+    });
+
+    it('does not count retries of other callers of fetchWithRetry', async () => {
+        const mockFetch = vi.fn().mockRejectedValueOnce(new TypeError('fetch failed')).mockResolvedValueOnce(mockResponse({}));
+        const onRetry = vi.fn();
+
+        const pending = fetchWithRetry('https://example.com/hook', { method: 'POST' }, 1, mockFetch, { label: 'Webhook', onRetry });
+        await vi.advanceTimersByTimeAsync(1000);
+        await pending;
+
+        expect(onRetry).toHaveBeenCalledTimes(1);
+        expect(takeRequestStats()).toEqual({ pages: 0, retries: 0 });
+    });
+});
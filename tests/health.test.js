@@ -0,0 +1,202 @@
+// tests/health.test.js — Unit tests for failure escalation and heartbeat pings
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { rm, mkdir } from 'node:fs/promises';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+    getHealthConfig,
+    sanitizeError,
+    recordFailure,
+    recordSuccess,
+    pingHeartbeat,
+} from '../src/health.js';
+
+describe('getHealthConfig', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('alerts after 3 failures and pings nothing by default', () => {
+        delete process.env.FAILURE_ALERT_THRESHOLD;
+        delete process.env.HEARTBEAT_URL;
+
+        expect(getHealthConfig()).toEqual({ failureThreshold: 3, heartbeatUrl: null });
+    });
+
+    it('reads the environment and ignores an invalid threshold', () => {
+        process.env.FAILURE_ALERT_THRESHOLD = '0';
+        process.env.HEARTBEAT_URL = 'https://hc-ping.com/abc';
+
+        expect(getHealthConfig()).toEqual({ failureThreshold: 3, heartbeatUrl: 'https://hc-ping.com/abc' });
+    });
+});
+
+describe('sanitizeError', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('keeps the first line, masks secrets and strips URL credentials and query values', () => {
+        process.env.H1_API_TOKEN = 'tok-123';
+        const error = new TypeError('fetch https://user:pw@api.example/x?token=abc&page=2 failed with tok-123\n  at stack');
+
+        expect(sanitizeError(error))
+            .toBe('TypeError: fetch https://api.example/x?token=…&page=… failed with ***REDACTED***');
+    });
+
+    it('caps the length', () => {
+        const summary = sanitizeError(new Error(`HTTP 500 — ${'<html>'.repeat(100)}`));
+
+        expect(summary).toHaveLength(300);
+        expect(summary.endsWith('…')).toBe(true);
+    });
+});
+
+describe('recordFailure', () => {
+    let dir;
+    let dbPath;
+    let notifyNoticeFn;
+    const config = { failureThreshold: 2, heartbeatUrl: null };
+
+    beforeEach(async () => {
+        dir = join(tmpdir(), `h1-watcher-health-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+        await mkdir(dir, { recursive: true });
+        dbPath = join(dir, 'db.json');
+        notifyNoticeFn = vi.fn().mockResolvedValue({ telegram: true, discord: null });
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        vi.restoreAllMocks();
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('counts failures in the state file and alerts once at the threshold', async () => {
+        const deps = { dbPath, notifyNoticeFn, config, now: Date.parse('2024-01-15T10:00:00Z') };
+
+        await recordFailure(new Error('HTTP 502'), deps);
+        expect(notifyNoticeFn).not.toHaveBeenCalled();
+
+        await recordFailure(new Error('HTTP 503'), { ...deps, now: Date.parse('2024-01-15T10:15:00Z') });
+        await recordFailure(new Error('HTTP 504'), deps);
+
+        expect(notifyNoticeFn).toHaveBeenCalledTimes(1);
+        expect(notifyNoticeFn.mock.calls[0][0]).toEqual({
+            level: 'error',
+            title: 'h1-watcher is failing',
+            lines: [
+                '2 runs in a row have failed, since 2024-01-15T10:00:00.000Z.',
+                'Last error: HTTP 503',
+                'No new programs are being detected. A recovery notice follows once a run succeeds.',
+            ],
+        });
+        const saved = JSON.parse(readFileSync(dbPath, 'utf-8'));
+        expect(saved.health).toEqual({
+            consecutive_failures: 3,
+            failing_since: '2024-01-15T10:00:00.000Z',
+            last_error: 'HTTP 504',
+            alerted_at: '2024-01-15T10:15:00.000Z',
+        });
+    });
+
+    it('tries the alert again on the next failure when no channel took it', async () => {
+        notifyNoticeFn.mockResolvedValueOnce({ telegram: false, discord: null });
+        const deps = { dbPath, notifyNoticeFn, config: { ...config, failureThreshold: 1 } };
+
+        await recordFailure(new Error('HTTP 502'), deps);
+        await recordFailure(new Error('HTTP 502'), deps);
+
+        expect(notifyNoticeFn).toHaveBeenCalledTimes(2);
+        expect(JSON.parse(readFileSync(dbPath, 'utf-8')).health.alerted_at).not.toBeNull();
+    });
+
+    it('never throws, even when the state file cannot be read', async () => {
+        await mkdir(dbPath);
+
+        expect(await recordFailure(new Error('HTTP 502'), { dbPath, notifyNoticeFn, config })).toBeNull();
+    });
+});
+
+describe('recordSuccess', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('does nothing without earlier failures', () => {
+        const state = { programs: {} };
+
+        expect(recordSuccess(state)).toBeNull();
+        expect(state.health).toBeUndefined();
+    });
+
+    it('resets the count quietly when no failure alert went out', () => {
+        const state = { health: { consecutive_failures: 1, failing_since: 'x', last_error: 'HTTP 502', alerted_at: null } };
+
+        expect(recordSuccess(state)).toBeNull();
+        expect(state.health.consecutive_failures).toBe(0);
+    });
+
+    it('returns a recovery notice after a failure alert', () => {
+        const state = {
+            health: {
+                consecutive_failures: 4,
+                failing_since: '2024-01-15T10:00:00.000Z',
+                last_error: 'HTTP 502',
+                alerted_at: '2024-01-15T10:30:00.000Z',
+            },
+        };
+
+        expect(recordSuccess(state)).toEqual({
+            level: 'info',
+            title: 'h1-watcher recovered',
+            lines: [
+                'Runs are succeeding again after 4 failure(s) in a row since 2024-01-15T10:00:00.000Z.',
+                'Last error: HTTP 502',
+            ],
+        });
+        expect(state.health).toEqual({ consecutive_failures: 0, failing_since: null, last_error: null, alerted_at: null });
+    });
+});
+
+describe('pingHeartbeat', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('skips when no URL is configured', async () => {
+        const fetchFn = vi.fn();
+
+        expect(await pingHeartbeat({ url: null, fetchFn })).toBeNull();
+        expect(fetchFn).not.toHaveBeenCalled();
+    });
+
+    it('pings the URL', async () => {
+        const fetchFn = vi.fn().mockResolvedValue({ ok: true, status: 200 });
+
+        expect(await pingHeartbeat({ url: 'https://hc-ping.com/abc', fetchFn })).toBe(true);
+        expect(fetchFn.mock.calls[0][0]).toBe('https://hc-ping.com/abc');
+        expect(fetchFn.mock.calls[0][1].method).toBe('GET');
+    });
+
+    it('returns false on HTTP and network errors', async () => {
+        expect(await pingHeartbeat({ url: 'https://hc-ping.com/abc', fetchFn: vi.fn().mockResolvedValue({ ok: false, status: 404 }) }))
+            .toBe(false);
+        expect(await pingHeartbeat({ url: 'https://hc-ping.com/abc', fetchFn: vi.fn().mockRejectedValue(new Error('ECONNRESET')) }))
+            .toBe(false);
+    });
+});
@@ -0,0 +1,73 @@
+// tests/matrix.test.js — Unit tests for the Matrix channel
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import matrix, { sendMatrix, htmlToPlain } from '../src/channels/matrix.js';
+
+function mockResponse(status) {
+    return { ok: status >= 200 && status < 300, status, text: async () => '' };
+}
+
+function configure() {
+    process.env.MATRIX_HOMESERVER = 'https://matrix.example.org';
+    process.env.MATRIX_ACCESS_TOKEN = 'syt_secret';
+    process.env.MATRIX_ROOM_ID = '!room:example.org';
+}
+
+describe('htmlToPlain', () => {
+    it('strips tags and unescapes entities', () => {
+        expect(htmlToPlain('<b>A &lt;B&gt; &amp; C</b> <a href="https://x">https://x</a>')).toBe('A <B> & C https://x');
+    });
+});
+
+describe('sendMatrix', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('skips when not configured', async () => {
+        delete process.env.MATRIX_ROOM_ID;
+
+        expect(await sendMatrix({ title: 't', text: 'x', priority: 'high' })).toBe(false);
+    });
+
+    it('sends high-priority alerts as m.text with HTML and plain bodies', async () => {
+        configure();
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(200));
+
+        const [message] = matrix.formatter.newPrograms(
+            [{ id: '1', handle: 'acme', name: 'Acme & Co', offers_bounties: true }],
+            matrix.maxLength
+        );
+        const result = await sendMatrix(message, { fetchFn: mockFetch });
+
+        expect(result).toBe(true);
+        const [url, options] = mockFetch.mock.calls[0];
+        expect(url).toMatch(/^https:\/\/matrix\.example\.org\/_matrix\/client\/v3\/rooms\/!room%3Aexample\.org\/send\/m\.room\.message\/[0-9a-f-]+$/);
+        expect(options.method).toBe('PUT');
+        expect(options.headers.Authorization).toBe('Bearer syt_secret');
+
+        const body = JSON.parse(options.body);
+        expect(body.msgtype).toBe('m.text');
+        expect(body.format).toBe('org.matrix.custom.html');
+        expect(body.formatted_body).toContain('<b>Acme &amp; Co</b>');
+        expect(body.formatted_body).toContain('<br>');
+        expect(body.body).toContain('• Acme & Co (acme) — 💰 Bounty');
+    });
+
+    it('sends default-priority alerts as m.notice', async () => {
+        configure();
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(200));
+
+        await sendMatrix({ title: 't', text: 'x', priority: 'default' }, { fetchFn: mockFetch });
+
+        expect(JSON.parse(mockFetch.mock.calls[0][1].body).msgtype).toBe('m.notice');
+    });
+
+    it('returns false on API error', async () => {
+        configure();
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(403));
+
+        expect(await sendMatrix({ title: 't', text: 'x', priority: 'low' }, { fetchFn: mockFetch })).toBe(false);
+    });
+});
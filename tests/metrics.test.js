@@ -0,0 +1,188 @@
+// tests/metrics.test.js — Unit tests for run statistics and Prometheus metrics
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { rm, mkdir } from 'node:fs/promises';
+import { readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+    getMetricsConfig,
+    startRunStats,
+    recordRun,
+    renderMetrics,
+    publishMetrics,
+    startMetricsServer,
+} from '../src/metrics.js';
+
+const T0 = Date.parse('2024-01-15T10:00:00Z');
+
+/** Record a run that took `seconds`, with the given counts */
+function addRun(state, seconds, outcome = 'success', { retries = 0, ...counts } = {}) {
+    const run = { ...startRunStats(`run-${seconds}`, T0), programs_fetched: 120, new_programs: 0, ...counts };
+    return recordRun(state, run, outcome, { pages: 2, retries }, T0 + seconds * 1000);
+}
+
+describe('getMetricsConfig', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('writes and serves nothing by default', () => {
+        delete process.env.METRICS_FILE;
+        delete process.env.METRICS_PORT;
+        delete process.env.METRICS_HOST;
+
+        expect(getMetricsConfig()).toEqual({ file: null, port: null, host: '127.0.0.1' });
+    });
+
+    it('reads the environment', () => {
+        process.env.METRICS_FILE = '/var/lib/node_exporter/h1_watcher.prom';
+        process.env.METRICS_PORT = '9464';
+        process.env.METRICS_HOST = '0.0.0.0';
+
+        expect(getMetricsConfig()).toEqual({ file: '/var/lib/node_exporter/h1_watcher.prom', port: 9464, host: '0.0.0.0' });
+    });
+});
+
+describe('recordRun', () => {
+    it('appends the run to the history and adds it to the totals', () => {
+        const state = { programs: {} };
+
+        const record = addRun(state, 12, 'success', {
+            new_programs: 2,
+            retries: 1,
+            alerts: { telegram: { sent: 2, failed: 0 }, discord: { sent: 1, failed: 1 } },
+        });
+        addRun(state, 90, 'failure');
+
+        expect(record).toEqual({
+            run_id: 'run-12',
+            started_at: '2024-01-15T10:00:00.000Z',
+            programs_fetched: 120,
+            new_programs: 2,
+            alerts: { telegram: { sent: 2, failed: 0 }, discord: { sent: 1, failed: 1 } },
+            outcome: 'success',
+            duration_ms: 12_000,
+            pages_fetched: 2,
+            http_retries: 1,
+        });
+        expect(state.stats.runs.map((r) => r.outcome)).toEqual(['success', 'failure']);
+        expect(state.stats.totals).toMatchObject({
+            runs: { success: 1, failure: 1 },
+            pages_fetched: 4,
+            http_retries: 1,
+            new_programs: 2,
+            alerts: { telegram: { sent: 2, failed: 0 }, discord: { sent: 1, failed: 1 } },
+            duration_seconds: { buckets: { 15: 1, 30: 1, 60: 1, 120: 2, 300: 2, 600: 2 }, sum: 102, count: 2 },
+            last_run_at: '2024-01-15T10:01:30.000Z',
+            last_success_at: '2024-01-15T10:00:12.000Z',
+        });
+    });
+
+    it('keeps the last 50 runs but every run in the totals', () => {
+        const state = {};
+        for (let i = 0; i < 60; i++) addRun(state, 1);
+
+        expect(state.stats.runs).toHaveLength(50);
+        expect(state.stats.totals.runs.success).toBe(60);
+    });
+});
+
+describe('renderMetrics', () => {
+    it('renders counters, the duration histogram and gauges in the text format', () => {
+        const state = {
+            programs: { 1: {}, 2: {}, 3: { removed_at: '2024-01-10T00:00:00Z' } },
+            health: { consecutive_failures: 0 },
+        };
+        addRun(state, 12, 'success', { new_programs: 2, alerts: { telegram: { sent: 2, failed: 1 } } });
+
+        const text = renderMetrics(state);
+
+        expect(text).toContain('# TYPE h1_watcher_runs_total counter\nh1_watcher_runs_total{outcome="success"} 1\n' +
+            'h1_watcher_runs_total{outcome="failure"} 0\n');
+        expect(text).toContain('# TYPE h1_watcher_run_duration_seconds histogram\n' +
+            'h1_watcher_run_duration_seconds_bucket{le="5"} 0\nh1_watcher_run_duration_seconds_bucket{le="15"} 1\n');
+        expect(text).toContain('h1_watcher_run_duration_seconds_bucket{le="+Inf"} 1\n' +
+            'h1_watcher_run_duration_seconds_sum 12\nh1_watcher_run_duration_seconds_count 1\n');
+        expect(text).toContain('h1_watcher_api_pages_fetched_total 2\n');
+        expect(text).toContain('h1_watcher_new_programs_total 2\n');
+        expect(text).toContain('h1_watcher_alerts_total{channel="telegram",outcome="sent"} 2\n' +
+            'h1_watcher_alerts_total{channel="telegram",outcome="failed"} 1\n');
+        expect(text).toContain('h1_watcher_last_run_programs_fetched 120\n');
+        expect(text).toContain(`h1_watcher_last_success_timestamp_seconds ${(T0 + 12_000) / 1000}\n`);
+        expect(text).toContain('h1_watcher_programs_tracked 2\n');
+        expect(text.endsWith('\n')).toBe(true);
+    });
+
+    it('renders zeroed counters before the first run', () => {
+        const text = renderMetrics({ programs: {} });
+
+        expect(text).toContain('h1_watcher_runs_total{outcome="success"} 0\n');
+        expect(text).toContain('h1_watcher_run_duration_seconds_count 0\n');
+        expect(text).not.toContain('h1_watcher_last_run_timestamp_seconds');
+    });
+});
+
+describe('publishMetrics', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = join(tmpdir(), `h1-watcher-metrics-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+        await mkdir(dir, { recursive: true });
+    });
+
+    afterEach(async () => {
+        vi.restoreAllMocks();
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('writes the metrics file without leaving a temp file behind', async () => {
+        const file = join(dir, 'textfile', 'h1_watcher.prom');
+        const state = { programs: {} };
+        addRun(state, 3);
+
+        const text = await publishMetrics(state, { file });
+
+        expect(readFileSync(file, 'utf-8')).toBe(text);
+        expect(readdirSync(join(dir, 'textfile'))).toEqual(['h1_watcher.prom']);
+    });
+
+    it('logs instead of throwing when the file cannot be written', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        await mkdir(join(dir, 'taken.prom'));
+
+        await publishMetrics({ programs: {} }, { file: join(dir, 'taken.prom') });
+
+        expect(warn.mock.calls[0][0]).toContain('Could not write metrics');
+        expect(readdirSync(dir)).toEqual(['taken.prom']);
+    });
+});
+
+describe('startMetricsServer', () => {
+    let server;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        vi.restoreAllMocks();
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('serves the published metrics on /metrics', async () => {
+        const state = { programs: {} };
+        addRun(state, 3);
+        const text = await publishMetrics(state, { file: null });
+        server = await startMetricsServer({ port: 0, host: '127.0.0.1' });
+        const base = `http://127.0.0.1:${server.address().port}`;
+
+        const response = await fetch(`${base}/metrics`);
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toContain('text/plain; version=0.0.4');
+        expect(await response.text()).toBe(text);
+
+        expect((await fetch(`${base}/`)).status).toBe(404);
+    });
+});
@@ -0,0 +1,61 @@
+// tests/ntfy.test.js — Unit tests for the ntfy channel
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import ntfy, { sendNtfy } from '../src/channels/ntfy.js';
+
+function mockResponse(status) {
+    return { ok: status >= 200 && status < 300, status, text: async () => '' };
+}
+
+describe('sendNtfy', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('skips when the topic URL is missing', async () => {
+        delete process.env.NTFY_TOPIC_URL;
+
+        expect(await sendNtfy({ title: 't', text: 'x', priority: 'high' })).toBe(false);
+    });
+
+    it('publishes Markdown with the mapped priority and token', async () => {
+        process.env.NTFY_TOPIC_URL = 'https://ntfy.sh/h1-topic';
+        process.env.NTFY_TOKEN = 'tk_secret';
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(200));
+
+        const [message] = ntfy.formatter.newPrograms(
+            [{ id: '1', handle: 'acme', name: 'Acme', offers_bounties: true }],
+            ntfy.maxLength
+        );
+        const result = await sendNtfy(message, { fetchFn: mockFetch });
+
+        expect(result).toBe(true);
+        const [url, options] = mockFetch.mock.calls[0];
+        expect(url).toBe('https://ntfy.sh/h1-topic');
+        expect(options.headers.Priority).toBe('4');
+        expect(options.headers.Markdown).toBe('yes');
+        expect(options.headers.Authorization).toBe('Bearer tk_secret');
+        expect(options.headers.Title).toBe(`=?UTF-8?B?${Buffer.from('1 new HackerOne program').toString('base64')}?=`);
+        expect(options.body).toContain('**Acme** (`acme`) — 💰 Bounty');
+    });
+
+    it('uses the default priority for VDPs and omits the token when unset', async () => {
+        process.env.NTFY_TOPIC_URL = 'https://ntfy.sh/h1-topic';
+        delete process.env.NTFY_TOKEN;
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(200));
+
+        await sendNtfy({ title: 't', text: 'x', priority: 'default' }, { fetchFn: mockFetch });
+
+        const [, options] = mockFetch.mock.calls[0];
+        expect(options.headers.Priority).toBe('3');
+        expect(options.headers.Authorization).toBeUndefined();
+    });
+
+    it('returns false on HTTP error', async () => {
+        process.env.NTFY_TOPIC_URL = 'https://ntfy.sh/h1-topic';
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(429));
+
+        expect(await sendNtfy({ title: 't', text: 'x', priority: 'low' }, { fetchFn: mockFetch })).toBe(false);
+    });
+});
@@ -0,0 +1,171 @@
+// tests/outbox.test.js — Unit tests for the persistent alert outbox
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { enqueue, flush, getOutbox, getRetryPolicy } from '../src/outbox.js';
+import { createEmptyDb } from '../src/db.js';
+import { notify } from '../src/alerter.js';
+
+const policy = { maxAttempts: 3, baseDelayMs: 60_000 };
+const T0 = Date.parse('2024-01-01T00:00:00.000Z');
+
+describe('getRetryPolicy', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('uses defaults when env vars are not set', () => {
+        delete process.env.OUTBOX_MAX_ATTEMPTS;
+        delete process.env.OUTBOX_RETRY_BASE_MINUTES;
+
+        expect(getRetryPolicy()).toEqual({ maxAttempts: 5, baseDelayMs: 15 * 60 * 1000 });
+    });
+
+    it('reads the policy from env vars', () => {
+        process.env.OUTBOX_MAX_ATTEMPTS = '2';
+        process.env.OUTBOX_RETRY_BASE_MINUTES = '1';
+
+        expect(getRetryPolicy()).toEqual({ maxAttempts: 2, baseDelayMs: 60 * 1000 });
+    });
+});
+
+describe('flush', () => {
+    it('delivers to every configured channel and empties the queue', async () => {
+        const state = createEmptyDb();
+        enqueue(state, 'new_programs', [{ handle: 'acme' }]);
+        const send = vi.fn().mockResolvedValue({ telegram: true, discord: true });
+
+        const stats = await flush(state, { new_programs: send }, policy, T0);
+
+        expect(send).toHaveBeenCalledWith([{ handle: 'acme' }], expect.not.objectContaining({ channels: expect.anything() }));
+        expect(stats).toEqual({
+            delivered: 2, failed: 0, deadLettered: 0, pending: 0,
+            channels: { telegram: { sent: 1, failed: 0 }, discord: { sent: 1, failed: 0 } },
+        });
+        expect(getOutbox(state).pending).toHaveLength(0);
+    });
+
+    it('drops channels that are not configured', async () => {
+        const state = createEmptyDb();
+        enqueue(state, 'notice', { title: 'hi' });
+
+        await flush(state, { notice: async () => ({ telegram: null, discord: true }) }, policy, T0);
+
+        expect(getOutbox(state).pending).toHaveLength(0);
+    });
+
+    it('retries only the failed channel, after the backoff delay', async () => {
+        const state = createEmptyDb();
+        enqueue(state, 'new_programs', [{ handle: 'acme' }]);
+        const send = vi.fn().mockResolvedValueOnce({ telegram: false, discord: true });
+
+        await flush(state, { new_programs: send }, policy, T0);
+
+        const [entry] = getOutbox(state).pending;
+        expect(entry.channels.discord.delivered).toBe(true);
+        expect(entry.channels.telegram).toMatchObject({ delivered: false, attempts: 1 });
+        expect(entry.channels.telegram.next_attempt_at).toBe(new Date(T0 + 60_000).toISOString());
+
+        // Not due yet
+        await flush(state, { new_programs: send }, policy, T0 + 30_000);
+        expect(send).toHaveBeenCalledTimes(1);
+
+        // Due: only telegram is retried
+        send.mockResolvedValueOnce({ telegram: true });
+        const stats = await flush(state, { new_programs: send }, policy, T0 + 60_000);
+
+        expect(send).toHaveBeenCalledTimes(2);
+        expect(send.mock.calls[1][1]).toMatchObject({ channels: ['telegram'], delivered: { telegram: [] } });
+        expect(stats.delivered).toBe(1);
+        expect(getOutbox(state).pending).toHaveLength(0);
+    });
+
+    it('backs off exponentially between attempts', async () => {
+        const state = createEmptyDb();
+        enqueue(state, 'notice', { title: 'hi' });
+        const send = vi.fn().mockResolvedValue({ telegram: false });
+
+        await flush(state, { notice: send }, policy, T0);
+        await flush(state, { notice: send }, policy, T0 + 60_000);
+
+        const [entry] = getOutbox(state).pending;
+        expect(entry.channels.telegram.attempts).toBe(2);
+        expect(entry.channels.telegram.next_attempt_at).toBe(new Date(T0 + 60_000 + 120_000).toISOString());
+    });
+
+    it('moves a channel to the dead-letter list after max attempts', async () => {
+        const state = createEmptyDb();
+        enqueue(state, 'notice', { title: 'hi' });
+        const send = vi.fn().mockResolvedValue({ telegram: false });
+
+        let now = T0;
+        for (let i = 0; i < policy.maxAttempts; i++) {
+            await flush(state, { notice: send }, policy, now);
+            now += 10 * 60_000;
+        }
+
+        const outbox = getOutbox(state);
+        expect(send).toHaveBeenCalledTimes(3);
+        expect(outbox.pending).toHaveLength(0);
+        expect(outbox.dead_letter).toHaveLength(1);
+        expect(outbox.dead_letter[0]).toMatchObject({ kind: 'notice', channel: 'telegram', attempts: 3 });
+    });
+
+    it('keeps the entry when the sender throws before any channel reported', async () => {
+        const state = createEmptyDb();
+        enqueue(state, 'changes', []);
+        const send = vi.fn().mockRejectedValue(new Error('boom'));
+
+        await flush(state, { changes: send }, policy, T0);
+
+        const [entry] = getOutbox(state).pending;
+        expect(entry.channels).toBeNull();
+        expect(entry.attempts).toBe(1);
+    });
+
+    it('resends only the chunks that failed', async () => {
+        const state = createEmptyDb();
+        enqueue(state, 'new_programs', [{ handle: 'one' }, { handle: 'two' }, { handle: 'three' }]);
+        const channel = {
+            name: 'chat',
+            label: 'Chat',
+            maxLength: 100,
+            isConfigured: () => true,
+            formatter: { newPrograms: (programs) => programs.map((p) => `new ${p.handle}`) },
+            send: vi.fn(async (message) => message !== 'new two'),
+        };
+        const deps = { registry: [channel], rules: {}, templates: {}, digestChannels: [], sleepFn: async () => {} };
+        const senders = { new_programs: (payload, options) => notify(payload, { ...options, ...deps }) };
+
+        await flush(state, senders, policy, T0);
+
+        const [entry] = getOutbox(state).pending;
+        expect(entry.channels.chat).toMatchObject({ delivered: false, attempts: 1 });
+        expect(entry.channels.chat.delivered_parts).toHaveLength(2);
+
+        channel.send.mockClear();
+        channel.send.mockResolvedValue(true);
+        const stats = await flush(state, senders, policy, T0 + 60_000);
+
+        expect(channel.send).toHaveBeenCalledTimes(1);
+        expect(channel.send).toHaveBeenCalledWith('new two', expect.any(Object));
+        expect(stats.delivered).toBe(1);
+        expect(getOutbox(state).pending).toHaveLength(0);
+    });
+
+    it('keeps the parts delivered by every failed attempt', async () => {
+        const state = createEmptyDb();
+        enqueue(state, 'notice', { title: 'hi' });
+        const send = vi.fn(async (payload, { onDelivered }) => {
+            onDelivered('telegram', `part-${send.mock.calls.length}`);
+            return { telegram: false };
+        });
+
+        await flush(state, { notice: send }, policy, T0);
+        await flush(state, { notice: send }, policy, T0 + 60_000);
+
+        const [entry] = getOutbox(state).pending;
+        expect(send.mock.calls[1][1].delivered).toEqual({ telegram: ['part-1'] });
+        expect(entry.channels.telegram.delivered_parts).toEqual(['part-1', 'part-2']);
+    });
+});
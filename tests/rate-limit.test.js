@@ -0,0 +1,78 @@
+// tests/rate-limit.test.js — Unit tests for channel pacing helpers
+import { describe, it, expect, vi } from 'vitest';
+import { createTokenBucket, parseRetryAfter, getHeader } from '../src/rate-limit.js';
+import { notify } from '../src/alerter.js';
+
+describe('createTokenBucket', () => {
+    it('lets a burst through, then paces at one token per interval', async () => {
+        let now = 0;
+        const sleepFn = vi.fn(async (ms) => {
+            now += ms;
+        });
+        const bucket = createTokenBucket({ capacity: 2, intervalMs: 1000 }, { nowFn: () => now, sleepFn });
+
+        await bucket.take();
+        await bucket.take();
+        expect(sleepFn).not.toHaveBeenCalled();
+
+        await bucket.take();
+        await bucket.take();
+        expect(sleepFn.mock.calls.map(([ms]) => ms)).toEqual([1000, 1000]);
+    });
+
+    it('refills while idle, up to its capacity', async () => {
+        let now = 0;
+        const sleepFn = vi.fn(async (ms) => {
+            now += ms;
+        });
+        const bucket = createTokenBucket({ capacity: 2, intervalMs: 1000 }, { nowFn: () => now, sleepFn });
+        await bucket.take();
+        await bucket.take();
+
+        now += 10_000;
+        await bucket.take();
+        await bucket.take();
+        await bucket.take();
+
+        expect(sleepFn.mock.calls.map(([ms]) => ms)).toEqual([1000]);
+    });
+});
+
+describe('parseRetryAfter', () => {
+    it('reads seconds and HTTP dates', () => {
+        expect(parseRetryAfter('2')).toBe(2000);
+        expect(parseRetryAfter('0.25')).toBe(250);
+        expect(parseRetryAfter('Mon, 15 Jan 2024 10:00:30 GMT', Date.parse('2024-01-15T10:00:00Z'))).toBe(30000);
+        expect(parseRetryAfter(null)).toBeNull();
+        expect(parseRetryAfter('soon')).toBeNull();
+    });
+
+    it('tolerates responses without headers', () => {
+        expect(getHeader({}, 'Retry-After')).toBeNull();
+        expect(getHeader({ headers: new Headers({ 'Retry-After': '3' }) }, 'retry-after')).toBe('3');
+    });
+});
+
+describe('channel pacing', () => {
+    it('delivers every message of a large batch, paced by the channel bucket', async () => {
+        const channel = {
+            name: 'paced',
+            label: 'Paced',
+            maxLength: 100,
+            rateLimit: { capacity: 2, intervalMs: 1000 },
+            isConfigured: () => true,
+            formatter: { newPrograms: (programs) => programs.map((p) => p.handle) },
+            send: vi.fn().mockResolvedValue(true),
+        };
+        const programs = Array.from({ length: 6 }, (_, i) => ({ id: String(i), handle: `p${i}` }));
+        const sleepFn = vi.fn().mockResolvedValue();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+
+        const result = await notify(programs, { registry: [channel], rules: {}, templates: {}, digestChannels: [], sleepFn });
+
+        expect(result).toEqual({ paced: true });
+        expect(channel.send).toHaveBeenCalledTimes(6);
+        expect(sleepFn).toHaveBeenCalledTimes(4);
+        vi.restoreAllMocks();
+    });
+});
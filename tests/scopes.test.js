@@ -0,0 +1,115 @@
+// tests/scopes.test.js — Unit tests for structured scope helpers
+import { describe, it, expect } from 'vitest';
+import { inScope, summarizeScopes, scopeKey, diffScopes, hasScopeChanges } from '../src/scopes.js';
+
+function makeScope(assetType, identifier, opts = {}) {
+    return {
+        asset_type: assetType,
+        asset_identifier: identifier,
+        eligible_for_bounty: opts.eligible_for_bounty ?? true,
+        eligible_for_submission: opts.eligible_for_submission ?? true,
+        max_severity: opts.max_severity || 'critical',
+        instruction: null,
+    };
+}
+
+describe('inScope', () => {
+    it('drops out-of-scope assets', () => {
+        const scopes = [
+            makeScope('URL', 'acme.com'),
+            makeScope('URL', 'blog.acme.com', { eligible_for_submission: false }),
+        ];
+
+        expect(inScope(scopes).map((s) => s.asset_identifier)).toEqual(['acme.com']);
+    });
+
+    it('handles null scopes', () => {
+        expect(inScope(null)).toEqual([]);
+    });
+});
+
+describe('summarizeScopes', () => {
+    it('counts assets by type, most common first', () => {
+        const scopes = [
+            makeScope('APPLE_STORE_APP_ID', 'com.acme.ios'),
+            makeScope('WILDCARD', '*.acme.com'),
+            makeScope('WILDCARD', '*.acme.io'),
+            makeScope('WILDCARD', '*.acme.dev'),
+        ];
+
+        expect(summarizeScopes(scopes)).toBe('3 wildcard domains, 1 iOS app');
+    });
+
+    it('merges asset types that share a label', () => {
+        const scopes = [
+            makeScope('GOOGLE_PLAY_APP_ID', 'com.acme.android'),
+            makeScope('OTHER_APK', 'acme.apk'),
+        ];
+
+        expect(summarizeScopes(scopes)).toBe('2 Android apps');
+    });
+
+    it('ignores out-of-scope assets', () => {
+        const scopes = [
+            makeScope('URL', 'acme.com'),
+            makeScope('URL', 'legacy.acme.com', { eligible_for_submission: false }),
+        ];
+
+        expect(summarizeScopes(scopes)).toBe('1 domain');
+    });
+
+    it('falls back to the raw type for unknown asset types', () => {
+        expect(summarizeScopes([makeScope('QUANTUM_THING', 'q')])).toBe('1 quantum thing asset');
+    });
+
+    it('returns an empty string for no scopes', () => {
+        expect(summarizeScopes([])).toBe('');
+        expect(summarizeScopes(null)).toBe('');
+    });
+});
+
+describe('scopeKey', () => {
+    it('combines asset type and identifier', () => {
+        expect(scopeKey(makeScope('URL', 'acme.com'))).toBe('URL:acme.com');
+    });
+});
+
+describe('diffScopes', () => {
+    it('detects added and removed assets', () => {
+        const before = [makeScope('URL', 'acme.com'), makeScope('URL', 'old.acme.com')];
+        const after = [makeScope('URL', 'acme.com'), makeScope('WILDCARD', '*.acme.io')];
+
+        const diff = diffScopes(before, after);
+
+        expect(diff.added.map((s) => s.asset_identifier)).toEqual(['*.acme.io']);
+        expect(diff.removed.map((s) => s.asset_identifier)).toEqual(['old.acme.com']);
+        expect(diff.modified).toHaveLength(0);
+    });
+
+    it('detects a flipped bounty eligibility as a modification', () => {
+        const before = [makeScope('URL', 'api.acme.com', { eligible_for_bounty: false })];
+        const after = [makeScope('URL', 'api.acme.com', { eligible_for_bounty: true })];
+
+        const diff = diffScopes(before, after);
+
+        expect(diff.added).toHaveLength(0);
+        expect(diff.removed).toHaveLength(0);
+        expect(diff.modified).toHaveLength(1);
+        expect(diff.modified[0].fields).toEqual(['eligible_for_bounty']);
+        expect(diff.modified[0].before.eligible_for_bounty).toBe(false);
+        expect(diff.modified[0].after.eligible_for_bounty).toBe(true);
+    });
+
+    it('treats the same identifier under another asset type as a different asset', () => {
+        const diff = diffScopes([makeScope('URL', 'acme.com')], [makeScope('API', 'acme.com')]);
+
+        expect(diff.added).toHaveLength(1);
+        expect(diff.removed).toHaveLength(1);
+    });
+
+    it('reports no changes for identical scopes', () => {
+        const scopes = [makeScope('URL', 'acme.com'), makeScope('WILDCARD', '*.acme.com')];
+
+        expect(hasScopeChanges(diffScopes(scopes, [...scopes].reverse()))).toBe(false);
+    });
+});
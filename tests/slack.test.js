@@ -0,0 +1,151 @@
+// tests/slack.test.js — Unit tests for the Slack Block Kit channel
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import slack, { formatProgramBlock, chunkProgramBlocks, sendSlack } from '../src/channels/slack.js';
+import { notify } from '../src/alerter.js';
+
+const acme = {
+    id: '1',
+    handle: 'acme',
+    name: 'Acme <Corp>',
+    offers_bounties: true,
+    scopes: [{ asset_type: 'WILDCARD', asset_identifier: '*.acme.com', eligible_for_submission: true }],
+};
+const beta = { id: '2', handle: 'betacorp', name: 'BetaCorp', offers_bounties: false };
+
+function mockResponse(status, body = 'ok') {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        text: async () => body,
+    };
+}
+
+function makePrograms(count) {
+    return Array.from({ length: count }, (_, i) => ({ id: String(i), handle: `p${i}`, name: `Program ${i}` }));
+}
+
+describe('formatProgramBlock', () => {
+    it('renders name, handle, badge, scope summary and a link button', () => {
+        const block = formatProgramBlock(acme);
+
+        expect(block.type).toBe('section');
+        expect(block.text.type).toBe('mrkdwn');
+        expect(block.text.text).toBe('*Acme &lt;Corp&gt;* (`acme`) — 💰 Bounty\n📋 1 wildcard domain');
+        expect(block.accessory).toEqual({
+            type: 'button',
+            text: { type: 'plain_text', text: 'Open program' },
+            url: 'https://hackerone.com/acme',
+        });
+    });
+
+    it('shows the VDP badge and truncates to the text limit', () => {
+        const block = formatProgramBlock({ ...beta, name: 'x'.repeat(200) }, 50);
+
+        expect(block.text.text).toHaveLength(50);
+        expect(block.text.text.endsWith('…')).toBe(true);
+        expect(formatProgramBlock(beta).text.text).toContain('🏅 VDP');
+    });
+});
+
+describe('chunkProgramBlocks', () => {
+    it('returns an empty array for no programs', () => {
+        expect(chunkProgramBlocks([])).toEqual([]);
+    });
+
+    it('puts a header and one section per program in a single message', () => {
+        const [message, ...rest] = chunkProgramBlocks([acme, beta]);
+
+        expect(rest).toHaveLength(0);
+        expect(message.blocks).toHaveLength(3);
+        expect(message.blocks[0].text.text).toBe('🔔 *h1-watcher* — 2 new HackerOne programs detected!');
+        expect(message.text).toContain('Acme <Corp>, BetaCorp');
+    });
+
+    it('splits into parts that stay within the block limit', () => {
+        const messages = chunkProgramBlocks(makePrograms(120));
+
+        expect(messages).toHaveLength(3);
+        for (const message of messages) {
+            expect(message.blocks.length).toBeLessThanOrEqual(50);
+        }
+        expect(messages[0].blocks[0].text.text).toContain('(part 1)');
+        expect(messages[2].blocks).toHaveLength(1 + 120 - 2 * 49);
+    });
+});
+
+describe('sendSlack', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('skips when the webhook URL is missing', async () => {
+        delete process.env.SLACK_WEBHOOK_URL;
+
+        expect(await sendSlack({ text: 'hi' })).toBe(false);
+    });
+
+    it('posts the Block Kit payload to the webhook', async () => {
+        process.env.SLACK_WEBHOOK_URL = 'https://hooks.slack.com/services/T000/B000/secret';
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(200));
+        const [message] = chunkProgramBlocks([acme]);
+
+        const result = await sendSlack(message, { fetchFn: mockFetch });
+
+        expect(result).toBe(true);
+        const [url, options] = mockFetch.mock.calls[0];
+        expect(url).toBe('https://hooks.slack.com/services/T000/B000/secret');
+        expect(JSON.parse(options.body)).toEqual(message);
+    });
+
+    it('wraps plain text in a section block', async () => {
+        process.env.SLACK_WEBHOOK_URL = 'https://hooks.slack.com/services/T000/B000/secret';
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(200));
+
+        await sendSlack('hello', { fetchFn: mockFetch });
+
+        const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+        expect(body.text).toBe('hello');
+        expect(body.blocks[0].text.text).toBe('hello');
+    });
+
+    it('returns false on webhook error and never logs the webhook URL', async () => {
+        process.env.SLACK_WEBHOOK_URL = 'https://hooks.slack.com/services/T000/B000/secret';
+        const mockFetch = vi.fn().mockRejectedValue(new Error('connect failed to https://hooks.slack.com/services/T000/B000/secret'));
+        const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        const result = await sendSlack('hello', { fetchFn: mockFetch });
+
+        expect(result).toBe(false);
+        const logged = errorSpy.mock.calls.flat().join(' ');
+        expect(logged).not.toContain('B000/secret');
+        expect(logged).toContain('***REDACTED***');
+        errorSpy.mockRestore();
+    });
+});
+
+describe('slack channel', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('is delivered to by notify when configured', async () => {
+        process.env.SLACK_WEBHOOK_URL = 'https://hooks.slack.com/services/T000/B000/secret';
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(200));
+
+        const result = await notify([acme], { fetchFn: mockFetch, registry: [slack] });
+
+        expect(result).toEqual({ slack: true });
+        const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+        expect(body.blocks[1].accessory.url).toBe('https://hackerone.com/acme');
+    });
+
+    it('formats notices as mrkdwn', () => {
+        const [message] = slack.formatter.notice({ level: 'warning', title: 'A <b> c' }, slack.maxLength);
+
+        expect(message.text).toBe('⚠️ *h1-watcher* — A &lt;b&gt; c');
+    });
+});
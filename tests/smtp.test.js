@@ -0,0 +1,221 @@
+// tests/smtp.test.js — Tests for the SMTP client against a local SMTP stand-in
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import net from 'node:net';
+import { sendMail, SmtpError } from '../src/smtp.js';
+
+/**
+ * Start a minimal SMTP server on a random local port that records the
+ * session. `options.auth` lists advertised AUTH mechanisms,
+ * `options.starttls` advertises STARTTLS, and `options.rejectRecipients`
+ * answers RCPT TO for those addresses with 550.
+ */
+function startStandIn(options = {}) {
+    const sessions = [];
+    const server = net.createServer((socket) => {
+        const session = { commands: [], auth: null, from: null, to: [], data: null };
+        sessions.push(session);
+        let buffer = '';
+        let dataLines = null;
+        let loginStep = null;
+        const reply = (text) => socket.write(`${text}\r\n`);
+
+        reply('220 stand-in ESMTP');
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (dataLines) {
+                    if (line === '.') {
+                        session.data = dataLines.join('\r\n');
+                        dataLines = null;
+                        reply('250 queued');
+                    } else {
+                        dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                if (loginStep === 'user') {
+                    session.auth = { mechanism: 'LOGIN', user: Buffer.from(line, 'base64').toString() };
+                    loginStep = 'password';
+                    reply('334 UGFzc3dvcmQ6');
+                    continue;
+                }
+                if (loginStep === 'password') {
+                    session.auth.password = Buffer.from(line, 'base64').toString();
+                    loginStep = null;
+                    reply('235 ok');
+                    continue;
+                }
+
+                session.commands.push(line);
+                const verb = line.split(/[ :]/)[0].toUpperCase();
+                if (verb === 'EHLO') {
+                    const caps = ['stand-in', '8BITMIME'];
+                    if (options.auth) caps.push(`AUTH ${options.auth.join(' ')}`);
+                    if (options.starttls) caps.push('STARTTLS');
+                    caps.forEach((cap, i) => reply(`250${i < caps.length - 1 ? '-' : ' '}${cap}`));
+                } else if (verb === 'AUTH' && line.split(' ')[1] === 'PLAIN') {
+                    const [, user, password] = Buffer.from(line.split(' ')[2], 'base64').toString().split('\0');
+                    session.auth = { mechanism: 'PLAIN', user, password };
+                    reply(password === 'wrong' ? '535 authentication failed' : '235 ok');
+                } else if (verb === 'AUTH') {
+                    loginStep = 'user';
+                    reply('334 VXNlcm5hbWU6');
+                } else if (verb === 'MAIL') {
+                    session.from = line.match(/<(.*)>/)[1];
+                    reply('250 ok');
+                } else if (verb === 'RCPT') {
+                    const address = line.match(/<(.*)>/)[1];
+                    if ((options.rejectRecipients || []).includes(address)) {
+                        reply('550 no such user');
+                    } else {
+                        session.to.push(address);
+                        reply('250 ok');
+                    }
+                } else if (verb === 'DATA') {
+                    dataLines = [];
+                    reply('354 go ahead');
+                } else if (verb === 'QUIT') {
+                    reply('221 bye');
+                    socket.end();
+                } else {
+                    reply('502 not implemented');
+                }
+            }
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, sessions, port: server.address().port }));
+    });
+}
+
+const message = 'Subject: hi\r\n\r\nhello\r\n.starts with a dot\r\n';
+
+describe('sendMail', () => {
+    let standIn;
+
+    afterEach(async () => {
+        await new Promise((resolve) => standIn.server.close(resolve));
+    });
+
+    describe('without authentication', () => {
+        beforeEach(async () => {
+            standIn = await startStandIn({ rejectRecipients: ['nobody@example.com'] });
+        });
+
+        it('delivers the message with envelope and dot-stuffing', async () => {
+            await sendMail({
+                host: '127.0.0.1',
+                port: standIn.port,
+                from: 'h1-watcher <watcher@example.com>',
+                to: ['a@example.com', 'Team B <b@example.com>'],
+                message,
+            });
+
+            const [session] = standIn.sessions;
+            expect(session.commands[0]).toBe('EHLO h1-watcher');
+            expect(session.auth).toBeNull();
+            expect(session.from).toBe('watcher@example.com');
+            expect(session.to).toEqual(['a@example.com', 'b@example.com']);
+            expect(session.data).toBe('Subject: hi\r\n\r\nhello\r\n.starts with a dot\r\n');
+            expect(session.commands).toContain('QUIT');
+        });
+
+        it('rejects with the reply code when a recipient is refused', async () => {
+            const error = await sendMail({
+                host: '127.0.0.1',
+                port: standIn.port,
+                from: 'watcher@example.com',
+                to: ['nobody@example.com'],
+                message,
+            }).catch((e) => e);
+
+            expect(error).toBeInstanceOf(SmtpError);
+            expect(error.code).toBe(550);
+            expect(error.message).toContain('RCPT TO');
+        });
+
+        it('refuses to continue when STARTTLS is required but not offered', async () => {
+            const error = await sendMail({
+                host: '127.0.0.1',
+                port: standIn.port,
+                starttls: true,
+                user: 'u',
+                password: 'p',
+                from: 'watcher@example.com',
+                to: ['a@example.com'],
+                message,
+            }).catch((e) => e);
+
+            expect(error).toBeInstanceOf(SmtpError);
+            expect(error.message).toMatch(/does not offer STARTTLS/);
+            expect(standIn.sessions[0].auth).toBeNull();
+        });
+    });
+
+    describe('with authentication', () => {
+        // The stand-in has no TLS, so these opt in to plain-text authentication
+        it('refuses to send credentials without STARTTLS unless allowed', async () => {
+            standIn = await startStandIn({ auth: ['PLAIN'] });
+
+            const error = await sendMail({
+                host: '127.0.0.1', port: standIn.port, user: 'bot', password: 's3cret',
+                from: 'watcher@example.com', to: ['a@example.com'], message,
+            }).catch((e) => e);
+
+            expect(error).toBeInstanceOf(SmtpError);
+            expect(error.message).toContain('unencrypted connection');
+            expect(standIn.sessions).toHaveLength(0);
+        });
+
+        it('uses AUTH PLAIN when offered', async () => {
+            standIn = await startStandIn({ auth: ['PLAIN', 'LOGIN'] });
+
+            await sendMail({
+                host: '127.0.0.1', port: standIn.port, user: 'bot', password: 's3cret', allowInsecureAuth: true,
+                from: 'watcher@example.com', to: ['a@example.com'], message,
+            });
+
+            expect(standIn.sessions[0].auth).toEqual({ mechanism: 'PLAIN', user: 'bot', password: 's3cret' });
+        });
+
+        it('falls back to AUTH LOGIN when it is the only mechanism', async () => {
+            standIn = await startStandIn({ auth: ['LOGIN'] });
+
+            await sendMail({
+                host: '127.0.0.1', port: standIn.port, user: 'bot', password: 's3cret', allowInsecureAuth: true,
+                from: 'watcher@example.com', to: ['a@example.com'], message,
+            });
+
+            expect(standIn.sessions[0].auth).toEqual({ mechanism: 'LOGIN', user: 'bot', password: 's3cret' });
+        });
+
+        it('rejects on authentication failure without sending the message', async () => {
+            standIn = await startStandIn({ auth: ['PLAIN'] });
+
+            const error = await sendMail({
+                host: '127.0.0.1', port: standIn.port, user: 'bot', password: 'wrong', allowInsecureAuth: true,
+                from: 'watcher@example.com', to: ['a@example.com'], message,
+            }).catch((e) => e);
+
+            expect(error.code).toBe(535);
+            expect(standIn.sessions[0].data).toBeNull();
+        });
+    });
+
+    it('rejects when the server cannot be reached', async () => {
+        standIn = await startStandIn();
+        const { port } = standIn;
+        await new Promise((resolve) => standIn.server.close(resolve));
+        standIn = await startStandIn(); // keep afterEach happy
+
+        await expect(sendMail({
+            host: '127.0.0.1', port, from: 'a@example.com', to: ['b@example.com'], message,
+        })).rejects.toThrow();
+    });
+});
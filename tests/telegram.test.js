@@ -0,0 +1,180 @@
+// tests/telegram.test.js — Unit tests for Telegram destinations, routing and buttons
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import telegram, { getDestinations, programButtons, sendTelegram, isConfigured } from '../src/channels/telegram.js';
+import { notify } from '../src/alerter.js';
+
+const acme = { id: '1', handle: 'acme', name: 'Acme <Corp>', offers_bounties: true };
+const beta = { id: '2', handle: 'betacorp', name: 'BetaCorp', offers_bounties: false };
+
+function mockResponse(status = 200) {
+    return { ok: status >= 200 && status < 300, status, text: async () => 'ok' };
+}
+
+describe('getDestinations', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        delete process.env.TELEGRAM_DESTINATIONS;
+        delete process.env.TELEGRAM_CHAT_ID;
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('falls back to TELEGRAM_CHAT_ID', () => {
+        expect(getDestinations()).toEqual([]);
+
+        process.env.TELEGRAM_CHAT_ID = '12345';
+        expect(getDestinations()).toEqual([{ route: 'all', chatId: '12345', threadId: null }]);
+    });
+
+    it('parses routes, chats and forum topics', () => {
+        process.env.TELEGRAM_CHAT_ID = '12345';
+        process.env.TELEGRAM_DESTINATIONS = 'bounty=-1001:7, VDP=-1001:8, @h1alerts';
+
+        expect(getDestinations()).toEqual([
+            { route: 'bounty', chatId: '-1001', threadId: 7 },
+            { route: 'vdp', chatId: '-1001', threadId: 8 },
+            { route: 'all', chatId: '@h1alerts', threadId: null },
+        ]);
+    });
+
+    it('rejects invalid entries without echoing them', () => {
+        process.env.TELEGRAM_DESTINATIONS = '-1001, private=-1002';
+
+        expect(() => getDestinations()).toThrow(/^Invalid TELEGRAM_DESTINATIONS entry #2 \(use \[all\|bounty\|vdp=\]/);
+    });
+
+    it('counts as configured with destinations only', () => {
+        process.env.TELEGRAM_BOT_TOKEN = 'fake-bot-token';
+        expect(isConfigured()).toBe(false);
+
+        process.env.TELEGRAM_DESTINATIONS = '-1001';
+        expect(isConfigured()).toBe(true);
+    });
+});
+
+describe('programButtons', () => {
+    it('links a single program and its scope', () => {
+        expect(programButtons([acme, acme])).toEqual([[
+            { text: 'Open program', url: 'https://hackerone.com/acme' },
+            { text: 'Open scope', url: 'https://hackerone.com/acme/policy_scopes' },
+        ]]);
+    });
+
+    it('adds a row per program, with short names', () => {
+        const long = { handle: 'long', name: 'A program with a really long name indeed' };
+
+        const rows = programButtons([acme, long]);
+
+        expect(rows.map((row) => row[0].text)).toEqual(['Open Acme <Corp>', 'Open A program with a really long …']);
+        expect(rows[1][1]).toEqual({ text: 'Open scope', url: 'https://hackerone.com/long/policy_scopes' });
+    });
+});
+
+describe('Telegram formatter', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        process.env.TELEGRAM_CHAT_ID = '12345';
+        process.env.TELEGRAM_DESTINATIONS = 'bounty=-1001:7, vdp=-1001:8, all=-2002';
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('routes new programs by type, with buttons instead of URL lines', () => {
+        const messages = telegram.formatter.newPrograms([acme, beta], telegram.maxLength, telegram.templates);
+
+        expect(messages.map((m) => [m.chatId, m.threadId])).toEqual([['-1001', 7], ['-1001', 8], ['-2002', null]]);
+        expect(messages[0].text).toContain('1 new HackerOne program detected');
+        expect(messages[0].text).toContain('<b>Acme &lt;Corp&gt;</b>');
+        expect(messages[0].text).not.toContain('https://');
+        expect(messages[0].buttons[0][0]).toEqual({ text: 'Open program', url: 'https://hackerone.com/acme' });
+        expect(messages[2].text).toContain('2 new HackerOne programs detected');
+        expect(messages[2].buttons).toHaveLength(2);
+    });
+
+    it('routes changes by the type of their program', () => {
+        const event = { type: 'submissions_paused', program: beta, field: 'submission_state', from: 'open', to: 'paused' };
+
+        const messages = telegram.formatter.changes([event], telegram.maxLength);
+
+        expect(messages.map((m) => m.threadId)).toEqual([8, null]);
+        expect(messages[0].text).not.toContain('→ https://');
+        expect(messages[0].buttons[0][1].url).toBe('https://hackerone.com/betacorp/policy_scopes');
+    });
+
+    it('splits digests per destination', () => {
+        const digest = { programs: [acme, beta], since: '2024-01-15T09:00:00.000Z', until: '2024-01-16T09:00:00.000Z' };
+
+        const messages = telegram.formatter.digest(digest, telegram.maxLength, telegram.templates);
+
+        expect(messages[0].text).toContain('1 new HackerOne program since 2024-01-15 09:00 UTC');
+        expect(messages[0].text).toContain('Bounty programs (1)');
+        expect(messages[0].text).not.toContain('VDP programs');
+        expect(messages[2].buttons).toHaveLength(2);
+    });
+
+    it('sends notices to every chat and topic once, without buttons', () => {
+        process.env.TELEGRAM_DESTINATIONS += ', bounty=-2002';
+
+        const messages = telegram.formatter.notice({ level: 'warning', title: 'Slow API' }, telegram.maxLength);
+
+        expect(messages.map((m) => [m.chatId, m.threadId])).toEqual([['-1001', 7], ['-1001', 8], ['-2002', null]]);
+        expect(messages[0].buttons).toEqual([]);
+    });
+
+    it('keeps at most 10 programs per message', () => {
+        const programs = Array.from({ length: 25 }, (_, i) => ({ id: String(i), handle: `p${i}`, name: `P${i}` }));
+        process.env.TELEGRAM_DESTINATIONS = '-2002';
+
+        const messages = telegram.formatter.newPrograms(programs, telegram.maxLength, telegram.templates);
+
+        expect(messages.map((m) => m.buttons.length)).toEqual([10, 10, 5]);
+        expect(messages[0].text).toContain('25 new programs (part 1)');
+    });
+});
+
+describe('sendTelegram with destinations', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        process.env.TELEGRAM_BOT_TOKEN = 'fake-bot-token';
+        process.env.TELEGRAM_CHAT_ID = '12345';
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+        vi.restoreAllMocks();
+    });
+
+    it('sends to the topic with an inline keyboard', async () => {
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(200));
+        const buttons = programButtons([acme]);
+
+        await sendTelegram({ text: 'hi', chatId: '-1001', threadId: 7, buttons }, { fetchFn: mockFetch });
+
+        expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({
+            chat_id: '-1001',
+            message_thread_id: 7,
+            text: 'hi',
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            reply_markup: { inline_keyboard: buttons },
+        });
+    });
+
+    it('skips the channel when no destination takes the programs', async () => {
+        process.env.TELEGRAM_DESTINATIONS = 'bounty=-1001';
+        const mockFetch = vi.fn();
+
+        const result = await notify([beta], { fetchFn: mockFetch, channels: ['telegram'], rules: {}, templates: {} });
+
+        expect(result).toEqual({ telegram: null });
+        expect(mockFetch).not.toHaveBeenCalled();
+    });
+});
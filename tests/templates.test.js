@@ -0,0 +1,176 @@
+// tests/templates.test.js — Unit tests for user-defined alert templates
+import { describe, it, expect, afterEach, beforeEach, vi } from 'vitest';
+import { writeFile, rm, mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+    parseTemplate,
+    renderTemplate,
+    programContext,
+    loadTemplates,
+    resolveTemplates,
+    TEXT_TEMPLATES,
+    TemplateError,
+} from '../src/templates.js';
+import { markup as telegramMarkup } from '../src/channels/telegram.js';
+import discord, { markup as discordMarkup } from '../src/channels/discord.js';
+import telegram, { TELEGRAM_TEMPLATES } from '../src/channels/telegram.js';
+import { notify } from '../src/alerter.js';
+
+const program = {
+    id: '1',
+    handle: 'acme',
+    name: 'Acme <Corp> *bold*',
+    offers_bounties: true,
+    submission_state: 'open',
+    scopes: [{ asset_type: 'WILDCARD', asset_identifier: '*.acme.com', eligible_for_submission: true }],
+};
+
+describe('parseTemplate', () => {
+    it('rejects unbalanced blocks and unknown tags', () => {
+        expect(() => parseTemplate('{{#if name}}x')).toThrow(/Unclosed \{\{#if name\}\}/);
+        expect(() => parseTemplate('x{{/if}}')).toThrow(TemplateError);
+        expect(() => parseTemplate('{{#if a}}{{/unless}}')).toThrow(/Unexpected \{\{\/unless\}\}/);
+        expect(() => parseTemplate('{{else}}')).toThrow(/Unexpected \{\{else\}\}/);
+        expect(() => parseTemplate('{{italic name}}')).toThrow(/Unknown helper "italic"/);
+        expect(() => parseTemplate('{{name!}}')).toThrow(/Invalid tag/);
+    });
+});
+
+describe('renderTemplate', () => {
+    it('escapes values for each channel', () => {
+        const context = programContext(program);
+        expect(renderTemplate('{{name}}', context, telegramMarkup)).toBe('Acme &lt;Corp&gt; *bold*');
+        expect(renderTemplate('{{name}}', context, discordMarkup)).toBe('Acme <Corp\\> \\*bold\\*');
+        expect(renderTemplate('{{bold name}}', context, telegramMarkup)).toBe('<b>Acme &lt;Corp&gt; *bold*</b>');
+    });
+
+    it('leaves triple-brace values unescaped', () => {
+        expect(renderTemplate('{{{name}}}', programContext(program), telegramMarkup)).toBe('Acme <Corp> *bold*');
+    });
+
+    it('renders conditionals, literals and computed fields', () => {
+        const template = '{{#if offers_bounties}}$${{else}}VDP{{/if}}{{#unless scopes}} (no scope){{/unless}} ' +
+            '{{code "x"}} {{scope_summary}} {{link url}}';
+        expect(renderTemplate(template, programContext(program), telegramMarkup)).toBe(
+            '$$ <code>x</code> 1 wildcard domain https://hackerone.com/acme'
+        );
+        expect(renderTemplate(template, programContext({ ...program, offers_bounties: false, scopes: [] }), telegramMarkup))
+            .toMatch(/^VDP \(no scope\)/);
+    });
+
+    it('renders missing fields as empty', () => {
+        expect(renderTemplate('[{{nope}}]', {}, telegramMarkup)).toBe('[]');
+    });
+});
+
+describe('loadTemplates', () => {
+    const originalEnv = { ...process.env };
+    let dir;
+
+    beforeEach(async () => {
+        dir = join(tmpdir(), `h1-watcher-templates-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+        await mkdir(dir, { recursive: true });
+        delete process.env.ALERT_TEMPLATES_FILE;
+    });
+
+    afterEach(async () => {
+        process.env = { ...originalEnv };
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('returns no templates when not configured', () => {
+        expect(loadTemplates()).toEqual({});
+    });
+
+    it('reads templates from ALERT_TEMPLATES_FILE', async () => {
+        const file = join(dir, 'templates.json');
+        await writeFile(file, JSON.stringify({ '*': { footer: 'via h1-watcher' }, telegram: { entry: '{{name}}' } }));
+        process.env.ALERT_TEMPLATES_FILE = file;
+
+        expect(loadTemplates()).toEqual({ '*': { footer: 'via h1-watcher' }, telegram: { entry: '{{name}}' } });
+    });
+
+    it('rejects unknown parts, non-strings and templates that do not parse', async () => {
+        const file = join(dir, 'templates.json');
+        process.env.ALERT_TEMPLATES_FILE = file;
+
+        await writeFile(file, JSON.stringify({ telegram: { body: 'x' } }));
+        expect(() => loadTemplates()).toThrow(/Unknown template "telegram.body"/);
+
+        await writeFile(file, JSON.stringify({ telegram: { entry: 1 } }));
+        expect(() => loadTemplates()).toThrow(/"telegram.entry" must be a string/);
+
+        await writeFile(file, JSON.stringify({ telegram: { entry: '{{#if name}}' } }));
+        expect(() => loadTemplates()).toThrow(/Template "telegram.entry": Unclosed/);
+
+        await writeFile(file, 'not json');
+        expect(() => loadTemplates()).toThrow(TemplateError);
+    });
+});
+
+describe('resolveTemplates', () => {
+    it('layers channel defaults, "*" and channel templates', () => {
+        const user = { '*': { entry: 'all', footer: 'f' }, discord: { entry: 'discord' } };
+
+        expect(resolveTemplates(telegram, user)).toEqual({ ...TEXT_TEMPLATES, entry: 'all', footer: 'f' });
+        expect(resolveTemplates(discord, user)).toEqual({ header: TEXT_TEMPLATES.header, entry: 'discord', footer: 'f' });
+        expect(resolveTemplates(telegram)).toEqual(TELEGRAM_TEMPLATES);
+    });
+});
+
+describe('templates in channel formatters', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        delete process.env.TELEGRAM_DESTINATIONS;
+        process.env.TELEGRAM_CHAT_ID = '12345';
+    });
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('keeps the default Telegram output', () => {
+        const [message] = telegram.formatter.newPrograms([program], telegram.maxLength, TELEGRAM_TEMPLATES);
+        expect(message.text).toBe(
+            '🔔 <b>h1-watcher</b> — 1 new HackerOne program detected!\n\n' +
+            '• <b>Acme &lt;Corp&gt; *bold*</b> (<code>acme</code>) — 💰 Bounty\n' +
+            '  📋 1 wildcard domain'
+        );
+    });
+
+    it('appends the footer to every chunk', () => {
+        const programs = Array.from({ length: 30 }, (_, i) => ({ ...program, handle: `p${i}`, name: `Program ${i}` }));
+        const templates = { ...TEXT_TEMPLATES, entry: '{{name}}', footer: '— sent by {{bold "h1-watcher"}}' };
+
+        const messages = telegram.formatter.newPrograms(programs, 300, templates);
+
+        expect(messages.length).toBeGreaterThan(1);
+        for (const { text } of messages) {
+            expect(text.length).toBeLessThanOrEqual(300);
+            expect(text.endsWith('\n\n— sent by <b>h1-watcher</b>')).toBe(true);
+        }
+    });
+
+    it('puts the Discord footer on the last embed of each message', () => {
+        const templates = { ...resolveTemplates(discord), entry: 'Handle: {{handle}}', footer: 'h1-watcher' };
+
+        const [message] = discord.formatter.newPrograms([program, { ...program, handle: 'beta' }], discord.maxLength, templates);
+
+        expect(message.embeds.map((e) => e.description)).toEqual(['Handle: acme', 'Handle: beta']);
+        expect(message.embeds[0].footer).toBeUndefined();
+        expect(message.embeds[1].footer).toEqual({ text: 'h1-watcher' });
+    });
+
+    it('passes user templates from notify to the channel', async () => {
+        const send = vi.fn().mockResolvedValue(true);
+        const channel = { ...telegram, isConfigured: () => true, send };
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+
+        await notify([program], { registry: [channel], rules: {}, templates: { telegram: { header: 'New: {{count}}' } } });
+
+        expect(send.mock.calls[0][0].text).toMatch(/^New: 1\n\n• <b>/);
+        vi.restoreAllMocks();
+    });
+});
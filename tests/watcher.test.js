@@ -12,8 +12,8 @@ function makeProgram(id, handle, opts = {}) {
         id: String(id),
         handle,
         name: opts.name || handle,
-        state: 'public_mode',
-        submission_state: 'open',
+        state: opts.state || 'public_mode',
+        submission_state: opts.submission_state || 'open',
         offers_bounties: opts.offers_bounties ?? true,
         started_accepting_at: null,
     };
@@ -41,33 +41,41 @@ afterEach(async () => {
 });
 
 describe('watcher.run — integration scenarios', () => {
-    it('Scenario 1: Empty DB → new programs → alert + DB updated', async () => {
+    it('Scenario 1: Empty DB → baseline recorded → single summary, no per-program alerts', async () => {
         const mockPrograms = [
             makeProgram(1, 'acme', { name: 'Acme Corp' }),
             makeProgram(2, 'betacorp', { name: 'Beta Corp', offers_bounties: false }),
         ];
         const mockNotify = vi.fn().mockResolvedValue({ telegram: true, discord: true });
+        const mockNotice = vi.fn().mockResolvedValue({ telegram: true, discord: true });
         const mockRecon = vi.fn().mockResolvedValue(false);
 
         const result = await run({
             fetchPrograms: async () => mockPrograms,
+            fetchScopes: async () => [],
             notifyFn: mockNotify,
+            notifyNoticeFn: mockNotice,
             dispatchReconFn: mockRecon,
             dbPath: testDbPath,
         });
 
-        // All programs are new
-        expect(result.newPrograms).toHaveLength(2);
+        // Nothing alerted as new, everything recorded as baseline
+        expect(result.newPrograms).toHaveLength(0);
+        expect(result.baselined).toHaveLength(2);
         expect(result.totalPrograms).toBe(2);
 
-        // Alert was called with new programs
-        expect(mockNotify).toHaveBeenCalledTimes(1);
-        expect(mockNotify.mock.calls[0][0]).toHaveLength(2);
+        // One summary instead of per-program alerts, no recon
+        expect(mockNotify).not.toHaveBeenCalled();
+        expect(mockRecon).not.toHaveBeenCalled();
+        expect(mockNotice).toHaveBeenCalledTimes(1);
+        expect(mockNotice.mock.calls[0][0].title).toContain('tracking 2 programs');
 
-        // DB was saved
+        // DB was saved with baseline markers
         expect(existsSync(testDbPath)).toBe(true);
         const saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
         expect(Object.keys(saved.programs)).toHaveLength(2);
+        expect(saved.programs['1'].baseline).toBe(true);
+        expect(saved.programs['1'].first_seen).toBeTruthy();
         expect(saved.last_run).toBeTruthy();
     });
 
@@ -85,6 +93,7 @@ describe('watcher.run — integration scenarios', () => {
 
         const result = await run({
             fetchPrograms: async () => [makeProgram(1, 'acme'), makeProgram(2, 'betacorp')],
+            fetchScopes: async () => [],
             notifyFn: mockNotify,
             dispatchReconFn: mockRecon,
             dbPath: testDbPath,
@@ -110,6 +119,7 @@ describe('watcher.run — integration scenarios', () => {
                 makeProgram(2, 'betacorp'),
                 makeProgram(3, 'gammainc'),
             ],
+            fetchScopes: async () => [],
             notifyFn: mockNotify,
             dispatchReconFn: mockRecon,
             dbPath: testDbPath,
@@ -135,12 +145,14 @@ describe('watcher.run — integration scenarios', () => {
 
         const result = await run({
             fetchPrograms: async () => [makeProgram(1, 'newprog')],
+            fetchScopes: async () => [],
             notifyFn: mockNotify,
+            notifyNoticeFn: vi.fn(),
             dispatchReconFn: mockRecon,
             dbPath: noExistPath,
         });
 
-        expect(result.newPrograms).toHaveLength(1);
+        expect(result.baselined).toHaveLength(1);
         expect(existsSync(noExistPath)).toBe(true);
     });
 
@@ -154,6 +166,7 @@ describe('watcher.run — integration scenarios', () => {
 
         const result = await run({
             fetchPrograms: async () => [],
+            fetchScopes: async () => [],
             notifyFn: mockNotify,
             dispatchReconFn: mockRecon,
             dbPath: testDbPath,
@@ -168,3 +181,869 @@ describe('watcher.run — integration scenarios', () => {
         expect(Object.keys(saved.programs)).toHaveLength(1);
     });
 });
+
+describe('watcher.run — structured scopes', () => {
+    it('attaches scopes to new programs before alerting', async () => {
+        const scopes = [
+            { asset_type: 'WILDCARD', asset_identifier: '*.acme.com', eligible_for_bounty: true, eligible_for_submission: true, max_severity: 'critical', instruction: null },
+        ];
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(99, 'known')]);
+        await save(db, testDbPath);
+
+        const mockNotify = vi.fn().mockResolvedValue({ telegram: true, discord: true });
+        const mockFetchScopes = vi.fn().mockResolvedValue(scopes);
+
+        await run({
+            fetchPrograms: async () => [makeProgram(99, 'known'), makeProgram(1, 'acme')],
+            fetchScopes: mockFetchScopes,
+            notifyFn: mockNotify,
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+        });
+
+        expect(mockFetchScopes).toHaveBeenCalledWith('acme');
+        expect(mockNotify.mock.calls[0][0][0].handle).toBe('acme');
+        expect(mockNotify.mock.calls[0][0][0].scopes).toEqual(scopes);
+    });
+
+    it('still alerts when fetching scopes fails', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(99, 'known')]);
+        await save(db, testDbPath);
+
+        const mockNotify = vi.fn().mockResolvedValue({ telegram: true, discord: true });
+
+        const result = await run({
+            fetchPrograms: async () => [makeProgram(99, 'known'), makeProgram(1, 'acme')],
+            fetchScopes: async () => { throw new Error('HTTP 404'); },
+            notifyFn: mockNotify,
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+        });
+
+        expect(result.newPrograms).toHaveLength(1);
+        expect(mockNotify.mock.calls[0][0][0].scopes).toBeNull();
+    });
+});
+
+describe('watcher.run — scope change tracking', () => {
+    const wildcard = { asset_type: 'WILDCARD', asset_identifier: '*.acme.com', eligible_for_bounty: true, eligible_for_submission: true, max_severity: 'critical', instruction: null };
+    const ios = { asset_type: 'APPLE_STORE_APP_ID', asset_identifier: 'com.acme.ios', eligible_for_bounty: false, eligible_for_submission: true, max_severity: 'high', instruction: null };
+
+    it('alerts scope changes of known programs separately and stores the new scope', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [{ ...makeProgram(1, 'acme'), scopes: [wildcard] }]);
+        await save(db, testDbPath);
+
+        const mockNotify = vi.fn();
+        const mockNotifyChanges = vi.fn().mockResolvedValue({ telegram: true, discord: true });
+
+        const result = await run({
+            fetchPrograms: async () => [makeProgram(1, 'acme')],
+            fetchScopes: async () => [wildcard, ios],
+            notifyFn: mockNotify,
+            notifyChangesFn: mockNotifyChanges,
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+        });
+
+        expect(result.changes).toHaveLength(1);
+        expect(mockNotify).not.toHaveBeenCalled();
+        expect(mockNotifyChanges).toHaveBeenCalledTimes(1);
+        expect(mockNotifyChanges.mock.calls[0][0][0].added).toEqual([ios]);
+
+        const saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(saved.programs['1'].scopes).toEqual([wildcard, ios]);
+    });
+
+    it('does not alert when scopes are unchanged', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [{ ...makeProgram(1, 'acme'), scopes: [wildcard] }]);
+        await save(db, testDbPath);
+
+        const mockNotifyChanges = vi.fn();
+
+        const result = await run({
+            fetchPrograms: async () => [makeProgram(1, 'acme')],
+            fetchScopes: async () => [wildcard],
+            notifyFn: vi.fn(),
+            notifyChangesFn: mockNotifyChanges,
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+        });
+
+        expect(result.changes).toHaveLength(0);
+        expect(mockNotifyChanges).not.toHaveBeenCalled();
+    });
+
+    it('fetches the scopes of every program by default', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, ['acme', 'beta'].map((handle, i) => ({ ...makeProgram(i + 1, handle), scopes: [wildcard] })));
+        await save(db, testDbPath);
+
+        const fetchScopes = vi.fn(async () => [wildcard]);
+        await run({
+            fetchPrograms: async () => [makeProgram(1, 'acme'), makeProgram(2, 'beta'), makeProgram(3, 'newco')],
+            fetchScopes,
+            notifyFn: vi.fn().mockResolvedValue({ telegram: true }),
+            notifyChangesFn: vi.fn().mockResolvedValue({ telegram: true }),
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+        });
+
+        expect(fetchScopes.mock.calls.map(([handle]) => handle).sort()).toEqual(['acme', 'beta', 'newco']);
+    });
+
+    it('limits the known programs refreshed per run when asked to', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, ['acme', 'beta', 'gamma'].map((handle, i) => ({ ...makeProgram(i + 1, handle), scopes: [wildcard] })));
+        db.programs['1'].scopes_checked_at = '2024-01-03T00:00:00.000Z';
+        db.programs['2'].scopes_checked_at = '2024-01-01T00:00:00.000Z';
+        db.programs['3'].scopes_checked_at = '2024-01-02T00:00:00.000Z';
+        await save(db, testDbPath);
+
+        const fetchScopes = vi.fn(async () => [wildcard, ios]);
+        const deps = {
+            fetchPrograms: async () => [makeProgram(1, 'acme'), makeProgram(2, 'beta'), makeProgram(3, 'gamma'), makeProgram(4, 'newco')],
+            fetchScopes,
+            notifyFn: vi.fn().mockResolvedValue({ telegram: true }),
+            notifyChangesFn: vi.fn().mockResolvedValue({ telegram: true }),
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+            scopeRefreshPerRun: 1,
+        };
+
+        const first = await run(deps);
+
+        expect(fetchScopes.mock.calls.map(([handle]) => handle)).toEqual(['newco', 'beta']);
+        expect(first.changes.map((c) => c.program.handle)).toEqual(['beta']);
+        expect(first.newPrograms[0].scopes).toEqual([wildcard, ios]);
+        const saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(saved.programs['1'].scopes).toEqual([wildcard]);
+        expect(saved.programs['2'].scopes_checked_at > '2024-01-03').toBe(true);
+
+        fetchScopes.mockClear();
+        await run(deps);
+
+        expect(fetchScopes.mock.calls.map(([handle]) => handle)).toEqual(['gamma']);
+    });
+});
+
+describe('watcher.run — attribute transitions', () => {
+    it('alerts when a known VDP starts offering bounties and updates the record', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme', { offers_bounties: false })]);
+        await save(db, testDbPath);
+
+        const mockNotifyChanges = vi.fn().mockResolvedValue({ telegram: true, discord: true });
+
+        const result = await run({
+            fetchPrograms: async () => [makeProgram(1, 'acme', { offers_bounties: true })],
+            fetchScopes: async () => [],
+            notifyFn: vi.fn(),
+            notifyChangesFn: mockNotifyChanges,
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+        });
+
+        expect(result.changes.map((c) => c.type)).toEqual(['bounty_enabled']);
+        expect(mockNotifyChanges).toHaveBeenCalledTimes(1);
+
+        const saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(saved.programs['1'].offers_bounties).toBe(true);
+    });
+
+    it('detects a known program going private without alerting private programs as new', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme')]);
+        await save(db, testDbPath);
+
+        const mockNotify = vi.fn();
+        const mockNotifyChanges = vi.fn().mockResolvedValue({ telegram: true, discord: true });
+        const mockFetchScopes = vi.fn().mockResolvedValue([]);
+
+        const result = await run({
+            fetchPrograms: async () => [
+                makeProgram(1, 'acme', { state: 'soft_launched' }),
+                makeProgram(2, 'invite-only', { state: 'soft_launched' }),
+            ],
+            fetchScopes: mockFetchScopes,
+            notifyFn: mockNotify,
+            notifyChangesFn: mockNotifyChanges,
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+        });
+
+        expect(result.newPrograms).toHaveLength(0);
+        expect(result.totalPrograms).toBe(0);
+        expect(result.changes.map((c) => c.type)).toEqual(['went_private']);
+        expect(mockNotify).not.toHaveBeenCalled();
+        expect(mockFetchScopes).not.toHaveBeenCalled();
+
+        const saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(saved.programs['1'].state).toBe('soft_launched');
+        expect(saved.programs['2']).toBeUndefined();
+    });
+});
+
+describe('watcher.run — removed programs', () => {
+    it('marks unlisted programs removed without alerting by default', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme'), makeProgram(2, 'gone')]);
+        await save(db, testDbPath);
+
+        const mockNotifyChanges = vi.fn();
+
+        const result = await run({
+            fetchPrograms: async () => [makeProgram(1, 'acme')],
+            fetchScopes: async () => [],
+            notifyFn: vi.fn(),
+            notifyChangesFn: mockNotifyChanges,
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+            notifyRemoved: false,
+            maxDropPercent: 100,
+        });
+
+        expect(result.removed.map((r) => r.program.handle)).toEqual(['gone']);
+        expect(mockNotifyChanges).not.toHaveBeenCalled();
+
+        const saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(saved.programs['2'].removed_at).toBeTruthy();
+        expect(saved.programs['1'].removed_at).toBeUndefined();
+    });
+
+    it('sends a "program removed" notification when enabled', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme'), makeProgram(2, 'gone')]);
+        await save(db, testDbPath);
+
+        const mockNotifyChanges = vi.fn().mockResolvedValue({ telegram: true, discord: true });
+
+        await run({
+            fetchPrograms: async () => [makeProgram(1, 'acme')],
+            fetchScopes: async () => [],
+            notifyFn: vi.fn(),
+            notifyChangesFn: mockNotifyChanges,
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+            notifyRemoved: true,
+            maxDropPercent: 100,
+        });
+
+        expect(mockNotifyChanges).toHaveBeenCalledTimes(1);
+        expect(mockNotifyChanges.mock.calls[0][0].map((e) => e.type)).toEqual(['program_removed']);
+    });
+
+    it('flags a removed program that reappears as relaunched instead of new', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme')]);
+        db.programs['1'].removed_at = '2024-01-01T00:00:00.000Z';
+        await save(db, testDbPath);
+
+        const mockNotify = vi.fn();
+        const mockNotifyChanges = vi.fn().mockResolvedValue({ telegram: true, discord: true });
+
+        const result = await run({
+            fetchPrograms: async () => [makeProgram(1, 'acme')],
+            fetchScopes: async () => [],
+            notifyFn: mockNotify,
+            notifyChangesFn: mockNotifyChanges,
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+        });
+
+        expect(result.newPrograms).toHaveLength(0);
+        expect(mockNotify).not.toHaveBeenCalled();
+        expect(result.changes.map((c) => c.type)).toEqual(['relaunched']);
+
+        const saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(saved.programs['1'].removed_at).toBeUndefined();
+        expect(saved.programs['1'].relaunched).toBe(true);
+    });
+
+    it('skips removal detection when the API returns no programs', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme')]);
+        await save(db, testDbPath);
+
+        const result = await run({
+            fetchPrograms: async () => [],
+            fetchScopes: async () => [],
+            notifyFn: vi.fn(),
+            notifyChangesFn: vi.fn(),
+            notifyNoticeFn: vi.fn(),
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+        });
+
+        expect(result.removed).toHaveLength(0);
+        const saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(saved.programs['1'].removed_at).toBeUndefined();
+    });
+});
+
+describe('watcher.run — corrupt state', () => {
+    it('refuses to alert when the state file is corrupt and unrecoverable', async () => {
+        await writeFile(testDbPath, '{"programs": {"1": ', 'utf-8');
+
+        const mockNotify = vi.fn();
+        const mockFetch = vi.fn().mockResolvedValue([makeProgram(1, 'acme'), makeProgram(2, 'beta')]);
+
+        await expect(run({
+            fetchPrograms: mockFetch,
+            fetchScopes: async () => [],
+            notifyFn: mockNotify,
+            notifyChangesFn: vi.fn(),
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+        })).rejects.toThrow(/corrupt/);
+
+        expect(mockFetch).not.toHaveBeenCalled();
+        expect(mockNotify).not.toHaveBeenCalled();
+        expect(readFileSync(testDbPath, 'utf-8')).toBe('{"programs": {"1": ');
+    });
+
+    it('recovers from a backup and only alerts genuinely new programs', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme')]);
+        await save(db, testDbPath);
+        await save(db, testDbPath); // previous file becomes backup #1
+        await writeFile(testDbPath, 'garbage', 'utf-8');
+
+        const mockNotify = vi.fn().mockResolvedValue({ telegram: true, discord: true });
+
+        const result = await run({
+            fetchPrograms: async () => [makeProgram(1, 'acme'), makeProgram(2, 'beta')],
+            fetchScopes: async () => [],
+            notifyFn: mockNotify,
+            notifyChangesFn: vi.fn(),
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+        });
+
+        expect(result.newPrograms.map((p) => p.handle)).toEqual(['beta']);
+    });
+});
+
+describe('watcher.run — anomaly guard', () => {
+    async function seedDb(count) {
+        const db = createEmptyDb();
+        addPrograms(db, Array.from({ length: count }, (_, i) => makeProgram(i + 1, `prog-${i + 1}`)));
+        await save(db, testDbPath);
+    }
+
+    function baseDeps(overrides = {}) {
+        return {
+            fetchScopes: async () => [],
+            notifyFn: vi.fn().mockResolvedValue({ telegram: true, discord: true }),
+            notifyChangesFn: vi.fn().mockResolvedValue({ telegram: true, discord: true }),
+            notifyNoticeFn: vi.fn().mockResolvedValue({ telegram: true, discord: true }),
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+            notifyRemoved: true,
+            ...overrides,
+        };
+    }
+
+    it('skips removal detection and warns once when the listing is truncated', async () => {
+        await seedDb(10);
+        const deps = baseDeps({
+            fetchPrograms: async () => [makeProgram(1, 'prog-1'), makeProgram(2, 'prog-2')],
+            maxDropPercent: 20,
+        });
+
+        const result = await run(deps);
+
+        expect(result.anomalies.dropAnomaly).toBe(true);
+        expect(result.removed).toHaveLength(0);
+        expect(deps.notifyChangesFn).not.toHaveBeenCalled();
+        expect(deps.notifyNoticeFn).toHaveBeenCalledTimes(1);
+        expect(deps.notifyNoticeFn.mock.calls[0][0].level).toBe('warning');
+        expect(deps.notifyNoticeFn.mock.calls[0][0].lines.join('\n')).toContain('8 of 10 known programs');
+
+        const saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(Object.values(saved.programs).some((p) => p.removed_at)).toBe(false);
+    });
+
+    it('still detects removals below the drop threshold', async () => {
+        await seedDb(10);
+        const deps = baseDeps({
+            fetchPrograms: async () => Array.from({ length: 9 }, (_, i) => makeProgram(i + 1, `prog-${i + 1}`)),
+            maxDropPercent: 20,
+        });
+
+        const result = await run(deps);
+
+        expect(result.anomalies.dropAnomaly).toBe(false);
+        expect(result.removed).toHaveLength(1);
+        expect(deps.notifyNoticeFn).not.toHaveBeenCalled();
+    });
+
+    it('holds back a suspiciously large batch of new programs', async () => {
+        await seedDb(2);
+        const fresh = Array.from({ length: 5 }, (_, i) => makeProgram(100 + i, `fresh-${i}`));
+        const deps = baseDeps({
+            fetchPrograms: async () => [makeProgram(1, 'prog-1'), makeProgram(2, 'prog-2'), ...fresh],
+            maxNewPerRun: 3,
+        });
+
+        const result = await run(deps);
+
+        expect(result.newPrograms).toHaveLength(0);
+        expect(result.heldBack).toHaveLength(5);
+        expect(deps.notifyFn).not.toHaveBeenCalled();
+        expect(deps.dispatchReconFn).not.toHaveBeenCalled();
+        expect(deps.notifyNoticeFn).toHaveBeenCalledTimes(1);
+
+        // Held-back programs are not recorded, so they are re-evaluated next run
+        const saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(Object.keys(saved.programs)).toHaveLength(2);
+    });
+
+    it('warns once about a repeated flood and lets it through after identical runs', async () => {
+        await seedDb(2);
+        const fresh = Array.from({ length: 5 }, (_, i) => makeProgram(100 + i, `fresh-${i}`));
+        const deps = baseDeps({
+            fetchPrograms: async () => [makeProgram(1, 'prog-1'), makeProgram(2, 'prog-2'), ...fresh],
+            maxNewPerRun: 3,
+            confirmRuns: 3,
+        });
+
+        await run(deps);
+        const second = await run(deps);
+        expect(second.heldBack).toHaveLength(5);
+        expect(deps.notifyNoticeFn).toHaveBeenCalledTimes(1);
+        expect(deps.notifyNoticeFn.mock.calls[0][0].lines.join('\n')).toContain('listed in 3 runs in a row');
+        expect(JSON.parse(readFileSync(testDbPath, 'utf-8')).anomalies.new.runs).toBe(2);
+
+        const third = await run(deps);
+
+        expect(third.newPrograms).toHaveLength(5);
+        expect(deps.notifyFn).toHaveBeenCalledTimes(1);
+        const saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(Object.keys(saved.programs)).toHaveLength(7);
+        expect(saved.anomalies).toBeUndefined();
+    });
+
+    it('detects removals once a drop is accepted', async () => {
+        await seedDb(10);
+        const deps = baseDeps({
+            fetchPrograms: async () => [makeProgram(1, 'prog-1'), makeProgram(2, 'prog-2')],
+            maxDropPercent: 20,
+        });
+
+        await run(deps);
+        const result = await run({ ...deps, acceptAnomalies: true });
+
+        expect(result.removed).toHaveLength(8);
+        expect(deps.notifyNoticeFn).toHaveBeenCalledTimes(1);
+    });
+
+    it('records held-back programs and removals on a baseline', async () => {
+        await seedDb(10);
+        const fresh = Array.from({ length: 5 }, (_, i) => makeProgram(100 + i, `fresh-${i}`));
+        const deps = baseDeps({
+            fetchPrograms: async () => [makeProgram(1, 'prog-1'), ...fresh],
+            maxNewPerRun: 3,
+        });
+
+        await run(deps);
+        const result = await run({ ...deps, baseline: true });
+
+        expect(result.baselined).toHaveLength(5);
+        const saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(Object.values(saved.programs).filter((p) => p.removed_at)).toHaveLength(9);
+        expect(saved.anomalies).toBeUndefined();
+        expect(deps.notifyChangesFn).not.toHaveBeenCalled();
+    });
+
+    it('does not apply the new-program limit on a first run', async () => {
+        const deps = baseDeps({
+            fetchPrograms: async () => Array.from({ length: 5 }, (_, i) => makeProgram(i + 1, `p-${i}`)),
+            maxNewPerRun: 3,
+        });
+
+        const result = await run(deps);
+
+        expect(result.baselined).toHaveLength(5);
+        expect(result.heldBack).toHaveLength(0);
+        expect(deps.notifyNoticeFn.mock.calls[0][0].level).toBe('info');
+    });
+});
+
+describe('watcher.run — baseline mode', () => {
+    it('can be requested explicitly on a non-empty DB', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme', { offers_bounties: false })]);
+        await save(db, testDbPath);
+
+        const mockNotify = vi.fn();
+        const mockNotifyChanges = vi.fn();
+        const mockNotice = vi.fn().mockResolvedValue({ telegram: true, discord: true });
+        const mockRecon = vi.fn();
+
+        const result = await run({
+            fetchPrograms: async () => [
+                makeProgram(1, 'acme', { offers_bounties: true }),
+                makeProgram(2, 'betacorp'),
+                makeProgram(3, 'gammainc'),
+            ],
+            fetchScopes: async () => [],
+            notifyFn: mockNotify,
+            notifyChangesFn: mockNotifyChanges,
+            notifyNoticeFn: mockNotice,
+            dispatchReconFn: mockRecon,
+            dbPath: testDbPath,
+            baseline: true,
+        });
+
+        expect(result.baselined.map((p) => p.handle)).toEqual(['betacorp', 'gammainc']);
+        expect(mockNotify).not.toHaveBeenCalled();
+        expect(mockNotifyChanges).not.toHaveBeenCalled();
+        expect(mockRecon).not.toHaveBeenCalled();
+        expect(mockNotice).toHaveBeenCalledTimes(1);
+        expect(mockNotice.mock.calls[0][0].title).toBe('Baseline recorded — tracking 3 programs');
+
+        const saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(saved.programs['1'].baseline).toBeUndefined();
+        expect(saved.programs['1'].offers_bounties).toBe(true);
+        expect(saved.programs['2'].baseline).toBe(true);
+    });
+
+    it('alerts normally on the run after a baseline', async () => {
+        const deps = {
+            fetchScopes: async () => [],
+            notifyNoticeFn: vi.fn(),
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+        };
+        await run({ ...deps, fetchPrograms: async () => [makeProgram(1, 'acme')], notifyFn: vi.fn() });
+
+        const mockNotify = vi.fn().mockResolvedValue({ telegram: true, discord: true });
+        const result = await run({
+            ...deps,
+            fetchPrograms: async () => [makeProgram(1, 'acme'), makeProgram(2, 'betacorp')],
+            notifyFn: mockNotify,
+        });
+
+        expect(result.newPrograms.map((p) => p.handle)).toEqual(['betacorp']);
+        expect(mockNotify).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('watcher.run — alert outbox', () => {
+    it('retries an alert on the next run when a channel failed', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme')]);
+        await save(db, testDbPath);
+
+        const deps = {
+            fetchPrograms: async () => [makeProgram(1, 'acme'), makeProgram(2, 'betacorp')],
+            fetchScopes: async () => [],
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+            retryPolicy: { maxAttempts: 3, baseDelayMs: 0 },
+        };
+
+        // Run 1: Telegram is down, Discord works
+        const failingNotify = vi.fn().mockResolvedValue({ telegram: false, discord: true });
+        const first = await run({ ...deps, notifyFn: failingNotify });
+
+        expect(first.newPrograms).toHaveLength(1);
+        expect(first.delivery).toMatchObject({ delivered: 1, failed: 1, pending: 1 });
+        let saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(saved.programs['2']).toBeDefined();
+        expect(saved.outbox.pending).toHaveLength(1);
+
+        // Run 2: nothing new, but the pending alert is retried on Telegram only
+        const recoveredNotify = vi.fn().mockResolvedValue({ telegram: true });
+        const second = await run({ ...deps, notifyFn: recoveredNotify });
+
+        expect(second.newPrograms).toHaveLength(0);
+        expect(recoveredNotify).toHaveBeenCalledTimes(1);
+        expect(recoveredNotify.mock.calls[0][0].map((p) => p.handle)).toEqual(['betacorp']);
+        expect(recoveredNotify.mock.calls[0][1]).toMatchObject({ channels: ['telegram'] });
+        saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(saved.outbox.pending).toHaveLength(0);
+    });
+});
+
+describe('watcher.run — filter rules', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('refuses to run with malformed rules before fetching anything', async () => {
+        process.env.ALERT_RULES = '{"discord": {"include": {"offers_bounties": true}}}';
+        const fetchPrograms = vi.fn();
+
+        await expect(run({ fetchPrograms, dbPath: testDbPath })).rejects.toThrow(/must be an array of rules/);
+        expect(fetchPrograms).not.toHaveBeenCalled();
+    });
+
+    it('passes the loaded rules to the alerter', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme')]);
+        await save(db, testDbPath);
+        process.env.ALERT_RULES = '{"discord": {"include": [{"offers_bounties": true}]}}';
+        const notifyFn = vi.fn().mockResolvedValue({ discord: true });
+
+        await run({
+            fetchPrograms: async () => [makeProgram(1, 'acme'), makeProgram(2, 'betacorp')],
+            fetchScopes: async () => [],
+            notifyFn,
+            dispatchReconFn: vi.fn(),
+            dbPath: testDbPath,
+        });
+
+        expect(notifyFn.mock.calls[0][1].rules.discord.include).toHaveLength(1);
+    });
+});
+
+describe('watcher.run — digest mode', () => {
+    it('queues new programs and sends them as one digest when due', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme')]);
+        await save(db, testDbPath);
+
+        const deps = {
+            fetchScopes: async () => [],
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+            digestConfig: { channels: ['slack'], schedule: 'hourly', hour: 9, minute: 0 },
+        };
+        const notifyFn = vi.fn().mockResolvedValue({ telegram: true, slack: null });
+        const notifyDigestFn = vi.fn().mockResolvedValue({ slack: true });
+
+        // Run 1 (10:15): new program alerted immediately elsewhere, queued for the 11:00 digest
+        await run({
+            ...deps,
+            fetchPrograms: async () => [makeProgram(1, 'acme'), makeProgram(2, 'betacorp')],
+            notifyFn,
+            notifyDigestFn,
+            now: Date.parse('2024-01-15T10:15:00Z'),
+        });
+
+        expect(notifyFn).toHaveBeenCalledTimes(1);
+        expect(notifyFn.mock.calls[0][1]).toMatchObject({ digestChannels: ['slack'] });
+        expect(notifyDigestFn).not.toHaveBeenCalled();
+        let saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(saved.digest.queue.map((p) => p.handle)).toEqual(['betacorp']);
+        expect(saved.digest.next_at).toBe('2024-01-15T11:00:00.000Z');
+
+        // Run 2 (11:05): nothing new, the digest is due
+        await run({
+            ...deps,
+            fetchPrograms: async () => [makeProgram(1, 'acme'), makeProgram(2, 'betacorp')],
+            notifyFn,
+            notifyDigestFn,
+            now: Date.parse('2024-01-15T11:05:00Z'),
+        });
+
+        expect(notifyDigestFn).toHaveBeenCalledTimes(1);
+        expect(notifyDigestFn.mock.calls[0][0].programs.map((p) => p.handle)).toEqual(['betacorp']);
+        saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(saved.digest.queue).toHaveLength(0);
+        expect(saved.outbox.pending).toHaveLength(0);
+    });
+});
+
+describe('watcher.run — Telegram commands', () => {
+    it('answers commands before alerting and skips muted programs', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme')]);
+        await save(db, testDbPath);
+
+        const handleCommandsFn = vi.fn(async (state) => {
+            state.muted = { betacorp: '2024-01-15T10:00:00.000Z' };
+        });
+        const notifyFn = vi.fn().mockResolvedValue({ telegram: true });
+        const dispatchReconFn = vi.fn().mockResolvedValue(false);
+
+        const result = await run({
+            fetchPrograms: async () => [makeProgram(1, 'acme'), makeProgram(2, 'betacorp'), makeProgram(3, 'gamma')],
+            fetchScopes: async () => [],
+            notifyFn,
+            dispatchReconFn,
+            handleCommandsFn,
+            commands: true,
+            dbPath: testDbPath,
+        });
+
+        expect(handleCommandsFn).toHaveBeenCalledTimes(1);
+        expect(result.newPrograms).toHaveLength(2);
+        expect(notifyFn.mock.calls[0][0].map((p) => p.handle)).toEqual(['gamma']);
+        expect(dispatchReconFn.mock.calls[0][0].map((p) => p.handle)).toEqual(['gamma']);
+        const saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(saved.programs['2']).toBeDefined();
+        expect(saved.muted).toEqual({ betacorp: '2024-01-15T10:00:00.000Z' });
+    });
+
+    it('keeps the offset and mutes of answered commands when the run fails later', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme')]);
+        await save(db, testDbPath);
+
+        await expect(run({
+            fetchPrograms: vi.fn().mockRejectedValue(new Error('HTTP 502')),
+            handleCommandsFn: async (state) => {
+                state.bot = { offset: 43 };
+                state.muted = { acme: '2024-01-15T10:00:00.000Z' };
+            },
+            commands: true,
+            dbPath: testDbPath,
+            healthConfig: { failureThreshold: 3, heartbeatUrl: null },
+        })).rejects.toThrow('HTTP 502');
+
+        const saved = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(saved.bot).toEqual({ offset: 43 });
+        expect(saved.muted).toEqual({ acme: '2024-01-15T10:00:00.000Z' });
+        expect(saved.health.consecutive_failures).toBe(1);
+    });
+});
+
+describe('watcher.run — dry run', () => {
+    it('diffs without alerting, dispatching recon or saving', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme')]);
+        await save(db, testDbPath);
+        const before = readFileSync(testDbPath, 'utf-8');
+        const notifyFn = vi.fn();
+        const dispatchReconFn = vi.fn();
+        const handleCommandsFn = vi.fn();
+
+        const result = await run({
+            fetchPrograms: async () => [makeProgram(1, 'acme', { offers_bounties: false }), makeProgram(2, 'betacorp')],
+            fetchScopes: async () => [],
+            notifyFn,
+            notifyChangesFn: notifyFn,
+            dispatchReconFn,
+            handleCommandsFn,
+            commands: true,
+            dryRun: true,
+            dbPath: testDbPath,
+        });
+
+        expect(result.newPrograms.map((p) => p.handle)).toEqual(['betacorp']);
+        expect(result.changes.map((c) => c.type)).toEqual(['bounty_disabled']);
+        expect(result.delivery).toBeNull();
+        expect(notifyFn).not.toHaveBeenCalled();
+        expect(dispatchReconFn).not.toHaveBeenCalled();
+        expect(handleCommandsFn).not.toHaveBeenCalled();
+        expect(readFileSync(testDbPath, 'utf-8')).toBe(before);
+    });
+
+    it('reports a baseline without recording it', async () => {
+        const notifyNoticeFn = vi.fn();
+
+        const result = await run({
+            fetchPrograms: async () => [makeProgram(1, 'acme')],
+            fetchScopes: async () => [],
+            notifyNoticeFn,
+            dryRun: true,
+            dbPath: testDbPath,
+        });
+
+        expect(result.baselined).toHaveLength(1);
+        expect(notifyNoticeFn).not.toHaveBeenCalled();
+        expect(existsSync(testDbPath)).toBe(false);
+    });
+});
+
+describe('watcher.run — failure escalation and heartbeat', () => {
+    const healthConfig = { failureThreshold: 2, heartbeatUrl: 'https://hc-ping.com/abc' };
+
+    it('alerts after repeated failures, then announces the recovery and pings the heartbeat', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme')]);
+        await save(db, testDbPath);
+        const notifyNoticeFn = vi.fn().mockResolvedValue({ telegram: true });
+        const fetchFn = vi.fn().mockResolvedValue({ ok: true, status: 200 });
+        const deps = {
+            fetchScopes: async () => [],
+            notifyFn: vi.fn().mockResolvedValue({ telegram: true }),
+            notifyNoticeFn,
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+            healthConfig,
+            fetchFn,
+        };
+        const failing = { ...deps, fetchPrograms: vi.fn().mockRejectedValue(new Error('HTTP 502 from HackerOne')) };
+
+        await expect(run(failing)).rejects.toThrow('HTTP 502');
+        await expect(run(failing)).rejects.toThrow('HTTP 502');
+
+        expect(notifyNoticeFn).toHaveBeenCalledTimes(1);
+        expect(notifyNoticeFn.mock.calls[0][0].title).toBe('h1-watcher is failing');
+        expect(notifyNoticeFn.mock.calls[0][0].lines).toContain('Last error: HTTP 502 from HackerOne');
+        expect(fetchFn).not.toHaveBeenCalled();
+        const failed = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(failed.health.consecutive_failures).toBe(2);
+        expect(Object.keys(failed.programs)).toEqual(['1']);
+
+        await run({ ...deps, fetchPrograms: async () => [makeProgram(1, 'acme')] });
+
+        expect(notifyNoticeFn).toHaveBeenCalledTimes(2);
+        expect(notifyNoticeFn.mock.calls[1][0].title).toBe('h1-watcher recovered');
+        expect(fetchFn).toHaveBeenCalledWith('https://hc-ping.com/abc', expect.objectContaining({ method: 'GET' }));
+        expect(JSON.parse(readFileSync(testDbPath, 'utf-8')).health.consecutive_failures).toBe(0);
+    });
+
+    it('neither counts nor pings on a dry run', async () => {
+        const fetchFn = vi.fn();
+
+        await expect(run({
+            fetchPrograms: vi.fn().mockRejectedValue(new Error('HTTP 502')),
+            dryRun: true,
+            dbPath: testDbPath,
+            healthConfig,
+            fetchFn,
+        })).rejects.toThrow('HTTP 502');
+
+        expect(existsSync(testDbPath)).toBe(false);
+        expect(fetchFn).not.toHaveBeenCalled();
+    });
+});
+
+describe('watcher.run — run statistics and metrics', () => {
+    it('records the statistics of successful and failed runs and writes the metrics file', async () => {
+        const db = createEmptyDb();
+        addPrograms(db, [makeProgram(1, 'acme')]);
+        await save(db, testDbPath);
+        const metricsFile = join(testDir, 'h1_watcher.prom');
+        const deps = {
+            fetchScopes: async () => [],
+            notifyFn: vi.fn().mockResolvedValue({ telegram: true, discord: false }),
+            notifyNoticeFn: vi.fn().mockResolvedValue({ telegram: true }),
+            dispatchReconFn: vi.fn().mockResolvedValue(false),
+            dbPath: testDbPath,
+            healthConfig: { failureThreshold: 3, heartbeatUrl: null },
+            metricsConfig: { file: metricsFile },
+        };
+
+        await run({ ...deps, runId: 'run-1', fetchPrograms: async () => [makeProgram(1, 'acme'), makeProgram(2, 'newco')] });
+        await expect(run({ ...deps, runId: 'run-2', fetchPrograms: vi.fn().mockRejectedValue(new Error('HTTP 502')) }))
+            .rejects.toThrow('HTTP 502');
+
+        const { stats } = JSON.parse(readFileSync(testDbPath, 'utf-8'));
+        expect(stats.runs).toHaveLength(2);
+        expect(stats.runs[0]).toMatchObject({
+            run_id: 'run-1',
+            outcome: 'success',
+            programs_fetched: 2,
+            new_programs: 1,
+            alerts: { telegram: { sent: 1, failed: 0 }, discord: { sent: 0, failed: 1 } },
+        });
+        expect(stats.runs[1]).toMatchObject({ run_id: 'run-2', outcome: 'failure', programs_fetched: 0 });
+        expect(stats.totals.runs).toEqual({ success: 1, failure: 1 });
+
+        const text = readFileSync(metricsFile, 'utf-8');
+        expect(text).toContain('h1_watcher_runs_total{outcome="failure"} 1\n');
+        expect(text).toContain('h1_watcher_alerts_total{channel="discord",outcome="failed"} 1\n');
+        expect(text).toContain('h1_watcher_consecutive_failures 1\n');
+    });
+});
@@ -0,0 +1,191 @@
+// tests/webhook.test.js — Unit tests for the generic signed webhook channel
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createHmac } from 'node:crypto';
+import webhook, {
+    getWebhookUrls,
+    signPayload,
+    buildPayload,
+    sendWebhook,
+    SIGNATURE_HEADER,
+} from '../src/channels/webhook.js';
+import { notify } from '../src/alerter.js';
+
+const program = {
+    id: '1',
+    handle: 'acme',
+    name: 'Acme Corp',
+    state: 'public_mode',
+    submission_state: 'open',
+    offers_bounties: true,
+    started_accepting_at: '2024-01-15T10:00:00.000Z',
+};
+
+function mockResponse(status) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: String(status),
+        text: async () => '',
+    };
+}
+
+function configure() {
+    process.env.WEBHOOK_URLS = 'https://hooks.internal/a, https://hooks.internal/b';
+    process.env.WEBHOOK_SECRET = 'shared-secret';
+}
+
+describe('getWebhookUrls', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('splits and trims a comma-separated list', () => {
+        process.env.WEBHOOK_URLS = ' https://a.example ,,https://b.example ';
+
+        expect(getWebhookUrls()).toEqual(['https://a.example', 'https://b.example']);
+    });
+
+    it('requires both URLs and a secret to be configured', () => {
+        process.env.WEBHOOK_URLS = 'https://a.example';
+        delete process.env.WEBHOOK_SECRET;
+        expect(webhook.isConfigured()).toBe(false);
+
+        process.env.WEBHOOK_SECRET = 's';
+        expect(webhook.isConfigured()).toBe(true);
+    });
+});
+
+describe('buildPayload', () => {
+    it('wraps the event in a versioned envelope', () => {
+        const now = new Date('2024-02-01T00:00:00.000Z');
+        const payload = buildPayload({ event: 'new_programs', programs: [program] }, { runId: 'run-1', now });
+
+        expect(payload).toMatchObject({
+            version: 1,
+            run_id: 'run-1',
+            timestamp: '2024-02-01T00:00:00.000Z',
+            event: 'new_programs',
+            programs: [program],
+        });
+        expect(payload.event_id).toMatch(/^[0-9a-f]{32}$/);
+    });
+
+    it('keeps the same event ID across redeliveries', () => {
+        const message = { event: 'new_programs', programs: [program] };
+
+        const first = buildPayload(message, { runId: 'run-1' });
+        const second = buildPayload(message, { runId: 'run-2', now: new Date(0) });
+
+        expect(second.event_id).toBe(first.event_id);
+    });
+});
+
+describe('sendWebhook', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+        vi.useRealTimers();
+    });
+
+    it('skips when not configured', async () => {
+        delete process.env.WEBHOOK_URLS;
+
+        expect(await sendWebhook({ event: 'notice' })).toBe(false);
+    });
+
+    it('posts a signed payload to every URL', async () => {
+        configure();
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(200));
+
+        const result = await sendWebhook({ event: 'new_programs', programs: [program] }, { fetchFn: mockFetch, runId: 'run-1' });
+
+        expect(result).toBe(true);
+        expect(mockFetch.mock.calls.map(([url]) => url)).toEqual(['https://hooks.internal/a', 'https://hooks.internal/b']);
+
+        const [, options] = mockFetch.mock.calls[0];
+        const expected = `sha256=${createHmac('sha256', 'shared-secret').update(options.body).digest('hex')}`;
+        expect(options.headers[SIGNATURE_HEADER]).toBe(expected);
+        expect(signPayload(options.body, 'shared-secret')).toBe(expected);
+        expect(JSON.parse(options.body)).toMatchObject({ event: 'new_programs', run_id: 'run-1', programs: [program] });
+    });
+
+    it('retries 5xx responses with backoff', async () => {
+        vi.useFakeTimers();
+        process.env.WEBHOOK_URLS = 'https://hooks.internal/a';
+        process.env.WEBHOOK_SECRET = 'shared-secret';
+        const mockFetch = vi.fn()
+            .mockResolvedValueOnce(mockResponse(503))
+            .mockResolvedValueOnce(mockResponse(200));
+
+        const pending = sendWebhook({ event: 'notice', notice: { title: 'hi' } }, { fetchFn: mockFetch });
+        await vi.runAllTimersAsync();
+
+        expect(await pending).toBe(true);
+        expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('reports failure when any URL rejects the event', async () => {
+        configure();
+        const mockFetch = vi.fn()
+            .mockResolvedValueOnce(mockResponse(200))
+            .mockResolvedValueOnce(mockResponse(400));
+
+        const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        const result = await sendWebhook({ event: 'notice', notice: { title: 'hi' } }, { fetchFn: mockFetch });
+
+        expect(result).toBe(false);
+        expect(mockFetch).toHaveBeenCalledTimes(2); // 4xx is not retried
+        const logged = errorSpy.mock.calls.flat().join(' ');
+        expect(logged).toContain('HTTP 400');
+        expect(logged).not.toContain('hooks.internal/b');
+        errorSpy.mockRestore();
+    });
+});
+
+describe('webhook channel', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    it('sends one event per alert through notify', async () => {
+        configure();
+        const mockFetch = vi.fn().mockResolvedValue(mockResponse(204));
+
+        const result = await notify([program, { ...program, id: '2', handle: 'beta' }], {
+            fetchFn: mockFetch,
+            registry: [webhook],
+            runId: 'run-9',
+        });
+
+        expect(result).toEqual({ webhook: true });
+        const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+        expect(body.programs).toHaveLength(2);
+        expect(body.run_id).toBe('run-9');
+    });
+
+    it('does not resend to URLs that took the event on an earlier attempt', async () => {
+        configure();
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const delivered = [];
+        const deps = { registry: [webhook], onDelivered: (name, key) => delivered.push(key) };
+        const failing = vi.fn()
+            .mockResolvedValueOnce(mockResponse(200))
+            .mockResolvedValueOnce(mockResponse(400));
+
+        expect(await notify([program], { ...deps, fetchFn: failing })).toEqual({ webhook: false });
+        expect(delivered).toHaveLength(1);
+
+        const retry = vi.fn().mockResolvedValue(mockResponse(200));
+        const result = await notify([program], { ...deps, fetchFn: retry, delivered: { webhook: [...delivered] } });
+
+        expect(result).toEqual({ webhook: true });
+        expect(retry.mock.calls.map(([url]) => url)).toEqual(['https://hooks.internal/b']);
+        vi.restoreAllMocks();
+    });
+});
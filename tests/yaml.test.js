@@ -0,0 +1,74 @@
+// tests/yaml.test.js — Unit tests for the minimal YAML reader
+import { describe, it, expect } from 'vitest';
+import { parseYaml, YamlError } from '../src/yaml.js';
+
+describe('parseYaml', () => {
+    it('parses nested mappings and scalar types', () => {
+        const doc = parseYaml([
+            '# h1-watcher config',
+            'hackerone:',
+            '  api_username: alice   # trailing comment',
+            '  api_token: "s3cr#t"',
+            '  scope_fetch_concurrency: 8',
+            'watcher:',
+            '  baseline: false',
+            '  notify_removed: TRUE',
+            'anomaly:',
+            '  max_drop_percent: 12.5',
+            'digest:',
+            '  time: ~',
+            "  schedule: 'daily'",
+        ].join('\n'));
+
+        expect(doc).toEqual({
+            hackerone: { api_username: 'alice', api_token: 's3cr#t', scope_fetch_concurrency: 8 },
+            watcher: { baseline: false, notify_removed: true },
+            anomaly: { max_drop_percent: 12.5 },
+            digest: { time: null, schedule: 'daily' },
+        });
+    });
+
+    it('parses block sequences, flow lists and sequences of mappings', () => {
+        const doc = parseYaml([
+            'webhook:',
+            '  urls:',
+            '    - https://a.example/hook',
+            '    - https://b.example/hook',
+            'email:',
+            '  to: [sec@example.com, "ops@example.com"]',
+            'rules:',
+            '- channel: telegram',
+            '  types: [bounty]',
+            '- channel: slack',
+            '  min_bounty: 500',
+            'empty: {}',
+        ].join('\n'));
+
+        expect(doc).toEqual({
+            webhook: { urls: ['https://a.example/hook', 'https://b.example/hook'] },
+            email: { to: ['sec@example.com', 'ops@example.com'] },
+            rules: [{ channel: 'telegram', types: ['bounty'] }, { channel: 'slack', min_bounty: 500 }],
+            empty: {},
+        });
+    });
+
+    it('keeps URLs and colons inside values as strings', () => {
+        expect(parseYaml('discord:\n  webhook_url: https://discord.com/api/webhooks/1/x\n  time: 09:30'))
+            .toEqual({ discord: { webhook_url: 'https://discord.com/api/webhooks/1/x', time: '09:30' } });
+    });
+
+    it('returns null for an empty document', () => {
+        expect(parseYaml('# nothing here\n\n')).toBeNull();
+    });
+
+    it('rejects tabs, bad indentation, duplicate keys and unsupported syntax with the line number', () => {
+        expect(() => parseYaml('a:\n\tb: 1')).toThrow('line 2: tabs are not allowed');
+        expect(() => parseYaml('a: 1\n  b: 2')).toThrow('line 2: unexpected indentation');
+        expect(() => parseYaml('a: 1\na: 2')).toThrow('line 2: duplicate key "a"');
+        expect(() => parseYaml('__proto__:\n  polluted: true')).toThrow('line 1: key "__proto__" is not allowed');
+        expect(() => parseYaml('a:\n  "__proto__": 1')).toThrow('line 2: key "__proto__" is not allowed');
+        expect(() => parseYaml('a: |\n  text')).toThrow(YamlError);
+        expect(() => parseYaml('a: &anchor 1')).toThrow('unsupported YAML syntax');
+        expect(() => parseYaml('just text\nmore text')).toThrow('line 1: expected "key: value"');
+    });
+});